@@ -3,12 +3,15 @@ import { BaseCtlPlugin } from "@clusterio/ctl";
 import { Command, CommandTree } from "@clusterio/lib";
 import * as messages from "./messages";
 import { getErrorMessage } from "./helpers";
+import { migrateExportData } from "./lib/schema-migrations";
+import { summarizeExportDiff } from "./lib/export-diff";
+import { describeScheduleRule, parseDuration } from "./lib/schedule-rule";
 
 type ControlLike = {
 	sendTo: <T = unknown>(target: string, message: unknown) => Promise<T>;
 };
 
-type YargsLike = { positional: (name: string, opts: unknown) => void };
+type YargsLike = { positional: (name: string, opts: unknown) => void; option: (name: string, opts: unknown) => void };
 
 const surfaceExportCommands = new CommandTree({
 	name: "surface-export",
@@ -25,8 +28,10 @@ surfaceExportCommands.add(new Command({
 		}
 		const lines = entries
 			.sort((a, b) => b.timestamp - a.timestamp)
-			.map(entry => `${entry.exportId}\t${entry.platformName}\tinstance ${entry.instanceId}\t${new Date(entry.timestamp).toISOString()}\t${entry.size} bytes`);
-		console.log(["Export ID\tPlatform\tSource\tTimestamp\tSize"].concat(lines).join("\n"));
+			.map(entry => `${entry.exportId}\t${entry.platformName}\tinstance ${entry.instanceId}\t${new Date(entry.timestamp).toISOString()}\t${entry.size} bytes`
+				+ `\t${entry.modSet ? `${entry.modSet.factorioVersion || "?"} (${Object.keys(entry.modSet.mods).length} mods)` : "-"}`
+				+ `\t${entry.pinned ? "pinned" : "-"}\t${entry.labels?.length ? entry.labels.join(",") : "-"}\t${entry.note ?? ""}`);
+		console.log(["Export ID\tPlatform\tSource\tTimestamp\tSize\tFactorio\tPinned\tLabels\tNote"].concat(lines).join("\n"));
 	},
 }));
 
@@ -68,13 +73,290 @@ surfaceExportCommands.add(new Command({
 		const json = JSON.stringify(response.exportData, null, 2);
 		if (args.outputFile) {
 			fs.writeFileSync(args.outputFile, json, "utf8");
-			console.log(`Written ${json.length} bytes to ${args.outputFile}`);
+			console.log(`Written ${json.length} bytes to ${args.outputFile}${response.digest ? ` (${response.digest})` : ""}`);
 			return;
 		}
 		console.log(json);
 	},
 }));
 
+function formatPosition(position: messages.DiffPosition) {
+	return `(${position.x}, ${position.y})`;
+}
+
+function formatDelta(delta: messages.CountDelta) {
+	const round = (value: number) => Number(value.toFixed(3));
+	return `${delta.name}: ${round(delta.before)} → ${round(delta.after)} (${delta.delta > 0 ? "+" : ""}${round(delta.delta)})`;
+}
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"diff <beforeExportId> <afterExportId>",
+		"Compare two stored exports: entities added, removed and moved, changed settings and item/fluid counts",
+		(yargs: YargsLike) => {
+			yargs.positional("beforeExportId", { describe: "Stored export to compare from", type: "string" });
+			yargs.positional("afterExportId", { describe: "Stored export to compare to", type: "string" });
+			yargs.option("json", { describe: "Print the full diff as JSON", type: "boolean", default: false });
+		},
+	],
+	handler: async function(args: { beforeExportId: string; afterExportId: string; json?: boolean }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.DiffExportsRequest({
+			beforeExportId: args.beforeExportId,
+			afterExportId: args.afterExportId,
+		})) as ReturnType<typeof messages.DiffExportsRequest.Response.fromJSON>;
+		if (!response.success || !response.diff) {
+			throw new Error(response.error || "Diff failed");
+		}
+		const diff = response.diff;
+		if (args.json) {
+			console.log(JSON.stringify(diff, null, 2));
+			return;
+		}
+		console.log(`${args.beforeExportId} → ${args.afterExportId}: ${summarizeExportDiff(diff)}`);
+		const sections: Array<[string, string[]]> = [
+			["Added", diff.entitiesAdded.map(entity => `+ ${entity.name} at ${formatPosition(entity.position)}`)],
+			["Removed", diff.entitiesRemoved.map(entity => `- ${entity.name} at ${formatPosition(entity.position)}`)],
+			["Moved", diff.entitiesMoved.map(entity => `~ ${entity.name} ${formatPosition(entity.from)} → ${formatPosition(entity.position)}`)],
+			["Settings", diff.settingsChanged.map(change =>
+				`* ${change.name} at ${formatPosition(change.position)} ${change.kind}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`)],
+			["Items", diff.itemDeltas.map(formatDelta)],
+			["Fluids", diff.fluidDeltas.map(formatDelta)],
+		];
+		for (const [title, lines] of sections) {
+			if (lines.length > 0) {
+				console.log(`${title}:`);
+				for (const line of lines) {
+					console.log(`  ${line}`);
+				}
+			}
+		}
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"blueprint <exportId> [outputFile]",
+		"Convert a stored export to a Factorio blueprint string and list what the blueprint cannot hold",
+		(yargs: YargsLike) => {
+			yargs.positional("exportId", { describe: "Stored export identifier", type: "string" });
+			yargs.positional("outputFile", { describe: "Output file path (default: stdout)", type: "string" });
+		},
+	],
+	handler: async function(args: { exportId: string; outputFile?: string }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.ExportBlueprintRequest({
+			exportId: args.exportId,
+		})) as ReturnType<typeof messages.ExportBlueprintRequest.Response.fromJSON>;
+		if (!response.success || !response.blueprint || !response.report) {
+			throw new Error(response.error || "Blueprint conversion failed");
+		}
+		const report = response.report;
+		const summary = `${report.entities} entities, ${report.tiles} tiles, ${report.wires} wires`;
+		if (args.outputFile) {
+			fs.writeFileSync(args.outputFile, response.blueprint, "utf8");
+			console.log(`Written blueprint of ${response.platformName ?? args.exportId} (${summary}) to ${args.outputFile}`);
+		} else {
+			console.log(response.blueprint);
+			console.error(`Blueprint of ${response.platformName ?? args.exportId}: ${summary}`);
+		}
+		if (report.unsupported.length > 0) {
+			console.error("Not included in the blueprint:");
+			for (const line of report.unsupported) {
+				console.error(`  ${line}`);
+			}
+		}
+	},
+}));
+
+async function updateStoredExport(control: ControlLike, update: ConstructorParameters<typeof messages.UpdateStoredExportRequest>[0]) {
+	const response = await control.sendTo("controller", new messages.UpdateStoredExportRequest(update)) as ReturnType<typeof messages.UpdateStoredExportRequest.Response.fromJSON>;
+	if (!response.success || !response.export) {
+		throw new Error(response.error || "Update failed");
+	}
+	return response.export;
+}
+
+for (const pinned of [true, false]) {
+	surfaceExportCommands.add(new Command({
+		definition: [
+			`${pinned ? "pin" : "unpin"} <exportId>`,
+			pinned
+				? "Pin a stored export so storage eviction never removes it"
+				: "Unpin a stored export so it ages out under the storage limits again",
+			(yargs: YargsLike) => {
+				yargs.positional("exportId", { describe: "Stored export identifier", type: "string" });
+			},
+		],
+		handler: async function(args: { exportId: string }, control: ControlLike) {
+			const entry = await updateStoredExport(control, { exportId: args.exportId, pinned });
+			console.log(`${entry.exportId} (${entry.platformName}) is ${entry.pinned ? "pinned" : "no longer pinned"}`);
+		},
+	}));
+}
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"label <exportId> [labels..]",
+		"Replace the labels on a stored export (no labels clears them)",
+		(yargs: YargsLike) => {
+			yargs.positional("exportId", { describe: "Stored export identifier", type: "string" });
+			yargs.positional("labels", { describe: "Labels to set", type: "string", array: true, default: [] });
+		},
+	],
+	handler: async function(args: { exportId: string; labels?: Array<string | number> }, control: ControlLike) {
+		const labels = (args.labels || []).map(label => String(label));
+		const entry = await updateStoredExport(control, { exportId: args.exportId, labels });
+		console.log(`${entry.exportId} labels: ${entry.labels.length ? entry.labels.join(", ") : "(none)"}`);
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"note <exportId> [text]",
+		"Set the free-text note on a stored export (no text clears it)",
+		(yargs: YargsLike) => {
+			yargs.positional("exportId", { describe: "Stored export identifier", type: "string" });
+			yargs.positional("text", { describe: "Note text (quote it if it contains spaces)", type: "string", default: "" });
+		},
+	],
+	handler: async function(args: { exportId: string; text?: string }, control: ControlLike) {
+		const entry = await updateStoredExport(control, { exportId: args.exportId, note: String(args.text ?? "") });
+		console.log(`${entry.exportId} note: ${entry.note ?? "(none)"}`);
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"storage-report [maxEntries] [maxMegabytes]",
+		"Show controller export storage usage and what eviction would remove (dry run, nothing is deleted)",
+		(yargs: YargsLike) => {
+			yargs.positional("maxEntries", { describe: "Entry cap to evaluate instead of max_storage_size", type: "number" });
+			yargs.positional("maxMegabytes", { describe: "Byte budget (MB) to evaluate instead of max_storage_megabytes", type: "number" });
+		},
+	],
+	handler: async function(args: { maxEntries?: number; maxMegabytes?: number }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.PreviewStorageEvictionRequest({
+			maxEntries: args.maxEntries ?? null,
+			maxMegabytes: args.maxMegabytes ?? null,
+		})) as ReturnType<typeof messages.PreviewStorageEvictionRequest.Response.fromJSON>;
+		if (!response.success || !response.limits || !response.before || !response.after || !response.evict) {
+			throw new Error(response.error || "Storage report failed");
+		}
+		const { limits, before, after, evict, unmet } = response;
+		const quotas = Object.entries(limits.instanceQuotaBytes);
+		console.log([
+			`Stored: ${before.entries} exports (${before.pinnedEntries} pinned), ${before.bytes} bytes`,
+			`Entry cap: ${limits.maxEntries ?? "off"}`,
+			`Byte budget: ${limits.maxBytes === null ? "off" : `${limits.maxBytes} bytes`}`,
+			`Instance quotas: ${quotas.length ? quotas.map(([id, quota]) => `instance ${id} ${before.bytesByInstance[id] ?? 0}/${quota} bytes`).join(", ") : "none"}`,
+		].join("\n"));
+		if (!evict.length) {
+			console.log("Nothing would be evicted");
+		} else {
+			const lines = evict.map(entry => `${entry.exportId}\t${entry.platformName}\tinstance ${entry.instanceId}\t${new Date(entry.timestamp).toISOString()}`
+				+ `\t${entry.size} bytes\t${entry.reason}${entry.inFlight ? " (in-flight transfer)" : ""}`);
+			console.log(["Would evict:", "Export ID\tPlatform\tSource\tTimestamp\tSize\tReason"].concat(lines).join("\n"));
+			console.log(`After eviction: ${after.entries} exports, ${after.bytes} bytes`);
+		}
+		for (const limit of unmet || []) {
+			console.log(`Still over ${limit}: the remaining exports are pinned`);
+		}
+	},
+}));
+
+function formatStateCounts(counts: messages.StateBackupCounts): string {
+	return [
+		`${counts.storedExports} stored export(s)`,
+		`${counts.transactionLogs} transaction log(s)`,
+		`${counts.auditRows} audit row(s)`,
+		`${counts.gatewayLinks} gateway link(s)`,
+		`${counts.pendingTransfers} pending transfer(s)`,
+		`${counts.sourceCommitMarkers} source commit marker(s)`,
+		`${counts.pendingDeliveries ?? 0} pending deliver(ies)`,
+		`${counts.transferSchedules ?? 0} transfer schedule(s)`,
+	].join(", ");
+}
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"backup <archive>",
+		"Write a consistent snapshot of all controller-side Surface Export state to a file",
+		(yargs: YargsLike) => {
+			yargs.positional("archive", { describe: "Output file path for the backup", type: "string" });
+		},
+	],
+	handler: async function(args: { archive: string }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.BackupControllerStateRequest()) as ReturnType<typeof messages.BackupControllerStateRequest.Response.fromJSON>;
+		if (!response.success || !response.archive) {
+			throw new Error(response.error || "Backup failed");
+		}
+		const json = JSON.stringify(response.archive);
+		fs.writeFileSync(args.archive, json, "utf8");
+		const { manifest } = response.archive;
+		console.log(`Written ${json.length} bytes to ${args.archive}: ${manifest.files.length} file(s), ${formatStateCounts(manifest.counts)}`);
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"restore <archive>",
+		"Replace all controller-side Surface Export state with a backup (refused while transfers are in flight)",
+		(yargs: YargsLike) => {
+			yargs.positional("archive", { describe: "Backup file written by surface-export backup", type: "string" });
+		},
+	],
+	handler: async function(args: { archive: string }, control: ControlLike) {
+		let archive: messages.StateBackupArchive;
+		try {
+			archive = JSON.parse(fs.readFileSync(args.archive, "utf8"));
+		} catch (err: unknown) {
+			throw new Error(`Could not read backup ${args.archive}: ${getErrorMessage(err)}`);
+		}
+		const response = await control.sendTo("controller", new messages.RestoreControllerStateRequest({ archive })) as ReturnType<typeof messages.RestoreControllerStateRequest.Response.fromJSON>;
+		if (!response.success || !response.manifest) {
+			throw new Error(response.error || "Restore failed");
+		}
+		const { manifest } = response;
+		console.log(`Restored backup from ${new Date(manifest.createdAt).toISOString()}: ${formatStateCounts(manifest.counts)}`);
+		if (response.error) {
+			console.log(`Warning: ${response.error}`);
+		}
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"salvage <target>",
+		"Rebuild a corrupted stored-export index or transaction log file from its intact entries",
+		(yargs: YargsLike) => {
+			yargs.positional("target", { describe: "File to salvage", choices: messages.SALVAGE_TARGETS });
+			yargs.option("dry-run", { describe: "Report what would be recovered and lost without changing anything", type: "boolean", default: false });
+		},
+	],
+	handler: async function(args: { target: messages.SalvageTarget; dryRun?: boolean }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.SalvageStateFileRequest({
+			target: args.target,
+			dryRun: Boolean(args.dryRun),
+		})) as ReturnType<typeof messages.SalvageStateFileRequest.Response.fromJSON>;
+		if (!response.success || !response.report) {
+			throw new Error(response.error || "Salvage failed");
+		}
+		const { report } = response;
+		if (report.dropped === 0 && !report.truncated) {
+			console.log(`${report.location} is intact (${report.recovered} entries); nothing to salvage`);
+			return;
+		}
+		console.log([
+			`${report.applied ? "Salvaged" : "Would salvage"} ${report.location}`,
+			`Recovered: ${report.recovered} entries`,
+			`Lost: ${report.dropped} damaged entries, ${report.lostBytes} bytes${report.truncated ? " (file was truncated)" : ""}`,
+			`Lost ids: ${report.lostIds.length ? report.lostIds.join(", ") : "none identifiable"}`,
+		].join("\n"));
+		if (report.quarantinedAs) {
+			console.log(`Original kept as ${report.quarantinedAs}`);
+		}
+	},
+}));
+
 surfaceExportCommands.add(new Command({
 	definition: [
 		"upload-import <file> <targetInstanceId> [forceName] [platformName]",
@@ -84,9 +366,13 @@ surfaceExportCommands.add(new Command({
 			yargs.positional("targetInstanceId", { describe: "Target instance ID", type: "number" });
 			yargs.positional("forceName", { describe: "Force name", type: "string", default: "player" });
 			yargs.positional("platformName", { describe: "Optional platform name override", type: "string" });
+			yargs.option("signature-policy", {
+				describe: "Signature check for this upload (weaker than the controller's needs the import_unsigned permission)",
+				choices: messages.UPLOAD_SIGNATURE_POLICIES,
+			});
 		},
 	],
-	handler: async function(args: { file: string; targetInstanceId: number | string; forceName?: string; platformName?: string }, control: ControlLike) {
+	handler: async function(args: { file: string; targetInstanceId: number | string; forceName?: string; platformName?: string; signaturePolicy?: messages.UploadSignaturePolicy }, control: ControlLike) {
 		const targetInstanceId = Number(args.targetInstanceId);
 		if (Number.isNaN(targetInstanceId)) {
 			throw new Error("targetInstanceId must be a number");
@@ -107,14 +393,114 @@ surfaceExportCommands.add(new Command({
 			exportData,
 			forceName: args.forceName || "player",
 			platformName: args.platformName || null,
+			signaturePolicy: args.signaturePolicy ?? null,
 		})) as ReturnType<typeof messages.ImportUploadedExportRequest.Response.fromJSON>;
 		if (!response.success) {
+			for (const schemaError of response.schemaErrors ?? []) {
+				console.error(`  ${schemaError.path}: ${schemaError.message}`);
+			}
 			throw new Error(response.error || "Import failed");
 		}
 		console.log(`Import started: "${response.platformName || "Unknown"}" on instance ${response.targetInstanceId}`);
 	},
 }));
 
+surfaceExportCommands.add(new Command({
+	definition: [
+		"import-blueprint <file> <targetInstanceId> [forceName] [platformName]",
+		"Create a platform on a target instance from a Factorio blueprint string",
+		(yargs: YargsLike) => {
+			yargs.positional("file", { describe: "Path to a file holding the blueprint string (- reads stdin)", type: "string" });
+			yargs.positional("targetInstanceId", { describe: "Target instance ID", type: "number" });
+			yargs.positional("forceName", { describe: "Force name", type: "string", default: "player" });
+			yargs.positional("platformName", { describe: "Platform name (default: the blueprint label)", type: "string" });
+			yargs.option("planet", { describe: "Space location the platform arrives at", type: "string" });
+			yargs.option("dry-run", {
+				describe: "Only check that the destination can build the blueprint; no platform is created",
+				type: "boolean",
+				default: false,
+			});
+		},
+	],
+	handler: async function(args: { file: string; targetInstanceId: number | string; forceName?: string; platformName?: string; planet?: string; dryRun?: boolean }, control: ControlLike) {
+		const targetInstanceId = Number(args.targetInstanceId);
+		if (Number.isNaN(targetInstanceId)) {
+			throw new Error("targetInstanceId must be a number");
+		}
+		const blueprint = fs.readFileSync(args.file === "-" ? 0 : args.file, "utf8").trim();
+		const response = await control.sendTo("controller", new messages.ImportBlueprintRequest({
+			targetInstanceId,
+			blueprint,
+			forceName: args.forceName || "player",
+			platformName: args.platformName || null,
+			targetPlanet: args.planet || null,
+			dryRun: args.dryRun === true,
+		})) as ReturnType<typeof messages.ImportBlueprintRequest.Response.fromJSON>;
+		if (response.preflight) {
+			const { platformName, blockers, warnings } = response.preflight;
+			console.log(`Preflight of ${platformName} to instance ${targetInstanceId}: ${blockers.length} blocker(s), ${warnings.length} warning(s)`);
+			for (const issue of blockers) {
+				console.log(`  BLOCKER ${issue.kind}: ${issue.message}`);
+			}
+			for (const issue of warnings) {
+				console.log(`  WARNING ${issue.kind}: ${issue.message}`);
+			}
+		}
+		if (!response.success) {
+			throw new Error(response.error || "Blueprint import failed");
+		}
+		if (args.dryRun) {
+			console.log(`The blueprint can be built as "${response.platformName}" on instance ${response.targetInstanceId}`);
+			return;
+		}
+		console.log(`Import started: "${response.platformName || "Unknown"}" on instance ${response.targetInstanceId}`);
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"migrate <file> [outputFile]",
+		"Migrate a downloaded export file to the current payload schema without a controller",
+		(yargs: YargsLike) => {
+			yargs.positional("file", { describe: "Path to JSON export file", type: "string" });
+			yargs.positional("outputFile", { describe: "Output file path (default: stdout)", type: "string" });
+		},
+	],
+	handler: async function(args: { file: string; outputFile?: string }) {
+		let exportData: Record<string, unknown>;
+		try {
+			exportData = JSON.parse(fs.readFileSync(args.file, "utf8"));
+		} catch (err: unknown) {
+			throw new Error(`Invalid JSON in ${args.file}: ${getErrorMessage(err)}`);
+		}
+		if (!exportData || typeof exportData !== "object" || Array.isArray(exportData)) {
+			throw new Error("Export file must contain a JSON object");
+		}
+		const result = migrateExportData(exportData);
+		if (!result.steps.length) {
+			console.log(result.fromVersion
+				? `${args.file} is already at payload schema ${result.toVersion}; nothing to migrate`
+				: `${args.file} records no payload schema version; nothing to migrate`);
+			return;
+		}
+		const migrated: Record<string, unknown> = { ...result.exportData };
+		delete migrated._digest;
+		delete migrated._signature;
+		const json = JSON.stringify(migrated, null, 2);
+		if (!args.outputFile) {
+			console.log(json);
+			return;
+		}
+		fs.writeFileSync(args.outputFile, json, "utf8");
+		console.log(`Migrated ${args.file} from payload schema ${result.fromVersion} to ${result.toVersion}:`);
+		for (const step of result.steps) {
+			console.log(`  ${step}`);
+		}
+		console.log(`Written ${json.length} bytes to ${args.outputFile}. The file is no longer signed; the controller `
+			+ "migrates uploads itself, so upload the original file to keep its signature.");
+	},
+}));
+
 surfaceExportCommands.add(new Command({
 	definition: [
 		"start-transfer <sourceInstanceId> <sourcePlatformIndex> <targetInstanceId> [forceName]",
@@ -124,29 +510,327 @@ surfaceExportCommands.add(new Command({
 			yargs.positional("sourcePlatformIndex", { describe: "Source platform index", type: "number" });
 			yargs.positional("targetInstanceId", { describe: "Target instance ID", type: "number" });
 			yargs.positional("forceName", { describe: "Force name", type: "string", default: "player" });
+			yargs.option("priority", {
+				describe: "Queue priority (admin needs the transfer_priority permission)",
+				choices: messages.TRANSFER_PRIORITIES,
+				default: "player",
+			});
+			yargs.option("deferred", {
+				describe: "Mail drop: hold the platform on the controller and deliver it when the destination is running",
+				type: "boolean",
+				default: false,
+			});
+			yargs.option("preflight", {
+				describe: "Only check that the destination can build the platform; nothing is locked or started",
+				type: "boolean",
+				default: false,
+			});
+			yargs.option("copy", {
+				describe: "Keep the source platform: the destination gets a copy (needs the exports.copy permission)",
+				type: "boolean",
+				default: false,
+			});
 		},
 	],
-	handler: async function(args: { sourceInstanceId: number | string; sourcePlatformIndex: number | string; targetInstanceId: number | string; forceName?: string }, control: ControlLike) {
+	handler: async function(args: { sourceInstanceId: number | string; sourcePlatformIndex: number | string; targetInstanceId: number | string; forceName?: string; priority?: messages.TransferPriority; deferred?: boolean; preflight?: boolean; copy?: boolean }, control: ControlLike) {
 		const sourceInstanceId = Number(args.sourceInstanceId);
 		const sourcePlatformIndex = Number(args.sourcePlatformIndex);
 		const targetInstanceId = Number(args.targetInstanceId);
 		if (Number.isNaN(sourceInstanceId) || Number.isNaN(sourcePlatformIndex) || Number.isNaN(targetInstanceId)) {
 			throw new Error("sourceInstanceId, sourcePlatformIndex, and targetInstanceId must be numbers");
 		}
+		if (args.preflight) {
+			const preflight = await control.sendTo("controller", new messages.PreflightTransferRequest({
+				sourceInstanceId,
+				sourcePlatformIndex,
+				targetInstanceId,
+				forceName: args.forceName || "player",
+			})) as ReturnType<typeof messages.PreflightTransferRequest.Response.fromJSON>;
+			if (!preflight.success || !preflight.report) {
+				throw new Error(preflight.error || "Unknown preflight failure");
+			}
+			const { platformName, blockers, warnings } = preflight.report;
+			console.log(`Preflight of ${platformName} to instance ${targetInstanceId}: ${blockers.length} blocker(s), ${warnings.length} warning(s)`);
+			for (const issue of blockers) {
+				console.log(`  BLOCKER ${issue.kind}: ${issue.message}`);
+			}
+			for (const issue of warnings) {
+				console.log(`  WARNING ${issue.kind}: ${issue.message}`);
+			}
+			if (blockers.length) {
+				throw new Error(`Preflight found ${blockers.length} blocker(s); the transfer would be refused`);
+			}
+			return;
+		}
 		const response = await control.sendTo("controller", new messages.StartPlatformTransferRequest({
 			sourceInstanceId,
 			sourcePlatformIndex,
 			targetInstanceId,
 			forceName: args.forceName || "player",
+			priority: args.priority || "player",
+			deferred: args.deferred === true,
+			copy: args.copy === true,
 		})) as ReturnType<typeof messages.StartPlatformTransferRequest.Response.fromJSON>;
+		if (response.success && response.deferred) {
+			const expiry = response.expiresAt ? `expires ${new Date(response.expiresAt).toISOString()}` : "never expires";
+			console.log(`Transfer posted: ${response.transferId} lands when the destination is running (${expiry})`);
+			return;
+		}
+		if (response.success && response.queued) {
+			console.log(`Transfer queued at position ${response.queuePosition}: ${response.transferId}`);
+			return;
+		}
 		if (response.success) {
-			console.log(`Transfer started: ${response.transferId || "pending"} (export=${response.exportId || "n/a"})`);
+			console.log(`${args.copy ? "Copy" : "Transfer"} started: ${response.transferId || "pending"} (export=${response.exportId || "n/a"})`);
 			return;
 		}
 		throw new Error(response.error || "Unknown transfer start failure");
 	},
 }));
 
+function parsePlatformRef(entry: string | number): messages.GroupTransferMember {
+	const match = /^(\d+):(\d+)$/.exec(String(entry));
+	if (!match) {
+		throw new Error(`Platform ${JSON.stringify(entry)} must be written as sourceInstanceId:platformIndex`);
+	}
+	return { sourceInstanceId: Number(match[1]), sourcePlatformIndex: Number(match[2]) };
+}
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"start-group-transfer <targetInstanceId> <platforms..>",
+		"Move several platforms to one instance as a single group (fleet) transfer",
+		(yargs: YargsLike) => {
+			yargs.positional("targetInstanceId", { describe: "Target instance ID", type: "number" });
+			yargs.positional("platforms", { describe: "Platforms as sourceInstanceId:platformIndex", type: "string", array: true });
+			yargs.option("policy", {
+				describe: "all_or_nothing reverts every platform if one fails; best_effort lets each platform succeed on its own",
+				choices: messages.GROUP_TRANSFER_POLICIES,
+				default: "all_or_nothing",
+			});
+			yargs.option("force", { describe: "Force name", type: "string", default: "player" });
+			yargs.option("planet", { describe: "Destination planet for every platform", type: "string" });
+		},
+	],
+	handler: async function(args: { targetInstanceId: number | string; platforms?: Array<string | number>; policy?: messages.GroupTransferPolicy; force?: string; planet?: string }, control: ControlLike) {
+		const targetInstanceId = Number(args.targetInstanceId);
+		if (Number.isNaN(targetInstanceId)) {
+			throw new Error("targetInstanceId must be a number");
+		}
+		const platforms = (args.platforms || []).map(parsePlatformRef);
+		if (!platforms.length) {
+			throw new Error("List at least one platform as sourceInstanceId:platformIndex");
+		}
+		const response = await control.sendTo("controller", new messages.StartGroupTransferRequest({
+			platforms,
+			targetInstanceId,
+			forceName: args.force || "player",
+			targetPlanet: args.planet ?? null,
+			policy: args.policy || "all_or_nothing",
+		})) as ReturnType<typeof messages.StartGroupTransferRequest.Response.fromJSON>;
+		for (const member of response.skipped || []) {
+			console.error(`  SKIPPED ${member.sourceInstanceId}:${member.sourcePlatformIndex}: ${member.error}`);
+		}
+		if (!response.success) {
+			throw new Error(response.error || "Unknown group transfer failure");
+		}
+		console.log(`Group transfer started: ${response.groupId} (${(response.transferIds || []).join(", ")})`);
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"swap-platforms <first> <second>",
+		"Exchange two platforms between their instances; neither source is deleted until both destinations validated",
+		(yargs: YargsLike) => {
+			yargs.positional("first", { describe: "First platform as sourceInstanceId:platformIndex", type: "string" });
+			yargs.positional("second", { describe: "Second platform, on another instance, as sourceInstanceId:platformIndex", type: "string" });
+			yargs.option("force", { describe: "Force name", type: "string", default: "player" });
+		},
+	],
+	handler: async function(args: { first: string; second: string; force?: string }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.StartPlatformSwapRequest({
+			platforms: [parsePlatformRef(args.first), parsePlatformRef(args.second)],
+			forceName: args.force || "player",
+		})) as ReturnType<typeof messages.StartPlatformSwapRequest.Response.fromJSON>;
+		if (!response.success) {
+			throw new Error(response.error || "Unknown swap failure");
+		}
+		console.log(`Swap started: ${response.groupId} (${(response.transferIds || []).join(", ")})`);
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"cancel-transfer <transferId>",
+		"Cancel a transfer that has not committed yet (queued, sending or awaiting validation)",
+		(yargs: YargsLike) => {
+			yargs.positional("transferId", { describe: "Transfer, group or queue identifier", type: "string" });
+		},
+	],
+	handler: async function(args: { transferId: string }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.CancelTransferRequest({
+			transferId: String(args.transferId),
+		})) as ReturnType<typeof messages.CancelTransferRequest.Response.fromJSON>;
+		if (response.success) {
+			console.log(`${response.transferId}: ${response.message || "cancelled"}`);
+			return;
+		}
+		throw new Error(response.error || "Unknown cancel failure");
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"reverse-transfer <transferId>",
+		"Send the platform of a completed transfer back to its source instance",
+		(yargs: YargsLike) => {
+			yargs.positional("transferId", { describe: "Completed transfer identifier", type: "string" });
+		},
+	],
+	handler: async function(args: { transferId: string }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.ReverseTransferRequest({
+			transferId: String(args.transferId),
+		})) as ReturnType<typeof messages.ReverseTransferRequest.Response.fromJSON>;
+		if (response.success) {
+			console.log(response.message || `Reverse transfer started: ${response.transferId}`);
+			return;
+		}
+		throw new Error(response.error || "Unknown reverse failure");
+	},
+}));
+
+function scheduleRuleFromArgs(args: { at?: string; in?: string; cron?: string }): messages.TransferScheduleRule | null {
+	const given = [args.at, args.in, args.cron].filter(value => value !== undefined);
+	if (given.length > 1) {
+		throw new Error("Give only one of --at, --in and --cron");
+	}
+	if (args.cron !== undefined) {
+		return { kind: "cron", cron: String(args.cron) };
+	}
+	if (args.in !== undefined) {
+		const delayMs = parseDuration(String(args.in));
+		if (delayMs === null) {
+			throw new Error(`--in ${JSON.stringify(args.in)} must be a duration such as 30m, 2h or 1d12h`);
+		}
+		return { kind: "once", at: Date.now() + delayMs };
+	}
+	if (args.at !== undefined) {
+		const at = Date.parse(String(args.at));
+		if (Number.isNaN(at)) {
+			throw new Error(`--at ${JSON.stringify(args.at)} is not a date and time`);
+		}
+		return { kind: "once", at };
+	}
+	return null;
+}
+
+function addScheduleRuleOptions(yargs: YargsLike) {
+	yargs.option("at", { describe: "Run once at this date and time (e.g. 2026-11-01T02:00)", type: "string" });
+	yargs.option("in", { describe: "Run once after this delay (e.g. 30m, 2h, 1d)", type: "string" });
+	yargs.option("cron", { describe: "Run on a cron schedule in the controller's local time (e.g. \"0 2 * * *\")", type: "string" });
+}
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"schedule-transfer <sourceInstanceId> <sourcePlatformIndex> <targetInstanceId>",
+		"Schedule a transfer the controller starts on its own, once (--at, --in) or on a cron schedule (--cron)",
+		(yargs: YargsLike) => {
+			yargs.positional("sourceInstanceId", { describe: "Source instance ID", type: "number" });
+			yargs.positional("sourcePlatformIndex", { describe: "Source platform index", type: "number" });
+			yargs.positional("targetInstanceId", { describe: "Target instance ID", type: "number" });
+			addScheduleRuleOptions(yargs);
+			yargs.option("planet", { describe: "Destination planet", type: "string" });
+			yargs.option("force", { describe: "Force name", type: "string", default: "player" });
+		},
+	],
+	handler: async function(args: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; at?: string; in?: string; cron?: string; planet?: string; force?: string }, control: ControlLike) {
+		const rule = scheduleRuleFromArgs(args);
+		if (!rule) {
+			throw new Error("Give one of --at, --in or --cron");
+		}
+		const response = await control.sendTo("controller", new messages.CreateTransferScheduleRequest({
+			sourceInstanceId: Number(args.sourceInstanceId),
+			sourcePlatformIndex: Number(args.sourcePlatformIndex),
+			targetInstanceId: Number(args.targetInstanceId),
+			forceName: args.force || "player",
+			targetPlanet: args.planet ?? null,
+			rule,
+		})) as ReturnType<typeof messages.CreateTransferScheduleRequest.Response.fromJSON>;
+		if (!response.success) {
+			throw new Error(response.error || "Unknown schedule failure");
+		}
+		console.log(`${response.schedule?.scheduleId}: ${response.message}`);
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: ["list-schedules", "List scheduled transfers and their last run"],
+	handler: async function(_args: Record<string, unknown>, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.ListTransferSchedulesRequest()) as ReturnType<typeof messages.ListTransferSchedulesRequest.Response.fromJSON>;
+		const schedules = response.schedules || [];
+		if (!schedules.length) {
+			console.log("No scheduled transfers");
+			return;
+		}
+		const lines = schedules.map(schedule => {
+			const last = schedule.runs[schedule.runs.length - 1];
+			const lastRun = last ? `${new Date(last.at).toISOString()} ${last.error ? `skipped: ${last.error}` : last.transferId}` : "-";
+			return `${schedule.scheduleId}\t${schedule.platformName} (surface ${schedule.sourceSurfaceIndex})\tinstance ${schedule.sourceInstanceId}`
+				+ `\tinstance ${schedule.targetInstanceId}${schedule.targetPlanet ? ` @ ${schedule.targetPlanet}` : ""}\t${describeScheduleRule(schedule.rule)}`
+				+ `\t${schedule.nextRunAt === null ? (schedule.enabled ? "-" : "disabled") : new Date(schedule.nextRunAt).toISOString()}\t${lastRun}`;
+		});
+		console.log(["Schedule ID\tPlatform\tSource\tTarget\tRule\tNext run\tLast run"].concat(lines).join("\n"));
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"update-schedule <scheduleId>",
+		"Change, enable or disable a scheduled transfer",
+		(yargs: YargsLike) => {
+			yargs.positional("scheduleId", { describe: "Schedule identifier", type: "string" });
+			addScheduleRuleOptions(yargs);
+			yargs.option("enabled", { describe: "Enable (--enabled) or disable (--no-enabled) the schedule", type: "boolean" });
+			yargs.option("target", { describe: "New target instance ID", type: "number" });
+			yargs.option("planet", { describe: "New destination planet (empty string clears it)", type: "string" });
+		},
+	],
+	handler: async function(args: { scheduleId: string; at?: string; in?: string; cron?: string; enabled?: boolean; target?: number; planet?: string }, control: ControlLike) {
+		const rule = scheduleRuleFromArgs(args);
+		const response = await control.sendTo("controller", new messages.UpdateTransferScheduleRequest({
+			scheduleId: String(args.scheduleId),
+			...(rule ? { rule } : {}),
+			...(args.enabled !== undefined ? { enabled: args.enabled } : {}),
+			...(args.target !== undefined ? { targetInstanceId: Number(args.target) } : {}),
+			...(args.planet !== undefined ? { targetPlanet: args.planet || null } : {}),
+		})) as ReturnType<typeof messages.UpdateTransferScheduleRequest.Response.fromJSON>;
+		if (!response.success) {
+			throw new Error(response.error || "Unknown schedule update failure");
+		}
+		console.log(response.message);
+	},
+}));
+
+surfaceExportCommands.add(new Command({
+	definition: [
+		"delete-schedule <scheduleId>",
+		"Delete a scheduled transfer (transfers it already started are not affected)",
+		(yargs: YargsLike) => {
+			yargs.positional("scheduleId", { describe: "Schedule identifier", type: "string" });
+		},
+	],
+	handler: async function(args: { scheduleId: string }, control: ControlLike) {
+		const response = await control.sendTo("controller", new messages.DeleteTransferScheduleRequest({
+			scheduleId: String(args.scheduleId),
+		})) as ReturnType<typeof messages.DeleteTransferScheduleRequest.Response.fromJSON>;
+		if (!response.success) {
+			throw new Error(response.error || "Unknown schedule delete failure");
+		}
+		console.log(response.message);
+	},
+}));
+
 surfaceExportCommands.add(new Command({
 	definition: [
 		"transfer <exportId> <instanceId>",
@@ -1,16 +1,43 @@
 import fs from "fs/promises";
 import path from "path";
 import { BaseControllerPlugin } from "@clusterio/controller";
-import type { Controller } from "@clusterio/controller";
+import type { Controller, InstanceInfo } from "@clusterio/controller";
 import * as lib from "@clusterio/lib";
 import { PlatformTree, instanceAddress } from "./lib/platform-tree";
 import { TransactionLogger } from "./lib/transaction-logger";
 import { SubscriptionManager } from "./lib/subscription-manager";
 import { enqueueWrite } from "./lib/persist-queue";
-import { appendAuditRow, buildAuditRow, foldAuditRows, countRevisions, loadAuditLedger } from "./lib/audit-ledger";
+import { appendAuditRow, buildAuditRow, foldAuditRows, countRevisions, loadAuditLedger, generationPath, DEFAULT_LEDGER_MAX_FILES } from "./lib/audit-ledger";
 import type { AuditRow } from "./lib/audit-ledger";
 import { TransferOrchestrator } from "./lib/transfer-orchestrator";
+import type { StartTransferInput } from "./lib/transfer-orchestrator";
+import { TransferQueue } from "./lib/transfer-queue";
+import { MailDrop } from "./lib/mail-drop";
+import { TransferGroups } from "./lib/transfer-group";
+import { TransferReversal } from "./lib/transfer-reversal";
+import { TransferScheduler } from "./lib/transfer-scheduler";
+import type { StartGroupInput, StartSwapInput } from "./lib/transfer-group";
+import type { CreateScheduleInput, UpdateScheduleInput } from "./lib/transfer-scheduler";
+import { FidelityCheck } from "./lib/fidelity-check";
 import { createOperationRecord as buildOperationRecord } from "./lib/operation-record";
+import { BYTES_PER_MEGABYTE, normalizeLimit, planEviction } from "./lib/storage-eviction";
+import type { EvictionPlan, StorageLimits } from "./lib/storage-eviction";
+import { computeExportDigest, verifyExportDigest, withEmbeddedDigest } from "./lib/payload-digest";
+import { readExportModSet } from "./lib/mod-compat";
+import { PAYLOAD_SCHEMA_VERSION, decodeExportPayload, migrateExportData } from "./lib/schema-migrations";
+import { summarizePayloadSchemaErrors, validateExportData } from "./lib/payload-schema";
+import { summarizePreflightIssues } from "./lib/preflight";
+import { diffExportPayloads } from "./lib/export-diff";
+import { buildBlueprint } from "./lib/blueprint-export";
+import { blueprintEntityNames, buildPayloadFromBlueprint, decodeBlueprintString, envelopeFromPayload, preflightBlueprint } from "./lib/blueprint-import";
+import type { DecodedBlueprint } from "./lib/blueprint-import";
+import { checkBundle, generateSigningKey, signBundle } from "./lib/bundle-signing";
+import { EXPORT_STORE_INDEX_FILENAME, exportIdFromPayloadFileName, exportPayloadKey, listExportPayloadIds, pruneOrphanPayloads, readExportPayload, toIndexEntry } from "./lib/export-store";
+import { FilesystemStorageBackend, createStorageBackend } from "./lib/storage-backend";
+import type { StorageBackend } from "./lib/storage-backend";
+import { buildStateBackup, checkStateBackup, countJsonArray, countJsonLines, readStateFile, snapshotStateFiles } from "./lib/state-backup";
+import type { StateFileSource, StateFileTarget } from "./lib/state-backup";
+import { quarantineName, salvageJsonArray } from "./lib/json-salvage";
 import type {
 	IControllerPlugin,
 	ActiveTransfer,
@@ -28,11 +55,12 @@ import type {
 	PersistedTransactionLog,
 } from "./messages";
 import * as messages from "./messages";
-import { normalizeExportMetrics, getErrorMessage, generateOperationId, TICKS_TO_MS, STORAGE_FILENAME, buildPayloadMetrics, buildImportMetrics, makeCanonicalTransferId, parseCanonicalTransferId } from "./helpers";
+import { normalizeExportMetrics, getErrorMessage, generateOperationId, TICKS_TO_MS, STORAGE_FILENAME, STORAGE_DIRNAME, MAX_EXPORT_NOTE_LENGTH, RESTORE_IN_PROGRESS_ERROR, TRANSFER_RECONCILE_INTERVAL_MS, IN_FLIGHT_STATUSES, normalizeExportLabels, buildPayloadMetrics, buildImportMetrics, makeCanonicalTransferId, parseCanonicalTransferId } from "./helpers";
 
 const PLUGIN_NAME = "surface_export";
 export const PENDING_TRANSFER_INTENT_RETENTION_MS = 15 * 60 * 1000;
 export const SOURCE_COMMIT_MARKER_RETENTION_MS = PENDING_TRANSFER_INTENT_RETENTION_MS * 2;
+const SIGNATURE_POLICY_STRENGTH: Record<messages.UploadSignaturePolicy, number> = { allow: 0, warn: 1, refuse: 2 };
 
 export class ControllerPlugin extends BaseControllerPlugin {
 	private get c(): Controller { return this.controller; }
@@ -60,6 +88,9 @@ export class ControllerPlugin extends BaseControllerPlugin {
 	logRevision!: number;
 	lastTreeForceName!: string;
 	storagePath!: string;
+	storageDir!: string;
+	exportStore!: StorageBackend;
+	exportStoreError!: string | null;
 	storageLoadError!: string | null;
 	consecutiveStorageWriteFailures!: number;
 	transactionLogPath!: string;
@@ -71,12 +102,24 @@ export class ControllerPlugin extends BaseControllerPlugin {
 	txLogger!: TransactionLogger;
 	subscriptions!: SubscriptionManager;
 	orchestrator!: TransferOrchestrator;
+	transferQueue!: TransferQueue;
+	mailDrop!: MailDrop;
+	transferGroups!: TransferGroups;
+	transferReversal!: TransferReversal;
+	transferScheduler!: TransferScheduler;
+	fidelityCheck!: FidelityCheck;
 	gatewayLinks!: Map<string, messages.GatewayLink[]>;
 	gatewayConfigPath!: string;
 	pendingTransfers!: Map<string, messages.PendingTransferIntent>;
 	pendingTransfersPath!: string;
 	sourceCommitMarkers!: Map<string, messages.SourceCommitMarker>;
 	sourceCommitMarkersPath!: string;
+	pendingDeliveries!: Map<string, messages.PendingDelivery>;
+	pendingDeliveriesPath!: string;
+	transferSchedules!: Map<string, messages.TransferScheduleModel>;
+	transferSchedulesPath!: string;
+	stateRestoreInProgress!: boolean;
+	reconcileInterval!: ReturnType<typeof setInterval> | null;
 
 	override async init() {
 		this.logger.info("Surface Export controller plugin initializing...");
@@ -93,11 +136,31 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		this.lastTreeForceName = "player";
 		this.storageLoadError = null;
 		this.consecutiveStorageWriteFailures = 0;
+		this.stateRestoreInProgress = false;
+		this.reconcileInterval = null;
 
 		this.storagePath = path.resolve(
 			String(this.c.config.get("controller.database_directory")),
 			STORAGE_FILENAME,
 		);
+		this.storageDir = path.resolve(
+			String(this.c.config.get("controller.database_directory")),
+			STORAGE_DIRNAME,
+		);
+		const { backend, error: backendError } = createStorageBackend({
+			backend: this.cfg(`${PLUGIN_NAME}.storage_backend`),
+			directory: this.storageDir,
+			s3: {
+				endpoint: this.cfg(`${PLUGIN_NAME}.s3_endpoint`),
+				region: this.cfg(`${PLUGIN_NAME}.s3_region`),
+				bucket: this.cfg(`${PLUGIN_NAME}.s3_bucket`),
+				prefix: this.cfg(`${PLUGIN_NAME}.s3_prefix`),
+				accessKeyId: this.cfg(`${PLUGIN_NAME}.s3_access_key_id`),
+				secretAccessKey: this.cfg(`${PLUGIN_NAME}.s3_secret_access_key`),
+			},
+		});
+		this.exportStore = backend ?? new FilesystemStorageBackend(this.storageDir);
+		this.exportStoreError = backendError;
 		this.transactionLogPath = path.resolve(
 			String(this.c.config.get("controller.database_directory")),
 			"surface_export_transaction_logs.json",
@@ -124,26 +187,68 @@ export class ControllerPlugin extends BaseControllerPlugin {
 			String(this.c.config.get("controller.database_directory")),
 			"surface_export_source_commit_markers.json",
 		);
+		this.pendingDeliveries = new Map();
+		this.pendingDeliveriesPath = path.resolve(
+			String(this.c.config.get("controller.database_directory")),
+			"surface_export_pending_deliveries.json",
+		);
+		this.transferSchedules = new Map();
+		this.transferSchedulesPath = path.resolve(
+			String(this.c.config.get("controller.database_directory")),
+			"surface_export_transfer_schedules.json",
+		);
 
 		this.platformTree = new PlatformTree(this as unknown as IControllerPlugin, messages);
 		this.txLogger = new TransactionLogger(this as unknown as IControllerPlugin);
 		this.subscriptions = new SubscriptionManager(this as unknown as IControllerPlugin, lib, messages);
 		this.orchestrator = new TransferOrchestrator(this as unknown as IControllerPlugin, messages);
+		this.transferQueue = new TransferQueue(this as unknown as IControllerPlugin, this.orchestrator);
+		this.mailDrop = new MailDrop(this as unknown as IControllerPlugin, this.orchestrator, messages);
+		this.transferGroups = new TransferGroups(this as unknown as IControllerPlugin, this.orchestrator, this.transferQueue);
+		this.transferReversal = new TransferReversal(this as unknown as IControllerPlugin, this.orchestrator, this.transferQueue);
+		this.transferScheduler = new TransferScheduler(this as unknown as IControllerPlugin, this.orchestrator, this.transferQueue);
+		this.fidelityCheck = new FidelityCheck(this as unknown as IControllerPlugin, this.orchestrator, messages);
 
 		await this.loadStorage();
+		if (this.storageLoadError !== null && !this.exportStoreError) {
+			await this.salvageOnBoot("exports");
+		}
+		this.ensureSigningKey();
 		await this.txLogger.loadTransactionLogs();
+		if (this.transactionLogLoadError !== null) {
+			await this.salvageOnBoot("transaction_logs");
+		}
 		await this.loadAuditIndex();
 		await this.loadGatewayConfig();
 		await this.loadPendingTransfers();
 		await this.loadSourceCommitMarkers();
+		await this.loadPendingDeliveries();
+		await this.loadTransferSchedules();
 
 		this.c.handle(messages.PlatformExportEvent, this.handlePlatformExport.bind(this));
 		this.c.handle(messages.ListExportsRequest, this.handleListExportsRequest.bind(this));
 		this.c.handle(messages.GetStoredExportRequest, this.handleGetStoredExportRequest.bind(this));
-		this.c.handle(messages.ImportUploadedExportRequest, this.handleImportUploadedExportRequest.bind(this));
+		this.c.handle(messages.DiffExportsRequest, this.handleDiffExportsRequest.bind(this));
+		this.c.handle(messages.ExportBlueprintRequest, this.handleExportBlueprintRequest.bind(this));
+		this.c.handle(messages.UpdateStoredExportRequest, this.handleUpdateStoredExportRequest.bind(this));
+		this.c.handle(messages.PreviewStorageEvictionRequest, this.handlePreviewStorageEvictionRequest.bind(this));
+		this.c.handle(messages.BackupControllerStateRequest, this.handleBackupControllerStateRequest.bind(this));
+		this.c.handle(messages.RestoreControllerStateRequest, this.handleRestoreControllerStateRequest.bind(this));
+		this.c.handle(messages.SalvageStateFileRequest, this.handleSalvageStateFileRequest.bind(this));
+		this.c.handle(messages.ImportUploadedExportRequest, (request: messages.ImportUploadedExportRequest, src: { id: number }) => this.handleImportUploadedExportRequest(request, src));
+		this.c.handle(messages.ImportBlueprintRequest, this.handleImportBlueprintRequest.bind(this));
 		this.c.handle(messages.ExportPlatformForDownloadRequest, this.handleExportPlatformForDownloadRequest.bind(this));
 		this.c.handle(messages.TransferPlatformRequest, this.orchestrator.handleTransferPlatformRequest.bind(this.orchestrator));
-		this.c.handle(messages.StartPlatformTransferRequest, this.orchestrator.handleStartPlatformTransferRequest.bind(this.orchestrator));
+		this.c.handle(messages.StartPlatformTransferRequest, this.handleStartPlatformTransferRequest.bind(this));
+		this.c.handle(messages.PreflightTransferRequest, this.handlePreflightTransferRequest.bind(this));
+		this.c.handle(messages.StartGroupTransferRequest, this.handleStartGroupTransferRequest.bind(this));
+		this.c.handle(messages.StartPlatformSwapRequest, this.handleStartPlatformSwapRequest.bind(this));
+		this.c.handle(messages.ReverseTransferRequest, this.handleReverseTransferRequest.bind(this));
+		this.c.handle(messages.ListTransferSchedulesRequest, this.handleListTransferSchedulesRequest.bind(this));
+		this.c.handle(messages.CreateTransferScheduleRequest, this.handleCreateTransferScheduleRequest.bind(this));
+		this.c.handle(messages.UpdateTransferScheduleRequest, this.handleUpdateTransferScheduleRequest.bind(this));
+		this.c.handle(messages.DeleteTransferScheduleRequest, this.handleDeleteTransferScheduleRequest.bind(this));
+		this.c.handle(messages.CancelTransferRequest, this.handleCancelTransferRequest.bind(this));
 		this.c.handle(messages.TransferValidationEvent, this.orchestrator.handleTransferValidation.bind(this.orchestrator));
 		this.c.handle(messages.ImportOperationCompleteEvent, this.handleImportOperationCompleteEvent.bind(this));
 		this.c.handle(messages.GetPlatformTreeRequest, this.handleGetPlatformTreeRequest.bind(this));
@@ -164,12 +269,33 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		this.logger.info(`Current storage: ${this.platformStorage.size} platforms`);
 		await this.prunePendingTransfers();
 		await this.pruneSourceCommitMarkers();
+		await this.transferGroups.settleInterrupted();
 		if (this.pendingTransfers.size > 0) {
-			this.logger.warn(`${this.pendingTransfers.size} transfer(s) were awaiting validation at shutdown. Phase 1 recovery is source-side TTL unlock; controller will not auto-delete or auto-unlock on boot.`);
+			this.logger.warn(`${this.pendingTransfers.size} transfer(s) were in flight at shutdown; the reconcile loop resumes each from its source lock state (commit → release → go-live, or discard the held destination).`);
 		}
+		await this.orchestrator.reconcilePendingTransfers();
+		if (this.pendingDeliveries.size > 0) {
+			this.logger.info(`${this.pendingDeliveries.size} deferred deliver(ies) are waiting for their destination`);
+		}
+		this.mailDrop.pump();
+		this.transferScheduler.tick();
+		this.reconcileInterval = setInterval(() => {
+			void this.orchestrator.reconcilePendingTransfers();
+			this.transferQueue.pump();
+			this.mailDrop.pump();
+			this.transferScheduler.tick();
+		}, TRANSFER_RECONCILE_INTERVAL_MS);
+		this.reconcileInterval.unref?.();
 	}
 
 	override async onShutdown() {
+		if (this.reconcileInterval) {
+			clearInterval(this.reconcileInterval);
+			this.reconcileInterval = null;
+		}
+		if (this.transferQueue.waiting > 0) {
+			this.logger.warn(`Dropping ${this.transferQueue.waiting} queued transfer(s) that never started; nothing was locked or exported for them.`);
+		}
 		this.subscriptions.treeBroadcastLimiter.cancel();
 		this.logger.info(`Shutting down - ${this.platformStorage.size} platforms in storage`);
 	}
@@ -186,17 +312,25 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		this.subscriptions.queueTreeBroadcast(this.lastTreeForceName || "player");
 	}
 
-	override async onInstanceStatusChanged() {
+	override async onInstanceStatusChanged(instance: InstanceInfo) {
 		this.subscriptions.queueTreeBroadcast(this.lastTreeForceName || "player");
+		if (instance.status === "running") {
+			this.mailDrop.pump();
+		}
 	}
 
 	async handlePlatformExport(event: { exportId: string; platformName: string; platformIndex?: number | null; instanceId: number; exportData: ExportData; exportMetrics?: messages.ExportMetrics; timestamp: number }) {
 		const sourceExportId = event.exportId;
 		const canonicalExportId = makeCanonicalTransferId(event.instanceId, sourceExportId);
 		this.logger.info(`Received platform export: ${canonicalExportId} (source ${sourceExportId}) from instance ${event.instanceId} (${event.platformName})`);
+		if (this.fidelityCheck?.accept(event)) {
+			this.logger.info(`Platform export ${canonicalExportId} is a fidelity re-export; handed to the check without storing it`);
+			return;
+		}
 
 		try {
 			const serializedSize = Buffer.byteLength(JSON.stringify(event.exportData), "utf8");
+			const digest = computeExportDigest(event.exportData);
 			this.platformStorage.set(canonicalExportId, {
 				exportId: canonicalExportId,
 				sourceExportId,
@@ -207,14 +341,13 @@ export class ControllerPlugin extends BaseControllerPlugin {
 				exportMetrics: event.exportMetrics || null,
 				timestamp: event.timestamp,
 				size: serializedSize,
+				digest,
+				modSet: readExportModSet(event.exportData),
 			});
 
-			this.logger.info(`Stored platform export: ${canonicalExportId}`);
+			this.logger.info(`Stored platform export: ${canonicalExportId} (${digest})`);
 
-			const maxStorage = Number(this.cfg(`${PLUGIN_NAME}.max_storage_size`));
-			if (Number.isFinite(maxStorage) && this.platformStorage.size > maxStorage) {
-				this.cleanupOldExports(maxStorage);
-			}
+			this.cleanupOldExports(this.storageLimits(), canonicalExportId);
 			await this.persistStorage();
 			this.subscriptions.queueTreeBroadcast("player");
 		} catch (err: unknown) {
@@ -239,33 +372,119 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		this.orchestrator.pruneOldTransfers();
 	}
 
-	cleanupOldExports(maxStorage: number) {
-		const entries = Array.from(this.platformStorage.entries());
-		entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
+	storageLimits(overrides: { maxEntries?: number | null; maxMegabytes?: number | null } = {}): StorageLimits {
+		const instanceQuotaBytes = new Map<number, number>();
+		for (const instance of this.c.instances.values()) {
+			if (instance.isDeleted) {
+				continue;
+			}
+			const quota = normalizeLimit(instance.config.get(`${PLUGIN_NAME}.controller_storage_quota_megabytes`), BYTES_PER_MEGABYTE);
+			if (quota !== null) {
+				instanceQuotaBytes.set(instance.id, quota);
+			}
+		}
+		return {
+			maxEntries: normalizeLimit(overrides.maxEntries ?? this.cfg(`${PLUGIN_NAME}.max_storage_size`)),
+			maxBytes: normalizeLimit(overrides.maxMegabytes ?? this.cfg(`${PLUGIN_NAME}.max_storage_megabytes`), BYTES_PER_MEGABYTE),
+			instanceQuotaBytes,
+		};
+	}
 
-		const toRemove = entries.length - maxStorage;
-		if (toRemove <= 0) {
-			return;
+	inFlightExportIds(): Set<string> {
+		const ids = new Set<string>();
+		for (const transfer of this.activeTransfers.values()) {
+			if (transfer.exportId && IN_FLIGHT_STATUSES.has(transfer.status)) {
+				ids.add(transfer.exportId);
+			}
 		}
-		for (let i = 0; i < toRemove; i++) {
-			const exportId = entries[i][0];
-			this.platformStorage.delete(exportId);
-			this.logger.verbose(`Removed old export: ${exportId}`);
+		return ids;
+	}
+
+	planStorageEviction(limits: Partial<StorageLimits>, keepExportId: string | null = null): EvictionPlan {
+		const held = new Set(Array.from(this.pendingDeliveries.values(), delivery => delivery.exportId));
+		const entries = Array.from(this.platformStorage.values(), stored => ({
+			...stored,
+			size: stored.size ?? Buffer.byteLength(JSON.stringify(stored.exportData || {}), "utf8"),
+			pinned: stored.pinned === true || held.has(stored.exportId),
+		}));
+		return planEviction(entries, {
+			maxEntries: limits.maxEntries ?? null,
+			maxBytes: limits.maxBytes ?? null,
+			instanceQuotaBytes: limits.instanceQuotaBytes ?? new Map(),
+		}, { keepExportId, inFlightExportIds: this.inFlightExportIds() });
+	}
+
+	cleanupOldExports(limits: Partial<StorageLimits>, keepExportId: string | null = null): EvictionPlan {
+		const plan = this.planStorageEviction(limits, keepExportId);
+		for (const eviction of plan.evict) {
+			this.platformStorage.delete(eviction.exportId);
+			this.logger.verbose(
+				`Removed old export: ${eviction.exportId} (${eviction.reason}${eviction.inFlight ? ", referenced by an in-flight transfer" : ""})`,
+			);
 		}
 
-		this.logger.info(`Cleaned up ${toRemove} old exports, now at ${this.platformStorage.size}`);
-		this.subscriptions.queueTreeBroadcast("player");
+		if (plan.unmet.length > 0) {
+			this.logger.warn(
+				`Stored exports remain over ${plan.unmet.join("; ")}: pinned exports and the export just stored are `
+				+ "never evicted. Unpin exports you no longer need or raise the storage limits.",
+			);
+		}
+		if (plan.evict.length > 0) {
+			this.logger.info(`Cleaned up ${plan.evict.length} old exports, now at ${this.platformStorage.size} (${plan.after.bytes} bytes)`);
+			this.subscriptions.queueTreeBroadcast("player");
+		}
+		return plan;
 	}
 
-	listStoredExports() {
-		return Array.from(this.platformStorage.values()).map(data => ({
+	async handlePreviewStorageEvictionRequest(request: messages.PreviewStorageEvictionRequest) {
+		const limits = this.storageLimits({ maxEntries: request.maxEntries, maxMegabytes: request.maxMegabytes });
+		const plan = this.planStorageEviction(limits);
+		return {
+			success: true,
+			limits: {
+				maxEntries: limits.maxEntries,
+				maxBytes: limits.maxBytes,
+				instanceQuotaBytes: Object.fromEntries(Array.from(limits.instanceQuotaBytes, ([id, quota]) => [String(id), quota])),
+			},
+			...plan,
+		};
+	}
+
+	summarizeStoredExport(data: StoredExport): messages.StoredExportSummaryModel {
+		return {
 			exportId: data.exportId,
 			sourceExportId: data.sourceExportId ?? null,
 			platformName: data.platformName,
 			instanceId: data.instanceId,
 			timestamp: data.timestamp,
 			size: data.size ?? Buffer.byteLength(JSON.stringify(data.exportData || {}), "utf8"),
-		}));
+			pinned: data.pinned === true,
+			labels: Array.isArray(data.labels) ? data.labels : [],
+			note: data.note ?? null,
+			digest: data.digest ?? null,
+			integrityError: data.integrityError ?? null,
+			modSet: data.modSet ?? null,
+		};
+	}
+
+	checkStoredPayload(stored: StoredExport, exportData: ExportData): string | null {
+		if (!stored.digest) {
+			stored.digest = computeExportDigest(exportData);
+			this.logger.verbose(`Recorded digest ${stored.digest} for stored export ${stored.exportId}, which predates digests`);
+			return null;
+		}
+		const mismatch = verifyExportDigest(exportData, stored.digest);
+		if (!mismatch) {
+			return null;
+		}
+		stored.integrityError = mismatch;
+		this.logger.warn(`Stored export ${stored.exportId} failed its integrity check: ${mismatch}`);
+		return `Export payload for ${stored.exportId} failed its integrity check (${mismatch}); `
+			+ "it was modified or corrupted after it was stored and will not be served";
+	}
+
+	listStoredExports() {
+		return Array.from(this.platformStorage.values()).map(data => this.summarizeStoredExport(data));
 	}
 
 	async handleListExportsRequest() {
@@ -278,6 +497,19 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		if (!stored) {
 			return { success: false, error: `Export not found: ${exportId}` };
 		}
+		let exportData: ExportData | null;
+		try {
+			exportData = await this.loadStoredExportData(exportId);
+		} catch (err: unknown) {
+			return { success: false, error: `Export payload for ${exportId} could not be read: ${getErrorMessage(err)}` };
+		}
+		if (!exportData) {
+			return { success: false, error: `Export payload missing on disk: ${exportId}` };
+		}
+		const integrityError = this.checkStoredPayload(stored, exportData);
+		if (integrityError) {
+			return { success: false, error: integrityError };
+		}
 
 		return {
 			success: true,
@@ -285,12 +517,105 @@ export class ControllerPlugin extends BaseControllerPlugin {
 			platformName: stored.platformName,
 			instanceId: stored.instanceId,
 			timestamp: stored.timestamp,
-			size: stored.size ?? Buffer.byteLength(JSON.stringify(stored.exportData || {}), "utf8"),
+			size: stored.size ?? Buffer.byteLength(JSON.stringify(exportData), "utf8"),
 			sourceExportId: stored.sourceExportId ?? null,
-			exportData: stored.exportData,
+			digest: stored.digest ?? null,
+			exportData: this.bundleForDownload(stored, exportData),
 		};
 	}
 
+	async loadDecodedExport(exportId: string): Promise<{ payload: Record<string, unknown>; error: null } | { payload: null; error: string }> {
+		const stored = this.platformStorage.get(exportId);
+		if (!stored) {
+			return { payload: null, error: `Export not found: ${exportId}` };
+		}
+		let exportData: ExportData | null;
+		try {
+			exportData = await this.loadStoredExportData(exportId);
+		} catch (err: unknown) {
+			return { payload: null, error: `Export payload for ${exportId} could not be read: ${getErrorMessage(err)}` };
+		}
+		if (!exportData) {
+			return { payload: null, error: `Export payload missing on disk: ${exportId}` };
+		}
+		const integrityError = this.checkStoredPayload(stored, exportData);
+		if (integrityError) {
+			return { payload: null, error: integrityError };
+		}
+		try {
+			return { payload: decodeExportPayload(migrateExportData(exportData).exportData), error: null };
+		} catch (err: unknown) {
+			return { payload: null, error: `Export payload for ${exportId} could not be decoded: ${getErrorMessage(err)}` };
+		}
+	}
+
+	async handleDiffExportsRequest(request: { beforeExportId: string; afterExportId: string }) {
+		const payloads: Record<string, unknown>[] = [];
+		for (const exportId of [request.beforeExportId, request.afterExportId]) {
+			const loaded = await this.loadDecodedExport(exportId);
+			if (!loaded.payload) {
+				return { success: false, error: loaded.error };
+			}
+			payloads.push(loaded.payload);
+		}
+
+		return {
+			success: true,
+			beforeExportId: request.beforeExportId,
+			afterExportId: request.afterExportId,
+			diff: diffExportPayloads(payloads[0], payloads[1]),
+		};
+	}
+
+	async handleExportBlueprintRequest(request: { exportId: string }) {
+		const loaded = await this.loadDecodedExport(request.exportId);
+		if (!loaded.payload) {
+			return { success: false, error: loaded.error };
+		}
+		const { blueprint, report } = buildBlueprint(loaded.payload);
+		return {
+			success: true,
+			exportId: request.exportId,
+			platformName: this.platformStorage.get(request.exportId)?.platformName,
+			blueprint,
+			report,
+		};
+	}
+
+	async handleUpdateStoredExportRequest(request: messages.UpdateStoredExportRequest) {
+		const stored = this.platformStorage.get(request.exportId);
+		if (!stored) {
+			return { success: false, error: `Export not found: ${request.exportId}` };
+		}
+		let labels: string[] | null = null;
+		if (request.labels !== null) {
+			const normalized = normalizeExportLabels(request.labels);
+			if (normalized.error) {
+				return { success: false, error: normalized.error };
+			}
+			labels = normalized.labels;
+		}
+		if (request.note !== null && request.note.length > MAX_EXPORT_NOTE_LENGTH) {
+			return { success: false, error: `Note is ${request.note.length} characters; the limit is ${MAX_EXPORT_NOTE_LENGTH}` };
+		}
+
+		if (request.pinned !== null) {
+			stored.pinned = request.pinned;
+		}
+		if (labels !== null) {
+			stored.labels = labels;
+		}
+		if (request.note !== null) {
+			stored.note = request.note.trim() || null;
+		}
+		this.logger.info(
+			`Updated stored export ${stored.exportId}: pinned=${stored.pinned === true}, `
+			+ `labels=[${(stored.labels || []).join(", ")}], note=${stored.note ? "set" : "none"}`,
+		);
+		await this.persistStorage();
+		return { success: true, export: this.summarizeStoredExport(stored) };
+	}
+
 	async createOperationRecord(operationType: OperationType, options: OperationOptions = {}) {
 		const operation = buildOperationRecord(operationType, {
 			...options,
@@ -302,13 +627,93 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		return operation;
 	}
 
-	async handleImportUploadedExportRequest(request: { targetInstanceId: number; exportData: ExportData; forceName?: string; platformName?: string | null; targetPlanet?: string | null }) {
+	signingKey(): string | null {
+		const key = this.cfg<string | null>(`${PLUGIN_NAME}.export_signing_key`);
+		return typeof key === "string" && key.trim() ? key.trim() : null;
+	}
+
+	private ensureSigningKey() {
+		if (this.signingKey()) {
+			return;
+		}
+		try {
+			(this.c.config as { set(k: string, v: unknown): void }).set(`${PLUGIN_NAME}.export_signing_key`, generateSigningKey());
+			this.logger.info(`Generated a new export signing key in ${PLUGIN_NAME}.export_signing_key; downloads are signed with it from now on`);
+		} catch (err: unknown) {
+			this.logger.warn(
+				`Could not store a generated export signing key: ${getErrorMessage(err)}. Downloads stay unsigned, `
+				+ `so uploads are only accepted under a weaker upload_signature_policy; set ${PLUGIN_NAME}.export_signing_key by hand.`,
+			);
+		}
+	}
+
+	private uploadSignaturePolicy(): messages.UploadSignaturePolicy {
+		const { policy, warning } = messages.parseUploadSignaturePolicy(this.cfg(`${PLUGIN_NAME}.upload_signature_policy`));
+		if (warning) {
+			this.logger.warn(warning);
+		}
+		return policy;
+	}
+
+	private bundleForDownload(stored: StoredExport, exportData: ExportData): ExportData {
+		return this.sealBundle(exportData, stored.digest ?? computeExportDigest(exportData));
+	}
+
+	private sealBundle(exportData: ExportData, digest = computeExportDigest(exportData)): ExportData {
+		const key = this.signingKey();
+		return key ? signBundle(exportData, digest, key) : withEmbeddedDigest(exportData, digest);
+	}
+
+	private describeRequester(src: { id: number } | undefined): string {
+		const link = src
+			? this.c.wsServer.controlConnections.get(src.id) as { user?: { name?: string } } | undefined
+			: undefined;
+		return link?.user?.name ? `user ${link.user.name}` : "an operator";
+	}
+
+	private checkControlPermission(src: { id: number } | undefined, permission: string): string | null {
+		const link = src
+			? this.c.wsServer.controlConnections.get(src.id) as { user: { checkPermission: (permission: string) => void } } | undefined
+			: undefined;
+		if (!link) {
+			return "the requesting control connection could not be identified";
+		}
+		try {
+			link.user.checkPermission(permission);
+			return null;
+		} catch (err: unknown) {
+			return getErrorMessage(err);
+		}
+	}
+
+	async handleImportUploadedExportRequest(
+		request: { targetInstanceId: number; exportData: ExportData; forceName?: string; platformName?: string | null; targetPlanet?: string | null; signaturePolicy?: messages.UploadSignaturePolicy | null },
+		src?: { id: number },
+		sourceLabel = "Uploaded JSON",
+		builtByController = false,
+	) {
 		const { targetInstanceId, exportData, forceName, platformName, targetPlanet } = request;
 
+		if (this.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
 		if (!exportData || typeof exportData !== "object" || Array.isArray(exportData)) {
 			return { success: false, error: "exportData must be a non-null object" };
 		}
 
+		const configuredPolicy = this.uploadSignaturePolicy();
+		const policy = request.signaturePolicy ?? configuredPolicy;
+		if (SIGNATURE_POLICY_STRENGTH[policy] < SIGNATURE_POLICY_STRENGTH[configuredPolicy]) {
+			const denied = this.checkControlPermission(src, messages.PERMISSIONS.IMPORT_UNSIGNED);
+			if (denied) {
+				return {
+					success: false,
+					error: `Upload signature policy "${policy}" is weaker than the controller's "${configuredPolicy}" `
+						+ `and needs the ${messages.PERMISSIONS.IMPORT_UNSIGNED} permission: ${denied}`,
+				};
+			}
+		}
+
 		const resolved = this.platformTree.resolveTargetInstance(targetInstanceId);
 		const resolvedInstance = resolved?.instance as { isDeleted?: boolean } | null;
 		if (!resolved || !resolvedInstance || resolvedInstance.isDeleted) {
@@ -316,15 +721,20 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		}
 
 		const importData: ExportData = { ...exportData };
+		delete importData._digest;
+		delete importData._signature;
 		if (platformName && String(platformName).trim()) {
 			importData.platform_name = String(platformName).trim();
 		}
 		const resolvedForceName = forceName || importData?.platform?.force || "player";
+		const expectedDigest = typeof exportData._digest === "string" ? exportData._digest : null;
+		const bundle = builtByController ? null : checkBundle(exportData, this.signingKey());
+		const payloadDigest = bundle?.digest ?? computeExportDigest(exportData);
 		const operation = await this.createOperationRecord("import", {
 			platformName: importData.platform_name || "Uploaded platform",
 			forceName: resolvedForceName,
 			sourceInstanceId: -1,
-			sourceInstanceName: "Uploaded JSON",
+			sourceInstanceName: sourceLabel,
 			targetInstanceId: resolved.id,
 		});
 		(importData as Record<string, unknown>)._operationId = operation.transferId;
@@ -334,8 +744,52 @@ export class ControllerPlugin extends BaseControllerPlugin {
 			`Upload import requested for ${operation.platformName}`, {
 				targetInstanceId: resolved.id,
 				payloadSizeBytes,
+				payloadDigest,
+				expectedDigest,
+				signature: bundle?.verdict ?? "built_by_controller",
+				signaturePolicy: policy,
 			});
 		this.subscriptions.emitTransferUpdate(operation);
+		if (bundle && bundle.verdict !== "signed" && policy === "refuse") {
+			const error = bundle.verdict === "tampered"
+				? `Uploaded export failed its integrity check (${bundle.detail}); the file was modified or corrupted `
+					+ "after it was downloaded. Download it again from the controller."
+				: `Uploaded export was refused: ${bundle.detail}. Under the "refuse" upload signature policy only files `
+					+ "downloaded from this controller and left unedited can be imported.";
+			operation.error = error;
+			await this.failOperation(operation, bundle.verdict === "tampered" ? "payload_integrity_failed" : "upload_unsigned_refused",
+				error, { payloadDigest, expectedDigest, signature: bundle.verdict });
+			return { success: false, error };
+		}
+		if (bundle && bundle.verdict !== "signed" && policy === "warn") {
+			this.logger.warn(`Importing ${bundle.verdict} upload ${operation.transferId} under the "warn" signature policy: ${bundle.detail}`);
+			this.txLogger.logTransactionEvent(operation.transferId, "upload_signature_warning",
+				`Importing a ${bundle.verdict} upload under the "warn" signature policy: ${bundle.detail}`, {
+					signature: bundle.verdict,
+				});
+		}
+		let migratedData: ExportData;
+		try {
+			migratedData = this.orchestrator.migratePayload(operation.transferId, importData);
+		} catch (err: unknown) {
+			const error = `Uploaded export could not be migrated to payload schema ${PAYLOAD_SCHEMA_VERSION}: ${getErrorMessage(err)}`;
+			operation.error = error;
+			await this.failOperation(operation, "payload_migration_failed", error, { error: getErrorMessage(err) });
+			return { success: false, error };
+		}
+		const schemaErrors = validateExportData(migratedData);
+		if (schemaErrors.length > 0) {
+			const error = `Uploaded export does not match payload schema ${PAYLOAD_SCHEMA_VERSION}: ${summarizePayloadSchemaErrors(schemaErrors)}`;
+			operation.error = error;
+			await this.failOperation(operation, "payload_schema_invalid", error, { schemaErrors });
+			return { success: false, error, schemaErrors };
+		}
+		const modRefusal = await this.orchestrator.checkModCompatibility(operation.transferId, operation, readExportModSet(importData), resolved.id);
+		if (modRefusal) {
+			operation.error = modRefusal;
+			await this.failOperation(operation, "mod_mismatch_refused", modRefusal, { modMismatches: operation.modMismatches ?? [] });
+			return { success: false, error: modRefusal };
+		}
 		const uploadExportId = generateOperationId("uploaded");
 
 		try {
@@ -343,7 +797,7 @@ export class ControllerPlugin extends BaseControllerPlugin {
 				{ instanceId: resolved.id },
 				new messages.ImportPlatformRequest({
 					exportId: uploadExportId,
-					exportData: importData,
+					exportData: migratedData,
 					forceName: resolvedForceName,
 					targetPlanet: targetPlanet ?? null,
 				}),
@@ -383,6 +837,76 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		}
 	}
 
+	async handleImportBlueprintRequest(
+		request: { targetInstanceId: number; blueprint: string; forceName?: string; platformName?: string | null; targetPlanet?: string | null; dryRun?: boolean },
+		src?: { id: number },
+	) {
+		if (this.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		let blueprint: DecodedBlueprint;
+		try {
+			blueprint = decodeBlueprintString(String(request.blueprint ?? ""));
+		} catch (err: unknown) {
+			return { success: false, error: getErrorMessage(err) };
+		}
+		if (blueprint.entities.length === 0 && blueprint.tiles.length === 0) {
+			return { success: false, error: "The blueprint has no entities or tiles" };
+		}
+		const resolved = this.platformTree.resolveTargetInstance(request.targetInstanceId);
+		const resolvedInstance = resolved?.instance as { isDeleted?: boolean } | null;
+		if (!resolved || !resolvedInstance || resolvedInstance.isDeleted) {
+			return { success: false, error: `Target instance not found: ${request.targetInstanceId}` };
+		}
+		const platformName = String(request.platformName ?? "").trim() || blueprint.label || "Blueprint platform";
+		const forceName = request.forceName || "player";
+		const targetPlanet = request.targetPlanet ?? null;
+
+		let preflight: messages.PreflightReport;
+		let prototypes: Record<string, messages.EntityPrototypeInfo>;
+		try {
+			const [censusResponse, prototypeResponse] = await Promise.all([
+				this.c.sendTo({ instanceId: resolved.id }, new messages.GetPrototypeCensusRequest()) as Promise<messages.SimpleResponse & { census?: messages.PrototypeCensus }>,
+				this.c.sendTo(
+					{ instanceId: resolved.id },
+					new messages.DescribeEntityPrototypesRequest({ names: blueprintEntityNames(blueprint) }),
+				) as Promise<messages.SimpleResponse & { prototypes?: Record<string, messages.EntityPrototypeInfo> }>,
+			]);
+			if (!censusResponse?.success || !censusResponse.census) {
+				return { success: false, error: `Destination census failed: ${censusResponse?.error || "no census returned"}` };
+			}
+			if (!prototypeResponse?.success || !prototypeResponse.prototypes) {
+				return { success: false, error: `Destination prototype lookup failed: ${prototypeResponse?.error || "no prototypes returned"}` };
+			}
+			prototypes = prototypeResponse.prototypes;
+			preflight = preflightBlueprint(blueprint, platformName, prototypes, censusResponse.census, resolved.id, targetPlanet);
+		} catch (err: unknown) {
+			return { success: false, error: `Preflight failed: ${getErrorMessage(err)}` };
+		}
+
+		if (preflight.blockers.length > 0) {
+			return {
+				success: false,
+				error: `The blueprint cannot be built on instance ${resolved.id}: ${summarizePreflightIssues(preflight.blockers)}`,
+				platformName,
+				targetInstanceId: resolved.id,
+				preflight,
+			};
+		}
+		if (request.dryRun) {
+			return { success: true, platformName, targetInstanceId: resolved.id, preflight };
+		}
+
+		const exportData = envelopeFromPayload(buildPayloadFromBlueprint(blueprint, prototypes, { platformName, forceName }));
+		const response = await this.handleImportUploadedExportRequest(
+			{ targetInstanceId: resolved.id, exportData, forceName, platformName, targetPlanet },
+			src,
+			"Blueprint string",
+			true,
+		);
+		return { ...response, preflight };
+	}
+
 	async handleExportPlatformForDownloadRequest(request: { sourceInstanceId: number; sourcePlatformIndex: number; forceName?: string }) {
 		const sourceInstanceId = Number(request.sourceInstanceId);
 		const sourcePlatformIndex = Number(request.sourcePlatformIndex);
@@ -436,6 +960,14 @@ export class ControllerPlugin extends BaseControllerPlugin {
 			const canonicalExportId = makeCanonicalTransferId(sourceInstanceId, exportResponse.exportId);
 			const stored = await this.orchestrator.waitForStoredExport(canonicalExportId, 60000);
 			const waitForStoredMs = Date.now() - waitForStoreStartMs;
+			const exportData = await this.loadStoredExportData(stored.exportId);
+			if (!exportData) {
+				throw new Error(`Export ${stored.exportId} was stored but its payload is missing on disk`);
+			}
+			const integrityError = this.checkStoredPayload(stored, exportData);
+			if (integrityError) {
+				throw new Error(integrityError);
+			}
 			operation.platformName = stored.platformName || operation.platformName;
 			operation.sourceInstanceId = stored.instanceId;
 			operation.sourceInstanceName = this.platformTree.resolveInstanceName(stored.instanceId);
@@ -445,7 +977,7 @@ export class ControllerPlugin extends BaseControllerPlugin {
 				waitForControllerStoreMs: waitForStoredMs,
 				controllerExportPrepTotalMs: exportRequestMs + waitForStoredMs,
 			});
-			operation.payloadMetrics = buildPayloadMetrics(stored.exportData || {}).payloadMetrics;
+			operation.payloadMetrics = buildPayloadMetrics(exportData).payloadMetrics;
 			operation.artifactSizeBytes = stored.size ?? operation.artifactSizeBytes ?? null;
 			operation.status = "completed";
 			operation.completedAt = Date.now();
@@ -453,6 +985,7 @@ export class ControllerPlugin extends BaseControllerPlugin {
 			this.txLogger.logTransactionEvent(operation.transferId, "export_completed",
 				`Export ready for download: ${stored.exportId}`, {
 					exportId: stored.exportId,
+					payloadDigest: stored.digest ?? null,
 					durationMs,
 					exportMetrics: operation.exportMetrics,
 					payloadMetrics: operation.payloadMetrics,
@@ -467,8 +1000,9 @@ export class ControllerPlugin extends BaseControllerPlugin {
 				platformName: stored.platformName,
 				instanceId: stored.instanceId,
 				timestamp: stored.timestamp,
-				size: stored.size ?? Buffer.byteLength(JSON.stringify(stored.exportData || {}), "utf8"),
-				exportData: stored.exportData,
+				size: stored.size ?? Buffer.byteLength(JSON.stringify(exportData), "utf8"),
+				digest: stored.digest ?? null,
+				exportData: this.bundleForDownload(stored, exportData),
 			};
 		} catch (err: unknown) {
 			const errMsg = getErrorMessage(err);
@@ -557,7 +1091,80 @@ export class ControllerPlugin extends BaseControllerPlugin {
 	}
 
 	async handleListTransactionLogsRequest(request: { limit?: number } | undefined) {
-		return this.txLogger.getTransferSummaries(request?.limit || 50);
+		return [...this.transferQueue.summaries(), ...this.txLogger.getTransferSummaries(request?.limit || 50)];
+	}
+
+	async handleStartPlatformTransferRequest(request: StartTransferInput & { priority?: messages.TransferPriority; deferred?: boolean }, src?: { id: number }) {
+		const priority = request.priority || "player";
+		if (request.copy) {
+			const denied = this.checkControlPermission(src, messages.PERMISSIONS.COPY_PLATFORMS);
+			if (denied) {
+				return { success: false, error: `Copying a platform needs the ${messages.PERMISSIONS.COPY_PLATFORMS} permission: ${denied}` };
+			}
+			if (request.deferred) {
+				return { success: false, error: "A copy cannot be deferred: the source stays locked until the destination validated it" };
+			}
+		}
+		if (priority === "admin") {
+			const denied = this.checkControlPermission(src, messages.PERMISSIONS.PRIORITY_TRANSFERS);
+			if (denied) {
+				return { success: false, error: `Admin priority needs the ${messages.PERMISSIONS.PRIORITY_TRANSFERS} permission: ${denied}` };
+			}
+		}
+		if (request.deferred) {
+			return await this.mailDrop.post(request);
+		}
+		return await this.transferQueue.submit(request, priority);
+	}
+
+	async handleStartGroupTransferRequest(request: StartGroupInput) {
+		return await this.transferGroups.start(request);
+	}
+
+	async handleStartPlatformSwapRequest(request: StartSwapInput) {
+		return await this.transferGroups.swap(request);
+	}
+
+	async handleReverseTransferRequest(request: { transferId: string }, src?: { id: number }) {
+		return await this.transferReversal.reverse(request.transferId, this.describeRequester(src));
+	}
+
+	async handleListTransferSchedulesRequest() {
+		return { success: true, schedules: this.transferScheduler.list() };
+	}
+
+	async handleCreateTransferScheduleRequest(request: CreateScheduleInput, src?: { id: number }) {
+		return await this.transferScheduler.create(request, this.describeRequester(src));
+	}
+
+	async handleUpdateTransferScheduleRequest(request: UpdateScheduleInput) {
+		return await this.transferScheduler.update(request);
+	}
+
+	async handleDeleteTransferScheduleRequest(request: { scheduleId: string }) {
+		return await this.transferScheduler.remove(request.scheduleId);
+	}
+
+	async handlePreflightTransferRequest(request: StartTransferInput) {
+		return await this.orchestrator.preflightTransfer(request);
+	}
+
+	async handleCancelTransferRequest(request: { transferId: string }, src?: { id: number }) {
+		if (this.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		const requestedBy = this.describeRequester(src);
+		const { transferId } = request;
+		if (this.transferQueue.has(transferId)) {
+			return await this.transferQueue.cancel(transferId, requestedBy);
+		}
+		if (this.pendingDeliveries.has(transferId)) {
+			return await this.mailDrop.cancel(transferId, requestedBy);
+		}
+		if (this.transferGroups.has(transferId)) {
+			return await this.transferGroups.cancel(transferId, requestedBy);
+		}
+		return await this.orchestrator.cancelTransfer(transferId, requestedBy);
 	}
 
 	async handleGetTransactionLog(request: { transferId?: string }) {
@@ -648,52 +1255,154 @@ export class ControllerPlugin extends BaseControllerPlugin {
 	}
 
 	async loadStorage() {
+		if (this.exportStoreError) {
+			this.storageLoadError = this.exportStoreError;
+			this.logger.error(
+				`Export storage backend is misconfigured: ${this.exportStoreError}. Stored exports are NOT loaded and `
+				+ "persistence is DISABLED for this session; fix the storage settings and restart the controller.",
+			);
+			return;
+		}
+		const indexLocation = this.exportStore.locate(EXPORT_STORE_INDEX_FILENAME);
+		let content: string | null;
+		try {
+			content = await this.exportStore.get(EXPORT_STORE_INDEX_FILENAME);
+		} catch (err: unknown) {
+			this.storageLoadError = getErrorMessage(err);
+			this.logStorageLoadError(indexLocation);
+			return;
+		}
+		if (content === null) {
+			await this.migrateLegacyStorage();
+			return;
+		}
 		try {
-			const content = await fs.readFile(this.storagePath, "utf8");
 			const entries = JSON.parse(content);
+			const payloadIds = await listExportPayloadIds(this.exportStore);
+			let missing = 0;
 			if (Array.isArray(entries)) {
 				for (const rawEntry of entries) {
 					if (rawEntry && rawEntry.exportId) {
-						const entry = rawEntry as StoredExport;
-						if (!entry.size && entry.exportData) {
-							entry.size = Buffer.byteLength(JSON.stringify(entry.exportData), "utf8");
+						const stored = toIndexEntry(this.canonicalizeStoredExport(rawEntry as StoredExport)) as StoredExport;
+						if (!payloadIds.has(stored.exportId)) {
+							missing++;
+							this.logger.warn(`Dropping stored export ${stored.exportId} from the index: its payload file is missing from ${this.exportStore.location}`);
+							continue;
+						}
+						if (!stored.size) {
+							stored.size = (await this.exportStore.stat(exportPayloadKey(stored.exportId)))?.size ?? 0;
 						}
-						const stored = this.canonicalizeStoredExport(entry);
 						this.platformStorage.set(stored.exportId, stored);
 					}
 				}
 			}
 			this.storageLoadError = null;
-			this.logger.info(`Loaded ${this.platformStorage.size} stored platforms from disk`);
+			this.logger.info(
+				`Loaded ${this.platformStorage.size} stored platforms from ${indexLocation}`
+				+ `${missing > 0 ? ` (${missing} dropped with missing payloads)` : ""}; payloads are read on demand`,
+			);
 		} catch (err: unknown) {
-			const code = (err as { code?: string }).code;
-			if (code === "ENOENT") {
+			this.platformStorage.clear();
+			this.storageLoadError = getErrorMessage(err);
+			this.logStorageLoadError(indexLocation);
+		}
+	}
+
+	private async migrateLegacyStorage() {
+		let entries: unknown;
+		try {
+			entries = JSON.parse(await fs.readFile(this.storagePath, "utf8"));
+		} catch (err: unknown) {
+			if ((err as { code?: string }).code === "ENOENT") {
 				this.storageLoadError = null;
 				this.logger.verbose("No existing Surface Export storage found; starting fresh");
 				return;
 			}
 			this.storageLoadError = getErrorMessage(err);
+			this.logStorageLoadError(this.storagePath);
+			return;
+		}
+		if (Array.isArray(entries)) {
+			for (const rawEntry of entries) {
+				if (rawEntry && rawEntry.exportId) {
+					const entry = rawEntry as StoredExport;
+					if (!entry.size && entry.exportData) {
+						entry.size = Buffer.byteLength(JSON.stringify(entry.exportData), "utf8");
+					}
+					if (!entry.digest && entry.exportData) {
+						entry.digest = computeExportDigest(entry.exportData);
+					}
+					const stored = this.canonicalizeStoredExport(entry);
+					this.platformStorage.set(stored.exportId, stored);
+				}
+			}
+		}
+		this.storageLoadError = null;
+		this.logger.info(`Migrating ${this.platformStorage.size} stored platforms from ${this.storagePath} to the per-export store in ${this.exportStore.location}`);
+		try {
+			await this.writeStorage();
+			await fs.rename(this.storagePath, `${this.storagePath}.migrated`);
+			this.logger.info(`Migrated ${this.platformStorage.size} stored platforms; the old file was kept as ${this.storagePath}.migrated`);
+		} catch (err: unknown) {
 			this.logger.error(
-				`Stored exports could not be loaded from ${this.storagePath}: ${this.storageLoadError}. `
-				+ "Persistence is DISABLED for this session to protect the existing file. To recover: stop the controller, "
-				+ `back up ${this.storagePath}, repair or move the file aside, then restart. Stored exports from before this `
-				+ "error will reappear after a successful load; exports created while degraded will NOT survive a restart.",
+				`Migration of ${this.storagePath} to ${this.exportStore.location} failed: ${getErrorMessage(err)}. `
+				+ "The old file was left in place and the migration will be retried on the next start; "
+				+ "stored exports are served from memory until then.",
 			);
 		}
 	}
 
+	private logStorageLoadError(file: string) {
+		this.logger.error(
+			`Stored exports could not be loaded from ${file}: ${this.storageLoadError}. `
+			+ "Persistence is DISABLED for this session to protect the existing file. To recover: run "
+			+ "\"clusterioctl surface-export salvage exports\" to rebuild it from its intact entries, or stop the controller, "
+			+ `back up ${file}, repair or move the file aside, then restart. Stored exports from before this `
+			+ "error will reappear after a successful load; exports created while degraded will NOT survive a restart.",
+		);
+	}
+
+	async loadStoredExportData(exportId: string): Promise<ExportData | null> {
+		const stored = this.platformStorage.get(exportId);
+		if (!stored) {
+			return null;
+		}
+		if (stored.exportData !== undefined) {
+			return stored.exportData as ExportData;
+		}
+		return readExportPayload(this.exportStore, stored.exportId);
+	}
+
+	private async writeStorage() {
+		for (const stored of Array.from(this.platformStorage.values())) {
+			const exportData = stored.exportData;
+			if (exportData === undefined) {
+				continue;
+			}
+			await this.exportStore.put(exportPayloadKey(stored.exportId), JSON.stringify(exportData));
+			if (stored.exportData === exportData) {
+				delete stored.exportData;
+			}
+		}
+		const index = JSON.stringify(Array.from(this.platformStorage.values(), toIndexEntry), null, 2);
+		await this.exportStore.put(EXPORT_STORE_INDEX_FILENAME, index);
+		const removed = await pruneOrphanPayloads(this.exportStore, new Set(this.platformStorage.keys()));
+		if (removed.length > 0) {
+			this.logger.verbose(`Removed ${removed.length} payload file(s) no longer in the export index`);
+		}
+	}
+
 	async persistStorage() {
 		if (this.storageLoadError !== null) {
 			this.logger.error(
-				`Refusing to persist stored exports to ${this.storagePath}: the startup load failed (${this.storageLoadError}) `
-				+ "and the file is being preserved as-is. This session's changes will not survive restart. "
+				`Refusing to persist stored exports to ${this.exportStore.location}: the startup load failed (${this.storageLoadError}) `
+				+ "and the existing files are being preserved as-is. This session's changes will not survive restart. "
 				+ "Repair or move the file and restart the controller to re-enable persistence.",
 			);
 			return;
 		}
 		try {
-			const payload = JSON.stringify(Array.from(this.platformStorage.values()), null, 2);
-			await enqueueWrite(this.storagePath, () => lib.safeOutputFile(this.storagePath, payload));
+			await this.writeStorage();
 			this.consecutiveStorageWriteFailures = 0;
 		} catch (err: unknown) {
 			this.consecutiveStorageWriteFailures = (this.consecutiveStorageWriteFailures ?? 0) + 1;
@@ -789,7 +1498,7 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		try {
 			await appendAuditRow(this.auditLedgerPath, row);
 			const existing = this.auditIndex.get(row.transferId);
-			if (!(existing && existing.rowKind === "terminal" && row.rowKind === "start")) {
+			if (!(existing && existing.rowKind === "terminal" && row.rowKind !== "terminal")) {
 				this.auditIndex.set(row.transferId, row);
 			}
 			if (row.rowKind === "terminal") {
@@ -925,7 +1634,7 @@ export class ControllerPlugin extends BaseControllerPlugin {
 	async prunePendingTransfers(now = Date.now()): Promise<number> {
 		const pruned = this.prunePendingTransfersInMemory(now);
 		if (pruned > 0) {
-			this.logger.info(`Pruned ${pruned} stale pending transfer intent(s); Phase 1 recovery is source-side TTL unlock`);
+			this.logger.info(`Pruned ${pruned} stale pending transfer intent(s) that never reached a destination VOTE; their sources self-unlock by TTL`);
 			await this.persistPendingTransfers();
 		}
 		return pruned;
@@ -935,7 +1644,8 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		let pruned = 0;
 		for (const [transferId, intent] of this.pendingTransfers) {
 			const startedAt = Number(intent.startedAt);
-			if (!Number.isFinite(startedAt) || now - startedAt > PENDING_TRANSFER_INTENT_RETENTION_MS) {
+			const held = intent.phase !== undefined && intent.phase !== "prepared";
+			if (!held && (!Number.isFinite(startedAt) || now - startedAt > PENDING_TRANSFER_INTENT_RETENTION_MS)) {
 				this.pendingTransfers.delete(transferId);
 				pruned++;
 			}
@@ -1005,6 +1715,422 @@ export class ControllerPlugin extends BaseControllerPlugin {
 		}
 		return pruned;
 	}
+
+	async loadPendingDeliveries() {
+		try {
+			const content = await fs.readFile(this.pendingDeliveriesPath, "utf8");
+			const entries = JSON.parse(content);
+			if (Array.isArray(entries)) {
+				for (const e of entries) {
+					if (e && typeof e.transferId === "string" && typeof e.exportId === "string") {
+						this.pendingDeliveries.set(e.transferId, e as messages.PendingDelivery);
+					}
+				}
+			}
+			if (this.pendingDeliveries.size > 0) {
+				this.logger.info(`Loaded ${this.pendingDeliveries.size} pending deliver(ies) from disk`);
+			}
+		} catch (err: unknown) {
+			const code = (err as { code?: string }).code;
+			if (code === "ENOENT") {
+				return;
+			}
+			this.logger.error(`Failed to load pending deliveries: ${getErrorMessage(err)}`);
+		}
+	}
+
+	async persistPendingDeliveries(): Promise<string | null> {
+		try {
+			const payload = JSON.stringify(Array.from(this.pendingDeliveries.values()), null, 2);
+			await enqueueWrite(this.pendingDeliveriesPath, () => lib.safeOutputFile(this.pendingDeliveriesPath, payload));
+			return null;
+		} catch (err: unknown) {
+			const reason = getErrorMessage(err);
+			this.logger.error(`Failed to persist pending deliveries: ${reason}`);
+			return reason;
+		}
+	}
+
+	async persistPendingDelivery(delivery: messages.PendingDelivery): Promise<string | null> {
+		this.pendingDeliveries.set(delivery.transferId, delivery);
+		return await this.persistPendingDeliveries();
+	}
+
+	removePendingDelivery(transferId: string): void {
+		if (this.pendingDeliveries.delete(transferId)) {
+			void this.persistPendingDeliveries();
+		}
+	}
+
+	async loadTransferSchedules() {
+		try {
+			const content = await fs.readFile(this.transferSchedulesPath, "utf8");
+			const entries = JSON.parse(content);
+			if (Array.isArray(entries)) {
+				for (const e of entries) {
+					if (e && typeof e.scheduleId === "string" && e.rule && Number.isInteger(e.sourceSurfaceIndex)) {
+						this.transferSchedules.set(e.scheduleId, { ...e, runs: Array.isArray(e.runs) ? e.runs : [] } as messages.TransferScheduleModel);
+					}
+				}
+			}
+			if (this.transferSchedules.size > 0) {
+				this.logger.info(`Loaded ${this.transferSchedules.size} transfer schedule(s) from disk`);
+			}
+		} catch (err: unknown) {
+			const code = (err as { code?: string }).code;
+			if (code === "ENOENT") {
+				return;
+			}
+			this.logger.error(`Failed to load transfer schedules: ${getErrorMessage(err)}`);
+		}
+	}
+
+	async persistTransferSchedules(): Promise<string | null> {
+		try {
+			const payload = JSON.stringify(Array.from(this.transferSchedules.values()), null, 2);
+			await enqueueWrite(this.transferSchedulesPath, () => lib.safeOutputFile(this.transferSchedulesPath, payload));
+			return null;
+		} catch (err: unknown) {
+			const reason = getErrorMessage(err);
+			this.logger.error(`Failed to persist transfer schedules: ${reason}`);
+			return reason;
+		}
+	}
+
+	private auditLedgerFiles(): string[] {
+		const generations = Array.from({ length: DEFAULT_LEDGER_MAX_FILES }, (_, i) => generationPath(this.auditLedgerPath, DEFAULT_LEDGER_MAX_FILES - i));
+		return [...generations, this.auditLedgerPath];
+	}
+
+	private stateFileName(file: string): string {
+		return path.relative(path.dirname(this.storagePath), file).split(path.sep).join("/");
+	}
+
+	private storeFileName(key: string): string {
+		return `${STORAGE_DIRNAME}/${key}`;
+	}
+
+	private stateFiles(): Map<string, string> {
+		const files = [
+			this.storagePath,
+			this.transactionLogPath,
+			...this.auditLedgerFiles(),
+			this.gatewayConfigPath,
+			this.pendingTransfersPath,
+			this.sourceCommitMarkersPath,
+			this.pendingDeliveriesPath,
+			this.transferSchedulesPath,
+		];
+		return new Map(files.map(file => [this.stateFileName(file), file]));
+	}
+
+	private resolveStateFile(name: string): StateFileTarget | null {
+		const file = this.stateFiles().get(name);
+		if (file) {
+			return { kind: "file", file };
+		}
+		const prefix = `${STORAGE_DIRNAME}/`;
+		const key = name.startsWith(prefix) ? name.slice(prefix.length) : null;
+		if (key === EXPORT_STORE_INDEX_FILENAME) {
+			return { kind: "store", key, exportId: null };
+		}
+		const exportId = key === null ? null : exportIdFromPayloadFileName(key);
+		return exportId === null ? null : { kind: "store", key: exportPayloadKey(exportId), exportId };
+	}
+
+	private countStateEntries(snapshot: Map<string, string>, name: string): number {
+		try {
+			return countJsonArray(snapshot.get(name));
+		} catch (err: unknown) {
+			this.logger.warn(`State backup: ${name} could not be counted (${getErrorMessage(err)}); it is archived byte-for-byte anyway`);
+			return 0;
+		}
+	}
+
+	inFlightOperations(): ActiveTransfer[] {
+		return Array.from(this.activeTransfers.values()).filter(transfer => IN_FLIGHT_STATUSES.has(transfer.status));
+	}
+
+	async handleBackupControllerStateRequest() {
+		try {
+			if (this.storageLoadError === null) {
+				await this.persistStorage();
+			}
+			const ledgerFiles = this.auditLedgerFiles();
+			const sources: StateFileSource[] = Array.from(this.stateFiles(), ([name, file]) => ({
+				name,
+				queue: ledgerFiles.includes(file) ? this.auditLedgerPath : file,
+				read: () => readStateFile(file),
+			}));
+			sources.push({
+				name: this.storeFileName(EXPORT_STORE_INDEX_FILENAME),
+				queue: this.exportStore.locate(EXPORT_STORE_INDEX_FILENAME),
+				read: () => this.exportStore.get(EXPORT_STORE_INDEX_FILENAME),
+			});
+			for (const stored of this.platformStorage.values()) {
+				const key = exportPayloadKey(stored.exportId);
+				const { exportData } = stored;
+				sources.push({
+					name: this.storeFileName(key),
+					queue: this.exportStore.locate(key),
+					read: exportData === undefined ? () => this.exportStore.get(key) : async () => JSON.stringify(exportData),
+				});
+			}
+			const snapshot = await snapshotStateFiles(sources);
+			const archive = buildStateBackup(snapshot, {
+				pluginVersion: this.info.version,
+				createdAt: Date.now(),
+				counts: {
+					storedExports: this.countStateEntries(snapshot, this.storeFileName(EXPORT_STORE_INDEX_FILENAME)),
+					transactionLogs: this.countStateEntries(snapshot, this.stateFileName(this.transactionLogPath)),
+					auditRows: ledgerFiles.reduce((total, file) => total + countJsonLines(snapshot.get(this.stateFileName(file))), 0),
+					gatewayLinks: this.countStateEntries(snapshot, this.stateFileName(this.gatewayConfigPath)),
+					pendingTransfers: this.countStateEntries(snapshot, this.stateFileName(this.pendingTransfersPath)),
+					sourceCommitMarkers: this.countStateEntries(snapshot, this.stateFileName(this.sourceCommitMarkersPath)),
+					pendingDeliveries: this.countStateEntries(snapshot, this.stateFileName(this.pendingDeliveriesPath)),
+					transferSchedules: this.countStateEntries(snapshot, this.stateFileName(this.transferSchedulesPath)),
+				},
+			});
+			const { counts } = archive.manifest;
+			this.logger.info(
+				`State backup taken: ${archive.manifest.files.length} file(s), ${counts.storedExports} stored export(s), `
+				+ `${counts.transactionLogs} transaction log(s), ${counts.auditRows} audit row(s)`,
+			);
+			return { success: true, archive };
+		} catch (err: unknown) {
+			this.logger.error(`State backup failed: ${getErrorMessage(err)}`);
+			return { success: false, error: `State backup failed: ${getErrorMessage(err)}` };
+		}
+	}
+
+	async handleRestoreControllerStateRequest(request: { archive: messages.StateBackupArchive }) {
+		if (this.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		const inFlight = this.inFlightOperations();
+		if (inFlight.length > 0) {
+			return {
+				success: false,
+				error: `Refusing to overwrite live state while ${inFlight.length} operation(s) are in flight `
+					+ `(${inFlight.map(transfer => `${transfer.transferId} ${transfer.status}`).join(", ")}). `
+					+ "Wait for them to finish, then retry the restore.",
+			};
+		}
+		const queued = this.transferQueue.waiting;
+		const groups = this.transferGroups.active;
+		if (queued > 0 || groups > 0) {
+			return {
+				success: false,
+				error: `Refusing to overwrite live state while ${queued} transfer(s) wait in the transfer queue and `
+					+ `${groups} group transfer(s) are running: they would start or settle against the restored state. `
+					+ "Wait for them to finish or cancel them, then retry the restore.",
+			};
+		}
+		if (this.pendingDeliveries.size > 0) {
+			const deliveries = Array.from(this.pendingDeliveries.values());
+			return {
+				success: false,
+				error: `Refusing to overwrite live state while ${deliveries.length} mail-drop delivery(s) are pending `
+					+ `(${deliveries.map(delivery => `${delivery.transferId} ${delivery.phase}`).join(", ")}): the controller may hold `
+					+ "the only copy of their platform, and an older backup could deliver one twice. "
+					+ "Wait for them to land or cancel them, then retry the restore.",
+			};
+		}
+		const invalid = checkStateBackup(request.archive);
+		if (invalid) {
+			return { success: false, error: `Backup rejected: ${invalid}` };
+		}
+		const { manifest, files } = request.archive;
+		const targets = new Map<string, StateFileTarget>();
+		for (const name of Object.keys(files)) {
+			const target = this.resolveStateFile(name);
+			if (!target) {
+				return { success: false, error: `Backup rejected: ${name} is not a Surface Export state file` };
+			}
+			targets.set(name, target);
+		}
+
+		this.stateRestoreInProgress = true;
+		try {
+			this.logger.warn(
+				`Restoring controller state from a backup taken ${new Date(manifest.createdAt).toISOString()} `
+				+ `(plugin ${manifest.pluginVersion ?? "unknown"}, ${manifest.files.length} file(s)); live state is being replaced`,
+			);
+			await this.writeRestoredState(files, targets);
+			await this.reloadState();
+		} catch (err: unknown) {
+			this.logger.error(
+				`State restore failed part-way: ${getErrorMessage(err)}. The state files may now mix the backup and `
+				+ "the previous state; retry the restore from the same backup before running any transfers.",
+			);
+			return { success: false, error: `State restore failed part-way: ${getErrorMessage(err)}` };
+		} finally {
+			this.stateRestoreInProgress = false;
+		}
+
+		this.subscriptions.queueTreeBroadcast(this.lastTreeForceName || "player");
+		const pushFailures: number[] = [];
+		for (const instance of this.c.instances.values()) {
+			if (!instance.isDeleted && await this.pushGatewayConfigToInstance(instance.id)) {
+				pushFailures.push(instance.id);
+			}
+		}
+		this.logger.info(`State restored: ${this.platformStorage.size} stored export(s), ${this.auditIndex.size} audited transfer(s)`);
+		if (pushFailures.length > 0) {
+			return {
+				success: true,
+				manifest,
+				error: `Restored, but instance(s) ${pushFailures.join(", ")} are still running the previous gateway config`,
+			};
+		}
+		return { success: true, manifest };
+	}
+
+	private async writeRestoredState(files: Record<string, string>, targets: Map<string, StateFileTarget>) {
+		const payloadIds = new Set<string>();
+		const rank = (target: StateFileTarget) => (target.kind === "file" ? 2 : target.exportId === null ? 1 : 0);
+		const ordered = Array.from(targets).sort(([, a], [, b]) => rank(a) - rank(b));
+		for (const [name, target] of ordered) {
+			const content = files[name];
+			if (target.kind === "store") {
+				if (target.exportId !== null) {
+					payloadIds.add(target.exportId);
+				}
+				await this.exportStore.put(target.key, content);
+			} else {
+				await enqueueWrite(target.file, () => lib.safeOutputFile(target.file, content));
+			}
+		}
+		for (const [name, file] of this.stateFiles()) {
+			if (!targets.has(name)) {
+				await enqueueWrite(file, () => fs.rm(file, { force: true }));
+			}
+		}
+		if (!targets.has(this.storeFileName(EXPORT_STORE_INDEX_FILENAME))) {
+			await this.exportStore.delete(EXPORT_STORE_INDEX_FILENAME);
+		}
+		await pruneOrphanPayloads(this.exportStore, payloadIds);
+	}
+
+	private async reloadState() {
+		this.platformStorage.clear();
+		this.storageLoadError = null;
+		await this.loadStorage();
+		await this.txLogger.loadTransactionLogs();
+		await this.loadAuditIndex();
+		this.gatewayLinks.clear();
+		await this.loadGatewayConfig();
+		this.pendingTransfers.clear();
+		await this.loadPendingTransfers();
+		this.sourceCommitMarkers.clear();
+		await this.loadSourceCommitMarkers();
+		this.pendingDeliveries.clear();
+		await this.loadPendingDeliveries();
+		this.transferSchedules.clear();
+		await this.loadTransferSchedules();
+	}
+
+	private async salvageSource(target: messages.SalvageTarget) {
+		const fileSource = (file: string) => ({
+			location: file,
+			read: () => readStateFile(file),
+			replace: async (_original: string, salvaged: string, now: number) => {
+				const quarantined = quarantineName(file, now);
+				await enqueueWrite(file, async () => {
+					await fs.rename(file, quarantined);
+					await lib.safeOutputFile(file, salvaged);
+				});
+				return quarantined;
+			},
+		});
+		if (target === "transaction_logs") {
+			return fileSource(this.transactionLogPath);
+		}
+		if (this.exportStoreError) {
+			throw new Error(`the export storage backend is misconfigured (${this.exportStoreError})`);
+		}
+		if (await this.exportStore.stat(EXPORT_STORE_INDEX_FILENAME) === null && await readStateFile(this.storagePath) !== null) {
+			return fileSource(this.storagePath);
+		}
+		return {
+			location: this.exportStore.locate(EXPORT_STORE_INDEX_FILENAME),
+			read: () => this.exportStore.get(EXPORT_STORE_INDEX_FILENAME),
+			replace: async (original: string, salvaged: string, now: number) => {
+				const key = quarantineName(EXPORT_STORE_INDEX_FILENAME, now);
+				await this.exportStore.put(key, original);
+				await this.exportStore.put(EXPORT_STORE_INDEX_FILENAME, salvaged);
+				return this.exportStore.locate(key);
+			},
+		};
+	}
+
+	async salvageStateFile(target: messages.SalvageTarget, dryRun: boolean): Promise<messages.SalvageReport> {
+		const source = await this.salvageSource(target);
+		const content = await source.read();
+		if (content === null) {
+			throw new Error(`${source.location} does not exist, so there is nothing to salvage`);
+		}
+		const salvage = salvageJsonArray(content, target === "exports" ? "exportId" : "transferId");
+		const report: messages.SalvageReport = {
+			target,
+			location: source.location,
+			applied: false,
+			quarantinedAs: null,
+			recovered: salvage.entries.length,
+			dropped: salvage.dropped,
+			truncated: salvage.truncated,
+			lostBytes: salvage.lostBytes,
+			lostIds: salvage.lostIds,
+		};
+		if (dryRun || (salvage.dropped === 0 && !salvage.truncated)) {
+			return report;
+		}
+		report.quarantinedAs = await source.replace(content, JSON.stringify(salvage.entries, null, 2), Date.now());
+		report.applied = true;
+		this.logger.warn(
+			`Salvaged ${report.recovered} entr${report.recovered === 1 ? "y" : "ies"} from ${report.location}; `
+			+ `${report.dropped} damaged entr${report.dropped === 1 ? "y was" : "ies were"} dropped (${report.lostBytes} bytes`
+			+ `${report.lostIds.length > 0 ? `, ids ${report.lostIds.join(", ")}` : ""})${report.truncated ? ", the file was truncated" : ""}. `
+			+ `The original was kept as ${report.quarantinedAs}.`,
+		);
+		if (target === "exports") {
+			this.storageLoadError = null;
+			await this.loadStorage();
+			if (this.storageLoadError === null) {
+				await this.persistStorage();
+			}
+		} else {
+			await this.txLogger.loadTransactionLogs();
+		}
+		return report;
+	}
+
+	private async salvageOnBoot(target: messages.SalvageTarget) {
+		if (!this.cfg(`${PLUGIN_NAME}.salvage_corrupt_state_on_boot`)) {
+			return;
+		}
+		try {
+			const report = await this.salvageStateFile(target, false);
+			if (!report.applied) {
+				this.logger.warn(`salvage_corrupt_state_on_boot: ${report.location} parses cleanly, so its load failure is not something salvage can fix`);
+			}
+		} catch (err: unknown) {
+			this.logger.error(`salvage_corrupt_state_on_boot: ${target} could not be salvaged: ${getErrorMessage(err)}`);
+		}
+	}
+
+	async handleSalvageStateFileRequest(request: { target: messages.SalvageTarget; dryRun: boolean }) {
+		if (this.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		try {
+			return { success: true, report: await this.salvageStateFile(request.target, request.dryRun) };
+		} catch (err: unknown) {
+			this.logger.error(`Salvage of ${request.target} failed: ${getErrorMessage(err)}`);
+			return { success: false, error: `Salvage of ${request.target} failed: ${getErrorMessage(err)}` };
+		}
+	}
+
 	isInstanceOnline(instanceId: number): boolean {
 		const inst = this.c.instances.get(instanceId);
 		if (!inst || inst.isDeleted) {
@@ -10,9 +10,22 @@ export const EXPORT_POLL_INTERVAL_MS = 500;
 export const DEFAULT_VALIDATION_TIMEOUT_SECONDS = 30;
 export const MIN_VALIDATION_TIMEOUT_SECONDS = 5;
 export const MAX_VALIDATION_TIMEOUT_SECONDS = 120;
+export const TRANSFER_HANDSHAKE_DEADLINE_MS = 10 * 60 * 1000;
+export const TRANSFER_RECONCILE_INTERVAL_MS = 15_000;
+export const DEFAULT_MAX_CONCURRENT_TRANSFERS = 4;
+export const DEFAULT_MAX_INBOUND_TRANSFERS = 1;
+export const DEFAULT_MAIL_DROP_EXPIRY_HOURS = 72;
+export const DELIVERY_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+export const IN_FLIGHT_STATUSES = new Set(["transporting", "awaiting_validation", "awaiting_completion", "in_progress", "committing", "awaiting_group"]);
 export const STORAGE_FILENAME = "surface_export_storage.json";
+export const STORAGE_DIRNAME = "surface_export_exports";
+export const MAX_EXPORT_LABELS = 16;
+export const MAX_EXPORT_LABEL_LENGTH = 40;
+export const MAX_EXPORT_NOTE_LENGTH = 2000;
 export const GATEWAY_CONFIG_SINGLE_LIMIT = 7000;
 export const GATEWAY_CONFIG_CHUNK_SIZE = 40_000;
+export const DEFAULT_IMPORT_PLANET = "nauvis";
+export const RESTORE_IN_PROGRESS_ERROR = "A controller state restore is in progress; retry once it has finished";
 
 export function toAsciiJson(json: string): string {
 	return json.replace(/[\u007f-\uffff]/g,
@@ -27,6 +40,24 @@ export function simpleChecksum(ascii: string): string {
 	return hash.toString(16).padStart(8, "0");
 }
 
+export function normalizeExportLabels(labels: unknown[]): { labels: string[]; error: string | null } {
+	const normalized: string[] = [];
+	for (const raw of labels) {
+		const label = String(raw ?? "").trim();
+		if (!label || normalized.includes(label)) {
+			continue;
+		}
+		if (label.length > MAX_EXPORT_LABEL_LENGTH) {
+			return { labels: [], error: `Label "${label.slice(0, 20)}…" is longer than ${MAX_EXPORT_LABEL_LENGTH} characters` };
+		}
+		normalized.push(label);
+	}
+	if (normalized.length > MAX_EXPORT_LABELS) {
+		return { labels: [], error: `An export can carry at most ${MAX_EXPORT_LABELS} labels (got ${normalized.length})` };
+	}
+	return { labels: normalized, error: null };
+}
+
 export function bracketWrap(text: string): string {
 	for (let level = 1; level < 10; level++) {
 		const eq = "=".repeat(level);
@@ -17,6 +17,75 @@ lib.definePermission({
 	description: "Allows pushing a stored Surface Export snapshot onto a target instance.",
 });
 
+lib.definePermission({
+	name: PERMISSIONS.MANAGE_EXPORTS,
+	title: "Manage Surface Exports",
+	description: "Allows pinning, labelling and annotating stored Surface Export snapshots. Pinned snapshots are never evicted by the storage cap.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.IMPORT_UNSIGNED,
+	title: "Import Unsigned Surface Exports",
+	description: "Allows uploading a Surface Export file under a weaker signature policy than the controller's, "
+		+ "so unsigned or edited files can be imported. Grant only to admins: an edited file can carry any items.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.IMPORT_BLUEPRINTS,
+	title: "Import Surface Export Blueprints",
+	description: "Allows creating a platform from a Factorio blueprint string. The controller builds every entity "
+		+ "and tile in the blueprint without consuming any items, so grant only to admins.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.PRIORITY_TRANSFERS,
+	title: "Prioritise Surface Export Transfers",
+	description: "Allows starting a transfer at admin priority, which is dispatched from the transfer queue "
+		+ "ahead of every waiting player-priority transfer.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.CANCEL_TRANSFERS,
+	title: "Cancel Surface Export Transfers",
+	description: "Allows cancelling a transfer that has not committed yet: a queued or not-yet-imported transfer "
+		+ "is abandoned and its source unlocked, a staged import is discarded on the destination first.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.COPY_PLATFORMS,
+	title: "Copy Surface Export Platforms",
+	description: "Allows copying a platform to another instance: the destination gets a copy and the source is "
+		+ "unlocked and kept. Every copy duplicates the platform's items, so grant only to admins.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.SCHEDULE_TRANSFERS,
+	title: "Schedule Surface Export Transfers",
+	description: "Allows creating, changing and deleting scheduled transfers. The controller starts each "
+		+ "scheduled run itself, at the scheduled time, whoever is connected.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.BACKUP_STATE,
+	title: "Back Up Surface Export State",
+	description: "Allows downloading a backup of all controller-side Surface Export state: stored snapshots, "
+		+ "transaction logs, the audit ledger, gateway links and pending transfer records.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.RESTORE_STATE,
+	title: "Restore Surface Export State",
+	description: "Allows replacing all controller-side Surface Export state with a backup. Refused while any "
+		+ "transfer is in flight; everything stored since the backup was taken is lost.",
+});
+
+lib.definePermission({
+	name: PERMISSIONS.SALVAGE_STATE,
+	title: "Salvage Surface Export State",
+	description: "Allows rebuilding a corrupted stored-export index or transaction log file from its intact "
+		+ "entries. The original is kept aside; entries that could not be parsed are dropped.",
+});
+
 lib.definePermission({
 	name: PERMISSIONS.UI_VIEW,
 	title: "View Surface Export UI",
@@ -55,6 +124,28 @@ export const plugin = {
 			type: "number",
 			initialValue: 10,
 		},
+		[`${PLUGIN_NAME}.controller_storage_quota_megabytes`]: {
+			description:
+				"Controller storage quota (MB) for exports taken from this instance. When the payloads the " +
+				"controller keeps for this instance exceed the quota, its oldest unpinned exports are " +
+				"evicted first, so one busy instance cannot push every other instance's exports out of " +
+				"the shared store. 0 (the default) means no per-instance quota; the controller-wide caps " +
+				"still apply. Pinned exports are never evicted and still count toward the quota.",
+			type: "number",
+			initialValue: 0,
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.max_inbound_transfers`]: {
+			description:
+				"How many transfers may be landing on this instance at once. Transfers started from the web UI " +
+				"or \"surface-export start-transfer\" beyond this wait in the controller's transfer queue " +
+				"(nothing is locked or exported while they wait) and start in priority, then FIFO, order as " +
+				"earlier ones finish. In-game transfers and uploads are not queued but do occupy a slot. " +
+				"0 means no per-instance limit; the controller-wide max_concurrent_transfers still applies.",
+			type: "number",
+			initialValue: 1,
+			optional: true,
+		},
 		[`${PLUGIN_NAME}.batch_size`]: {
 			description: "Number of entities to process per tick during async operations",
 			type: "number",
@@ -100,8 +191,10 @@ export const plugin = {
 		[`${PLUGIN_NAME}.max_storage_size`]: {
 			title: "Stored export payloads to keep",
 			description: "How many platform export payloads the controller keeps on disk. Once the cap is "
-				+ "reached, the OLDEST export is discarded to make room — nothing is lost from a transfer "
-				+ "in progress, because a transfer reads its payload long before it could be evicted. "
+				+ "reached, the OLDEST unpinned export is discarded to make room (pinned exports are never "
+				+ "evicted and still count toward the cap; exports referenced by an in-flight transfer go "
+				+ "last) — nothing is lost from a transfer in progress, because a transfer reads its "
+				+ "payload long before it could be evicted. "
 				+ "What eviction does end is the ability to DOWNLOAD that export again: the Transaction "
 				+ "Logs tab keeps showing the transfer, but its download button goes away once the payload "
 				+ "is gone. Raise this if you want players to be able to send you the payload from older "
@@ -110,6 +203,105 @@ export const plugin = {
 			type: "number",
 			initialValue: 20,
 		},
+		[`${PLUGIN_NAME}.max_storage_megabytes`]: {
+			title: "Stored export byte budget (MB)",
+			description: "Total size the controller's stored export payloads may take on disk, in MB. "
+				+ "Enforced alongside \"Stored export payloads to keep\" and each instance's "
+				+ "controller_storage_quota_megabytes: whichever limit is exceeded, eviction removes "
+				+ "unpinned exports first, then exports not referenced by an in-flight transfer, oldest "
+				+ "first. 0 (the default) disables the byte budget. Run \"surface-export storage-report\" "
+				+ "to see what a given budget would evict before changing it.",
+			type: "number",
+			initialValue: 0,
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.storage_backend`]: {
+			title: "Export storage backend",
+			description: "Where the controller keeps stored export payloads and their index. \"filesystem\" (the "
+				+ "default) writes them under the controller's database directory; \"s3\" keeps them in an "
+				+ "S3-compatible bucket (AWS S3, MinIO, ...) configured by the s3_* settings below. The rest of "
+				+ "the plugin state stays in the database directory either way. Read at startup, so the "
+				+ "controller must be restarted to pick up a change; existing exports are NOT copied across. "
+				+ "A misconfigured backend disables export persistence until it is fixed.",
+			type: "string",
+			initialValue: "filesystem",
+		},
+		[`${PLUGIN_NAME}.s3_endpoint`]: {
+			title: "S3 endpoint",
+			description: "Base URL of the S3-compatible service, e.g. \"https://s3.eu-west-1.amazonaws.com\" or "
+				+ "\"http://minio:9000\". Buckets are addressed path-style. Only used when the storage backend is \"s3\".",
+			type: "string",
+			initialValue: "",
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.s3_region`]: {
+			title: "S3 region",
+			description: "Region requests are signed for. MinIO and most other stand-ins accept the default.",
+			type: "string",
+			initialValue: "us-east-1",
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.s3_bucket`]: {
+			title: "S3 bucket",
+			description: "Bucket stored exports are written to. It must already exist.",
+			type: "string",
+			initialValue: "",
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.s3_prefix`]: {
+			title: "S3 key prefix",
+			description: "Prefix put in front of every object key, e.g. \"surface_export_exports/\", so several "
+				+ "controllers can share one bucket. Empty stores objects at the bucket root.",
+			type: "string",
+			initialValue: "",
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.s3_access_key_id`]: {
+			title: "S3 access key ID",
+			description: "Access key the controller signs S3 requests with.",
+			type: "string",
+			initialValue: "",
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.s3_secret_access_key`]: {
+			title: "S3 secret access key",
+			description: "Secret for the S3 access key ID.",
+			type: "string",
+			initialValue: "",
+			optional: true,
+			credential: true,
+		},
+		[`${PLUGIN_NAME}.salvage_corrupt_state_on_boot`]: {
+			title: "Salvage corrupt state on boot",
+			description: "When the stored-export index or the transaction log file fails to parse at startup, rebuild "
+				+ "it from every entry that is still intact instead of disabling its persistence for the session. "
+				+ "The damaged original is kept beside it as <file>.corrupt-<timestamp> and the controller log "
+				+ "lists what was dropped. Off by default; \"clusterioctl surface-export salvage\" does the same "
+				+ "on demand, with a dry run.",
+			type: "boolean",
+			initialValue: false,
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.export_signing_key`]: {
+			title: "Export signing key",
+			description: "Secret the controller signs downloaded exports with (HMAC-SHA256). Uploads are checked "
+				+ "against it, so a file edited after download no longer verifies. Left empty, a random key is "
+				+ "generated on the next start. Changing it invalidates every file downloaded before the change.",
+			type: "string",
+			initialValue: "",
+			optional: true,
+			credential: true,
+		},
+		[`${PLUGIN_NAME}.upload_signature_policy`]: {
+			title: "Upload signature policy",
+			description: "What the controller does with an uploaded export that is unsigned or fails its signature. "
+				+ "\"refuse\" (the default) imports only files downloaded from this controller and left "
+				+ "unedited; \"warn\" imports anything but records a warning in the transaction log; \"allow\" "
+				+ "imports anything. A user with the import_unsigned permission can pick a weaker policy for a "
+				+ "single upload. Unrecognised values fall back to \"refuse\" and are logged.",
+			type: "string",
+			initialValue: messages.DEFAULT_UPLOAD_SIGNATURE_POLICY,
+		},
 		[`${PLUGIN_NAME}.transaction_log_detail_entries`]: {
 			title: "Transfers keeping full detail",
 			description: "How many transfers keep their EXPENSIVE detail — the event timeline, phase "
@@ -123,6 +315,64 @@ export const plugin = {
 			type: "number",
 			initialValue: 100,
 		},
+		[`${PLUGIN_NAME}.max_concurrent_transfers`]: {
+			title: "Concurrent transfers (cluster-wide)",
+			description: "How many transfers may be in flight across the whole cluster at once. Transfers started "
+				+ "beyond this (or beyond the destination's max_inbound_transfers) wait in the transfer queue: "
+				+ "admin-priority ones first, then in the order they were requested. A destination that is full "
+				+ "does not hold up queued transfers bound elsewhere. Queued transfers show in the Transaction "
+				+ "Logs tab and \"surface-export list-transfers\" with their queue position; the queue is not "
+				+ "persisted, so transfers still waiting when the controller stops are dropped. 0 means no "
+				+ "cluster-wide limit. Applies immediately, no restart needed.",
+			type: "number",
+			initialValue: 4,
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.mail_drop_source_policy`]: {
+			title: "Mail drop source policy",
+			description: "What happens to the source platform when a transfer is posted as a deferred \"mail drop\" "
+				+ "to a destination that may be offline. \"despawn\" (the default) removes it from the source once "
+				+ "the controller has written the export to storage, so the controller holds the only copy until "
+				+ "it lands; a delivery that expires is returned to the source instance. \"unlock\" leaves the "
+				+ "source platform in play and delivers a copy of it as it was exported; an expired delivery is "
+				+ "simply dropped. Unrecognised values fall back to \"despawn\" and are logged.",
+			type: "string",
+			initialValue: messages.DEFAULT_MAIL_DROP_SOURCE_POLICY,
+		},
+		[`${PLUGIN_NAME}.mail_drop_expiry_hours`]: {
+			title: "Mail drop expiry (hours)",
+			description: "How long a deferred delivery waits for its destination to come online and accept it. "
+				+ "Past it, a despawned platform is sent back to its source instance instead (returns never "
+				+ "expire) and an unlocked one is dropped. Exports held for a delivery are never evicted from "
+				+ "controller storage. 0 means deliveries never expire. Applies to deliveries posted after the change.",
+			type: "number",
+			initialValue: 72,
+			optional: true,
+		},
+		[`${PLUGIN_NAME}.mod_mismatch_policy`]: {
+			title: "Mod mismatch policy",
+			description: "What the controller does when the mods or mod versions recorded in an export differ "
+				+ "from those active on the destination, checked just before the platform is sent. \"warn\" (the "
+				+ "default) sends it anyway and records the differences in the transaction log; \"refuse\" fails "
+				+ "the transfer and unlocks the source (a mail drop retries later), also when the destination "
+				+ "cannot report its mods; \"ignore\" skips the check. "
+				+ "Exports made before mods were recorded are never checked. Unrecognised values fall back to "
+				+ "\"warn\" and are logged.",
+			type: "string",
+			initialValue: messages.DEFAULT_MOD_MISMATCH_POLICY,
+		},
+		[`${PLUGIN_NAME}.fidelity_check`]: {
+			title: "Deep fidelity check",
+			description: "After a transfer completes, re-export the destination platform and compare it with the "
+				+ "source payload entity by entity: missing or extra entities, recipes, rotation, filters, control "
+				+ "behaviour and circuit wires. Item and fluid totals are already checked by validation, and "
+				+ "runtime state such as entity ids, contents and progress is ignored. Mismatches are recorded in "
+				+ "the transaction log (Fidelity tab) and never undo the transfer. The re-export briefly freezes "
+				+ "the destination platform. Off by default.",
+			type: "boolean",
+			initialValue: false,
+			optional: true,
+		},
 		[`${PLUGIN_NAME}.transfer_validation_timeout_seconds`]: {
 			title: "Transfer validation timeout (seconds)",
 			description: "How long the controller waits for the destination to validate a transfer. "
@@ -145,16 +395,39 @@ export const plugin = {
 		messages.ImportPlatformFromFileRequest,
 		messages.ListExportsRequest,
 		messages.GetStoredExportRequest,
+		messages.DiffExportsRequest,
+		messages.ExportBlueprintRequest,
+		messages.UpdateStoredExportRequest,
+		messages.PreviewStorageEvictionRequest,
+		messages.BackupControllerStateRequest,
+		messages.RestoreControllerStateRequest,
+		messages.SalvageStateFileRequest,
 		messages.ImportUploadedExportRequest,
+		messages.ImportBlueprintRequest,
 		messages.ExportPlatformForDownloadRequest,
 		messages.TransferPlatformRequest,
 		messages.StartPlatformTransferRequest,
+		messages.PreflightTransferRequest,
+		messages.StartGroupTransferRequest,
+		messages.StartPlatformSwapRequest,
+		messages.ListTransferSchedulesRequest,
+		messages.CreateTransferScheduleRequest,
+		messages.UpdateTransferScheduleRequest,
+		messages.DeleteTransferScheduleRequest,
+		messages.ReverseTransferRequest,
+		messages.CancelTransferRequest,
 		messages.InstanceListPlatformsRequest,
 		messages.TransferValidationEvent,
 		messages.ImportOperationCompleteEvent,
 		messages.DeleteSourcePlatformRequest,
 		messages.UnlockSourcePlatformRequest,
 		messages.GetSourceTransferLockStateRequest,
+		messages.CommitSourceTransferRequest,
+		messages.DestinationHoldRequest,
+		messages.GetPrototypeCensusRequest,
+		messages.GetPlatformCensusRequest,
+		messages.DescribeEntityPrototypesRequest,
+		messages.GetActiveModsRequest,
 		messages.TransferStatusUpdate,
 		messages.GetPlatformTreeRequest,
 		messages.ListTransactionLogsRequest,
@@ -66,6 +66,12 @@ export class InstancePlugin extends BaseInstancePlugin {
 		this.i.handle(messages.DeleteSourcePlatformRequest, this.handleDeleteSourcePlatform.bind(this));
 		this.i.handle(messages.UnlockSourcePlatformRequest as never, this.handleUnlockSourcePlatform.bind(this) as never);
 		this.i.handle(messages.GetSourceTransferLockStateRequest, this.handleGetSourceTransferLockState.bind(this));
+		this.i.handle(messages.CommitSourceTransferRequest, this.handleCommitSourceTransfer.bind(this));
+		this.i.handle(messages.DestinationHoldRequest, this.handleDestinationHold.bind(this));
+		this.i.handle(messages.GetPrototypeCensusRequest, this.handleGetPrototypeCensus.bind(this));
+		this.i.handle(messages.GetPlatformCensusRequest, this.handleGetPlatformCensus.bind(this));
+		this.i.handle(messages.DescribeEntityPrototypesRequest, this.handleDescribeEntityPrototypes.bind(this));
+		this.i.handle(messages.GetActiveModsRequest, this.handleGetActiveMods.bind(this));
 		this.link.handle(messages.TransferStatusUpdate, this.handleTransferStatusUpdate.bind(this));
 		this.link.handle(messages.InstanceListPlatformsRequest, this.handleInstanceListPlatformsRequest.bind(this));
 		this.link.handle(messages.PushGatewayConfigRequest, this.handlePushGatewayConfig.bind(this));
@@ -771,6 +777,119 @@ export class InstancePlugin extends BaseInstancePlugin {
 			return { state: "unknown/offline", transferId: request.transferId, error: getErrorMessage(err) };
 		}
 	}
+
+	async handleCommitSourceTransfer(request: { transferId: string; platformIndex: number; platformName: string; forceName?: string }) {
+		const platformIndex = coercePlatformIndex(request.platformIndex);
+		if (platformIndex === null) {
+			const error = `invalid platformIndex: ${String(request.platformIndex)}`;
+			this.logger.error(`Refusing source COMMIT — ${error}`);
+			return { success: false, error };
+		}
+		try {
+			const result = (await this.lua.commitSourceTransferLock(platformIndex, request.transferId)).trim();
+			if (result === "SUCCESS") {
+				this.logger.info(`Source platform index ${platformIndex} ('${request.platformName}') committed to transfer ${request.transferId}`);
+				return { success: true };
+			}
+			const error = result.replace("ERROR:", "");
+			this.logger.warn(`Source COMMIT refused for transfer ${request.transferId}: ${error}`);
+			return { success: false, error };
+		} catch (err: unknown) {
+			const errMsg = getErrorMessage(err);
+			this.logger.error(`Error committing source lock: ${errMsg}`);
+			return { success: false, error: errMsg };
+		}
+	}
+
+	async handleDestinationHold(request: { action: messages.DestinationHoldAction; transferId: string }) {
+		try {
+			const result = JSON.parse(this.normalizeRconScalarResult(
+				await this.lua.destinationHold(request.action, request.transferId),
+			)) as { success?: boolean; error?: string } | null;
+			if (result?.success) {
+				this.logger.info(`Destination hold ${request.action} done for transfer ${request.transferId}`);
+				return { success: true };
+			}
+			const error = result?.error || "destination_hold returned no result";
+			const noHold = error.startsWith("No destination hold");
+			if (!noHold) {
+				this.logger.warn(`Destination hold ${request.action} failed for transfer ${request.transferId}: ${error}`);
+			}
+			return { success: false, error, noHold };
+		} catch (err: unknown) {
+			const errMsg = getErrorMessage(err);
+			this.logger.error(`Error running destination hold ${request.action}: ${errMsg}`);
+			return { success: false, error: errMsg };
+		}
+	}
+	async handleGetPrototypeCensus() {
+		try {
+			const result = JSON.parse(this.normalizeRconScalarResult(
+				await this.lua.getPrototypeCensus(),
+			)) as { success?: boolean; error?: string; census?: messages.PrototypeCensus } | null;
+			if (!result?.success || !result.census) {
+				return { success: false, error: result?.error || "get_prototype_census returned no result" };
+			}
+			return { success: true, census: result.census };
+		} catch (err: unknown) {
+			const errMsg = getErrorMessage(err);
+			this.logger.error(`Error reading prototype census: ${errMsg}`);
+			return { success: false, error: errMsg };
+		}
+	}
+
+	async handleGetPlatformCensus(request: { platformIndex: number; forceName?: string }) {
+		const platformIndex = coercePlatformIndex(request.platformIndex);
+		if (platformIndex === null) {
+			return { success: false, error: `invalid platformIndex: ${String(request.platformIndex)}` };
+		}
+		try {
+			const result = JSON.parse(this.normalizeRconScalarResult(
+				await this.lua.getPlatformCensus(platformIndex, String(request.forceName || "player")),
+			)) as { success?: boolean; error?: string; census?: messages.PlatformCensus } | null;
+			if (!result?.success || !result.census) {
+				return { success: false, error: result?.error || "get_platform_census returned no result" };
+			}
+			return { success: true, census: result.census };
+		} catch (err: unknown) {
+			const errMsg = getErrorMessage(err);
+			this.logger.error(`Error reading census of platform #${platformIndex}: ${errMsg}`);
+			return { success: false, error: errMsg };
+		}
+	}
+
+	async handleDescribeEntityPrototypes(request: { names: string[] }) {
+		try {
+			const result = JSON.parse(this.normalizeRconScalarResult(
+				await this.lua.describeEntityPrototypes(request.names),
+			)) as { success?: boolean; error?: string; prototypes?: Record<string, messages.EntityPrototypeInfo> | unknown[] } | null;
+			if (!result?.success) {
+				return { success: false, error: result?.error || "describe_entity_prototypes returned no result" };
+			}
+			return { success: true, prototypes: Array.isArray(result.prototypes) ? {} : result.prototypes ?? {} };
+		} catch (err: unknown) {
+			const errMsg = getErrorMessage(err);
+			this.logger.error(`Error describing ${request.names.length} entity prototype(s): ${errMsg}`);
+			return { success: false, error: errMsg };
+		}
+	}
+
+	async handleGetActiveMods() {
+		try {
+			const result = JSON.parse(this.normalizeRconScalarResult(
+				await this.lua.getActiveMods(),
+			)) as { success?: boolean; error?: string; modSet?: messages.ExportModSet } | null;
+			if (!result?.success || !result.modSet) {
+				return { success: false, error: result?.error || "get_active_mods returned no result" };
+			}
+			return { success: true, modSet: result.modSet };
+		} catch (err: unknown) {
+			const errMsg = getErrorMessage(err);
+			this.logger.error(`Error reading active mods: ${errMsg}`);
+			return { success: false, error: errMsg };
+		}
+	}
+
 	async handleTransferStatusUpdate(request: { message: string; color?: string }) {
 		this.logger.info(`Transfer status: ${request.message}`);
 
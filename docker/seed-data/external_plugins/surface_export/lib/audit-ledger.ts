@@ -1,6 +1,6 @@
 import fs from "fs/promises";
 import { enqueueWrite } from "./persist-queue";
-import type { AuditRow, AuditRowKind } from "../shared/dto";
+import type { AuditRow, AuditRowKind, GroupTransferPolicy } from "../shared/dto";
 
 export type { AuditRow, AuditRowKind } from "../shared/dto";
 
@@ -35,6 +35,15 @@ type RowInput = {
 		completedAt?: number | null;
 		failedAt?: number | null;
 		error?: string | null;
+		groupId?: string | null;
+		groupPolicy?: GroupTransferPolicy | null;
+		groupChildren?: string[] | null;
+		destinationPlatformIndex?: number | null;
+		destinationSurfaceIndex?: number | null;
+		reverseOf?: string | null;
+		reversedBy?: string | null;
+		scheduleId?: string | null;
+		forceName?: string | null;
 	};
 };
 
@@ -67,6 +76,29 @@ export function buildAuditRow(input: RowInput): AuditRow {
 	if (truncated) {
 		row.errorTruncated = true;
 	}
+	if (info.groupId) {
+		row.groupId = info.groupId;
+	}
+	if (info.groupChildren) {
+		row.groupPolicy = info.groupPolicy ?? undefined;
+		row.groupChildren = [...info.groupChildren];
+	}
+	if (Number.isInteger(info.destinationPlatformIndex) && Number.isInteger(info.destinationSurfaceIndex)) {
+		row.destinationPlatformIndex = info.destinationPlatformIndex as number;
+		row.destinationSurfaceIndex = info.destinationSurfaceIndex as number;
+	}
+	if (info.reverseOf) {
+		row.reverseOf = info.reverseOf;
+	}
+	if (info.reversedBy) {
+		row.reversedBy = info.reversedBy;
+	}
+	if (info.scheduleId) {
+		row.scheduleId = info.scheduleId;
+	}
+	if (info.forceName) {
+		row.forceName = info.forceName;
+	}
 	return row;
 }
 
@@ -201,7 +233,7 @@ export function foldAuditRows(rows: AuditRow[]): Map<string, AuditRow> {
 			folded.set(row.transferId, row);
 			continue;
 		}
-		if (existing.rowKind === "terminal" && row.rowKind === "start") {
+		if (existing.rowKind === "terminal" && row.rowKind !== "terminal") {
 			continue;
 		}
 		folded.set(row.transferId, row);
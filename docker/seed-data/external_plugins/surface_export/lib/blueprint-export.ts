@@ -0,0 +1,261 @@
+import { deflateSync } from "zlib";
+import type { BlueprintReport } from "../messages";
+
+type Payload = Record<string, unknown>;
+type Json = Record<string, unknown>;
+
+const NOT_BLUEPRINTABLE_TYPES = new Set([
+	"space-platform-hub",
+	"character",
+	"character-corpse",
+	"corpse",
+	"item-entity",
+	"item-request-proxy",
+	"entity-ghost",
+	"tile-ghost",
+	"asteroid",
+	"cargo-pod",
+	"resource",
+]);
+
+const NORMAL_QUALITY = "normal";
+
+function isRecord(value: unknown): value is Json {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function listOf(value: unknown): unknown[] {
+	if (Array.isArray(value)) {
+		return value;
+	}
+	return isRecord(value) ? Object.values(value) : [];
+}
+
+function compact(value: Json): Json {
+	return Object.fromEntries(Object.entries(value).filter(([, field]) => field !== undefined && field !== null));
+}
+
+export function encodeBlueprintVersion(factorioVersion: unknown): number {
+	const parts = typeof factorioVersion === "string" ? factorioVersion.split(".").map(Number) : [];
+	const [major = 2, minor = 0, patch = 0, build = 0] = parts.map(part => (Number.isInteger(part) && part >= 0 ? part : 0));
+	return ((major * 65536 + minor) * 65536 + patch) * 65536 + build;
+}
+
+export function encodeBlueprintString(blueprint: Json): string {
+	return `0${deflateSync(Buffer.from(JSON.stringify(blueprint), "utf8"), { level: 9 }).toString("base64")}`;
+}
+
+function qualityOf(value: unknown): string | undefined {
+	return typeof value === "string" && value !== NORMAL_QUALITY ? value : undefined;
+}
+
+function convertFilters(entity: Json, specific: Json): Json {
+	const filters = listOf(entity.entity_filters).filter(isRecord).map(filter => compact({
+		index: filter.index,
+		name: filter.name,
+		quality: qualityOf(filter.quality),
+		comparator: filter.comparator,
+	}));
+	if (filters.length === 0) {
+		return {};
+	}
+	const mode = specific.filter_mode ?? specific.loader_filter_mode;
+	return compact({
+		filters,
+		use_filters: specific.use_filters === false ? undefined : true,
+		filter_mode: mode === "blacklist" ? "blacklist" : undefined,
+	});
+}
+
+function convertRequestFilters(entity: Json): Json | undefined {
+	const point = listOf(entity.logistic_sections).find(isRecord);
+	const sections = listOf(point?.sections).filter(isRecord).map((section, index) => compact({
+		index: index + 1,
+		group: section.group,
+		multiplier: section.multiplier === 1 ? undefined : section.multiplier,
+		active: section.active === false ? false : undefined,
+		filters: listOf(section.filters).filter(isRecord).map(filter => {
+			const value = isRecord(filter.value) ? filter.value : {};
+			return compact({
+				index: filter.index,
+				type: value.type === "item" ? undefined : value.type,
+				name: value.name,
+				quality: qualityOf(value.quality),
+				comparator: value.comparator,
+				count: filter.min,
+				max_count: filter.max,
+			});
+		}),
+	}));
+	return sections.length > 0 ? { sections } : undefined;
+}
+
+function convertControlBehavior(entity: Json): Json {
+	const behavior = isRecord(entity.control_behavior) ? entity.control_behavior : {};
+	const { constant_sections: constantSections, parameters, ...rest } = behavior;
+	const result: Json = {};
+	const converted: Json = compact(rest);
+	if (Object.keys(converted).length > 0) {
+		result.control_behavior = converted;
+	}
+	if (Array.isArray(constantSections) && constantSections.length > 0) {
+		result.control_behavior = {
+			...converted,
+			sections: {
+				sections: constantSections.filter(isRecord).map((section, index) => compact({
+					index: index + 1,
+					group: section.group,
+					filters: listOf(section.filters).filter(isRecord).map(filter => {
+						const value = isRecord(filter.value) ? filter.value : {};
+						return compact({
+							index: filter.index,
+							type: value.type === "item" ? undefined : value.type,
+							name: value.name,
+							quality: qualityOf(filter.quality),
+							comparator: "=",
+							count: filter.min,
+						});
+					}),
+				})),
+			},
+		};
+	}
+	if (isRecord(parameters)) {
+		if (entity.type === "arithmetic-combinator") {
+			result.control_behavior = { ...converted, arithmetic_conditions: parameters };
+		} else if (entity.type === "decider-combinator") {
+			result.control_behavior = { ...converted, decider_conditions: parameters };
+		}
+	}
+	return result;
+}
+
+function convertEntity(entity: Json, entityNumber: number): Json {
+	const specific = isRecord(entity.specific_data) ? entity.specific_data : {};
+	const position = entity.position as { x: number; y: number };
+	const splitterFilter = isRecord(specific.filter) ? compact({ name: specific.filter.name, quality: qualityOf(specific.filter.quality) }) : undefined;
+	return compact({
+		entity_number: entityNumber,
+		name: entity.name,
+		position: { x: position.x, y: position.y },
+		direction: typeof entity.direction === "number" && entity.direction !== 0 ? entity.direction : undefined,
+		orientation: typeof entity.orientation === "number" && entity.orientation !== 0 ? entity.orientation : undefined,
+		quality: qualityOf(entity.quality),
+		mirror: entity.mirror === true ? true : undefined,
+		recipe: typeof specific.recipe === "string" ? specific.recipe : undefined,
+		recipe_quality: qualityOf(specific.recipe_quality),
+		...convertFilters(entity, specific),
+		filter: splitterFilter,
+		input_priority: specific.input_priority,
+		output_priority: specific.output_priority,
+		override_stack_size: specific.stack_size_override,
+		spoil_priority: specific.spoil_priority,
+		bar: specific.bar,
+		request_filters: convertRequestFilters(entity),
+		...convertControlBehavior(entity),
+		station: typeof entity.backer_name === "string" ? entity.backer_name : undefined,
+		tags: isRecord(entity.tags) && Object.keys(entity.tags).length > 0 ? entity.tags : undefined,
+	});
+}
+
+function positionId(position: { x: number; y: number }): string {
+	return `pos_${position.x.toFixed(2)}_${position.y.toFixed(2)}`;
+}
+
+function isPlaceable(entity: unknown): entity is Json & { name: string; position: { x: number; y: number } } {
+	return isRecord(entity) && typeof entity.name === "string" && isRecord(entity.position)
+		&& typeof entity.position.x === "number" && typeof entity.position.y === "number";
+}
+
+function sumCounts(payload: Payload, key: "item_counts" | "fluid_counts"): { total: number; kinds: number } {
+	const verification = isRecord(payload.verification) ? payload.verification : {};
+	const counts = Object.values(isRecord(verification[key]) ? verification[key] : {})
+		.filter((value): value is number => typeof value === "number" && Number.isFinite(value) && value > 0);
+	return { total: counts.reduce((sum, value) => sum + value, 0), kinds: counts.length };
+}
+
+export function buildBlueprint(payload: Payload): { blueprint: string; report: BlueprintReport } {
+	const platform = isRecord(payload.platform) ? payload.platform : {};
+	const entities: Json[] = [];
+	const skipped = new Map<string, number>();
+	const numberById = new Map<string, number>();
+	const numberByPosition = new Map<string, number>();
+	const sources: Array<[number, Json]> = [];
+
+	for (const entity of listOf(payload.entities)) {
+		if (!isPlaceable(entity)) {
+			continue;
+		}
+		if (typeof entity.type === "string" && NOT_BLUEPRINTABLE_TYPES.has(entity.type)) {
+			skipped.set(entity.name, (skipped.get(entity.name) ?? 0) + 1);
+			continue;
+		}
+		const entityNumber = entities.length + 1;
+		entities.push(convertEntity(entity, entityNumber));
+		sources.push([entityNumber, entity]);
+		if (entity.entity_id !== undefined && entity.entity_id !== null) {
+			numberById.set(String(entity.entity_id), entityNumber);
+		}
+		numberByPosition.set(positionId(entity.position), entityNumber);
+	}
+
+	const wires: Array<[number, number, number, number]> = [];
+	const seenWires = new Set<string>();
+	let danglingWires = 0;
+	for (const [entityNumber, entity] of sources) {
+		for (const connection of listOf(entity.circuit_connections).filter(isRecord)) {
+			const targetId = String(connection.target_entity_id);
+			const target = numberById.get(targetId) ?? numberByPosition.get(targetId);
+			const source = Number(connection.source_circuit_id);
+			const targetConnector = Number(connection.target_circuit_id);
+			if (target === undefined || !Number.isInteger(source) || !Number.isInteger(targetConnector)) {
+				danglingWires += 1;
+				continue;
+			}
+			const ends = [`${entityNumber}:${source}`, `${target}:${targetConnector}`].sort().join("|");
+			if (!seenWires.has(ends)) {
+				seenWires.add(ends);
+				wires.push([entityNumber, source, target, targetConnector]);
+			}
+		}
+	}
+
+	const tiles = listOf(payload.tiles).filter(isPlaceable).map(tile => ({ name: tile.name, position: { x: tile.position.x, y: tile.position.y } }));
+
+	const blueprint = compact({
+		item: "blueprint",
+		label: typeof platform.name === "string" ? platform.name : undefined,
+		icons: [{ index: 1, signal: { type: "item", name: tiles.length > 0 ? "space-platform-foundation" : "blueprint" } }],
+		entities: entities.length > 0 ? entities : undefined,
+		tiles: tiles.length > 0 ? tiles : undefined,
+		wires: wires.length > 0 ? wires : undefined,
+		version: encodeBlueprintVersion(payload.factorio_version),
+	});
+
+	const unsupported: string[] = [];
+	const items = sumCounts(payload, "item_counts");
+	if (items.total > 0) {
+		unsupported.push(`Item contents: ${items.total} item(s) of ${items.kinds} kind(s) in inventories, on belts and in hands`);
+	}
+	const fluids = sumCounts(payload, "fluid_counts");
+	if (fluids.total > 0) {
+		unsupported.push(`Fluids: ${Number(fluids.total.toFixed(1))} unit(s) of ${fluids.kinds} kind(s)`);
+	}
+	const schedule = isRecord(platform.schedule) ? platform.schedule : {};
+	const stops = listOf(schedule.records).length;
+	const interrupts = listOf(schedule.interrupts).length;
+	if (stops > 0 || interrupts > 0) {
+		unsupported.push(`Platform schedule: ${stops} stop(s) and ${interrupts} interrupt(s)`);
+	}
+	if (skipped.size > 0) {
+		unsupported.push(`Entities that cannot be blueprinted: ${[...skipped].map(([name, count]) => `${name} ×${count}`).join(", ")}`);
+	}
+	if (danglingWires > 0) {
+		unsupported.push(`Wires to entities outside the blueprint: ${danglingWires}`);
+	}
+
+	return {
+		blueprint: encodeBlueprintString({ blueprint }),
+		report: { entities: entities.length, tiles: tiles.length, wires: wires.length, unsupported },
+	};
+}
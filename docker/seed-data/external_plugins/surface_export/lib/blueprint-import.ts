@@ -0,0 +1,337 @@
+import { deflateSync, inflateSync } from "zlib";
+import { comparePreflightCensus } from "./preflight";
+import { PAYLOAD_SCHEMA_VERSION } from "./schema-migrations";
+import type { EntityPrototypeInfo, ExportData, ExportStats, ExportVerification, PlatformCensus, PreflightReport, PrototypeCensus } from "../messages";
+
+type Json = Record<string, unknown>;
+
+export interface BlueprintEntity {
+	entityNumber: number;
+	name: string;
+	position: { x: number; y: number };
+	direction: number;
+	raw: Json;
+}
+
+export interface DecodedBlueprint {
+	label: string | null;
+	version: string | null;
+	entities: BlueprintEntity[];
+	tiles: Array<{ name: string; position: { x: number; y: number } }>;
+	wires: Array<[number, number, number, number]>;
+}
+
+const NORMAL_QUALITY = "normal";
+const LOADER_TYPES = new Set(["loader", "loader-1x1"]);
+const EDGE_EPSILON = 1e-3;
+
+function isRecord(value: unknown): value is Json {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function listOf(value: unknown): unknown[] {
+	return Array.isArray(value) ? value : [];
+}
+
+function compact(value: Json): Json {
+	return Object.fromEntries(Object.entries(value).filter(([, field]) => field !== undefined && field !== null));
+}
+
+function readPosition(value: unknown): { x: number; y: number } | null {
+	return isRecord(value) && typeof value.x === "number" && typeof value.y === "number" ? { x: value.x, y: value.y } : null;
+}
+
+export function decodeBlueprintVersion(version: unknown): string | null {
+	if (typeof version !== "number" || !Number.isSafeInteger(version) || version <= 0) {
+		return null;
+	}
+	const parts = [];
+	let rest = version;
+	for (let index = 0; index < 4; index++) {
+		parts.unshift(rest % 65536);
+		rest = Math.floor(rest / 65536);
+	}
+	return parts.slice(0, 3).join(".");
+}
+
+export function decodeBlueprintString(text: string): DecodedBlueprint {
+	const compactText = text.replace(/\s+/g, "");
+	if (!compactText) {
+		throw new Error("The blueprint string is empty");
+	}
+	if (compactText[0] !== "0") {
+		throw new Error(`Unsupported blueprint string version "${compactText[0]}"`);
+	}
+	let root: unknown;
+	try {
+		root = JSON.parse(inflateSync(Buffer.from(compactText.slice(1), "base64")).toString("utf8"));
+	} catch (err: unknown) {
+		throw new Error(`The blueprint string could not be decoded: ${err instanceof Error ? err.message : String(err)}`);
+	}
+	if (isRecord(root) && root.blueprint_book !== undefined) {
+		throw new Error("Blueprint books are not supported; paste a single blueprint");
+	}
+	if (!isRecord(root) || !isRecord(root.blueprint)) {
+		throw new Error(`The string holds no blueprint (found ${isRecord(root) ? Object.keys(root).join(", ") || "nothing" : typeof root})`);
+	}
+	const blueprint = root.blueprint;
+
+	const entities: BlueprintEntity[] = [];
+	for (const raw of listOf(blueprint.entities)) {
+		const position = isRecord(raw) ? readPosition(raw.position) : null;
+		if (!isRecord(raw) || !position || typeof raw.name !== "string" || typeof raw.entity_number !== "number") {
+			continue;
+		}
+		entities.push({
+			entityNumber: raw.entity_number,
+			name: raw.name,
+			position,
+			direction: typeof raw.direction === "number" ? raw.direction : 0,
+			raw,
+		});
+	}
+	const tiles = listOf(blueprint.tiles).flatMap(raw => {
+		const position = isRecord(raw) ? readPosition(raw.position) : null;
+		return isRecord(raw) && position && typeof raw.name === "string" ? [{ name: raw.name, position }] : [];
+	});
+	const wires = listOf(blueprint.wires)
+		.filter((wire): wire is [number, number, number, number] => Array.isArray(wire) && wire.length === 4 && wire.every(Number.isInteger));
+
+	return {
+		label: typeof blueprint.label === "string" && blueprint.label.trim() ? blueprint.label.trim() : null,
+		version: decodeBlueprintVersion(blueprint.version),
+		entities,
+		tiles,
+		wires,
+	};
+}
+
+function bump(counts: Record<string, number>, key: string) {
+	counts[key] = (counts[key] ?? 0) + 1;
+}
+
+export function blueprintEntityNames(blueprint: DecodedBlueprint): string[] {
+	return [...new Set(blueprint.entities.map(entity => entity.name))].sort();
+}
+
+export function blueprintCensus(blueprint: DecodedBlueprint, platformName: string): PlatformCensus {
+	const entities: Record<string, number> = {};
+	const tiles: Record<string, number> = {};
+	const qualities: Record<string, number> = {};
+	for (const entity of blueprint.entities) {
+		bump(entities, entity.name);
+		bump(qualities, typeof entity.raw.quality === "string" ? entity.raw.quality : NORMAL_QUALITY);
+	}
+	for (const tile of blueprint.tiles) {
+		bump(tiles, tile.name);
+	}
+	return { platformName, entities, items: {}, fluids: {}, tiles, qualities, spaceLocation: null, scheduleStations: [] };
+}
+
+function rotatedBox(box: [number, number, number, number], direction: number): [number, number, number, number] {
+	const [left, top, right, bottom] = box;
+	switch (direction) {
+	case 4: return [-bottom, left, -top, right];
+	case 8: return [-right, -bottom, -left, -top];
+	case 12: return [top, -right, bottom, -left];
+	default: return box;
+	}
+}
+
+function coveredTiles(entity: BlueprintEntity, box: [number, number, number, number]): string[] {
+	const [left, top, right, bottom] = rotatedBox(box, entity.direction);
+	const keys: string[] = [];
+	for (let x = Math.floor(entity.position.x + left + EDGE_EPSILON); x <= Math.floor(entity.position.x + right - EDGE_EPSILON); x++) {
+		for (let y = Math.floor(entity.position.y + top + EDGE_EPSILON); y <= Math.floor(entity.position.y + bottom - EDGE_EPSILON); y++) {
+			keys.push(`${x},${y}`);
+		}
+	}
+	return keys.length > 0 ? keys : [`${Math.floor(entity.position.x)},${Math.floor(entity.position.y)}`];
+}
+
+export function preflightBlueprint(
+	blueprint: DecodedBlueprint,
+	platformName: string,
+	prototypes: Record<string, EntityPrototypeInfo>,
+	destination: PrototypeCensus,
+	targetInstanceId: number,
+	targetPlanet: string | null,
+): PreflightReport {
+	const report = comparePreflightCensus(blueprintCensus(blueprint, platformName), destination, targetInstanceId, targetPlanet);
+	const foundation = new Set(blueprint.tiles.map(tile => `${Math.floor(tile.position.x)},${Math.floor(tile.position.y)}`));
+	const forbidden = new Map<string, number>();
+	const unsupported = new Map<string, number>();
+
+	for (const entity of blueprint.entities) {
+		const prototype = prototypes[entity.name];
+		if (!prototype) {
+			continue;
+		}
+		if (prototype.platformBlocked) {
+			forbidden.set(entity.name, (forbidden.get(entity.name) ?? 0) + 1);
+		} else if (coveredTiles(entity, prototype.collisionBox).some(key => !foundation.has(key))) {
+			unsupported.set(entity.name, (unsupported.get(entity.name) ?? 0) + 1);
+		}
+	}
+
+	const sorted = (counts: Map<string, number>) => [...counts].sort(([a], [b]) => a.localeCompare(b));
+	for (const [name, count] of sorted(forbidden)) {
+		report.blockers.push({
+			kind: "platform_forbidden",
+			name,
+			count,
+			message: `"${name}" cannot be built on a space platform: ${prototypes[name].platformBlocked} (${count} placed)`,
+		});
+	}
+	for (const [name, count] of sorted(unsupported)) {
+		report.blockers.push({
+			kind: "foundation",
+			name,
+			count,
+			message: `"${name}" would stand off the platform foundation (${count} placed)`,
+		});
+	}
+	return report;
+}
+
+function qualityOrNormal(value: unknown): string {
+	return typeof value === "string" && value ? value : NORMAL_QUALITY;
+}
+
+function signalFilter(filter: Json): Json {
+	return {
+		index: filter.index,
+		value: compact({
+			type: typeof filter.type === "string" ? filter.type : "item",
+			name: filter.name,
+			quality: qualityOrNormal(filter.quality),
+			comparator: typeof filter.comparator === "string" ? filter.comparator : "=",
+		}),
+		min: filter.count,
+		max: filter.max_count,
+	};
+}
+
+function convertLogisticSections(raw: Json): Json[] | undefined {
+	const requestFilters = isRecord(raw.request_filters) ? raw.request_filters : null;
+	const sections = listOf(requestFilters?.sections).filter(isRecord).map(section => compact({
+		group: typeof section.group === "string" && section.group ? section.group : undefined,
+		multiplier: typeof section.multiplier === "number" ? section.multiplier : 1,
+		active: section.active !== false,
+		filters: listOf(section.filters).filter(isRecord).map(filter => compact(signalFilter(filter))),
+	}));
+	return sections.length > 0 ? [{ point_index: 1, sections }] : undefined;
+}
+
+function convertControlBehavior(raw: Json): Json | undefined {
+	if (!isRecord(raw.control_behavior)) {
+		return undefined;
+	}
+	const { sections, arithmetic_conditions: arithmetic, decider_conditions: decider, ...rest } = raw.control_behavior;
+	const result: Json = { ...rest };
+	const constantSections = listOf(isRecord(sections) ? sections.sections : undefined).filter(isRecord).map(section => ({
+		group: typeof section.group === "string" ? section.group : "",
+		filters: listOf(section.filters).filter(isRecord).map(filter => compact({
+			index: filter.index,
+			value: compact({ type: typeof filter.type === "string" ? filter.type : "item", name: filter.name }),
+			quality: typeof filter.quality === "string" ? filter.quality : undefined,
+			min: filter.count,
+		})),
+	}));
+	if (constantSections.length > 0) {
+		result.constant_sections = constantSections;
+	}
+	if (isRecord(arithmetic) || isRecord(decider)) {
+		result.parameters = arithmetic ?? decider;
+	}
+	return Object.keys(result).length > 0 ? result : undefined;
+}
+
+function convertEntity(entity: BlueprintEntity, prototype: EntityPrototypeInfo | undefined, forceName: string, connections: Json[]): Json {
+	const raw = entity.raw;
+	const type = prototype?.type ?? "";
+	const filterMode = raw.filter_mode === "blacklist" ? "blacklist" : "whitelist";
+	const filters = listOf(raw.filters).filter(isRecord).map(filter => compact({
+		index: filter.index,
+		name: filter.name,
+		quality: qualityOrNormal(filter.quality),
+		comparator: filter.comparator,
+	}));
+	const splitterFilter = isRecord(raw.filter) ? { name: raw.filter.name, quality: qualityOrNormal(raw.filter.quality) } : undefined;
+	const specificData = compact({
+		recipe: typeof raw.recipe === "string" ? raw.recipe : undefined,
+		recipe_quality: typeof raw.recipe === "string" ? qualityOrNormal(raw.recipe_quality) : undefined,
+		use_filters: filters.length > 0 || raw.use_filters === true ? true : undefined,
+		filter_mode: filters.length > 0 && !LOADER_TYPES.has(type) ? filterMode : undefined,
+		loader_filter_mode: filters.length > 0 && LOADER_TYPES.has(type) ? filterMode : undefined,
+		filter: splitterFilter,
+		input_priority: raw.input_priority,
+		output_priority: raw.output_priority,
+		stack_size_override: raw.override_stack_size,
+		spoil_priority: raw.spoil_priority,
+		bar: raw.bar,
+	});
+	return compact({
+		entity_id: entity.entityNumber,
+		name: entity.name,
+		type,
+		force: forceName,
+		position: entity.position,
+		direction: entity.direction,
+		quality: typeof raw.quality === "string" && raw.quality !== NORMAL_QUALITY ? raw.quality : undefined,
+		mirror: raw.mirror === true ? true : undefined,
+		orientation: typeof raw.orientation === "number" ? raw.orientation : undefined,
+		specific_data: Object.keys(specificData).length > 0 ? specificData : undefined,
+		entity_filters: filters.length > 0 ? filters : undefined,
+		logistic_sections: convertLogisticSections(raw),
+		control_behavior: convertControlBehavior(raw),
+		circuit_connections: connections.length > 0 ? connections : undefined,
+		backer_name: typeof raw.station === "string" ? raw.station : undefined,
+		tags: isRecord(raw.tags) ? raw.tags : undefined,
+	});
+}
+
+export function buildPayloadFromBlueprint(
+	blueprint: DecodedBlueprint,
+	prototypes: Record<string, EntityPrototypeInfo>,
+	options: { platformName: string; forceName: string },
+): Json {
+	const known = new Set(blueprint.entities.map(entity => entity.entityNumber));
+	const connections = new Map<number, Json[]>();
+	const connect = (from: number, fromConnector: number, to: number, toConnector: number) => {
+		connections.set(from, [...(connections.get(from) ?? []), { source_circuit_id: fromConnector, target_entity_id: to, target_circuit_id: toConnector }]);
+	};
+	for (const [first, firstConnector, second, secondConnector] of blueprint.wires) {
+		if (known.has(first) && known.has(second)) {
+			connect(first, firstConnector, second, secondConnector);
+			connect(second, secondConnector, first, firstConnector);
+		}
+	}
+
+	const entities = blueprint.entities.map(entity =>
+		convertEntity(entity, prototypes[entity.name], options.forceName, connections.get(entity.entityNumber) ?? []));
+	return compact({
+		schema_version: PAYLOAD_SCHEMA_VERSION,
+		factorio_version: blueprint.version,
+		platform_name: options.platformName,
+		timestamp: new Date().toISOString(),
+		platform: { force: options.forceName, paused: false },
+		tiles: blueprint.tiles,
+		entities,
+		stats: { entity_count: entities.length, tile_count: blueprint.tiles.length },
+		verification: { item_counts: {}, fluid_counts: {} },
+	});
+}
+
+export function envelopeFromPayload(payload: Json): ExportData {
+	return {
+		compressed: true,
+		compression: "deflate",
+		payload: deflateSync(Buffer.from(JSON.stringify(payload), "utf8")).toString("base64"),
+		schema_version: payload.schema_version as string,
+		platform_name: payload.platform_name as string,
+		timestamp: payload.timestamp as string,
+		stats: payload.stats as ExportStats,
+		verification: payload.verification as ExportVerification,
+	};
+}
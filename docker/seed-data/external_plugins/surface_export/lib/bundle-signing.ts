@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import type { ExportData } from "../messages";
+import { computeExportDigest } from "./payload-digest";
+
+export const SIGNATURE_PREFIX = "hmac-sha256:";
+
+export type BundleVerdict = "signed" | "unsigned" | "tampered";
+
+export type BundleCheck = {
+	verdict: BundleVerdict;
+	digest: string;
+	detail: string | null;
+};
+
+export function generateSigningKey(): string {
+	return crypto.randomBytes(32).toString("hex");
+}
+
+export function signDigest(key: string, digest: string): string {
+	return `${SIGNATURE_PREFIX}${crypto.createHmac("sha256", key).update(digest, "utf8").digest("hex")}`;
+}
+
+export function signBundle(exportData: ExportData, digest: string, key: string): ExportData {
+	return { ...exportData, _digest: digest, _signature: signDigest(key, digest) };
+}
+
+function signaturesEqual(a: string, b: string): boolean {
+	const left = Buffer.from(a, "utf8");
+	const right = Buffer.from(b, "utf8");
+	return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function checkBundle(exportData: ExportData, key: string | null): BundleCheck {
+	const digest = computeExportDigest(exportData);
+	const embeddedDigest = typeof exportData._digest === "string" ? exportData._digest : null;
+	const signature = typeof exportData._signature === "string" ? exportData._signature : null;
+	if (embeddedDigest && embeddedDigest !== digest) {
+		return { verdict: "tampered", digest, detail: `payload digest mismatch: expected ${embeddedDigest}, got ${digest}` };
+	}
+	if (!signature) {
+		return { verdict: "unsigned", digest, detail: "the bundle carries no signature" };
+	}
+	if (!key) {
+		return { verdict: "unsigned", digest, detail: "the controller has no signing key to check the signature with" };
+	}
+	if (!signaturesEqual(signature, signDigest(key, digest))) {
+		return {
+			verdict: "tampered",
+			digest,
+			detail: "the signature does not match the payload (edited after download, or signed by a different controller key)",
+		};
+	}
+	return { verdict: "signed", digest, detail: null };
+}
@@ -0,0 +1,228 @@
+import type { CountDelta, DiffEntity, EntityMove, EntitySettingChange, ExportDiff, SettingChangeKind } from "../messages";
+
+type Payload = Record<string, unknown>;
+
+interface DiffEntry {
+	ref: DiffEntity;
+	raw: Record<string, unknown>;
+}
+
+export interface DiffOptions {
+	matchIds?: boolean;
+	counts?: boolean;
+}
+
+type Locate = (entityId: unknown) => string;
+
+const SETTING_FIELDS: Record<SettingChangeKind, { entity: string[]; specific: string[] }> = {
+	recipe: { entity: [], specific: ["recipe", "recipe_quality"] },
+	direction: { entity: ["direction"], specific: [] },
+	filters: {
+		entity: ["entity_filters", "infinity_filters", "infinity_pipe_filter", "infinity_remove_unfiltered"],
+		specific: ["filter", "storage_filter", "use_filters", "loader_filter_mode", "mining_drill_filter_mode"],
+	},
+	control_behavior: { entity: ["control_behavior", "logistic_sections"], specific: [] },
+	circuit_connections: { entity: ["circuit_connections"], specific: [] },
+};
+
+const SETTING_KINDS = Object.keys(SETTING_FIELDS) as SettingChangeKind[];
+const FLUID_EPSILON = 1e-6;
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function canonical(value: unknown): unknown {
+	if (Array.isArray(value)) {
+		return value.map(canonical);
+	}
+	if (isRecord(value)) {
+		const keys = Object.keys(value).sort();
+		return keys.length === 0 ? [] : Object.fromEntries(keys.map(key => [key, canonical(value[key])]));
+	}
+	return value;
+}
+
+function readEntities(payload: Payload): DiffEntry[] {
+	const entries: DiffEntry[] = [];
+	for (const raw of Array.isArray(payload.entities) ? payload.entities : []) {
+		if (!isRecord(raw) || typeof raw.name !== "string" || !isRecord(raw.position)) {
+			continue;
+		}
+		const { x, y } = raw.position;
+		if (typeof x !== "number" || typeof y !== "number") {
+			continue;
+		}
+		const entityId = typeof raw.entity_id === "number" || typeof raw.entity_id === "string" ? raw.entity_id : null;
+		entries.push({
+			ref: { name: raw.name, type: typeof raw.type === "string" ? raw.type : "", position: { x, y }, entityId },
+			raw,
+		});
+	}
+	return entries;
+}
+
+function readWires(entity: Record<string, unknown>, locate: Locate): unknown {
+	const wires = Array.isArray(entity.circuit_connections) ? entity.circuit_connections : [];
+	const described = wires.filter(isRecord)
+		.map(wire => `${String(wire.source_circuit_id)} → ${locate(wire.target_entity_id)}:${String(wire.target_circuit_id)}`)
+		.sort();
+	return described.length > 0 ? described : null;
+}
+
+function readSetting(entity: Record<string, unknown>, kind: SettingChangeKind, locate: Locate): unknown {
+	const specific = isRecord(entity.specific_data) ? entity.specific_data : {};
+	if (kind === "direction") {
+		return typeof entity.direction === "number" ? entity.direction : 0;
+	}
+	if (kind === "circuit_connections") {
+		return readWires(entity, locate);
+	}
+	if (kind === "recipe") {
+		if (typeof specific.recipe !== "string") {
+			return null;
+		}
+		const quality = specific.recipe_quality;
+		return typeof quality === "string" && quality !== "normal" ? `${specific.recipe} (${quality})` : specific.recipe;
+	}
+	const picked: Record<string, unknown> = {};
+	for (const field of SETTING_FIELDS[kind].entity) {
+		if (entity[field] !== undefined) picked[field] = entity[field];
+	}
+	for (const field of SETTING_FIELDS[kind].specific) {
+		if (specific[field] !== undefined) picked[field] = specific[field];
+	}
+	return Object.keys(picked).length > 0 ? canonical(picked) : null;
+}
+
+function settingChanges(before: DiffEntry, after: DiffEntry, locateBefore: Locate, locateAfter: Locate): EntitySettingChange[] {
+	const changes: EntitySettingChange[] = [];
+	for (const kind of SETTING_KINDS) {
+		const previous = readSetting(before.raw, kind, locateBefore);
+		const next = readSetting(after.raw, kind, locateAfter);
+		if (JSON.stringify(previous) !== JSON.stringify(next)) {
+			changes.push({ ...after.ref, kind, before: previous, after: next });
+		}
+	}
+	return changes;
+}
+
+function readCounts(payload: Payload, key: "item_counts" | "fluid_counts"): Map<string, number> {
+	const verification = isRecord(payload.verification) ? payload.verification : {};
+	const counts = isRecord(verification[key]) ? verification[key] : {};
+	const result = new Map<string, number>();
+	for (const [name, value] of Object.entries(counts)) {
+		if (typeof value === "number" && Number.isFinite(value)) {
+			result.set(name, value);
+		}
+	}
+	return result;
+}
+
+export function countDeltas(before: Map<string, number>, after: Map<string, number>, epsilon = 0): CountDelta[] {
+	const deltas: CountDelta[] = [];
+	for (const name of new Set([...before.keys(), ...after.keys()])) {
+		const previous = before.get(name) ?? 0;
+		const next = after.get(name) ?? 0;
+		const delta = next - previous;
+		if (Math.abs(delta) > epsilon) {
+			deltas.push({ name, before: previous, after: next, delta });
+		}
+	}
+	return deltas.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.name.localeCompare(b.name));
+}
+
+function positionKey(entity: DiffEntity): string {
+	return `${entity.name}@${entity.position.x},${entity.position.y}`;
+}
+
+function locator(entries: DiffEntry[]): Locate {
+	const byId = new Map<string, string>();
+	for (const entry of entries) {
+		if (entry.ref.entityId !== null) {
+			byId.set(String(entry.ref.entityId), positionKey(entry.ref));
+		}
+	}
+	return (entityId) => byId.get(String(entityId)) ?? `unknown#${String(entityId)}`;
+}
+
+export function diffExportPayloads(before: Payload, after: Payload, options: DiffOptions = {}): ExportDiff {
+	const { matchIds = true, counts = true } = options;
+	const beforeEntries = readEntities(before);
+	const afterEntries = readEntities(after);
+	const locateBefore = locator(beforeEntries);
+	const locateAfter = locator(afterEntries);
+
+	const unmatched = new Map<string, DiffEntry[]>();
+	for (const entry of beforeEntries) {
+		const key = positionKey(entry.ref);
+		unmatched.set(key, [...(unmatched.get(key) ?? []), entry]);
+	}
+
+	const pairs: Array<[DiffEntry, DiffEntry]> = [];
+	const unplaced: DiffEntry[] = [];
+	for (const entry of afterEntries) {
+		const match = unmatched.get(positionKey(entry.ref))?.shift();
+		if (match) {
+			pairs.push([match, entry]);
+		} else {
+			unplaced.push(entry);
+		}
+	}
+
+	const leftBehind = new Map<string, DiffEntry>();
+	const removed: DiffEntry[] = [];
+	for (const entry of [...unmatched.values()].flat()) {
+		if (entry.ref.entityId === null || !matchIds) {
+			removed.push(entry);
+		} else {
+			leftBehind.set(`${entry.ref.name}#${entry.ref.entityId}`, entry);
+		}
+	}
+
+	const entitiesAdded: DiffEntity[] = [];
+	const entitiesMoved: EntityMove[] = [];
+	for (const entry of unplaced) {
+		const key = `${entry.ref.name}#${entry.ref.entityId}`;
+		const origin = entry.ref.entityId === null ? undefined : leftBehind.get(key);
+		if (origin) {
+			leftBehind.delete(key);
+			entitiesMoved.push({ ...entry.ref, from: origin.ref.position });
+			pairs.push([origin, entry]);
+		} else {
+			entitiesAdded.push(entry.ref);
+		}
+	}
+	removed.push(...leftBehind.values());
+
+	const settingsChanged: EntitySettingChange[] = [];
+	let unchangedEntities = 0;
+	for (const [previous, next] of pairs) {
+		const changes = settingChanges(previous, next, locateBefore, locateAfter);
+		settingsChanged.push(...changes);
+		if (changes.length === 0 && positionKey(previous.ref) === positionKey(next.ref)) {
+			unchangedEntities += 1;
+		}
+	}
+
+	return {
+		unchangedEntities,
+		entitiesAdded,
+		entitiesRemoved: removed.map(entry => entry.ref),
+		entitiesMoved,
+		settingsChanged,
+		itemDeltas: counts ? countDeltas(readCounts(before, "item_counts"), readCounts(after, "item_counts")) : [],
+		fluidDeltas: counts ? countDeltas(readCounts(before, "fluid_counts"), readCounts(after, "fluid_counts"), FLUID_EPSILON) : [],
+	};
+}
+
+export function summarizeExportDiff(diff: ExportDiff): string {
+	return [
+		`${diff.entitiesAdded.length} added`,
+		`${diff.entitiesRemoved.length} removed`,
+		`${diff.entitiesMoved.length} moved`,
+		`${diff.settingsChanged.length} setting change(s)`,
+		`${diff.itemDeltas.length} item and ${diff.fluidDeltas.length} fluid count change(s)`,
+		`${diff.unchangedEntities} unchanged`,
+	].join(", ");
+}
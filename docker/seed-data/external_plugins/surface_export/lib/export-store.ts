@@ -0,0 +1,65 @@
+import path from "path";
+import type { ExportData, StoredExport } from "../messages";
+import type { StorageBackend } from "./storage-backend";
+
+export const EXPORT_STORE_INDEX_FILENAME = "index.json";
+export const EXPORT_PAYLOAD_SUFFIX = ".export.json";
+
+export type StoredExportIndexEntry = Omit<StoredExport, "exportData" | "integrityError">;
+
+export function exportPayloadKey(exportId: string): string {
+	return `${encodeURIComponent(exportId)}${EXPORT_PAYLOAD_SUFFIX}`;
+}
+
+export function exportPayloadPath(storeDir: string, exportId: string): string {
+	return path.join(storeDir, exportPayloadKey(exportId));
+}
+
+export function exportIdFromPayloadFileName(fileName: string): string | null {
+	if (!fileName.endsWith(EXPORT_PAYLOAD_SUFFIX)) {
+		return null;
+	}
+	const encoded = fileName.slice(0, -EXPORT_PAYLOAD_SUFFIX.length);
+	let exportId: string;
+	try {
+		exportId = decodeURIComponent(encoded);
+	} catch (err: unknown) {
+		if (err instanceof URIError) {
+			return null;
+		}
+		throw err;
+	}
+	return encodeURIComponent(exportId) === encoded ? exportId : null;
+}
+
+export function toIndexEntry(stored: StoredExport): StoredExportIndexEntry {
+	const { exportData: _exportData, integrityError: _integrityError, ...entry } = stored;
+	return entry;
+}
+
+export async function readExportPayload(store: StorageBackend, exportId: string): Promise<ExportData | null> {
+	const content = await store.get(exportPayloadKey(exportId));
+	return content === null ? null : JSON.parse(content) as ExportData;
+}
+
+export async function listExportPayloadIds(store: StorageBackend): Promise<Set<string>> {
+	const ids = new Set<string>();
+	for (const name of await store.list()) {
+		if (name.endsWith(EXPORT_PAYLOAD_SUFFIX)) {
+			ids.add(decodeURIComponent(name.slice(0, -EXPORT_PAYLOAD_SUFFIX.length)));
+		}
+	}
+	return ids;
+}
+
+export async function pruneOrphanPayloads(store: StorageBackend, liveExportIds: Set<string>): Promise<string[]> {
+	const removed: string[] = [];
+	for (const exportId of await listExportPayloadIds(store)) {
+		if (liveExportIds.has(exportId)) {
+			continue;
+		}
+		await store.delete(exportPayloadKey(exportId));
+		removed.push(exportId);
+	}
+	return removed;
+}
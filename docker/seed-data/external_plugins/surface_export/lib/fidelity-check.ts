@@ -0,0 +1,151 @@
+import { getErrorMessage } from "../helpers";
+import { diffExportPayloads } from "./export-diff";
+import { decodeExportPayload, migrateExportData } from "./schema-migrations";
+import type { ActiveTransfer, ExportData, FidelityReport, IControllerPlugin, SimpleResponse } from "../messages";
+import type { TransferOrchestrator } from "./transfer-orchestrator";
+
+export const FIDELITY_MISMATCH_LIMIT = 200;
+const REEXPORT_TIMEOUT_MS = 60000;
+
+function decode(exportData: ExportData): Record<string, unknown> {
+	return decodeExportPayload(migrateExportData(exportData).exportData);
+}
+
+export function buildFidelityReport(source: Record<string, unknown>, destination: Record<string, unknown>, destinationPlatformIndex: number | null, limit = FIDELITY_MISMATCH_LIMIT): FidelityReport {
+	const diff = diffExportPayloads(source, destination, { matchIds: false, counts: false });
+	const missing = diff.entitiesRemoved;
+	const unexpected = diff.entitiesAdded;
+	const settingsChanged = diff.settingsChanged;
+	const mismatchCount = missing.length + unexpected.length + settingsChanged.length;
+	return {
+		status: mismatchCount === 0 ? "match" : "mismatch",
+		destinationPlatformIndex,
+		sourceEntities: Array.isArray(source.entities) ? source.entities.length : 0,
+		mismatchCount,
+		truncated: [missing, unexpected, settingsChanged].some(list => list.length > limit),
+		missing: missing.slice(0, limit),
+		unexpected: unexpected.slice(0, limit),
+		settingsChanged: settingsChanged.slice(0, limit),
+		reason: null,
+	};
+}
+
+export function summarizeFidelityReport(report: FidelityReport): string {
+	if (report.status === "skipped") {
+		return `Fidelity check skipped: ${report.reason ?? "no reason given"}`;
+	}
+	if (report.status === "match") {
+		return `Destination matches the source structurally (${report.sourceEntities} entities)`;
+	}
+	const parts = [
+		report.missing.length ? `${report.missing.length} missing` : null,
+		report.unexpected.length ? `${report.unexpected.length} unexpected` : null,
+		report.settingsChanged.length ? `${report.settingsChanged.length} setting mismatch(es)` : null,
+	].filter(Boolean);
+	return `${report.mismatchCount} fidelity mismatch(es) on the destination: ${parts.join(", ")}${report.truncated ? " (list truncated)" : ""}`;
+}
+
+export class FidelityCheck {
+	private plugin: IControllerPlugin;
+	private orchestrator: TransferOrchestrator;
+	private messages: typeof import("../messages");
+	private reexports: Map<string, (exportData: ExportData) => void> = new Map();
+
+	constructor(plugin: IControllerPlugin, orchestrator: TransferOrchestrator, messages: typeof import("../messages")) {
+		this.plugin = plugin;
+		this.orchestrator = orchestrator;
+		this.messages = messages;
+		orchestrator.onTransferCompleted({
+			wants: () => this.enabled(),
+			run: (transferId, transfer, sourceData) => this.run(transferId, transfer, sourceData),
+		});
+	}
+
+	get logger() { return this.plugin.logger; }
+	get txLogger() { return this.plugin.txLogger; }
+
+	enabled(): boolean {
+		try {
+			return this.plugin.controller.config?.get("surface_export.fidelity_check") === true;
+		} catch (err: unknown) {
+			this.logger.error(`Could not read surface_export.fidelity_check; skipping the fidelity check: ${getErrorMessage(err)}`);
+			return false;
+		}
+	}
+
+	async run(transferId: string, transfer: ActiveTransfer, sourceData: ExportData) {
+		const startedAt = Date.now();
+		let report: FidelityReport;
+		try {
+			report = await this.check(transfer, sourceData);
+		} catch (err: unknown) {
+			const reason = getErrorMessage(err);
+			this.logger.warn(`Fidelity check for ${transferId} skipped: ${reason}`);
+			report = {
+				status: "skipped",
+				destinationPlatformIndex: null,
+				sourceEntities: 0,
+				mismatchCount: 0,
+				truncated: false,
+				missing: [],
+				unexpected: [],
+				settingsChanged: [],
+				reason,
+			};
+		}
+		const summary = summarizeFidelityReport(report);
+		if (report.status === "mismatch") {
+			this.logger.warn(`Transfer ${transferId}: ${summary}`);
+		}
+		this.txLogger.logTransactionEvent(transferId, "fidelity_checked", summary, {
+			fidelity: report,
+			durationMs: Date.now() - startedAt,
+		});
+		this.plugin.subscriptions.emitTransferUpdate(transfer);
+		await this.txLogger.persistTransactionLog(transferId);
+	}
+
+	accept(event: { instanceId: number; platformIndex?: number | null; exportData: ExportData }): boolean {
+		const key = `${event.instanceId}:${event.platformIndex}`;
+		const resolve = this.reexports.get(key);
+		if (!resolve) {
+			return false;
+		}
+		this.reexports.delete(key);
+		resolve(event.exportData);
+		return true;
+	}
+
+	async reexport(transfer: ActiveTransfer, platformIndex: number): Promise<ExportData> {
+		const key = `${transfer.targetInstanceId}:${platformIndex}`;
+		let timer: ReturnType<typeof setTimeout> | null = null;
+		const received = new Promise<ExportData>((resolve, reject) => {
+			this.reexports.set(key, resolve);
+			timer = setTimeout(() => reject(new Error(`destination re-export of platform #${platformIndex} did not arrive within ${REEXPORT_TIMEOUT_MS / 1000}s`)), REEXPORT_TIMEOUT_MS);
+		});
+		try {
+			const response = await this.plugin.controller.sendTo(
+				{ instanceId: transfer.targetInstanceId },
+				new this.messages.ExportPlatformRequest({ platformIndex, forceName: transfer.forceName || "player", targetInstanceId: null }),
+			) as SimpleResponse & { exportId?: string };
+			if (!response?.success || !response.exportId) {
+				throw new Error(`destination re-export failed: ${response?.error || "no export id returned"}`);
+			}
+			return await received;
+		} finally {
+			if (timer) {
+				clearTimeout(timer);
+			}
+			this.reexports.delete(key);
+		}
+	}
+
+	async check(transfer: ActiveTransfer, sourceData: ExportData): Promise<FidelityReport> {
+		const platformIndex = transfer.destinationPlatformIndex;
+		if (!Number.isInteger(platformIndex)) {
+			throw new Error("the destination did not report which platform it created");
+		}
+		const destinationData = await this.reexport(transfer, platformIndex as number);
+		return buildFidelityReport(decode(sourceData), decode(destinationData), platformIndex as number);
+	}
+}
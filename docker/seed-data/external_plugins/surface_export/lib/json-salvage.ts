@@ -0,0 +1,121 @@
+import { getErrorMessage } from "../helpers";
+
+export type JsonArraySalvage = {
+	entries: Record<string, unknown>[];
+	dropped: number;
+	truncated: boolean;
+	lostBytes: number;
+	lostIds: string[];
+};
+
+type ElementScan = { end: number; stop: "," | "]" | null };
+
+function scanElement(content: string, start: number): ElementScan {
+	let depth = 0;
+	let inString = false;
+	let escaped = false;
+	for (let i = start; i < content.length; i++) {
+		const ch = content[i];
+		if (inString) {
+			if (escaped) {
+				escaped = false;
+			} else if (ch === "\\") {
+				escaped = true;
+			} else if (ch === "\"") {
+				inString = false;
+			}
+		} else if (ch === "\"") {
+			inString = true;
+		} else if (ch === "{" || ch === "[") {
+			depth++;
+		} else if (ch === "}" || ch === "]") {
+			if (depth === 0 && ch === "]") {
+				return { end: i, stop: "]" };
+			}
+			depth--;
+		} else if (ch === "," && depth === 0) {
+			return { end: i, stop: "," };
+		}
+	}
+	return { end: content.length, stop: null };
+}
+
+function parseElement(text: string): { ok: true; value: unknown } | { ok: false; error: string } {
+	try {
+		return { ok: true, value: JSON.parse(text) };
+	} catch (err: unknown) {
+		return { ok: false, error: getErrorMessage(err) };
+	}
+}
+
+function escapeRegExp(value: string): string {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function salvageJsonArray(content: string, idKey: string): JsonArraySalvage {
+	const result: JsonArraySalvage = { entries: [], dropped: 0, truncated: false, lostBytes: 0, lostIds: [] };
+	const lostText: string[] = [];
+	const lose = (text: string) => {
+		if (text.trim()) {
+			result.dropped++;
+			result.lostBytes += Buffer.byteLength(text, "utf8");
+			lostText.push(text);
+		}
+	};
+	const open = content.search(/\S/);
+	if (open === -1 || content[open] !== "[") {
+		lose(content);
+		result.truncated = open === -1;
+	} else {
+		const indent = /^\[\s*?\n([ \t]*)\{/.exec(content.slice(open))?.[1] ?? null;
+		const resync = indent === null ? null : new RegExp(`\\n${escapeRegExp(indent)}\\{`, "g");
+		let pos = open + 1;
+		for (;;) {
+			const { end, stop } = scanElement(content, pos);
+			const text = content.slice(pos, end);
+			if (text.trim()) {
+				const parsed = parseElement(text);
+				if (!parsed.ok && resync) {
+					resync.lastIndex = pos + 1;
+					const next = resync.exec(content);
+					if (next) {
+						lose(content.slice(pos, next.index));
+						pos = next.index + 1;
+						continue;
+					}
+				}
+				const value = parsed.ok ? parsed.value as Record<string, unknown> : null;
+				if (value && typeof value === "object" && !Array.isArray(value) && typeof value[idKey] === "string") {
+					result.entries.push(value);
+				} else {
+					lose(text);
+				}
+			}
+			if (stop === null) {
+				result.truncated = true;
+				break;
+			}
+			if (stop === "]") {
+				lose(content.slice(end + 1));
+				break;
+			}
+			pos = end + 1;
+		}
+	}
+	const kept = new Set(result.entries.map(entry => entry[idKey]));
+	const idPattern = new RegExp(`"${escapeRegExp(idKey)}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`, "g");
+	const lostIds = new Set<string>();
+	for (const text of lostText) {
+		for (const match of text.matchAll(idPattern)) {
+			if (!kept.has(match[1])) {
+				lostIds.add(match[1]);
+			}
+		}
+	}
+	result.lostIds = Array.from(lostIds);
+	return result;
+}
+
+export function quarantineName(name: string, now: number): string {
+	return `${name}.corrupt-${new Date(now).toISOString().replace(/[:.]/g, "-")}`;
+}
@@ -181,6 +181,45 @@ export class LuaInterface {
 			`"${escapeString(transferId)}", ${Math.trunc(platformIndex)}, "${escapeString(platformName)}", "${escapeString(forceName)}"))`,
 		);
 	}
+	async commitSourceTransferLock(platformIndex: number, transferId: string): Promise<string> {
+		return this.host.sendRcon(
+			`/sc rcon.print(remote.call("surface_export", "commit_source_transfer_lock", ` +
+			`${Math.trunc(platformIndex)}, "${escapeString(transferId)}"))`,
+		);
+	}
+
+	async destinationHold(action: string, transferId: string): Promise<string> {
+		return this.host.sendRcon(
+			`/sc rcon.print(remote.call("surface_export", "destination_hold_json", ` +
+			`"${escapeString(action)}", "${escapeString(transferId)}"))`,
+		);
+	}
+
+	async getPrototypeCensus(): Promise<string> {
+		return this.host.sendRcon(
+			"/sc rcon.print(remote.call(\"surface_export\", \"get_prototype_census_json\"))",
+		);
+	}
+
+	async getPlatformCensus(platformIndex: number, forceName: string): Promise<string> {
+		return this.host.sendRcon(
+			`/sc rcon.print(remote.call("surface_export", "get_platform_census_json", ` +
+			`${Math.trunc(platformIndex)}, "${escapeString(forceName)}"))`,
+		);
+	}
+
+	async describeEntityPrototypes(names: string[]): Promise<string> {
+		return this.host.sendRcon(
+			`/sc rcon.print(remote.call("surface_export", "describe_entity_prototypes_json", "${escapeString(JSON.stringify(names))}"))`,
+		);
+	}
+
+	async getActiveMods(): Promise<string> {
+		return this.host.sendRcon(
+			"/sc rcon.print(remote.call(\"surface_export\", \"get_active_mods_json\"))",
+		);
+	}
+
 	async unlockPlatform(platformIndex: number, platformName?: string): Promise<string> {
 		const nameArg = platformName ? `, "${escapeString(platformName)}"` : "";
 		return this.host.sendRcon(
@@ -0,0 +1,504 @@
+import { getErrorMessage, isSessionLostError, DEFAULT_MAIL_DROP_EXPIRY_HOURS, DELIVERY_RETRY_INTERVAL_MS } from "../helpers";
+import { createOperationRecord } from "./operation-record";
+import { verifyExportDigest } from "./payload-digest";
+import { summarizePayloadSchemaErrors, validateExportData } from "./payload-schema";
+import { normalizeLimit } from "./storage-eviction";
+import type { ActiveTransfer, CancelTransferResult, DeliveryPhase, IControllerPlugin, PendingDelivery, SimpleResponse, TransferValidationEvent } from "../messages";
+import type { StartTransferInput, TransferOrchestrator } from "./transfer-orchestrator";
+import type { StartTransferResult } from "./transfer-queue";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class MailDrop {
+	private plugin: IControllerPlugin;
+	private orchestrator: TransferOrchestrator;
+	private messages: typeof import("../messages");
+	private busy: Set<string> = new Set();
+
+	constructor(plugin: IControllerPlugin, orchestrator: TransferOrchestrator, messages: typeof import("../messages")) {
+		this.plugin = plugin;
+		this.orchestrator = orchestrator;
+		this.messages = messages;
+		orchestrator.onTransferValidation((event, transfer) => this.handleValidation(event, transfer));
+	}
+
+	get logger() { return this.plugin.logger; }
+	get txLogger() { return this.plugin.txLogger; }
+
+	expiryMs(): number | null {
+		return normalizeLimit(this.plugin.controller.config?.get("surface_export.mail_drop_expiry_hours") ?? DEFAULT_MAIL_DROP_EXPIRY_HOURS, HOUR_MS);
+	}
+
+	destinationOf(delivery: PendingDelivery): number {
+		return delivery.leg === "return" ? delivery.sourceInstanceId : delivery.targetInstanceId;
+	}
+
+	async post(request: StartTransferInput): Promise<StartTransferResult & { deferred?: boolean; expiresAt?: number | null }> {
+		const checked = this.orchestrator.checkStartRequest(request, { allowOfflineTarget: true });
+		if (checked.error !== null) {
+			return { success: false, error: checked.error };
+		}
+		const sourceInstanceId = Number(request.sourceInstanceId);
+		const sourcePlatformIndex = Number(request.sourcePlatformIndex);
+		const targetInstanceId = checked.targetInstanceId;
+		const forceName = request.forceName || "player";
+		const { policy, warning } = this.messages.parseMailDropSourcePolicy(
+			this.plugin.controller.config?.get("surface_export.mail_drop_source_policy"));
+		if (warning) {
+			this.logger.warn(warning);
+		}
+
+		const unlockAndFail = async (error: string) => {
+			const rollbackError = await this.orchestrator.sendUnlockRequest(sourceInstanceId, sourcePlatformIndex, forceName);
+			return { success: false, error: rollbackError ? `${error}; rollback failed: ${rollbackError}` : error };
+		};
+		let exported;
+		try {
+			exported = await this.orchestrator.exportForTransfer(sourceInstanceId, sourcePlatformIndex, forceName, targetInstanceId);
+		} catch (err: unknown) {
+			return await unlockAndFail(getErrorMessage(err));
+		}
+		if (exported.error !== null) {
+			return { success: false, error: exported.error };
+		}
+		const stored = this.plugin.platformStorage.get(exported.exportId);
+		if (!stored) {
+			return await unlockAndFail(`Export ${exported.exportId} disappeared from controller storage`);
+		}
+		let payload;
+		try {
+			payload = await this.plugin.loadStoredExportData(exported.exportId);
+		} catch (err: unknown) {
+			return await unlockAndFail(`Export payload for ${exported.exportId} could not be read: ${getErrorMessage(err)}`);
+		}
+		const integrityError = payload ? verifyExportDigest(payload, stored.digest) : "payload missing";
+		if (integrityError) {
+			return await unlockAndFail(`Export payload failed its integrity check (${integrityError}); nothing was posted`);
+		}
+		await this.plugin.persistStorage();
+		if (this.plugin.platformStorage.get(exported.exportId)?.exportData !== undefined) {
+			return await unlockAndFail("The export payload could not be written to controller storage, so it cannot be held "
+				+ "for a later delivery; nothing was posted");
+		}
+
+		const transferId = exported.exportId;
+		const ttl = this.expiryMs();
+		const delivery: PendingDelivery = {
+			transferId,
+			exportId: exported.exportId,
+			sourceExportId: exported.sourceExportId,
+			sourceInstanceId,
+			sourcePlatformIndex,
+			sourcePlatformName: stored.platformName,
+			forceName,
+			targetInstanceId,
+			targetPlanet: request.targetPlanet ?? null,
+			sourcePolicy: policy,
+			leg: "outbound",
+			phase: policy === "despawn" ? "releasing_source" : "waiting",
+			postedAt: exported.startedAt,
+			expiresAt: ttl === null ? null : exported.startedAt + ttl,
+			attempts: 0,
+			lastAttemptAt: null,
+			lastError: null,
+		};
+		const destinationName = this.plugin.platformTree.resolveInstanceName(targetInstanceId) || `instance ${targetInstanceId}`;
+		const expiry = delivery.expiresAt === null ? "never expires" : `expires ${new Date(delivery.expiresAt).toISOString()}`;
+		this.busy.add(transferId);
+		let transfer: ActiveTransfer;
+		try {
+			const persistError = await this.plugin.persistPendingDelivery(delivery);
+			if (persistError) {
+				this.plugin.removePendingDelivery(transferId);
+				return await unlockAndFail(`The delivery could not be recorded (${persistError}); nothing was posted`);
+			}
+			await this.txLogger.archiveRecycledTransferId(transferId, delivery.postedAt);
+			transfer = this.adopt(delivery);
+			this.txLogger.logTransactionEvent(transferId, "transfer_deferred",
+				`Posted to ${destinationName}; it lands when the destination is running (source policy ${policy}, ${expiry})`,
+				{ sourcePolicy: policy, expiresAt: delivery.expiresAt, exportMetrics: exported.exportMetrics, payloadDigest: stored.digest ?? null });
+			await this.plugin.recordTransferStarted(transfer);
+			if (policy === "unlock") {
+				const unlockError = await this.orchestrator.sendUnlockRequest(sourceInstanceId, sourcePlatformIndex, forceName, stored.platformName);
+				this.txLogger.logTransactionEvent(transferId, unlockError ? "source_unlock_failed" : "source_unlocked",
+					unlockError
+						? `Source unlock failed (${unlockError}); the source lock expires on its own`
+						: "Source platform unlocked; the delivery is a copy of it as exported", { error: unlockError });
+			} else {
+				await this.releaseSource(delivery, transfer);
+			}
+		} finally {
+			this.busy.delete(transferId);
+		}
+		await this.txLogger.persistTransactionLog(transferId);
+
+		const current = this.plugin.pendingDeliveries.get(transferId);
+		if (!current) {
+			return { success: false, transferId, exportId: transferId, error: transfer.error || "Delivery abandoned" };
+		}
+		this.pump();
+		return {
+			success: true,
+			deferred: true,
+			transferId,
+			exportId: transferId,
+			expiresAt: delivery.expiresAt,
+			message: `${stored.platformName} is in the mail for ${destinationName}; it lands when the destination is running (${expiry})`,
+		};
+	}
+
+	adopt(delivery: PendingDelivery): ActiveTransfer {
+		const existing = this.plugin.activeTransfers.get(delivery.transferId);
+		if (existing) {
+			return existing;
+		}
+		const transfer = createOperationRecord("transfer", {
+			operationId: delivery.transferId,
+			exportId: delivery.exportId,
+			sourceExportId: delivery.sourceExportId,
+			artifactSizeBytes: this.plugin.platformStorage.get(delivery.exportId)?.size ?? null,
+			platformName: delivery.sourcePlatformName,
+			platformIndex: delivery.sourcePlatformIndex,
+			forceName: delivery.forceName,
+			sourceInstanceId: delivery.sourceInstanceId,
+			targetInstanceId: this.destinationOf(delivery),
+			resolveInstanceName: (id: number) => this.plugin.platformTree.resolveInstanceName(id),
+			startedAt: delivery.postedAt,
+			status: delivery.phase === "stuck" ? "cleanup_failed" : "deferred",
+			error: delivery.lastError,
+		});
+		transfer.deliveryLeg = delivery.leg;
+		transfer.deliveryExpiresAt = delivery.expiresAt;
+		this.plugin.activeTransfers.set(delivery.transferId, transfer);
+		this.orchestrator.updateTransfer(transfer);
+		return transfer;
+	}
+
+	async setPhase(delivery: PendingDelivery, phase: DeliveryPhase, changes: Partial<PendingDelivery> = {}) {
+		Object.assign(delivery, changes, { phase });
+		const persistError = await this.plugin.persistPendingDelivery(delivery);
+		if (persistError) {
+			this.logger.error(`Delivery ${delivery.transferId} moved to ${phase} but could not be persisted: ${persistError}`);
+		}
+	}
+
+	async releaseSource(delivery: PendingDelivery, transfer: ActiveTransfer) {
+		const lock = await this.orchestrator.querySourceLockState(transfer);
+		if (lock.state === "identity_mismatch") {
+			return await this.abandon(delivery, transfer,
+				`the source lock was lost before the platform could be despawned (${lock.error || "identity mismatch"}); it stays on the source`);
+		}
+		if (lock.state === "unknown/offline") {
+			delivery.lastError = `Waiting to despawn the source: ${lock.error || "source unreachable"}`;
+			return;
+		}
+		if (lock.state === "pre_commit") {
+			this.plugin.recordCommitTransmitted({
+				transferId: delivery.transferId,
+				sourceInstanceId: delivery.sourceInstanceId,
+				sourcePlatformIndex: delivery.sourcePlatformIndex,
+				sourcePlatformName: delivery.sourcePlatformName,
+				forceName: delivery.forceName,
+				committedAt: Date.now(),
+			});
+			let commit: SimpleResponse;
+			try {
+				commit = await this.plugin.controller.sendTo(
+					{ instanceId: delivery.sourceInstanceId },
+					new this.messages.CommitSourceTransferRequest({
+						transferId: delivery.sourceExportId,
+						platformIndex: delivery.sourcePlatformIndex,
+						platformName: delivery.sourcePlatformName,
+						forceName: delivery.forceName,
+					}),
+				);
+			} catch (err: unknown) {
+				delivery.lastError = `Source COMMIT unconfirmed: ${getErrorMessage(err)}`;
+				this.txLogger.logTransactionEvent(delivery.transferId, "commit_uncertain",
+					`${delivery.lastError}; retried from the source lock state`, { error: getErrorMessage(err) });
+				return;
+			}
+			if (!commit.success) {
+				return await this.abandon(delivery, transfer, `the source refused to despawn: ${commit.error || "no reason given"}`, true);
+			}
+			this.txLogger.logTransactionEvent(delivery.transferId, "source_committed",
+				"Source lock is committed; the controller now holds the only copy", {});
+		}
+		if (lock.state !== "source_gone_matching_transfer") {
+			let deleteError: string | null;
+			try {
+				const response = await this.plugin.controller.sendTo(
+					{ instanceId: delivery.sourceInstanceId },
+					new this.messages.DeleteSourcePlatformRequest({
+						platformIndex: delivery.sourcePlatformIndex,
+						platformName: delivery.sourcePlatformName,
+						forceName: delivery.forceName,
+						exportId: delivery.sourceExportId,
+					}),
+				);
+				deleteError = response.success ? null : response.error || "Unknown delete error";
+			} catch (err: unknown) {
+				deleteError = getErrorMessage(err);
+			}
+			if (deleteError) {
+				delivery.lastError = `Committed source not despawned yet: ${deleteError}`;
+				this.txLogger.logTransactionEvent(delivery.transferId, "source_delete_pending", `${delivery.lastError}; retried`, { error: deleteError });
+				return;
+			}
+		}
+		this.txLogger.logTransactionEvent(delivery.transferId, "source_despawned", "Source platform despawned; the platform is in the mail", {});
+		await this.setPhase(delivery, "waiting", { lastError: null });
+	}
+
+	async abandon(delivery: PendingDelivery, transfer: ActiveTransfer, reason: string, unlockSource = false) {
+		const rollbackError = unlockSource
+			? await this.orchestrator.sendUnlockRequest(delivery.sourceInstanceId, delivery.sourcePlatformIndex, delivery.forceName, delivery.sourcePlatformName)
+			: null;
+		transfer.status = "failed";
+		transfer.error = [`Delivery abandoned: ${reason}`, rollbackError ? `rollback failed: ${rollbackError}` : null].filter(Boolean).join("; ");
+		transfer.failedAt = Date.now();
+		this.plugin.removePendingDelivery(delivery.transferId);
+		this.logger.warn(`Delivery ${delivery.transferId} of ${delivery.sourcePlatformName}: ${transfer.error}`);
+		this.txLogger.logTransactionEvent(delivery.transferId, "delivery_abandoned", transfer.error, { reason, rollbackError });
+		this.orchestrator.updateTransfer(transfer);
+		await this.txLogger.persistTransactionLog(delivery.transferId);
+	}
+
+	async expire(delivery: PendingDelivery, transfer: ActiveTransfer) {
+		const destinationName = this.plugin.platformTree.resolveInstanceName(delivery.targetInstanceId) || `instance ${delivery.targetInstanceId}`;
+		if (delivery.sourcePolicy === "unlock") {
+			transfer.status = "failed";
+			transfer.error = `Delivery to ${destinationName} expired before it landed; the source platform was never removed, so nothing was lost`;
+			transfer.failedAt = Date.now();
+			this.plugin.removePendingDelivery(delivery.transferId);
+			this.txLogger.logTransactionEvent(delivery.transferId, "delivery_expired", transfer.error, { lastError: delivery.lastError });
+			this.orchestrator.updateTransfer(transfer);
+			await this.txLogger.persistTransactionLog(delivery.transferId);
+			return;
+		}
+		await this.setPhase(delivery, "waiting", { leg: "return", expiresAt: null, attempts: 0, lastAttemptAt: null });
+		transfer.deliveryLeg = "return";
+		transfer.deliveryExpiresAt = null;
+		transfer.targetInstanceId = delivery.sourceInstanceId;
+		transfer.targetInstanceName = this.plugin.platformTree.resolveInstanceName(delivery.sourceInstanceId);
+		transfer.error = `Delivery to ${destinationName} expired before it landed; returning to sender`;
+		this.logger.warn(`Delivery ${delivery.transferId} of ${delivery.sourcePlatformName}: ${transfer.error}`);
+		this.txLogger.logTransactionEvent(delivery.transferId, "delivery_expired", transfer.error, { lastError: delivery.lastError });
+		this.orchestrator.updateTransfer(transfer);
+		await this.txLogger.persistTransactionLog(delivery.transferId);
+	}
+
+	async deliver(delivery: PendingDelivery, transfer: ActiveTransfer) {
+		const transferId = delivery.transferId;
+		const destination = this.destinationOf(delivery);
+		await this.setPhase(delivery, "delivering", { attempts: delivery.attempts + 1, lastAttemptAt: Date.now() });
+		transfer.targetInstanceId = destination;
+		transfer.targetInstanceName = this.plugin.platformTree.resolveInstanceName(destination);
+		transfer.status = "transporting";
+		this.orchestrator.updateTransfer(transfer);
+		this.txLogger.logTransactionEvent(transferId, "delivery_attempt",
+			`${delivery.leg === "return" ? "Returning" : "Delivering"} to ${transfer.targetInstanceName || destination} (attempt ${delivery.attempts})`, {});
+
+		const discardError = await this.orchestrator.discardDestination(transferId, transfer);
+		if (discardError) {
+			return await this.attemptFailed(delivery, transfer, `a held copy left by an earlier attempt could not be discarded: ${discardError}`);
+		}
+		let payload;
+		try {
+			payload = await this.plugin.loadStoredExportData(delivery.exportId);
+		} catch (err: unknown) {
+			return await this.attemptFailed(delivery, transfer, `the held payload could not be read: ${getErrorMessage(err)}`);
+		}
+		const integrityError = payload ? verifyExportDigest(payload, this.plugin.platformStorage.get(delivery.exportId)?.digest) : "payload missing";
+		if (!payload || integrityError) {
+			return await this.markStuck(delivery, transfer, `the held payload is unusable (${integrityError}); restore it from a backup`);
+		}
+		if (delivery.leg !== "return") {
+			const modRefusal = await this.orchestrator.checkModCompatibility(
+				transferId, transfer, this.plugin.platformStorage.get(delivery.exportId)?.modSet, destination);
+			if (modRefusal) {
+				return await this.attemptFailed(delivery, transfer, modRefusal);
+			}
+		}
+		let importData;
+		try {
+			importData = this.orchestrator.migratePayload(transferId, payload);
+		} catch (err: unknown) {
+			return await this.markStuck(delivery, transfer, `the held payload could not be migrated to the current schema (${getErrorMessage(err)})`);
+		}
+		const schemaErrors = validateExportData(importData);
+		if (schemaErrors.length > 0) {
+			return await this.markStuck(delivery, transfer, `the held payload does not match the payload schema (${summarizePayloadSchemaErrors(schemaErrors)})`);
+		}
+		try {
+			this.txLogger.startPhase(transferId, "transmission");
+			const response = await this.plugin.controller.sendTo(
+				{ instanceId: destination },
+				new this.messages.ImportPlatformRequest({
+					exportId: delivery.exportId,
+					exportData: { ...importData, _transferId: transferId, _sourceInstanceId: delivery.sourceInstanceId },
+					forceName: delivery.forceName,
+					targetPlanet: delivery.leg === "return" ? null : delivery.targetPlanet,
+				}),
+			);
+			this.txLogger.endPhase(transferId, "transmission");
+			if (!response.success) {
+				return await this.attemptFailed(delivery, transfer, response.error || "Import failed");
+			}
+		} catch (err: unknown) {
+			this.txLogger.endPhase(transferId, "transmission");
+			if (!isSessionLostError(err)) {
+				return await this.attemptFailed(delivery, transfer, getErrorMessage(err));
+			}
+			this.txLogger.logTransactionEvent(transferId, "import_delivery_uncertain",
+				`Import send interrupted by session loss (${getErrorMessage(err)}); awaiting validation`, { error: getErrorMessage(err) });
+		}
+		this.txLogger.startPhase(transferId, "validation");
+		transfer.status = "awaiting_validation";
+		this.orchestrator.scheduleValidationTimeout(transferId);
+		this.orchestrator.updateTransfer(transfer);
+		this.txLogger.logTransactionEvent(transferId, "import_started", "Awaiting validation", {});
+	}
+
+	async attemptFailed(delivery: PendingDelivery, transfer: ActiveTransfer, error: string) {
+		await this.setPhase(delivery, "waiting", { lastError: error });
+		transfer.status = "deferred";
+		transfer.error = `Delivery attempt ${delivery.attempts} failed: ${error}`;
+		this.logger.warn(`Delivery ${delivery.transferId} of ${delivery.sourcePlatformName}: ${transfer.error}`);
+		this.txLogger.logTransactionEvent(delivery.transferId, "delivery_attempt_failed",
+			`${transfer.error}; retried in ${DELIVERY_RETRY_INTERVAL_MS / 60000} minutes`, { error });
+		this.orchestrator.updateTransfer(transfer);
+		await this.txLogger.persistTransactionLog(delivery.transferId);
+	}
+
+	async markStuck(delivery: PendingDelivery, transfer: ActiveTransfer, error: string) {
+		await this.setPhase(delivery, "stuck", { lastError: error });
+		transfer.status = "cleanup_failed";
+		transfer.error = `Delivery stopped: ${error}`;
+		this.logger.error(`Delivery ${delivery.transferId} of ${delivery.sourcePlatformName}: ${transfer.error}`);
+		this.txLogger.logTransactionEvent(delivery.transferId, "delivery_stuck", transfer.error, { error });
+		this.orchestrator.updateTransfer(transfer);
+		await this.txLogger.persistTransactionLog(delivery.transferId);
+	}
+
+	async finish(delivery: PendingDelivery, transfer: ActiveTransfer, resolved: { sourceResolved: boolean }) {
+		if (!resolved.sourceResolved) {
+			return;
+		}
+		this.plugin.removePendingDelivery(delivery.transferId);
+		if (delivery.leg === "return") {
+			this.txLogger.logTransactionEvent(delivery.transferId, "returned_to_sender",
+				`Delivery never landed on ${this.plugin.platformTree.resolveInstanceName(delivery.targetInstanceId) || delivery.targetInstanceId}; `
+				+ "the platform was returned to its source instance", {});
+			await this.txLogger.persistTransactionLog(delivery.transferId);
+		}
+		this.logger.info(`Delivery ${delivery.transferId} of ${delivery.sourcePlatformName} landed on instance ${transfer.targetInstanceId}`);
+	}
+
+	async cancel(transferId: string, requestedBy: string): Promise<CancelTransferResult> {
+		const delivery = this.plugin.pendingDeliveries.get(transferId);
+		if (!delivery) {
+			return { success: false, transferId, error: `Unknown delivery ${transferId}` };
+		}
+		const transfer = this.adopt(delivery);
+		const refuse = (reason: string) => ({ success: false, transferId, status: transfer.status, error: `Cannot cancel ${transferId}: ${reason}` });
+		if (delivery.sourcePolicy !== "unlock") {
+			return refuse("its source was despawned when it was posted, so it can only land or, once it expires, return to sender");
+		}
+		if (delivery.phase !== "waiting" || this.busy.has(transferId)) {
+			return refuse(`a delivery step is in progress (${delivery.phase}); retry once it settles`);
+		}
+		transfer.status = "failed";
+		transfer.error = `Cancelled by ${requestedBy} before it landed; the source platform was never removed, so nothing was lost`;
+		transfer.failedAt = Date.now();
+		this.plugin.removePendingDelivery(transferId);
+		await this.orchestrator.recordCancellation(transfer, requestedBy, transfer.error);
+		this.orchestrator.updateTransfer(transfer);
+		await this.txLogger.persistTransactionLog(transferId);
+		return { success: true, transferId, status: transfer.status, message: transfer.error };
+	}
+
+	async handleValidation(event: TransferValidationEvent, transfer: ActiveTransfer): Promise<boolean> {
+		const delivery = this.plugin.pendingDeliveries.get(event.transferId);
+		if (!delivery) {
+			return false;
+		}
+		this.busy.add(delivery.transferId);
+		try {
+			if (event.success) {
+				if (event.validation?.destinationHeld === true) {
+					await this.setPhase(delivery, "going_live");
+					await this.finish(delivery, transfer, await this.orchestrator.goLiveDestination(event.transferId, transfer));
+				} else {
+					await this.finish(delivery, transfer, await this.orchestrator.completeTransfer(event.transferId, transfer, 0));
+				}
+				return true;
+			}
+			const reason = event.validation?.mismatchDetails || "Unknown error";
+			const discardError = await this.orchestrator.discardDestination(event.transferId, transfer);
+			const cleanupError = event.validation?.cleanup_failed
+				? String(event.validation.cleanup_error || "destination discard failed")
+				: discardError;
+			if (cleanupError) {
+				await this.markStuck(delivery, transfer,
+					`validation failed (${reason}) and the destination copy could not be removed (${cleanupError}); remove it by hand`);
+			} else {
+				await this.attemptFailed(delivery, transfer, `validation failed: ${reason}`);
+			}
+			return true;
+		} finally {
+			this.busy.delete(delivery.transferId);
+		}
+	}
+
+	private step(delivery: PendingDelivery, now: number): Promise<unknown> | null {
+		const transfer = this.adopt(delivery);
+		switch (delivery.phase) {
+		case "releasing_source":
+			return this.plugin.isInstanceOnline(delivery.sourceInstanceId) ? this.releaseSource(delivery, transfer) : null;
+		case "going_live":
+			return this.plugin.isInstanceOnline(this.destinationOf(delivery))
+				? this.orchestrator.goLiveDestination(delivery.transferId, transfer).then(resolved => this.finish(delivery, transfer, resolved))
+				: null;
+		case "delivering":
+			if (transfer.status === "awaiting_validation" && transfer.validationTimeout) {
+				return null;
+			}
+			return this.attemptFailed(delivery, transfer, "the controller restarted before the destination answered");
+		case "waiting":
+			if (delivery.leg === "outbound" && delivery.expiresAt !== null && now >= delivery.expiresAt) {
+				return this.expire(delivery, transfer);
+			}
+			if (!this.plugin.isInstanceOnline(this.destinationOf(delivery))) {
+				return null;
+			}
+			if (delivery.lastAttemptAt !== null && now - delivery.lastAttemptAt < DELIVERY_RETRY_INTERVAL_MS) {
+				return null;
+			}
+			return this.deliver(delivery, transfer);
+		default:
+			return null;
+		}
+	}
+
+	pump(now = Date.now()) {
+		if (this.plugin.stateRestoreInProgress) {
+			return;
+		}
+		for (const delivery of Array.from(this.plugin.pendingDeliveries.values())) {
+			if (this.busy.has(delivery.transferId)) {
+				continue;
+			}
+			const task = this.step(delivery, now);
+			if (!task) {
+				continue;
+			}
+			this.busy.add(delivery.transferId);
+			void task
+				.catch((err: unknown) => {
+					this.logger.error(`Delivery ${delivery.transferId} step failed: ${getErrorMessage(err)}`);
+				})
+				.finally(() => this.busy.delete(delivery.transferId));
+		}
+	}
+}
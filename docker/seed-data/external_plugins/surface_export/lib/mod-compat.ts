@@ -0,0 +1,56 @@
+import type { ExportData, ExportModSet, ModMismatch } from "../messages";
+
+function versionString(value: unknown): string | null {
+	return typeof value === "string" && value ? value : null;
+}
+
+export function readExportModSet(exportData: ExportData | null | undefined): ExportModSet | null {
+	const mods = exportData?.mods;
+	if (!mods || typeof mods !== "object" || Array.isArray(mods)) {
+		return null;
+	}
+	const entries = Object.entries(mods)
+		.filter(([, version]) => versionString(version) !== null)
+		.sort(([a], [b]) => a.localeCompare(b));
+	return {
+		factorioVersion: versionString(exportData.factorio_version) ?? versionString(mods.base),
+		moduleVersion: versionString(exportData.module_version),
+		mods: Object.fromEntries(entries),
+	};
+}
+
+export function compareModSets(source: ExportModSet, target: ExportModSet): ModMismatch[] {
+	const mismatches: ModMismatch[] = [];
+	const targetMods = target.mods || {};
+	for (const [name, sourceVersion] of Object.entries(source.mods || {}).sort(([a], [b]) => a.localeCompare(b))) {
+		const targetVersion = versionString(targetMods[name]);
+		if (targetVersion === null) {
+			mismatches.push({ kind: "missing", name, sourceVersion, targetVersion: null });
+		} else if (targetVersion !== sourceVersion) {
+			mismatches.push({ kind: "version", name, sourceVersion, targetVersion });
+		}
+	}
+	if (source.moduleVersion && target.moduleVersion && source.moduleVersion !== target.moduleVersion) {
+		mismatches.push({ kind: "module", name: "surface_export", sourceVersion: source.moduleVersion, targetVersion: target.moduleVersion });
+	}
+	return mismatches;
+}
+
+export function describeModMismatch(mismatch: ModMismatch): string {
+	switch (mismatch.kind) {
+	case "missing":
+		return `mod "${mismatch.name}" ${mismatch.sourceVersion} is not active on the destination`;
+	case "module":
+		return `surface_export module ${mismatch.sourceVersion} exported it, the destination runs ${mismatch.targetVersion}`;
+	default:
+		return `mod "${mismatch.name}" is ${mismatch.sourceVersion} on the source and ${mismatch.targetVersion} on the destination`;
+	}
+}
+
+export function summarizeModMismatches(mismatches: ModMismatch[], limit = 3): string {
+	const shown = mismatches.slice(0, limit).map(describeModMismatch);
+	if (mismatches.length > limit) {
+		shown.push(`and ${mismatches.length - limit} more`);
+	}
+	return shown.join("; ");
+}
@@ -21,8 +21,8 @@ export function createOperationRecord(
 	const platformIndex = Number.isInteger(candidatePlatformIndex) && candidatePlatformIndex > 0
 		? candidatePlatformIndex
 		: null;
-	if (operationType === "transfer" && platformIndex === null) {
-		throw new Error("platformIndex is required for transfer operations");
+	if ((operationType === "transfer" || operationType === "copy") && platformIndex === null) {
+		throw new Error(`platformIndex is required for ${operationType} operations`);
 	}
 	const operation: ActiveTransfer = {
 		transferId: operationId,
@@ -0,0 +1,46 @@
+import crypto from "crypto";
+import type { ExportData } from "../messages";
+
+export const DIGEST_PREFIX = "sha256:";
+
+export function canonicalJson(value: unknown): string {
+	if (value === null || typeof value !== "object") {
+		return JSON.stringify(value) ?? "null";
+	}
+	if (Array.isArray(value)) {
+		return `[${value.map(item => (item === undefined ? "null" : canonicalJson(item))).join(",")}]`;
+	}
+	const record = value as Record<string, unknown>;
+	const keys = Object.keys(record).filter(key => record[key] !== undefined).sort();
+	return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(record[key])}`).join(",")}}`;
+}
+
+export function stripTransportFields(exportData: ExportData): ExportData {
+	const payload: ExportData = {};
+	for (const [key, value] of Object.entries(exportData)) {
+		if (!key.startsWith("_")) {
+			payload[key] = value;
+		}
+	}
+	return payload;
+}
+
+export function computeExportDigest(exportData: ExportData): string {
+	const hash = crypto.createHash("sha256").update(canonicalJson(stripTransportFields(exportData)), "utf8").digest("hex");
+	return `${DIGEST_PREFIX}${hash}`;
+}
+
+export function verifyExportDigest(exportData: ExportData, expected: string | null | undefined): string | null {
+	if (!expected) {
+		return null;
+	}
+	const actual = computeExportDigest(exportData);
+	if (actual === expected) {
+		return null;
+	}
+	return `payload digest mismatch: expected ${expected}, got ${actual}`;
+}
+
+export function withEmbeddedDigest(exportData: ExportData, digest: string): ExportData {
+	return { ...exportData, _digest: digest };
+}
@@ -0,0 +1,142 @@
+import type { ExportData, PayloadSchemaError } from "../messages";
+import exportPayloadSchema from "./export-payload.schema.json";
+import { decodeExportPayload } from "./schema-migrations";
+
+export interface SchemaNode {
+	$ref?: string;
+	title?: string;
+	description?: string;
+	type?: string | string[];
+	enum?: unknown[];
+	minimum?: number;
+	maxProperties?: number;
+	properties?: Record<string, SchemaNode>;
+	required?: string[];
+	additionalProperties?: boolean | SchemaNode;
+	items?: SchemaNode;
+}
+
+export interface RootSchema extends SchemaNode {
+	$schema: string;
+	$id: string;
+	definitions: Record<string, SchemaNode>;
+}
+
+export const SUPPORTED_SCHEMA_KEYWORDS = [
+	"$schema", "$id", "$ref", "title", "description", "definitions",
+	"type", "enum", "minimum", "maxProperties", "properties", "required", "additionalProperties", "items",
+];
+
+export const EXPORT_PAYLOAD_SCHEMA = exportPayloadSchema as RootSchema;
+
+function describePath(path: string, key: string | number): string {
+	if (typeof key === "number") {
+		return `${path}[${key}]`;
+	}
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value: unknown): string {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+	return typeof value;
+}
+
+function matchesType(value: unknown, expected: string): boolean {
+	const actual = typeOf(value);
+	return actual === expected || (expected === "number" && actual === "integer");
+}
+
+export function validateAgainstSchema(root: RootSchema, value: unknown, limit = 20): PayloadSchemaError[] {
+	const errors: PayloadSchemaError[] = [];
+
+	const resolve = (node: SchemaNode): SchemaNode => {
+		if (!node.$ref) return node;
+		const name = node.$ref.replace(/^#\/definitions\//, "");
+		const target = root.definitions[name];
+		if (!target) {
+			throw new Error(`schema reference ${node.$ref} does not resolve`);
+		}
+		return resolve(target);
+	};
+
+	const visit = (schemaNode: SchemaNode, current: unknown, path: string) => {
+		if (errors.length >= limit) return;
+		const node = resolve(schemaNode);
+		if (node.type) {
+			const types = Array.isArray(node.type) ? node.type : [node.type];
+			if (!types.some(type => matchesType(current, type))) {
+				errors.push({ path, message: `expected ${types.join(" or ")}, got ${typeOf(current)}` });
+				return;
+			}
+		}
+		if (node.enum && !node.enum.includes(current)) {
+			errors.push({ path, message: `expected one of ${node.enum.map(entry => JSON.stringify(entry)).join(", ")}` });
+			return;
+		}
+		if (typeof current === "number" && node.minimum !== undefined && current < node.minimum) {
+			errors.push({ path, message: `must be at least ${node.minimum}, got ${current}` });
+			return;
+		}
+		if (Array.isArray(current)) {
+			if (node.items) {
+				for (let index = 0; index < current.length && errors.length < limit; index++) {
+					visit(node.items, current[index], describePath(path, index));
+				}
+			}
+			return;
+		}
+		if (!current || typeof current !== "object") return;
+
+		const record = current as Record<string, unknown>;
+		const keys = Object.keys(record);
+		if (node.maxProperties !== undefined && keys.length > node.maxProperties) {
+			errors.push({ path, message: node.maxProperties === 0 && node.items
+				? "expected a list, got an object with keys"
+				: `has ${keys.length} properties, at most ${node.maxProperties} allowed` });
+			return;
+		}
+		for (const name of node.required ?? []) {
+			if (record[name] === undefined) {
+				errors.push({ path: describePath(path, name), message: "is required" });
+			}
+		}
+		for (const key of keys) {
+			if (errors.length >= limit) return;
+			const propertySchema = node.properties?.[key];
+			if (propertySchema) {
+				visit(propertySchema, record[key], describePath(path, key));
+			} else if (node.additionalProperties === false) {
+				errors.push({ path: describePath(path, key), message: "is not an allowed property" });
+			} else if (node.additionalProperties && typeof node.additionalProperties === "object") {
+				visit(node.additionalProperties, record[key], describePath(path, key));
+			}
+		}
+	};
+
+	visit(root, value, "$");
+	return errors.slice(0, limit);
+}
+
+export function validateExportPayload(payload: unknown, limit = 20): PayloadSchemaError[] {
+	return validateAgainstSchema(EXPORT_PAYLOAD_SCHEMA, payload, limit);
+}
+
+export function validateExportData(exportData: ExportData, limit = 20): PayloadSchemaError[] {
+	let payload: unknown;
+	try {
+		payload = decodeExportPayload(exportData);
+	} catch (err: unknown) {
+		return [{ path: "$.payload", message: `could not be decoded: ${err instanceof Error ? err.message : String(err)}` }];
+	}
+	return validateExportPayload(payload, limit);
+}
+
+export function summarizePayloadSchemaErrors(errors: PayloadSchemaError[], limit = 3): string {
+	const shown = errors.slice(0, limit).map(error => `${error.path} ${error.message}`);
+	if (errors.length > limit) {
+		shown.push(`and ${errors.length - limit} more`);
+	}
+	return shown.join("; ");
+}
@@ -88,7 +88,7 @@ export class PlatformTree {
 
 		const terminalStatuses = new Set(["completed", "failed", "cleanup_failed", "error"]);
 		for (const transfer of this.plugin.activeTransfers.values()) {
-			if (transfer.sourceInstanceId !== instanceId) {
+			if (transfer.sourceInstanceId !== instanceId || transfer.operationType === "group" || transfer.operationType === "swap") {
 				continue;
 			}
 			if (terminalStatuses.has(transfer.status)) {
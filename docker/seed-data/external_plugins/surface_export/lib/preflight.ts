@@ -0,0 +1,77 @@
+import { DEFAULT_IMPORT_PLANET } from "../helpers";
+import type { PlatformCensus, PreflightIssue, PreflightIssueKind, PreflightReport, PrototypeCensus } from "../messages";
+
+type CensusKey = "entities" | "tiles" | "items" | "fluids" | "qualities";
+
+const PROTOTYPE_CHECKS: Array<{ kind: PreflightIssueKind; key: CensusKey; label: string; unit: string }> = [
+	{ kind: "entity", key: "entities", label: "entity", unit: "placed" },
+	{ kind: "tile", key: "tiles", label: "tile", unit: "placed" },
+	{ kind: "item", key: "items", label: "item", unit: "carried" },
+	{ kind: "fluid", key: "fluids", label: "fluid", unit: "units held" },
+	{ kind: "quality", key: "qualities", label: "quality", unit: "entities and items" },
+];
+
+function censusEntries(value: Record<string, number> | unknown[] | null | undefined): Array<[string, number]> {
+	if (!value || Array.isArray(value)) {
+		return [];
+	}
+	return Object.entries(value)
+		.map(([name, count]): [string, number] => [name, Math.round(Number(count) || 0)])
+		.sort(([a], [b]) => a.localeCompare(b));
+}
+
+function censusNames(value: string[] | Record<string, unknown> | null | undefined): Set<string> {
+	return new Set(Array.isArray(value) ? value : []);
+}
+
+export function comparePreflightCensus(
+	platform: PlatformCensus,
+	destination: PrototypeCensus,
+	targetInstanceId: number,
+	targetPlanet: string | null,
+): PreflightReport {
+	const blockers: PreflightIssue[] = [];
+	const warnings: PreflightIssue[] = [];
+
+	for (const { kind, key, label, unit } of PROTOTYPE_CHECKS) {
+		const known = censusNames(destination[key]);
+		for (const [name, count] of censusEntries(platform[key])) {
+			if (!known.has(name)) {
+				blockers.push({ kind, name, count, message: `The destination has no ${label} prototype "${name}" (${count} ${unit})` });
+			}
+		}
+	}
+
+	const locations = censusNames(destination.spaceLocations);
+	const arrival = targetPlanet || DEFAULT_IMPORT_PLANET;
+	if (!locations.has(arrival)) {
+		blockers.push({
+			kind: "space_location",
+			name: arrival,
+			count: null,
+			message: targetPlanet
+				? `Space location "${arrival}" does not exist on the destination`
+				: `The default arrival planet "${arrival}" does not exist on the destination; pick a destination location`,
+		});
+	}
+	for (const station of Array.isArray(platform.scheduleStations) ? platform.scheduleStations : []) {
+		if (!locations.has(station)) {
+			warnings.push({
+				kind: "schedule",
+				name: station,
+				count: null,
+				message: `Schedule stop "${station}" does not exist on the destination; the platform cannot fly there after the transfer`,
+			});
+		}
+	}
+
+	return { platformName: platform.platformName, targetInstanceId, blockers, warnings };
+}
+
+export function summarizePreflightIssues(issues: PreflightIssue[], limit = 3): string {
+	const shown = issues.slice(0, limit).map(issue => issue.message);
+	if (issues.length > limit) {
+		shown.push(`and ${issues.length - limit} more`);
+	}
+	return shown.join("; ");
+}
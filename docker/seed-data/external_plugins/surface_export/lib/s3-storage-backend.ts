@@ -0,0 +1,244 @@
+import crypto from "crypto";
+import { enqueueWrite } from "./persist-queue";
+import type { StorageBackend, StoredObjectStat } from "./storage-backend";
+
+export type S3BackendOptions = {
+	endpoint: URL;
+	region: string;
+	bucket: string;
+	prefix: string;
+	accessKeyId: string;
+	secretAccessKey: string;
+	requestTimeoutMs?: number;
+};
+
+export const S3_REQUEST_TIMEOUT_MS = 120_000;
+
+export type SignableRequest = {
+	method: string;
+	url: URL;
+	headers: Record<string, string>;
+	body: string;
+	region: string;
+	accessKeyId: string;
+	secretAccessKey: string;
+	now: Date;
+};
+
+const EMPTY_BODY_SHA256 = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+
+function sha256Hex(content: string): string {
+	return crypto.createHash("sha256").update(content, "utf8").digest("hex");
+}
+
+function hmac(key: crypto.BinaryLike, content: string): Buffer {
+	return crypto.createHmac("sha256", key).update(content, "utf8").digest();
+}
+
+export function encodeRfc3986(value: string): string {
+	return encodeURIComponent(value).replace(/[!'()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function canonicalQuery(url: URL): string {
+	return Array.from(url.searchParams)
+		.map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+		.sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+		.map(([key, value]) => `${key}=${value}`)
+		.join("&");
+}
+
+export function signS3Request(request: SignableRequest): Record<string, string> {
+	const amzDate = request.now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+	const date = amzDate.slice(0, 8);
+	const payloadHash = request.body ? sha256Hex(request.body) : EMPTY_BODY_SHA256;
+	const headers: Record<string, string> = {
+		...Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), value.trim()])),
+		host: request.url.host,
+		"x-amz-content-sha256": payloadHash,
+		"x-amz-date": amzDate,
+	};
+	const signedHeaders = Object.keys(headers).sort();
+	const canonicalRequest = [
+		request.method,
+		request.url.pathname,
+		canonicalQuery(request.url),
+		signedHeaders.map(name => `${name}:${headers[name]}\n`).join(""),
+		signedHeaders.join(";"),
+		payloadHash,
+	].join("\n");
+	const scope = `${date}/${request.region}/s3/aws4_request`;
+	const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+	const signingKey = ["s3", "aws4_request"].reduce(
+		(key, part) => hmac(key, part),
+		hmac(hmac(`AWS4${request.secretAccessKey}`, date), request.region),
+	);
+	const signature = hmac(signingKey, stringToSign).toString("hex");
+	return {
+		...headers,
+		authorization: `AWS4-HMAC-SHA256 Credential=${request.accessKeyId}/${scope}, `
+			+ `SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`,
+	};
+}
+
+function decodeXml(value: string): string {
+	return value
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, "\"")
+		.replace(/&apos;/g, "'")
+		.replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+		.replace(/&amp;/g, "&");
+}
+
+function xmlValues(xml: string, tag: string): string[] {
+	return Array.from(xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g")), match => decodeXml(match[1]));
+}
+
+export class S3StorageBackend implements StorageBackend {
+	readonly name = "s3" as const;
+	readonly location: string;
+
+	constructor(private readonly options: S3BackendOptions) {
+		this.location = `s3://${options.bucket}/${options.prefix}`;
+	}
+
+	private objectKey(key: string): string {
+		return `${this.options.prefix}${key}`;
+	}
+
+	private objectUrl(key: string | null, query: Record<string, string> = {}): URL {
+		const base = this.options.endpoint.pathname.replace(/\/$/, "");
+		const objectPath = key === null ? "" : `/${this.objectKey(key).split("/").map(encodeRfc3986).join("/")}`;
+		const url = new URL(`${base}/${encodeRfc3986(this.options.bucket)}${objectPath}`, this.options.endpoint);
+		for (const [name, value] of Object.entries(query)) {
+			url.searchParams.set(name, value);
+		}
+		return url;
+	}
+
+	private async send(method: string, what: string, url: URL, body = "", headers: Record<string, string> = {}): Promise<Response> {
+		const signed = signS3Request({
+			method,
+			url,
+			headers,
+			body,
+			region: this.options.region,
+			accessKeyId: this.options.accessKeyId,
+			secretAccessKey: this.options.secretAccessKey,
+			now: new Date(),
+		});
+		const { host: _host, ...sent } = signed;
+		try {
+			return await fetch(url, {
+				method,
+				headers: sent,
+				body: body || undefined,
+				signal: AbortSignal.timeout(this.options.requestTimeoutMs ?? S3_REQUEST_TIMEOUT_MS),
+			});
+		} catch (err: unknown) {
+			throw this.timedOut(method, what, err);
+		}
+	}
+
+	private async read(method: string, what: string, response: Response): Promise<string> {
+		try {
+			return await response.text();
+		} catch (err: unknown) {
+			throw this.timedOut(method, what, err);
+		}
+	}
+
+	private timedOut(method: string, what: string, err: unknown): unknown {
+		if (!(err instanceof Error) || (err.name !== "TimeoutError" && err.name !== "AbortError")) {
+			return err;
+		}
+		return new Error(
+			`S3 ${method} ${what} on ${this.options.endpoint.origin} failed: `
+			+ `no response within ${this.options.requestTimeoutMs ?? S3_REQUEST_TIMEOUT_MS} ms`,
+		);
+	}
+
+	private async failure(method: string, what: string, response: Response): Promise<Error> {
+		const text = await this.read(method, what, response);
+		const [code] = xmlValues(text, "Code");
+		const [message] = xmlValues(text, "Message");
+		return new Error(
+			`S3 ${method} ${what} on ${this.options.endpoint.origin} failed: HTTP ${response.status}`
+			+ `${code ? ` ${code}` : ""}${message ? ` (${message})` : ""}`,
+		);
+	}
+
+	locate(key: string): string {
+		return `${this.location}${key}`;
+	}
+
+	async put(key: string, content: string): Promise<void> {
+		await enqueueWrite(this.locate(key), async () => {
+			const response = await this.send("PUT", this.objectKey(key), this.objectUrl(key), content, { "content-type": "application/json" });
+			if (!response.ok) {
+				throw await this.failure("PUT", this.objectKey(key), response);
+			}
+		});
+	}
+
+	async get(key: string): Promise<string | null> {
+		const response = await this.send("GET", this.objectKey(key), this.objectUrl(key));
+		if (response.status === 404) {
+			return null;
+		}
+		if (!response.ok) {
+			throw await this.failure("GET", this.objectKey(key), response);
+		}
+		return this.read("GET", this.objectKey(key), response);
+	}
+
+	async list(): Promise<string[]> {
+		const keys: string[] = [];
+		let continuationToken: string | null = null;
+		do {
+			const query: Record<string, string> = { "list-type": "2", prefix: this.options.prefix };
+			if (continuationToken) {
+				query["continuation-token"] = continuationToken;
+			}
+			const response = await this.send("GET", this.options.prefix || "/", this.objectUrl(null, query));
+			if (!response.ok) {
+				throw await this.failure("LIST", this.options.prefix || "/", response);
+			}
+			const xml = await this.read("LIST", this.options.prefix || "/", response);
+			for (const objectKey of xmlValues(xml, "Key")) {
+				const key = objectKey.slice(this.options.prefix.length);
+				if (key && !key.includes("/")) {
+					keys.push(key);
+				}
+			}
+			continuationToken = xmlValues(xml, "IsTruncated")[0] === "true"
+				? xmlValues(xml, "NextContinuationToken")[0] ?? null
+				: null;
+		} while (continuationToken);
+		return keys;
+	}
+
+	async delete(key: string): Promise<void> {
+		await enqueueWrite(this.locate(key), async () => {
+			const response = await this.send("DELETE", this.objectKey(key), this.objectUrl(key));
+			if (!response.ok && response.status !== 404) {
+				throw await this.failure("DELETE", this.objectKey(key), response);
+			}
+		});
+	}
+
+	async stat(key: string): Promise<StoredObjectStat | null> {
+		const response = await this.send("HEAD", this.objectKey(key), this.objectUrl(key));
+		if (response.status === 404) {
+			return null;
+		}
+		if (!response.ok) {
+			throw new Error(`S3 HEAD ${this.objectKey(key)} on ${this.options.endpoint.origin} failed: HTTP ${response.status}`);
+		}
+		const modified = response.headers.get("last-modified");
+		return {
+			size: Number(response.headers.get("content-length") ?? 0),
+			modifiedAt: modified ? Date.parse(modified) : null,
+		};
+	}
+}
@@ -0,0 +1,153 @@
+import type { TransferScheduleRule } from "../messages";
+
+export type CronFields = {
+	minutes: Set<number>;
+	hours: Set<number>;
+	days: Set<number>;
+	months: Set<number>;
+	weekdays: Set<number>;
+	anyDay: boolean;
+	anyWeekday: boolean;
+};
+
+const CRON_FIELDS: Array<[string, number, number]> = [
+	["minute", 0, 59],
+	["hour", 0, 23],
+	["day of month", 1, 31],
+	["month", 1, 12],
+	["day of week", 0, 7],
+];
+
+const CRON_ALIASES: Record<string, string> = {
+	"@hourly": "0 * * * *",
+	"@daily": "0 0 * * *",
+	"@weekly": "0 0 * * 0",
+	"@monthly": "0 0 1 * *",
+};
+
+const CRON_SEARCH_LIMIT_MS = 4 * 366 * 24 * 60 * 60 * 1000;
+
+function parseCronField(text: string, name: string, min: number, max: number): Set<number> | string {
+	const values = new Set<number>();
+	for (const part of text.split(",")) {
+		const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+		if (!match) {
+			return `${name} "${part}" is not a number, range, list or step`;
+		}
+		const step = match[3] === undefined ? 1 : Number(match[3]);
+		let from = min;
+		let to = max;
+		if (match[1] !== undefined) {
+			from = Number(match[1]);
+			to = match[2] !== undefined ? Number(match[2]) : match[3] !== undefined ? max : from;
+		}
+		if (from < min || to > max || from > to || step < 1) {
+			return `${name} "${part}" is outside ${min}-${max}`;
+		}
+		for (let value = from; value <= to; value += step) {
+			values.add(value);
+		}
+	}
+	return values;
+}
+
+export function parseCronExpression(expression: string): { error: string } | { error: null; fields: CronFields } {
+	const text = String(expression || "").trim();
+	const parts = (CRON_ALIASES[text] ?? text).split(/\s+/);
+	if (parts.length !== CRON_FIELDS.length) {
+		return { error: `Cron expression "${text}" needs 5 fields (minute hour day-of-month month day-of-week)` };
+	}
+	const sets: Array<Set<number>> = [];
+	for (let i = 0; i < CRON_FIELDS.length; i++) {
+		const [name, min, max] = CRON_FIELDS[i];
+		const parsed = parseCronField(parts[i], name, min, max);
+		if (typeof parsed === "string") {
+			return { error: `Cron expression "${text}": ${parsed}` };
+		}
+		sets.push(parsed);
+	}
+	const weekdays = new Set(Array.from(sets[4], day => day % 7));
+	return {
+		error: null,
+		fields: {
+			minutes: sets[0],
+			hours: sets[1],
+			days: sets[2],
+			months: sets[3],
+			weekdays,
+			anyDay: parts[2] === "*",
+			anyWeekday: parts[4] === "*",
+		},
+	};
+}
+
+function dayMatches(fields: CronFields, date: Date) {
+	const dayOfMonth = fields.days.has(date.getDate());
+	const dayOfWeek = fields.weekdays.has(date.getDay());
+	if (fields.anyDay || fields.anyWeekday) {
+		return dayOfMonth && dayOfWeek;
+	}
+	return dayOfMonth || dayOfWeek;
+}
+
+export function nextCronTime(fields: CronFields, after: number): number | null {
+	const date = new Date(after);
+	date.setSeconds(0, 0);
+	date.setMinutes(date.getMinutes() + 1);
+	const limit = after + CRON_SEARCH_LIMIT_MS;
+	while (date.getTime() <= limit) {
+		if (!fields.months.has(date.getMonth() + 1)) {
+			date.setMonth(date.getMonth() + 1, 1);
+			date.setHours(0, 0, 0, 0);
+		} else if (!dayMatches(fields, date)) {
+			date.setDate(date.getDate() + 1);
+			date.setHours(0, 0, 0, 0);
+		} else if (!fields.hours.has(date.getHours())) {
+			date.setHours(date.getHours() + 1, 0, 0, 0);
+		} else if (!fields.minutes.has(date.getMinutes())) {
+			date.setMinutes(date.getMinutes() + 1, 0, 0);
+		} else {
+			return date.getTime();
+		}
+	}
+	return null;
+}
+
+const DURATION_UNITS_MS: Record<string, number> = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+export function parseDuration(text: string): number | null {
+	const parts = String(text || "").trim().toLowerCase().match(/\d+\s*[smhd]/g);
+	if (!parts || parts.join("").replace(/\s/g, "") !== String(text).trim().toLowerCase().replace(/\s/g, "")) {
+		return null;
+	}
+	return parts.reduce((total, part) => total + parseInt(part, 10) * DURATION_UNITS_MS[part.trim().slice(-1)], 0);
+}
+
+export function checkScheduleRule(rule: TransferScheduleRule | null | undefined, now: number): string | null {
+	if (rule?.kind === "once") {
+		if (!Number.isFinite(rule.at)) {
+			return "A one-shot schedule needs a time";
+		}
+		return rule.at > now ? null : `The one-shot time ${new Date(rule.at).toISOString()} has already passed`;
+	}
+	if (rule?.kind === "cron") {
+		const parsed = parseCronExpression(rule.cron);
+		if (parsed.error !== null) {
+			return parsed.error;
+		}
+		return nextCronTime(parsed.fields, now) === null ? `Cron expression "${rule.cron}" never matches a date` : null;
+	}
+	return "A schedule rule is either a one-shot time or a cron expression";
+}
+
+export function nextRunAfter(rule: TransferScheduleRule, after: number): number | null {
+	if (rule.kind === "once") {
+		return rule.at > after ? rule.at : null;
+	}
+	const parsed = parseCronExpression(rule.cron);
+	return parsed.error === null ? nextCronTime(parsed.fields, after) : null;
+}
+
+export function describeScheduleRule(rule: TransferScheduleRule): string {
+	return rule.kind === "once" ? `once at ${new Date(rule.at).toISOString()}` : `cron "${rule.cron}"`;
+}
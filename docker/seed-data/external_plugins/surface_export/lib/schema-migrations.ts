@@ -0,0 +1,97 @@
+import { deflateSync, inflateSync } from "zlib";
+import type { ExportData } from "../messages";
+
+export const PAYLOAD_SCHEMA_VERSION = "2.0.0";
+
+type Payload = Record<string, unknown>;
+
+export interface PayloadMigration {
+	from: string;
+	to: string;
+	description: string;
+	migrate(payload: Payload): Payload;
+}
+
+export const PAYLOAD_MIGRATIONS: PayloadMigration[] = [];
+
+export interface PayloadMigrationResult {
+	exportData: ExportData;
+	fromVersion: string | null;
+	toVersion: string;
+	steps: string[];
+}
+
+export function planMigrations(fromVersion: string, migrations: readonly PayloadMigration[] = PAYLOAD_MIGRATIONS, target = PAYLOAD_SCHEMA_VERSION): PayloadMigration[] {
+	const plan: PayloadMigration[] = [];
+	let version = fromVersion;
+	while (version !== target) {
+		const step = migrations.find(migration => migration.from === version);
+		if (!step) {
+			const known = [...new Set([...migrations.map(migration => migration.from), target])].join(", ");
+			throw new Error(
+				version === fromVersion
+					? `no migration from payload schema ${fromVersion} to ${target} (known schemas: ${known})`
+					: `migration chain from payload schema ${fromVersion} stops at ${version} before reaching ${target}`,
+			);
+		}
+		if (plan.includes(step)) {
+			throw new Error(`migration chain from payload schema ${fromVersion} loops at ${step.from}`);
+		}
+		plan.push(step);
+		version = step.to;
+	}
+	return plan;
+}
+
+export function decodeExportPayload(exportData: ExportData): Payload {
+	if (!exportData.compressed) {
+		return exportData;
+	}
+	if (exportData.compression !== "deflate" || typeof exportData.payload !== "string") {
+		throw new Error(`unsupported payload compression ${JSON.stringify(exportData.compression)}`);
+	}
+	const decoded = JSON.parse(inflateSync(Buffer.from(exportData.payload, "base64")).toString("utf8")) as unknown;
+	if (!decoded || typeof decoded !== "object" || Array.isArray(decoded)) {
+		throw new Error("compressed payload does not decode to a JSON object");
+	}
+	return decoded as Payload;
+}
+
+function readSchemaVersion(exportData: ExportData): string | null {
+	const envelopeVersion = exportData.schema_version;
+	if (typeof envelopeVersion === "string" && envelopeVersion) {
+		return envelopeVersion;
+	}
+	const inner = decodeExportPayload(exportData).schema_version;
+	return typeof inner === "string" && inner ? inner : null;
+}
+
+export function migrateExportData(exportData: ExportData, migrations: readonly PayloadMigration[] = PAYLOAD_MIGRATIONS, target = PAYLOAD_SCHEMA_VERSION): PayloadMigrationResult {
+	const fromVersion = readSchemaVersion(exportData);
+	if (fromVersion === null || fromVersion === target) {
+		return { exportData, fromVersion, toVersion: target, steps: [] };
+	}
+	const plan = planMigrations(fromVersion, migrations, target);
+
+	let payload: Payload = structuredClone(decodeExportPayload(exportData));
+	for (const step of plan) {
+		payload = step.migrate(payload);
+		payload.schema_version = step.to;
+	}
+	const steps = plan.map(step => `${step.from} → ${step.to}: ${step.description}`);
+
+	if (!exportData.compressed) {
+		return { exportData: payload as ExportData, fromVersion, toVersion: target, steps };
+	}
+	const migrated: ExportData = {
+		...exportData,
+		payload: deflateSync(Buffer.from(JSON.stringify(payload), "utf8")).toString("base64"),
+		schema_version: target,
+	};
+	for (const key of ["stats", "verification"] as const) {
+		if (payload[key] !== undefined) {
+			migrated[key] = payload[key] as ExportData[typeof key];
+		}
+	}
+	return { exportData: migrated, fromVersion, toVersion: target, steps };
+}
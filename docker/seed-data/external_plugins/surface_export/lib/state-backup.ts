@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { enqueueWrite } from "./persist-queue";
+import { AUDIT_ROW_VERSION } from "./audit-ledger";
+import type { StateBackupArchive, StateBackupCounts, StateBackupFile, StateBackupManifest } from "../shared/dto";
+
+export type { StateBackupArchive, StateBackupCounts, StateBackupFile, StateBackupManifest };
+
+export const STATE_BACKUP_FORMAT = "surface_export_state";
+export const STATE_BACKUP_FORMAT_VERSION = 1;
+
+export type StateFileSource = {
+	name: string;
+	queue: string;
+	read: () => Promise<string | null>;
+};
+
+export type StateFileTarget =
+	| { kind: "file"; file: string }
+	| { kind: "store"; key: string; exportId: string | null };
+
+function sha256(content: string): string {
+	return crypto.createHash("sha256").update(content, "utf8").digest("hex");
+}
+
+export async function readStateFile(file: string): Promise<string | null> {
+	try {
+		return await fs.readFile(file, "utf8");
+	} catch (err: unknown) {
+		if ((err as { code?: string }).code === "ENOENT") {
+			return null;
+		}
+		throw err;
+	}
+}
+
+export async function snapshotStateFiles(sources: StateFileSource[]): Promise<Map<string, string>> {
+	const reads = sources.map(source => enqueueWrite(source.queue, source.read));
+	const contents = await Promise.all(reads);
+	const files = new Map<string, string>();
+	sources.forEach((source, i) => {
+		const content = contents[i];
+		if (content !== null) {
+			files.set(source.name, content);
+		}
+	});
+	return files;
+}
+
+export function countJsonArray(content: string | undefined): number {
+	if (content === undefined) {
+		return 0;
+	}
+	const parsed = JSON.parse(content);
+	return Array.isArray(parsed) ? parsed.length : 0;
+}
+
+export function countJsonLines(content: string | undefined): number {
+	return content === undefined ? 0 : content.split("\n").filter(line => line.trim()).length;
+}
+
+export function buildStateBackup(
+	files: Map<string, string>,
+	meta: { pluginVersion: string | null; createdAt: number; counts: StateBackupCounts },
+): StateBackupArchive {
+	const names = Array.from(files.keys()).sort();
+	const manifest: StateBackupManifest = {
+		format: STATE_BACKUP_FORMAT,
+		formatVersion: STATE_BACKUP_FORMAT_VERSION,
+		pluginVersion: meta.pluginVersion,
+		auditRowVersion: AUDIT_ROW_VERSION,
+		createdAt: meta.createdAt,
+		counts: meta.counts,
+		files: names.map(name => {
+			const content = files.get(name) as string;
+			return { name, bytes: Buffer.byteLength(content, "utf8"), sha256: sha256(content) };
+		}),
+	};
+	return { manifest, files: Object.fromEntries(names.map(name => [name, files.get(name) as string])) };
+}
+
+export function checkStateBackup(archive: unknown): string | null {
+	const candidate = archive as Partial<StateBackupArchive> | null;
+	const manifest = candidate?.manifest;
+	const files = candidate?.files;
+	if (!manifest || typeof manifest !== "object" || !files || typeof files !== "object" || !Array.isArray(manifest.files)) {
+		return "not a Surface Export state backup (manifest or files missing)";
+	}
+	if (manifest.format !== STATE_BACKUP_FORMAT) {
+		return `not a Surface Export state backup (format ${JSON.stringify(manifest.format)})`;
+	}
+	if (manifest.formatVersion > STATE_BACKUP_FORMAT_VERSION) {
+		return `backup format version ${manifest.formatVersion} is newer than this plugin supports (${STATE_BACKUP_FORMAT_VERSION})`;
+	}
+	if (manifest.auditRowVersion > AUDIT_ROW_VERSION) {
+		return `backup audit rows are version ${manifest.auditRowVersion}, newer than this plugin writes (${AUDIT_ROW_VERSION})`;
+	}
+	const listed = new Set(manifest.files.map(file => file.name));
+	for (const name of Object.keys(files)) {
+		if (!listed.has(name)) {
+			return `file ${name} is in the backup but not in its manifest`;
+		}
+	}
+	for (const file of manifest.files) {
+		const content = files[file.name];
+		if (typeof content !== "string") {
+			return `file ${file.name} is listed in the manifest but missing from the backup`;
+		}
+		if (Buffer.byteLength(content, "utf8") !== file.bytes || sha256(content) !== file.sha256) {
+			return `file ${file.name} does not match its manifest checksum`;
+		}
+	}
+	return null;
+}
@@ -0,0 +1,135 @@
+import fs from "fs/promises";
+import path from "path";
+import * as lib from "@clusterio/lib";
+import { getErrorMessage } from "../helpers";
+import { enqueueWrite } from "./persist-queue";
+import { S3StorageBackend } from "./s3-storage-backend";
+
+export type StorageBackendName = "filesystem" | "s3";
+export const STORAGE_BACKEND_NAMES: StorageBackendName[] = ["filesystem", "s3"];
+export const DEFAULT_STORAGE_BACKEND: StorageBackendName = "filesystem";
+
+export type StoredObjectStat = {
+	size: number;
+	modifiedAt: number | null;
+};
+
+export interface StorageBackend {
+	readonly name: StorageBackendName;
+	readonly location: string;
+	locate(key: string): string;
+	put(key: string, content: string): Promise<void>;
+	get(key: string): Promise<string | null>;
+	list(): Promise<string[]>;
+	delete(key: string): Promise<void>;
+	stat(key: string): Promise<StoredObjectStat | null>;
+}
+
+function isMissing(err: unknown): boolean {
+	return (err as { code?: string }).code === "ENOENT";
+}
+
+export class FilesystemStorageBackend implements StorageBackend {
+	readonly name = "filesystem" as const;
+
+	constructor(readonly location: string) {}
+
+	private filePath(key: string): string {
+		return path.join(this.location, key);
+	}
+
+	locate(key: string): string {
+		return this.filePath(key);
+	}
+
+	async put(key: string, content: string): Promise<void> {
+		const file = this.filePath(key);
+		await fs.mkdir(this.location, { recursive: true });
+		await enqueueWrite(file, () => lib.safeOutputFile(file, content));
+	}
+
+	async get(key: string): Promise<string | null> {
+		try {
+			return await fs.readFile(this.filePath(key), "utf8");
+		} catch (err: unknown) {
+			if (isMissing(err)) {
+				return null;
+			}
+			throw err;
+		}
+	}
+
+	async list(): Promise<string[]> {
+		try {
+			return await fs.readdir(this.location);
+		} catch (err: unknown) {
+			if (isMissing(err)) {
+				return [];
+			}
+			throw err;
+		}
+	}
+
+	async delete(key: string): Promise<void> {
+		const file = this.filePath(key);
+		await enqueueWrite(file, () => fs.rm(file, { force: true }));
+	}
+
+	async stat(key: string): Promise<StoredObjectStat | null> {
+		try {
+			const stats = await fs.stat(this.filePath(key));
+			return { size: stats.size, modifiedAt: stats.mtimeMs };
+		} catch (err: unknown) {
+			if (isMissing(err)) {
+				return null;
+			}
+			throw err;
+		}
+	}
+}
+
+export type StorageBackendConfig = {
+	backend: unknown;
+	directory: string;
+	s3: {
+		endpoint: unknown;
+		region: unknown;
+		bucket: unknown;
+		prefix: unknown;
+		accessKeyId: unknown;
+		secretAccessKey: unknown;
+	};
+};
+
+export function createStorageBackend(config: StorageBackendConfig): { backend: StorageBackend | null; error: string | null } {
+	const name = config.backend ?? DEFAULT_STORAGE_BACKEND;
+	if (name === "filesystem") {
+		return { backend: new FilesystemStorageBackend(config.directory), error: null };
+	}
+	if (name !== "s3") {
+		return { backend: null, error: `Unknown storage_backend ${JSON.stringify(name)} (expected one of ${STORAGE_BACKEND_NAMES.join(", ")})` };
+	}
+	const text = (value: unknown) => (typeof value === "string" ? value.trim() : "");
+	const required = { endpoint: "s3_endpoint", bucket: "s3_bucket", accessKeyId: "s3_access_key_id", secretAccessKey: "s3_secret_access_key" } as const;
+	const missing = (Object.keys(required) as Array<keyof typeof required>).filter(field => !text(config.s3[field]));
+	if (missing.length > 0) {
+		return { backend: null, error: `storage_backend is "s3" but ${missing.map(field => required[field]).join(", ")} must be set` };
+	}
+	let endpoint: URL;
+	try {
+		endpoint = new URL(text(config.s3.endpoint));
+	} catch (err: unknown) {
+		return { backend: null, error: `s3_endpoint ${JSON.stringify(config.s3.endpoint)} is not a URL: ${getErrorMessage(err)}` };
+	}
+	return {
+		backend: new S3StorageBackend({
+			endpoint,
+			region: text(config.s3.region) || "us-east-1",
+			bucket: text(config.s3.bucket),
+			prefix: text(config.s3.prefix),
+			accessKeyId: text(config.s3.accessKeyId),
+			secretAccessKey: text(config.s3.secretAccessKey),
+		}),
+		error: null,
+	};
+}
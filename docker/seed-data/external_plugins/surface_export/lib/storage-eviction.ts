@@ -0,0 +1,104 @@
+import type { EvictionPlan, EvictionReason, PlannedEviction, StorageTotals } from "../shared/dto";
+
+export type { EvictionPlan, EvictionReason, PlannedEviction, StorageTotals };
+
+export const BYTES_PER_MEGABYTE = 1024 * 1024;
+
+export type StorageLimits = {
+	maxEntries: number | null;
+	maxBytes: number | null;
+	instanceQuotaBytes: Map<number, number>;
+};
+
+export type EvictableExport = {
+	exportId: string;
+	platformName: string;
+	instanceId: number;
+	timestamp: number;
+	size: number;
+	pinned?: boolean;
+};
+
+export type EvictionProtection = {
+	keepExportId?: string | null;
+	inFlightExportIds?: Set<string>;
+};
+
+export function normalizeLimit(value: unknown, scale = 1): number | null {
+	const numeric = Number(value);
+	if (!Number.isFinite(numeric) || numeric <= 0) {
+		return null;
+	}
+	return Math.floor(numeric * scale);
+}
+
+function totalsOf(entries: EvictableExport[]): StorageTotals {
+	const totals: StorageTotals = { entries: 0, bytes: 0, pinnedEntries: 0, bytesByInstance: {} };
+	for (const entry of entries) {
+		const size = Number(entry.size) || 0;
+		totals.entries += 1;
+		totals.bytes += size;
+		totals.pinnedEntries += entry.pinned ? 1 : 0;
+		totals.bytesByInstance[String(entry.instanceId)] = (totals.bytesByInstance[String(entry.instanceId)] ?? 0) + size;
+	}
+	return totals;
+}
+
+export function planEviction(entries: EvictableExport[], limits: StorageLimits, protection: EvictionProtection = {}): EvictionPlan {
+	const inFlight = protection.inFlightExportIds ?? new Set<string>();
+	const before = totalsOf(entries);
+	let count = before.entries;
+	let bytes = before.bytes;
+	const instanceBytes = new Map(Object.entries(before.bytesByInstance).map(([id, value]) => [Number(id), value]));
+
+	const candidates = entries
+		.filter(entry => !entry.pinned && entry.exportId !== protection.keepExportId)
+		.sort((a, b) => (Number(inFlight.has(a.exportId)) - Number(inFlight.has(b.exportId))) || (a.timestamp - b.timestamp));
+
+	const evicted = new Set<string>();
+	const evict: PlannedEviction[] = [];
+	for (const entry of candidates) {
+		const size = Number(entry.size) || 0;
+		const quota = limits.instanceQuotaBytes.get(entry.instanceId);
+		let reason: EvictionReason | null = null;
+		if (limits.maxEntries !== null && count > limits.maxEntries) {
+			reason = "max_entries";
+		} else if (limits.maxBytes !== null && bytes > limits.maxBytes) {
+			reason = "max_bytes";
+		} else if (quota !== undefined && (instanceBytes.get(entry.instanceId) ?? 0) > quota) {
+			reason = "instance_quota";
+		}
+		if (!reason) {
+			continue;
+		}
+		count -= 1;
+		bytes -= size;
+		instanceBytes.set(entry.instanceId, (instanceBytes.get(entry.instanceId) ?? 0) - size);
+		evicted.add(entry.exportId);
+		evict.push({
+			exportId: entry.exportId,
+			platformName: entry.platformName,
+			instanceId: entry.instanceId,
+			timestamp: entry.timestamp,
+			size,
+			inFlight: inFlight.has(entry.exportId),
+			reason,
+		});
+	}
+
+	const after = totalsOf(entries.filter(entry => !evicted.has(entry.exportId)));
+	const unmet: string[] = [];
+	if (limits.maxEntries !== null && after.entries > limits.maxEntries) {
+		unmet.push(`the cap of ${limits.maxEntries} (${after.entries} stored, ${after.pinnedEntries} pinned)`);
+	}
+	if (limits.maxBytes !== null && after.bytes > limits.maxBytes) {
+		unmet.push(`the byte budget of ${limits.maxBytes} bytes (${after.bytes} stored)`);
+	}
+	for (const [instanceId, quota] of limits.instanceQuotaBytes) {
+		const used = after.bytesByInstance[String(instanceId)] ?? 0;
+		if (used > quota) {
+			unmet.push(`instance ${instanceId}'s quota of ${quota} bytes (${used} stored)`);
+		}
+	}
+	return { before, after, evict, unmet };
+}
@@ -79,12 +79,15 @@ export class SubscriptionManager {
 			return;
 		}
 		recordOperationOutcome(transfer);
-		this.plugin.transferRevision += 1;
-		const transferSummary = this.plugin.txLogger.buildTransferSummary(
+		this.emitTransferSummary(this.plugin.txLogger.buildTransferSummary(
 			transfer.transferId,
 			transfer,
 			this.plugin.txLogger.getLastEventTimestamp(transfer.transferId),
-		);
+		));
+	}
+
+	emitTransferSummary(transferSummary: TransferSummaryModel) {
+		this.plugin.transferRevision += 1;
 		const event = new this.messages.SurfaceExportTransferUpdateEvent({
 			revision: this.plugin.transferRevision,
 			generatedAt: Date.now(),
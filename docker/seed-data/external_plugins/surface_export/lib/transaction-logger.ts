@@ -31,6 +31,14 @@ export class TransactionLogger {
 			completedAt: transfer.completedAt || null,
 			failedAt: transfer.failedAt || null,
 			error: transfer.error || null,
+			...(transfer.groupId ? { groupId: transfer.groupId } : {}),
+			...(transfer.groupChildren ? { groupPolicy: transfer.groupPolicy, groupChildren: [...transfer.groupChildren] } : {}),
+			...(Number.isInteger(transfer.destinationSurfaceIndex)
+				? { destinationPlatformIndex: transfer.destinationPlatformIndex, destinationSurfaceIndex: transfer.destinationSurfaceIndex }
+				: {}),
+			...(transfer.reverseOf ? { reverseOf: transfer.reverseOf } : {}),
+			...(transfer.reversedBy ? { reversedBy: transfer.reversedBy } : {}),
+			...(transfer.scheduleId ? { scheduleId: transfer.scheduleId } : {}),
 		};
 	}
 
@@ -50,7 +58,7 @@ export class TransactionLogger {
 			?? (typeof transfer?.payloadMetrics?.payloadSizeKB === "number"
 				? Math.round(transfer.payloadMetrics.payloadSizeKB * 1024)
 				: null);
-		const downloadable = Boolean(storedExport?.exportData);
+		const downloadable = Boolean(storedExport);
 		return {
 			transferId,
 			operationType: info.operationType,
@@ -68,6 +76,17 @@ export class TransactionLogger {
 			failedAt: info.failedAt,
 			error: info.error,
 			lastEventAt,
+			...(transfer.cancelledAt ? { cancelledAt: transfer.cancelledAt } : {}),
+			...(transfer.deliveryLeg ? { deliveryLeg: transfer.deliveryLeg, deliveryExpiresAt: transfer.deliveryExpiresAt ?? null } : {}),
+			...(transfer.modMismatches?.length ? { modMismatches: transfer.modMismatches } : {}),
+			...(info.groupId ? { groupId: info.groupId } : {}),
+			...(info.groupChildren ? { groupPolicy: info.groupPolicy, groupChildren: info.groupChildren } : {}),
+			...(Number.isInteger(info.destinationSurfaceIndex)
+				? { destinationPlatformIndex: info.destinationPlatformIndex, destinationSurfaceIndex: info.destinationSurfaceIndex }
+				: {}),
+			...(info.reverseOf ? { reverseOf: info.reverseOf } : {}),
+			...(info.reversedBy ? { reversedBy: info.reversedBy } : {}),
+			...(info.scheduleId ? { scheduleId: info.scheduleId } : {}),
 		};
 	}
 
@@ -185,6 +204,14 @@ export class TransactionLogger {
 					lastEventAt: row.lastEventAt ?? null,
 					registrySource: "persisted" as const,
 					revisions: this.plugin.auditRevisions.get(row.transferId) ?? 0,
+					...(row.groupId ? { groupId: row.groupId } : {}),
+					...(row.groupChildren ? { groupPolicy: row.groupPolicy, groupChildren: row.groupChildren } : {}),
+					...(Number.isInteger(row.destinationSurfaceIndex)
+						? { destinationPlatformIndex: row.destinationPlatformIndex, destinationSurfaceIndex: row.destinationSurfaceIndex }
+						: {}),
+					...(row.reverseOf ? { reverseOf: row.reverseOf } : {}),
+					...(row.reversedBy ? { reversedBy: row.reversedBy } : {}),
+					...(row.scheduleId ? { scheduleId: row.scheduleId } : {}),
 				});
 			}
 		}
@@ -215,6 +242,14 @@ export class TransactionLogger {
 				lastEventAt: lastEvent?.timestampMs || null,
 				registrySource: "persisted" as const,
 				revisions: this.plugin.auditRevisions.get(persistedLog.transferId) ?? 0,
+				...(transferInfo.groupId ? { groupId: transferInfo.groupId } : {}),
+				...(transferInfo.groupChildren ? { groupPolicy: transferInfo.groupPolicy, groupChildren: transferInfo.groupChildren } : {}),
+				...(Number.isInteger(transferInfo.destinationSurfaceIndex)
+					? { destinationPlatformIndex: transferInfo.destinationPlatformIndex, destinationSurfaceIndex: transferInfo.destinationSurfaceIndex }
+					: {}),
+				...(transferInfo.reverseOf ? { reverseOf: transferInfo.reverseOf } : {}),
+				...(transferInfo.reversedBy ? { reversedBy: transferInfo.reversedBy } : {}),
+				...(transferInfo.scheduleId ? { scheduleId: transferInfo.scheduleId } : {}),
 			});
 		}
 
@@ -224,7 +259,7 @@ export class TransactionLogger {
 				return {
 					...summary,
 					artifactSizeBytes: summary.artifactSizeBytes ?? storedExport?.size ?? null,
-					downloadable: Boolean(storedExport?.exportData),
+					downloadable: Boolean(storedExport),
 				};
 			})
 			.sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0))
@@ -388,7 +423,7 @@ export class TransactionLogger {
 				}
 				return Boolean(
 					entry.transferInfo?.exportId
-					&& this.plugin.platformStorage.get(entry.transferInfo.exportId)?.exportData,
+					&& this.plugin.platformStorage.has(entry.transferInfo.exportId),
 				);
 			},
 		});
@@ -396,7 +431,7 @@ export class TransactionLogger {
 
 	pruneTransactionLogsMap(retained: PersistedTransactionLog[]) {
 		const unresolved = [...this.plugin.auditIndex.values()]
-			.filter(row => row.rowKind === "start")
+			.filter(row => row.rowKind !== "terminal")
 			.map(row => row.transferId);
 		const reachable = new Set<string>([
 			...this.plugin.activeTransfers.keys(),
@@ -438,7 +473,8 @@ export class TransactionLogger {
 			this.plugin.logger.error(
 				`Failed to load transaction history from ${this.plugin.transactionLogPath}: ${getErrorMessage(err)}. `
 				+ "The file was left untouched; the Transaction Logs tab will appear empty this session. "
-				+ "Restore from a backup, or repair or move the file aside, then restart the controller to recover the history.",
+				+ "Run \"clusterioctl surface-export salvage transaction_logs\" to rebuild it from its intact entries, or restore "
+				+ "from a backup, or repair or move the file aside, then restart the controller to recover the history.",
 			);
 		}
 	}
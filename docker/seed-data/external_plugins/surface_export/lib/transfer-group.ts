@@ -0,0 +1,486 @@
+import { buildAuditRow } from "./audit-ledger";
+import { getErrorMessage, IN_FLIGHT_STATUSES, RESTORE_IN_PROGRESS_ERROR } from "../helpers";
+import { createOperationRecord } from "./operation-record";
+import { summarizePreflightIssues } from "./preflight";
+import type { ActiveTransfer, CancelTransferResult, GroupTransferMember, GroupTransferPolicy, GroupTransferResult, IControllerPlugin, TransferValidationEvent } from "../messages";
+import type { TransferOrchestrator } from "./transfer-orchestrator";
+import type { StartTransferResult, TransferQueue } from "./transfer-queue";
+
+export type StartGroupInput = {
+	platforms: GroupTransferMember[];
+	targetInstanceId: number;
+	forceName?: string;
+	targetPlanet?: string | null;
+	policy?: GroupTransferPolicy;
+};
+
+export type StartSwapInput = {
+	platforms: GroupTransferMember[];
+	forceName?: string;
+};
+
+type GroupLaunchMember = GroupTransferMember & { targetInstanceId: number };
+
+type GroupState = {
+	parent: ActiveTransfer;
+	policy: GroupTransferPolicy;
+	expected: number;
+	waiting: Set<string>;
+	releasing: boolean;
+	aborting: string | null;
+	refused: Array<GroupTransferMember & { error: string }>;
+	work: Promise<void>;
+};
+
+const FAILED_STATUSES = new Set(["failed", "error", "cleanup_failed"]);
+
+function memberKey(sourceInstanceId: number, platformIndex: number) {
+	return `${sourceInstanceId}:${platformIndex}`;
+}
+
+function describeMember(member: GroupTransferMember) {
+	return `platform #${member.sourcePlatformIndex} on instance ${member.sourceInstanceId}`;
+}
+
+export class TransferGroups {
+	private plugin: IControllerPlugin;
+	private orchestrator: TransferOrchestrator;
+	private queue: TransferQueue;
+	private groups: Map<string, GroupState> = new Map();
+	private claims: Map<string, string> = new Map();
+
+	constructor(plugin: IControllerPlugin, orchestrator: TransferOrchestrator, queue: TransferQueue) {
+		this.plugin = plugin;
+		this.orchestrator = orchestrator;
+		this.queue = queue;
+		orchestrator.onTransferValidation((event, transfer) => this.handleValidation(event, transfer));
+		orchestrator.onTransferSettled(() => this.reconcile());
+	}
+
+	get logger() { return this.plugin.logger; }
+	get txLogger() { return this.plugin.txLogger; }
+
+	has(groupId: string): boolean {
+		return this.groups.has(groupId);
+	}
+
+	get active(): number {
+		return this.groups.size;
+	}
+
+	children(group: GroupState): ActiveTransfer[] {
+		return (group.parent.groupChildren || [])
+			.map(transferId => this.plugin.activeTransfers.get(transferId))
+			.filter((child): child is ActiveTransfer => Boolean(child));
+	}
+
+	async start(request: StartGroupInput): Promise<GroupTransferResult> {
+		const platforms = request.platforms || [];
+		if (!platforms.length) {
+			return { success: false, error: "A group transfer needs at least one platform" };
+		}
+		return await this.launch("group", platforms.map(member => ({ ...member, targetInstanceId: request.targetInstanceId })), {
+			policy: request.policy || "all_or_nothing",
+			forceName: request.forceName || "player",
+			targetPlanet: request.targetPlanet ?? null,
+		});
+	}
+
+	async swap(request: StartSwapInput): Promise<GroupTransferResult> {
+		const platforms = request.platforms || [];
+		if (platforms.length !== 2) {
+			return { success: false, error: "A swap needs exactly two platforms" };
+		}
+		const [first, second] = platforms;
+		if (Number(first.sourceInstanceId) === Number(second.sourceInstanceId)) {
+			return { success: false, error: `Both platforms are on instance ${first.sourceInstanceId}; a swap exchanges platforms between two instances` };
+		}
+		return await this.launch("swap", [
+			{ ...first, targetInstanceId: Number(second.sourceInstanceId) },
+			{ ...second, targetInstanceId: Number(first.sourceInstanceId) },
+		], { policy: "all_or_nothing", forceName: request.forceName || "player", targetPlanet: null });
+	}
+
+	async launch(
+		kind: "group" | "swap",
+		platforms: GroupLaunchMember[],
+		{ policy, forceName, targetPlanet }: { policy: GroupTransferPolicy; forceName: string; targetPlanet: string | null },
+	): Promise<GroupTransferResult> {
+		if (this.plugin.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		const label = kind === "swap" ? "swap" : "group";
+		const seen = new Set<string>();
+		for (const member of platforms) {
+			const key = memberKey(Number(member.sourceInstanceId), Number(member.sourcePlatformIndex));
+			if (seen.has(key)) {
+				return { success: false, error: `${describeMember(member)} is listed twice` };
+			}
+			seen.add(key);
+		}
+
+		const skipped: Array<GroupTransferMember & { error: string }> = [];
+		const accepted: GroupLaunchMember[] = [];
+		for (const member of platforms) {
+			const input = { ...member, forceName, targetPlanet };
+			const checked = this.orchestrator.checkStartRequest(input);
+			let error = checked.error;
+			if (checked.error === null) {
+				const preflight = await this.orchestrator.preflightTransfer(input);
+				if (!preflight.success || !preflight.report) {
+					this.logger.warn(`Group preflight of ${describeMember(member)} could not run; starting without it: ${preflight.error}`);
+				} else if (preflight.report.blockers.length) {
+					const { blockers } = preflight.report;
+					error = `Preflight found ${blockers.length} blocker(s): ${summarizePreflightIssues(blockers)}`;
+				}
+			}
+			if (checked.error === null && error === null) {
+				accepted.push({ ...member, targetInstanceId: checked.targetInstanceId });
+				continue;
+			}
+			if (policy === "all_or_nothing") {
+				return { success: false, error: `${describeMember(member)}: ${error}. Nothing was locked or exported.` };
+			}
+			skipped.push({ sourceInstanceId: member.sourceInstanceId, sourcePlatformIndex: member.sourcePlatformIndex, error: error as string });
+		}
+		if (!accepted.length) {
+			return { success: false, skipped, error: "None of the platforms can be transferred; nothing was locked or exported" };
+		}
+		const sources = new Set(accepted.map(member => Number(member.sourceInstanceId)));
+		const parent = createOperationRecord(kind, {
+			platformName: kind === "swap" ? "Swap" : `Fleet of ${accepted.length}`,
+			forceName,
+			sourceInstanceId: kind === "swap" || sources.size === 1 ? Number(accepted[0].sourceInstanceId) : -1,
+			targetInstanceId: accepted[0].targetInstanceId,
+			resolveInstanceName: (id: number) => this.plugin.platformTree.resolveInstanceName(id),
+			status: "in_progress",
+		});
+		parent.groupPolicy = policy;
+		parent.groupChildren = [];
+		const groupId = parent.transferId;
+		const group: GroupState = {
+			parent,
+			policy,
+			expected: accepted.length,
+			waiting: new Set(),
+			releasing: false,
+			aborting: null,
+			refused: [...skipped],
+			work: Promise.resolve(),
+		};
+		this.groups.set(groupId, group);
+		this.plugin.activeTransfers.set(groupId, parent);
+		this.txLogger.logTransactionEvent(groupId, "group_created", kind === "swap"
+			? `Swapping ${describeMember(accepted[0])} with ${describeMember(accepted[1])}`
+			: `${accepted.length} platform(s) to ${parent.targetInstanceName || parent.targetInstanceId} (${policy})`,
+		{ policy, platforms: accepted, skipped });
+		await this.plugin.recordTransferStarted(parent);
+		this.orchestrator.updateTransfer(parent);
+
+		for (const member of accepted) {
+			const key = memberKey(Number(member.sourceInstanceId), Number(member.sourcePlatformIndex));
+			this.claims.set(key, groupId);
+			group.waiting.add(key);
+		}
+		const submissions = this.queue.submitGroup(accepted.map(member => {
+			const { targetInstanceId, ...source } = member;
+			return {
+				request: { ...source, targetInstanceId, forceName, targetPlanet },
+				options: {
+					preflighted: true,
+					onDispatched: (result: StartTransferResult) => this.track(group, () => this.memberStarted(group, member, result)),
+				},
+			};
+		}), "player", groupId, policy === "all_or_nothing");
+		const dispatches: Array<Promise<StartTransferResult>> = [];
+		submissions.forEach((submission, index) => {
+			if ("error" in submission) {
+				this.track(group, () => this.memberStarted(group, accepted[index], { success: false, error: submission.error }));
+			} else if (submission.dispatch) {
+				dispatches.push(submission.dispatch);
+			}
+		});
+		await Promise.all(dispatches);
+		await group.work;
+
+		const transferIds = this.children(group).map(child => child.transferId);
+		const title = kind === "swap" ? "Swap" : "Group";
+		return {
+			success: (transferIds.length > 0 || group.waiting.size > 0) && !(policy === "all_or_nothing" && group.aborting),
+			groupId,
+			transferIds,
+			skipped: group.refused,
+			...(group.aborting ? { error: `${title} aborted: ${group.aborting}` } : {}),
+			message: `${title} ${groupId} started ${transferIds.length} of ${platforms.length} platform(s)`
+				+ (group.waiting.size ? `; ${group.waiting.size} wait in the transfer queue for their slots` : ""),
+		};
+	}
+
+	track(group: GroupState, work: () => Promise<void>) {
+		group.work = group.work
+			.then(work)
+			.catch((err: unknown) => {
+				this.logger.error(`Group transfer ${group.parent.transferId} failed to handle a member: ${getErrorMessage(err)}`);
+			});
+	}
+
+	async memberStarted(group: GroupState, member: GroupLaunchMember, result: StartTransferResult) {
+		const source = { sourceInstanceId: member.sourceInstanceId, sourcePlatformIndex: member.sourcePlatformIndex };
+		const key = memberKey(Number(member.sourceInstanceId), Number(member.sourcePlatformIndex));
+		this.claims.delete(key);
+		group.waiting.delete(key);
+		const groupId = group.parent.transferId;
+		const child = result.transferId ? this.plugin.activeTransfers.get(result.transferId) : undefined;
+		if (child) {
+			this.adoptChild(group, child);
+			if (group.aborting) {
+				await this.revertChildren(group);
+			}
+		} else {
+			const error = result.error || "Transfer failed to start";
+			group.refused.push({ ...source, error });
+			this.txLogger.logTransactionEvent(groupId, "group_member_refused", `${describeMember(member)} did not start: ${error}`, { ...source, error });
+			if (group.policy === "all_or_nothing" && !group.aborting) {
+				await this.abort(group, `${describeMember(member)} did not start (${error})`);
+			}
+		}
+		if (group.waiting.size) {
+			return;
+		}
+		if (group.parent.operationType === "swap") {
+			group.parent.platformName = `Swap ${this.children(group).map(other => other.platformName).join(" ⇄ ")}`;
+			this.orchestrator.updateTransfer(group.parent);
+		}
+		this.reconcile();
+		await this.release(group);
+	}
+
+	adoptChild(group: GroupState, child: ActiveTransfer) {
+		child.groupId = group.parent.transferId;
+		if (!group.parent.groupChildren?.includes(child.transferId)) {
+			group.parent.groupChildren = [...(group.parent.groupChildren || []), child.transferId];
+			this.orchestrator.updateTransfer(group.parent);
+		}
+	}
+
+	groupOf(transfer: ActiveTransfer): GroupState | null {
+		const groupId = transfer.groupId ?? this.claims.get(memberKey(transfer.sourceInstanceId, transfer.platformIndex));
+		const group = groupId ? this.groups.get(groupId) : undefined;
+		if (!group) {
+			return null;
+		}
+		this.adoptChild(group, transfer);
+		return group;
+	}
+
+	async handleValidation(event: TransferValidationEvent, transfer: ActiveTransfer): Promise<boolean> {
+		const group = this.groupOf(transfer);
+		if (!group || group.policy !== "all_or_nothing" || !event.success) {
+			return false;
+		}
+		const groupId = group.parent.transferId;
+		const held = event.validation?.destinationHeld === true;
+		if (!held && group.parent.operationType !== "swap") {
+			this.txLogger.logTransactionEvent(groupId, "group_member_unheld",
+				`${transfer.platformName} went live on the destination without a hold, so it cannot be reverted with the rest of the group`,
+				{ transferId: transfer.transferId });
+			return false;
+		}
+		if (group.aborting) {
+			await this.revertVoter(group, transfer);
+			return true;
+		}
+		if (!held) {
+			await this.abort(group, `${transfer.platformName} validated without holding its destination, so it cannot wait for the other side of the swap`, transfer);
+			return true;
+		}
+		transfer.status = "awaiting_group";
+		this.txLogger.logTransactionEvent(transfer.transferId, "group_hold",
+			`Destination holds the platform; waiting for the rest of group ${groupId} before committing the source`, { groupId });
+		this.orchestrator.updateTransfer(transfer);
+		await this.release(group, transfer);
+		return true;
+	}
+
+	async revertVoter(group: GroupState, transfer: ActiveTransfer) {
+		const { sourceResolved } = await this.orchestrator.abortHandshake(transfer.transferId, transfer,
+			`Group ${group.parent.transferId} aborted: ${group.aborting}`, true);
+		if (sourceResolved) {
+			this.plugin.removePendingTransfer(transfer.transferId);
+		}
+	}
+
+	async release(group: GroupState, voter: ActiveTransfer | null = null) {
+		if (group.waiting.size || group.releasing || group.aborting || group.policy !== "all_or_nothing") {
+			return;
+		}
+		const children = this.children(group);
+		if (children.length !== group.expected || children.some(child => child.status !== "awaiting_group")) {
+			return;
+		}
+		group.releasing = true;
+		const unready: string[] = [];
+		for (const child of children) {
+			const lock = await this.orchestrator.querySourceLockState(child);
+			if (lock.state !== "pre_commit") {
+				unready.push(`${child.platformName} (${lock.state}${lock.error ? `: ${lock.error}` : ""})`);
+			}
+		}
+		if (unready.length) {
+			await this.abort(group, `source(s) not ready to commit: ${unready.join(", ")}; no source was committed`, voter);
+			return;
+		}
+		this.txLogger.logTransactionEvent(group.parent.transferId, "group_committing",
+			`All ${children.length} destination(s) hold their platform and every source is ready; committing the sources`, {});
+		for (const child of children) {
+			try {
+				const { sourceResolved } = await this.orchestrator.handleValidationSuccess(child.transferId, child);
+				if (sourceResolved) {
+					this.plugin.removePendingTransfer(child.transferId);
+				}
+				if (FAILED_STATUSES.has(child.status)) {
+					await this.abort(group, `${child.platformName} did not commit (${child.error || child.status}); the remaining sources were not committed`, voter);
+					return;
+				}
+			} catch (err: unknown) {
+				const errMsg = getErrorMessage(err);
+				this.logger.error(`Commit of group member ${child.transferId} failed: ${errMsg}`);
+				child.status = "error";
+				child.error = errMsg;
+				this.orchestrator.updateTransfer(child);
+			}
+		}
+	}
+
+	async abort(group: GroupState, reason: string, voter: ActiveTransfer | null = null) {
+		group.aborting = reason;
+		const groupId = group.parent.transferId;
+		this.logger.warn(`Group transfer ${groupId} aborted: ${reason}`);
+		this.txLogger.logTransactionEvent(groupId, "group_aborting",
+			`${reason}; reverting the other platforms while their sources are still locked`, { reason });
+		const cancelled = await this.queue.cancelGroup(groupId, `group ${groupId}`);
+		for (const request of cancelled) {
+			const key = memberKey(Number(request.sourceInstanceId), Number(request.sourcePlatformIndex));
+			this.claims.delete(key);
+			group.waiting.delete(key);
+			group.refused.push({ sourceInstanceId: request.sourceInstanceId, sourcePlatformIndex: request.sourcePlatformIndex, error: `not started: ${reason}` });
+		}
+		await this.revertChildren(group, voter);
+		if (cancelled.length) {
+			this.reconcile();
+		}
+	}
+
+	async revertChildren(group: GroupState, voter: ActiveTransfer | null = null) {
+		const groupId = group.parent.transferId;
+		for (const child of this.children(group)) {
+			if (child === voter && (child.status === "awaiting_group" || child.status === "awaiting_validation")) {
+				await this.revertVoter(group, child);
+			} else if (child.status === "awaiting_group" || child.status === "awaiting_validation" || child.status === "transporting") {
+				const result = await this.orchestrator.cancelTransfer(child.transferId, `group ${groupId}`);
+				if (!result.success) {
+					this.txLogger.logTransactionEvent(groupId, "group_member_revert_failed",
+						`${child.platformName} could not be reverted: ${result.error}`, { transferId: child.transferId, error: result.error });
+				}
+			}
+		}
+	}
+
+	async cancel(groupId: string, requestedBy: string): Promise<CancelTransferResult> {
+		const group = this.groups.get(groupId);
+		if (!group) {
+			return { success: false, transferId: groupId, error: `Unknown group transfer ${groupId}` };
+		}
+		group.parent.cancelRequestedBy = requestedBy;
+		await this.abort(group, `cancelled by ${requestedBy}`);
+		return {
+			success: true,
+			transferId: groupId,
+			status: group.parent.status,
+			message: "Group cancelled; platforms that already committed still complete",
+		};
+	}
+
+	async settleInterrupted() {
+		const interrupted = [...this.plugin.auditIndex.values()].filter(row => row.rowKind !== "terminal"
+			&& (row.operationType === "group" || row.operationType === "swap")
+			&& !this.groups.has(row.transferId));
+		for (const row of interrupted) {
+			const error = `The controller restarted before this ${row.operationType} finished, so its platforms were no longer `
+				+ "coordinated: any that had started ran on as separate transfers, and any still queued were dropped. "
+				+ "Check each member transfer for its outcome";
+			await this.plugin.recordAuditRow(buildAuditRow({
+				transferId: row.transferId,
+				rowKind: "terminal",
+				savedAt: Date.now(),
+				eventCount: row.eventCount,
+				lastEventAt: row.lastEventAt,
+				info: { ...row, status: "failed", failedAt: Date.now(), error },
+			}));
+			this.logger.warn(`Group transfer ${row.transferId} (${row.platformName}) was interrupted by a restart; marked it failed`);
+		}
+	}
+
+	reconcile() {
+		for (const group of this.groups.values()) {
+			group.work = group.work
+				.then(() => this.settle(group))
+				.catch((err: unknown) => {
+					this.logger.error(`Group transfer ${group.parent.transferId} settle failed: ${getErrorMessage(err)}`);
+				});
+		}
+	}
+
+	async settle(group: GroupState) {
+		if (!this.groups.has(group.parent.transferId)) {
+			return;
+		}
+		const children = this.children(group);
+		const failed = children.filter(child => FAILED_STATUSES.has(child.status));
+		if (group.policy === "all_or_nothing" && failed.length && !group.aborting) {
+			await this.abort(group, `${failed[0].platformName} failed (${failed[0].error || failed[0].status})`);
+		}
+		if (group.waiting.size || children.some(child => IN_FLIGHT_STATUSES.has(child.status))) {
+			return;
+		}
+		await this.finish(group, children);
+	}
+
+	async finish(group: GroupState, children: ActiveTransfer[]) {
+		const { parent } = group;
+		const groupId = parent.transferId;
+		this.groups.delete(groupId);
+		const total = children.length + group.refused.length;
+		const moved = children.filter(child => child.status === "completed");
+		const failures = [
+			...children.filter(child => child.status !== "completed").map(child => `${child.platformName}: ${child.error || child.status}`),
+			...group.refused.map(member => `${describeMember(member)}: ${member.error}`),
+		];
+		if (moved.length === total) {
+			parent.status = "completed";
+			parent.completedAt = Date.now();
+			parent.error = null;
+		} else if (!moved.length) {
+			parent.status = "failed";
+			parent.failedAt = Date.now();
+			parent.error = `No platform moved. ${failures.join("; ")}`;
+		} else if (group.policy === "best_effort") {
+			parent.status = "completed";
+			parent.completedAt = Date.now();
+			parent.error = `${total - moved.length} of ${total} platform(s) did not move. ${failures.join("; ")}`;
+		} else {
+			parent.status = "cleanup_failed";
+			parent.failedAt = Date.now();
+			parent.error = `${parent.operationType === "swap" ? "Swap" : "All-or-nothing group"} split: ${moved.length} of ${total} platform(s) moved anyway and the rest did not. ${failures.join("; ")}`;
+		}
+		const durationMs = Date.now() - parent.startedAt;
+		this.txLogger.logTransactionEvent(groupId, parent.status === "completed" ? "group_completed" : "group_failed",
+			parent.error || `All ${total} platform(s) moved in ${Math.round(durationMs / 1000)}s`,
+			{ durationMs, moved: moved.map(child => child.transferId), failures });
+		if (parent.status !== "completed") {
+			this.logger.warn(`Group transfer ${groupId}: ${parent.error}`);
+		}
+		this.orchestrator.updateTransfer(parent);
+		await this.txLogger.persistTransactionLog(groupId);
+	}
+}
@@ -1,7 +1,14 @@
 import { wait } from "@clusterio/lib";
-import { normalizeExportMetrics, TICKS_TO_MS, getErrorMessage, isSessionLostError, isBenignUnlockError, coercePlatformIndex, DEFAULT_VALIDATION_TIMEOUT_SECONDS, MIN_VALIDATION_TIMEOUT_SECONDS, MAX_VALIDATION_TIMEOUT_SECONDS, buildPayloadMetrics, buildImportMetrics, makeCanonicalTransferId, parseCanonicalTransferId } from "../helpers";
+import { normalizeExportMetrics, TICKS_TO_MS, getErrorMessage, isSessionLostError, isBenignUnlockError, coercePlatformIndex, DEFAULT_VALIDATION_TIMEOUT_SECONDS, MIN_VALIDATION_TIMEOUT_SECONDS, MAX_VALIDATION_TIMEOUT_SECONDS, TRANSFER_HANDSHAKE_DEADLINE_MS, IN_FLIGHT_STATUSES, buildPayloadMetrics, buildImportMetrics, makeCanonicalTransferId, parseCanonicalTransferId, RESTORE_IN_PROGRESS_ERROR } from "../helpers";
+import { buildAuditRow } from "./audit-ledger";
 import { createOperationRecord } from "./operation-record";
-import type { IControllerPlugin, ActiveTransfer, SimpleResponse, TransferValidationEvent, StoredExport, ValidationResult, ImportMetrics, ExportMetrics } from "../messages";
+import { verifyExportDigest } from "./payload-digest";
+import { summarizePayloadSchemaErrors, validateExportData } from "./payload-schema";
+import { compareModSets, summarizeModMismatches } from "./mod-compat";
+import { comparePreflightCensus, summarizePreflightIssues } from "./preflight";
+import { PAYLOAD_SCHEMA_VERSION, migrateExportData } from "./schema-migrations";
+import { normalizeSourceTransferLockState } from "./source-lock-state";
+import type { IControllerPlugin, ActiveTransfer, CancelTransferResult, ExportModSet, ModMismatchPolicy, PlatformCensus, PreflightResult, PrototypeCensus, SimpleResponse, TransferValidationEvent, StoredExport, ValidationResult, ImportMetrics, ExportMetrics, ExportData, PendingTransferIntent, SourceTransferLockStateResponse, TransferCommitPhase } from "../messages";
 function mergeExportMetrics(storedMetrics: ExportMetrics | null | undefined, runtimeMetrics: Record<string, unknown> | null | undefined) {
 	const merged = {
 		...normalizeExportMetrics((storedMetrics || null) as Record<string, unknown> | null),
@@ -10,9 +17,28 @@ function mergeExportMetrics(storedMetrics: ExportMetrics | null | undefined, run
 	return Object.keys(merged).length ? merged : null;
 }
 
+export type StartTransferInput = {
+	sourceInstanceId: number;
+	sourcePlatformIndex: number;
+	targetInstanceId: number;
+	forceName?: string;
+	targetPlanet?: string | null;
+	copy?: boolean;
+};
+
+export interface TransferCompletionHook {
+	wants(transfer: ActiveTransfer): boolean;
+	run(transferId: string, transfer: ActiveTransfer, sourceData: ExportData): Promise<void>;
+}
+
 export class TransferOrchestrator {
 	private plugin: IControllerPlugin;
 	private messages: typeof import("../messages");
+	private handshakes: Set<string> = new Set();
+	private reconciling = false;
+	private settleListeners: Array<() => void> = [];
+	private validationHandlers: Array<(event: TransferValidationEvent, transfer: ActiveTransfer) => Promise<boolean>> = [];
+	private completionHook: TransferCompletionHook | null = null;
 
 	constructor(plugin: IControllerPlugin, messages: typeof import("../messages")) {
 		this.plugin = plugin;
@@ -51,6 +77,23 @@ export class TransferOrchestrator {
 	updateTransfer(transfer: ActiveTransfer) {
 		this.subscriptions.emitTransferUpdate(transfer);
 		this.subscriptions.queueTreeBroadcast(transfer.forceName || "player");
+		if (!IN_FLIGHT_STATUSES.has(transfer.status)) {
+			for (const listener of this.settleListeners) {
+				listener();
+			}
+		}
+	}
+
+	onTransferSettled(listener: () => void) {
+		this.settleListeners.push(listener);
+	}
+
+	onTransferValidation(handler: (event: TransferValidationEvent, transfer: ActiveTransfer) => Promise<boolean>) {
+		this.validationHandlers.push(handler);
+	}
+
+	onTransferCompleted(hook: TransferCompletionHook) {
+		this.completionHook = hook;
 	}
 
 	async tryUnlockSource(transferId: string, transfer: ActiveTransfer) {
@@ -66,7 +109,7 @@ export class TransferOrchestrator {
 
 
 
-	async transferPlatform(exportId: string, targetInstanceId: number, exportMetrics: Record<string, unknown> | null = null, transferStartedAt: number | null = null, targetPlanet: string | null = null): Promise<{
+	async transferPlatform(exportId: string, targetInstanceId: number, exportMetrics: Record<string, unknown> | null = null, transferStartedAt: number | null = null, targetPlanet: string | null = null, operationType: "transfer" | "copy" = "transfer"): Promise<{
 		success: boolean; error?: string; transferId?: string; message?: string;
 		safeToUnlockSource?: boolean;
 	}> {
@@ -90,7 +133,8 @@ export class TransferOrchestrator {
 			const live = existingTransfer.status === "transporting"
 				|| existingTransfer.status === "awaiting_validation"
 				|| existingTransfer.status === "awaiting_completion"
-				|| existingTransfer.status === "in_progress";
+				|| existingTransfer.status === "in_progress"
+				|| existingTransfer.status === "committing";
 			if (live) {
 				return { success: true, transferId, message: `Transfer already active: ${transferId}` };
 			}
@@ -109,7 +153,15 @@ export class TransferOrchestrator {
 			this.plugin.logger.info(
 				`Replacing failed (destination-discarded) transfer record for retried export ${transferId}`);
 		}
-		const innerData = exportData.exportData;
+		let innerData: ExportData | null;
+		try {
+			innerData = (exportData.exportData as ExportData | undefined) ?? await this.plugin.loadStoredExportData(exportId);
+		} catch (err: unknown) {
+			return { success: false, safeToUnlockSource: true, error: `Export payload for ${exportId} could not be read: ${getErrorMessage(err)}` };
+		}
+		if (!innerData) {
+			return { success: false, safeToUnlockSource: true, error: `Export payload missing on disk: ${exportId}` };
+		}
 		const { payloadMetrics, itemCounts, fluidCounts } = buildPayloadMetrics(innerData);
 		const platformInfo = (innerData?.platform && typeof innerData.platform === "object"
 			? innerData.platform
@@ -122,7 +174,7 @@ export class TransferOrchestrator {
 			return { success: false, safeToUnlockSource: true, error: `Transfer aborted: source platform index unavailable (top-level=${String(topLevelIndex)})` };
 		}
 
-		const operation = createOperationRecord("transfer", {
+		const operation = createOperationRecord(operationType, {
 			operationId: transferId,
 			exportId,
 			sourceExportId,
@@ -167,15 +219,47 @@ export class TransferOrchestrator {
 			return { success: false, safeToUnlockSource: true, error: "Failed to initialize transfer state" };
 		}
 		this.txLogger.logTransactionEvent(transferId, "transfer_created",
-			`${transfer.platformName}: ${transfer.sourceInstanceName || transfer.sourceInstanceId} → ${transfer.targetInstanceName || targetInstanceId}`, {
+			`${transfer.platformName}: ${transfer.sourceInstanceName || transfer.sourceInstanceId} → ${transfer.targetInstanceName || targetInstanceId}${operationType === "copy" ? " (copy)" : ""}`, {
 				exportMetrics: mergedExportMetrics,
 				payloadMetrics,
+				payloadDigest: exportData.digest ?? null,
 			});
 
 		await this.plugin.recordTransferStarted(transfer);
 
 		this.updateTransfer(transfer);
 
+		const integrityError = verifyExportDigest(innerData, exportData.digest);
+		if (integrityError) {
+			exportData.integrityError = integrityError;
+			return await this.handleIntegrityFailure(transferId, integrityError);
+		}
+
+		const modRefusal = await this.checkModCompatibility(transferId, transfer, exportData.modSet, targetInstanceId);
+		if (modRefusal) {
+			return await this.refuseBeforeImport(transferId, modRefusal, "mod_mismatch_refused", { modMismatches: transfer.modMismatches ?? [] });
+		}
+
+		let importData: ExportData;
+		try {
+			importData = this.migratePayload(transferId, innerData);
+		} catch (err: unknown) {
+			const errMsg = getErrorMessage(err);
+			return await this.refuseBeforeImport(transferId,
+				`Export payload could not be migrated to schema ${PAYLOAD_SCHEMA_VERSION} (${errMsg}), so it was NOT sent to the destination`,
+				"payload_migration_failed", { error: errMsg });
+		}
+		const schemaErrors = validateExportData(importData);
+		if (schemaErrors.length > 0) {
+			return await this.refuseBeforeImport(transferId,
+				`Export payload does not match payload schema ${PAYLOAD_SCHEMA_VERSION} (${summarizePayloadSchemaErrors(schemaErrors)}), so it was NOT sent to the destination`,
+				"payload_schema_invalid", { schemaErrors });
+		}
+
+		if (transfer.cancelRequestedBy) {
+			return await this.abandonCancelled(transferId, transfer);
+		}
+
 		let importAccepted = false;
 		try {
 			this.txLogger.startPhase(transferId, "transmission");
@@ -183,7 +267,7 @@ export class TransferOrchestrator {
 				{ instanceId: targetInstanceId },
 				new this.messages.ImportPlatformRequest({
 					exportId,
-					exportData: { ...innerData, _transferId: transferId, _sourceInstanceId: exportData.instanceId },
+					exportData: { ...importData, _transferId: transferId, _sourceInstanceId: exportData.instanceId },
 					forceName: "player",
 					targetPlanet,
 				}),
@@ -198,6 +282,10 @@ export class TransferOrchestrator {
 			this.enterAwaitingValidation(transfer, transferId);
 			this.txLogger.logTransactionEvent(transferId, "import_started",
 				`Awaiting validation (timeout: ${(transfer.armedValidationTimeoutMs ?? DEFAULT_VALIDATION_TIMEOUT_SECONDS * 1000) / 1000}s)`, { transmissionMs });
+			if (transfer.cancelRequestedBy) {
+				await this.cancelAwaitingValidation(transferId, transfer, transfer.cancelRequestedBy);
+				return { success: false, transferId, error: transfer.error || "Transfer cancelled" };
+			}
 
 			return { success: true, transferId, message: `Transfer initiated: ${transferId}` };
 
@@ -213,6 +301,10 @@ export class TransferOrchestrator {
 				this.txLogger.logTransactionEvent(transferId, "import_delivery_uncertain",
 					`Import send interrupted by session loss (${errMsg}); NOT unlocking source — awaiting validation`,
 					{ error: errMsg, transmissionMs });
+				if (transfer.cancelRequestedBy) {
+					await this.cancelAwaitingValidation(transferId, transfer, transfer.cancelRequestedBy);
+					return { success: false, transferId, error: transfer.error || "Transfer cancelled" };
+				}
 				return { success: true, transferId, message: `Transfer initiated (delivery unconfirmed after a session interruption; awaiting validation): ${transferId}` };
 			}
 			const rollbackError = await this.tryUnlockSource(transferId, transfer);
@@ -241,6 +333,105 @@ export class TransferOrchestrator {
 		return { success: false, error };
 	}
 
+	async handleIntegrityFailure(transferId: string, integrityError: string) {
+		const error = `Export payload failed its integrity check (${integrityError}); it was modified or corrupted `
+			+ "after it was stored, so it was NOT sent to the destination";
+		return this.refuseBeforeImport(transferId, error, "payload_integrity_failed", { error: integrityError });
+	}
+
+	async refuseBeforeImport(transferId: string, error: string, eventType: string, details: Record<string, unknown>) {
+		const transfer = this.plugin.activeTransfers.get(transferId);
+		if (!transfer) return { success: false, error };
+
+		transfer.status = "failed";
+		transfer.error = error;
+		transfer.failedAt = Date.now();
+		this.txLogger.logTransactionEvent(transferId, eventType, error, details);
+		this.logger.error(`Transfer ${transferId} refused: ${error}`);
+
+		const rollbackError = await this.tryUnlockSource(transferId, transfer);
+		if (rollbackError) transfer.error = `${transfer.error}; rollback failed: ${rollbackError}`;
+
+		this.updateTransfer(transfer);
+		await this.txLogger.persistTransactionLog(transferId);
+		return { success: false, error };
+	}
+
+	migratePayload(transferId: string, exportData: ExportData): ExportData {
+		const result = migrateExportData(exportData);
+		if (result.steps.length) {
+			const message = `Payload migrated from schema ${result.fromVersion} to ${result.toVersion}`;
+			this.logger.info(`Transfer ${transferId}: ${message}`);
+			this.txLogger.logTransactionEvent(transferId, "payload_migrated", message, {
+				fromVersion: result.fromVersion,
+				toVersion: result.toVersion,
+				steps: result.steps,
+			});
+		}
+		return result.exportData;
+	}
+
+	getModMismatchPolicy(): ModMismatchPolicy {
+		let raw: unknown;
+		try {
+			raw = this.plugin.controller.config?.get("surface_export.mod_mismatch_policy");
+		} catch (err: unknown) {
+			this.logger.error(
+				`Reading surface_export.mod_mismatch_policy threw (${getErrorMessage(err)}) — `
+				+ `using the default ${this.messages.DEFAULT_MOD_MISMATCH_POLICY}`);
+			return this.messages.DEFAULT_MOD_MISMATCH_POLICY;
+		}
+		const { policy, warning } = this.messages.parseModMismatchPolicy(raw);
+		if (warning) {
+			this.logger.warn(warning);
+		}
+		return policy;
+	}
+
+	async checkModCompatibility(transferId: string, transfer: ActiveTransfer, source: ExportModSet | null | undefined, targetInstanceId: number): Promise<string | null> {
+		const policy = this.getModMismatchPolicy();
+		if (policy === "ignore") {
+			return null;
+		}
+		if (!source) {
+			this.txLogger.logTransactionEvent(transferId, "mod_check_skipped", "Export predates mod recording; mod versions were not compared", {});
+			return null;
+		}
+		let target: ExportModSet | undefined;
+		try {
+			const response = await this.plugin.controller.sendTo(
+				{ instanceId: targetInstanceId },
+				new this.messages.GetActiveModsRequest(),
+			) as SimpleResponse & { modSet?: ExportModSet };
+			if (!response.success || !response.modSet) {
+				throw new Error(response.error || "no mod list returned");
+			}
+			target = response.modSet;
+		} catch (err: unknown) {
+			const errMsg = getErrorMessage(err);
+			if (policy === "refuse") {
+				return `Destination mod list unavailable (${errMsg}), so mod versions could not be compared. `
+					+ "mod_mismatch_policy is refuse, so the platform was NOT sent to the destination";
+			}
+			this.logger.warn(`Transfer ${transferId}: destination mod list unavailable, mod versions were not compared: ${errMsg}`);
+			this.txLogger.logTransactionEvent(transferId, "mod_check_skipped", `Destination mod list unavailable (${errMsg}); mod versions were not compared`, { error: errMsg });
+			return null;
+		}
+
+		const mismatches = compareModSets(source, target);
+		if (!mismatches.length) {
+			return null;
+		}
+		transfer.modMismatches = mismatches;
+		const summary = `Mod mismatch with ${transfer.targetInstanceName || targetInstanceId}: ${summarizeModMismatches(mismatches)}`;
+		if (policy === "refuse") {
+			return `${summary}. mod_mismatch_policy is refuse, so the platform was NOT sent to the destination`;
+		}
+		this.txLogger.logTransactionEvent(transferId, "mod_mismatch", summary, { modMismatches: mismatches });
+		this.logger.warn(`Transfer ${transferId}: ${summary}`);
+		return null;
+	}
+
 	enterAwaitingValidation(transfer: ActiveTransfer, transferId: string) {
 		this.txLogger.startPhase(transferId, "validation");
 		transfer.status = "awaiting_validation";
@@ -255,6 +446,9 @@ export class TransferOrchestrator {
 			targetInstanceId: Number(transfer.targetInstanceId),
 			startedAt: transfer.startedAt,
 			exportId: transfer.exportId ?? null,
+			sourceExportId: transfer.sourceExportId ?? null,
+			phase: "prepared",
+			...(transfer.operationType === "copy" ? { operationType: "copy" as const } : {}),
 		});
 	}
 
@@ -322,7 +516,21 @@ export class TransferOrchestrator {
 			const verdict = event.success ? "SUCCESS" : "FAILURE";
 			const priorStatus = settled.status;
 			let disposition = "Record unchanged.";
-			if (event.success && priorStatus === "failed") {
+			const heldVote = event.success && event.validation?.destinationHeld === true;
+			if (heldVote && (priorStatus === "failed" || priorStatus === "cleanup_failed" || priorStatus === "error")) {
+				const discardError = await this.discardDestination(event.transferId, settled);
+				if (discardError) {
+					settled.status = "cleanup_failed";
+					settled.error = [settled.error, `late SUCCESS staged a held copy whose discard failed (${discardError}) — remove it before retrying`]
+						.filter(Boolean).join("; ");
+					this.updateTransfer(settled);
+					disposition = "The destination staged a HELD copy after this transfer was abandoned and "
+						+ "the discard FAILED; the transfer is re-marked cleanup_failed so retries are refused.";
+				} else {
+					disposition = "The destination staged a HELD copy after this transfer was abandoned; it "
+						+ "was discarded (handshake-or-discard), so it never went live.";
+				}
+			} else if (event.success && priorStatus === "failed") {
 				settled.status = "cleanup_failed";
 				settled.error = [settled.error, "late import SUCCESS after rollback: the destination holds a live copy — delete one copy before retrying"]
 					.filter(Boolean).join("; ");
@@ -375,12 +583,20 @@ export class TransferOrchestrator {
 		transfer.validationResult = event.validation || null;
 		transfer.failedStage = event.validation?.failedStage ?? null;
 
+		const guarded = !this.handshakes.has(event.transferId);
+		this.handshakes.add(event.transferId);
 		if (transfer.validationTimeout) {
 			clearTimeout(transfer.validationTimeout);
 			transfer.validationTimeout = null;
 		}
 
 		try {
+			for (const handler of this.validationHandlers) {
+				if (await handler(event, transfer)) {
+					this.pruneOldTransfers();
+					return;
+				}
+			}
 			let sourceResolved;
 			if (event.success) {
 				({ sourceResolved } = await this.handleValidationSuccess(event.transferId, transfer));
@@ -398,10 +614,22 @@ export class TransferOrchestrator {
 			transfer.error = errMsg;
 			this.updateTransfer(transfer);
 			await this.broadcastTransferStatus(transfer, `Error: ${errMsg}`, "red");
+		} finally {
+			if (guarded) {
+				this.handshakes.delete(event.transferId);
+			}
 		}
 	}
 
 	async handleValidationSuccess(transferId: string, transfer: ActiveTransfer) {
+		if (transfer.operationType === "copy") {
+			return await this.keepCopy(transferId, transfer);
+		}
+		if (transfer.validationResult?.destinationHeld === true) {
+			return await this.commitTransfer(transferId, transfer);
+		}
+		this.txLogger.logTransactionEvent(transferId, "destination_not_held",
+			"The destination voted without staging a hold (it is already live); deleting the source directly", {});
 		this.txLogger.startPhase(transferId, "cleanup");
 		await this.broadcastTransferStatus(transfer, "Validation passed ✓ — deleting source...", "green");
 
@@ -411,29 +639,13 @@ export class TransferOrchestrator {
 				platformIndex: transfer.platformIndex,
 				platformName: transfer.platformName,
 				forceName: transfer.forceName,
-				exportId: transfer.sourceExportId ?? transfer.exportId ?? null,
+				exportId: this.sourceTransferId(transfer),
 			}),
 		);
 		const cleanupMs = this.txLogger.endPhase(transferId, "cleanup");
 
 		if (deleteResponse.success) {
-			transfer.status = "completed";
-			transfer.completedAt = Date.now();
-			const durationMs = transfer.completedAt - transfer.startedAt;
-			this.txLogger.logTransactionEvent(transferId, "transfer_completed",
-				`Completed in ${Math.round(durationMs / 1000)}s`, {
-					durationMs, cleanupMs,
-					phases: this.txLogger.buildPhaseSummary(transfer),
-				});
-			this.updateTransfer(transfer);
-			await this.broadcastTransferStatus(transfer, "Transfer complete! ✓", "green");
-			await this.txLogger.persistTransactionLog(transferId);
-			if (transfer.exportId) {
-				this.plugin.platformStorage.delete(transfer.exportId);
-			}
-			await this.plugin.persistStorage();
-			this.subscriptions.queueTreeBroadcast(transfer.forceName || "player");
-			return { sourceResolved: true };
+			return await this.completeTransfer(transferId, transfer, cleanupMs);
 		}
 		this.logger.error(`Failed to delete source platform: ${deleteResponse.error}`);
 		transfer.status = "cleanup_failed";
@@ -443,6 +655,456 @@ export class TransferOrchestrator {
 		return { sourceResolved: false };
 	}
 
+	async completeTransfer(transferId: string, transfer: ActiveTransfer, cleanupMs: number) {
+		const sourceData = await this.loadCompletionSource(transfer);
+		transfer.status = "completed";
+		transfer.error = null;
+		transfer.completedAt = Date.now();
+		const { destinationPlatformIndex, destinationSurfaceIndex } = transfer.validationResult ?? {};
+		if (Number.isInteger(destinationPlatformIndex) && Number.isInteger(destinationSurfaceIndex)) {
+			transfer.destinationPlatformIndex = destinationPlatformIndex;
+			transfer.destinationSurfaceIndex = destinationSurfaceIndex;
+		}
+		const durationMs = transfer.completedAt - transfer.startedAt;
+		this.txLogger.logTransactionEvent(transferId, "transfer_completed",
+			`Completed in ${Math.round(durationMs / 1000)}s`, {
+				durationMs, cleanupMs,
+				phases: this.txLogger.buildPhaseSummary(transfer),
+			});
+		this.updateTransfer(transfer);
+		await this.broadcastTransferStatus(transfer, transfer.operationType === "copy" ? "Copy complete! ✓" : "Transfer complete! ✓", "green");
+		await this.txLogger.persistTransactionLog(transferId);
+		if (transfer.exportId) {
+			this.plugin.platformStorage.delete(transfer.exportId);
+		}
+		await this.plugin.persistStorage();
+		this.subscriptions.queueTreeBroadcast(transfer.forceName || "player");
+		if (sourceData && this.completionHook) {
+			void this.completionHook.run(transferId, transfer, sourceData);
+		}
+		return { sourceResolved: true };
+	}
+
+	async loadCompletionSource(transfer: ActiveTransfer): Promise<ExportData | null> {
+		if (!this.completionHook?.wants(transfer) || !transfer.exportId) {
+			return null;
+		}
+		try {
+			return await this.plugin.loadStoredExportData(transfer.exportId);
+		} catch (err: unknown) {
+			this.logger.warn(`Source payload of ${transfer.transferId} could not be kept for the completion check: ${getErrorMessage(err)}`);
+			return null;
+		}
+	}
+
+	sourceTransferId(transfer: ActiveTransfer): string {
+		return transfer.sourceExportId
+			?? parseCanonicalTransferId(transfer.transferId)?.sourceJobId
+			?? transfer.exportId
+			?? transfer.transferId;
+	}
+
+	setCommitPhase(transferId: string, phase: TransferCommitPhase) {
+		const intent = this.plugin.pendingTransfers.get(transferId);
+		if (intent && intent.phase !== phase) {
+			this.plugin.persistPendingTransfer({ ...intent, phase });
+		}
+	}
+
+	async commitTransfer(transferId: string, transfer: ActiveTransfer) {
+		this.handshakes.add(transferId);
+		try {
+			transfer.status = "committing";
+			this.updateTransfer(transfer);
+			this.setCommitPhase(transferId, "voted");
+			await this.broadcastTransferStatus(transfer, "Validation passed ✓ — destination held, committing source...", "green");
+
+			this.plugin.recordCommitTransmitted({
+				transferId,
+				sourceInstanceId: transfer.sourceInstanceId,
+				sourcePlatformIndex: transfer.platformIndex,
+				sourcePlatformName: transfer.platformName,
+				forceName: transfer.forceName || "player",
+				committedAt: Date.now(),
+			});
+			let commit: SimpleResponse;
+			try {
+				commit = await this.plugin.controller.sendTo(
+					{ instanceId: transfer.sourceInstanceId },
+					new this.messages.CommitSourceTransferRequest({
+						transferId: this.sourceTransferId(transfer),
+						platformIndex: transfer.platformIndex,
+						platformName: transfer.platformName,
+						forceName: transfer.forceName,
+					}),
+				);
+			} catch (err: unknown) {
+				const errMsg = getErrorMessage(err);
+				transfer.error = `COMMIT delivery unconfirmed: ${errMsg}`;
+				this.updateTransfer(transfer);
+				this.txLogger.logTransactionEvent(transferId, "commit_uncertain",
+					`COMMIT delivery unconfirmed (${errMsg}); the reconcile loop resolves it from the source lock state`,
+					{ error: errMsg });
+				return { sourceResolved: false };
+			}
+			if (!commit.success) {
+				return await this.abortHandshake(transferId, transfer,
+					`Source refused COMMIT: ${commit.error || "no reason given"}`, false);
+			}
+			this.setCommitPhase(transferId, "committed");
+			this.txLogger.logTransactionEvent(transferId, "source_committed",
+				"Source lock is committed (irreversible non-live tombstone)", {});
+			return await this.releaseSource(transferId, transfer);
+		} finally {
+			this.handshakes.delete(transferId);
+		}
+	}
+
+	async releaseSource(transferId: string, transfer: ActiveTransfer) {
+		this.txLogger.startPhase(transferId, "cleanup");
+		let deleteError: string | null;
+		try {
+			const deleteResponse = await this.plugin.controller.sendTo(
+				{ instanceId: transfer.sourceInstanceId },
+				new this.messages.DeleteSourcePlatformRequest({
+					platformIndex: transfer.platformIndex,
+					platformName: transfer.platformName,
+					forceName: transfer.forceName,
+					exportId: this.sourceTransferId(transfer),
+				}),
+			);
+			deleteError = deleteResponse.success ? null : deleteResponse.error || "Unknown delete error";
+		} catch (err: unknown) {
+			deleteError = getErrorMessage(err);
+		}
+		const cleanupMs = this.txLogger.endPhase(transferId, "cleanup");
+		if (deleteError) {
+			this.logger.warn(`Committed source of transfer ${transferId} not deleted yet: ${deleteError}`);
+			transfer.error = `Committed source delete pending: ${deleteError}`;
+			this.updateTransfer(transfer);
+			this.txLogger.logTransactionEvent(transferId, "source_delete_pending",
+				`Committed source delete failed (${deleteError}); the reconcile loop retries it`, { error: deleteError });
+			return { sourceResolved: false };
+		}
+		this.setCommitPhase(transferId, "released");
+		this.txLogger.logTransactionEvent(transferId, "source_released", "Committed source deleted", { cleanupMs });
+		return await this.goLiveDestination(transferId, transfer, cleanupMs);
+	}
+
+	async goLiveDestination(transferId: string, transfer: ActiveTransfer, cleanupMs = 0) {
+		let goLiveError: string | null;
+		try {
+			const response = await this.plugin.controller.sendTo(
+				{ instanceId: transfer.targetInstanceId },
+				new this.messages.DestinationHoldRequest({ action: "go_live", transferId }),
+			);
+			goLiveError = response?.success || response?.noHold ? null : response?.error || "Unknown go-live error";
+		} catch (err: unknown) {
+			goLiveError = getErrorMessage(err);
+		}
+		if (goLiveError) {
+			this.logger.warn(`Destination of transfer ${transferId} not live yet: ${goLiveError}`);
+			transfer.error = `Destination go-live pending: ${goLiveError}`;
+			this.updateTransfer(transfer);
+			this.txLogger.logTransactionEvent(transferId, "go_live_pending",
+				`Destination go-live failed (${goLiveError}); the reconcile loop retries it`, { error: goLiveError });
+			return { sourceResolved: false };
+		}
+		this.txLogger.logTransactionEvent(transferId, "destination_live", "Destination hold released (go-live)", {});
+		if (transfer.operationType === "copy") {
+			this.setCommitPhase(transferId, "released");
+			return await this.unlockCopiedSource(transferId, transfer);
+		}
+		return await this.completeTransfer(transferId, transfer, cleanupMs);
+	}
+
+	async keepCopy(transferId: string, transfer: ActiveTransfer) {
+		this.handshakes.add(transferId);
+		try {
+			transfer.status = "committing";
+			this.updateTransfer(transfer);
+			this.setCommitPhase(transferId, "voted");
+			await this.broadcastTransferStatus(transfer, "Validation passed ✓ — keeping the copy and unlocking the source...", "green");
+			return await this.goLiveDestination(transferId, transfer);
+		} finally {
+			this.handshakes.delete(transferId);
+		}
+	}
+
+	async unlockCopiedSource(transferId: string, transfer: ActiveTransfer) {
+		const unlockError = await this.sendUnlockRequest(transfer.sourceInstanceId, transfer.platformIndex, transfer.forceName || "player", transfer.platformName);
+		if (unlockError) {
+			this.logger.warn(`Source of copy ${transferId} not unlocked yet: ${unlockError}`);
+			transfer.error = `Source unlock pending: ${unlockError}`;
+			this.updateTransfer(transfer);
+			this.txLogger.logTransactionEvent(transferId, "source_unlock_pending",
+				`Unlocking the copied source failed (${unlockError}); the reconcile loop retries it`, { error: unlockError });
+			return { sourceResolved: false };
+		}
+		this.txLogger.logTransactionEvent(transferId, "source_unlocked", "Source platform unlocked and kept", {});
+		return await this.completeTransfer(transferId, transfer, 0);
+	}
+
+	async discardDestination(transferId: string, transfer: ActiveTransfer): Promise<string | null> {
+		try {
+			const response = await this.plugin.controller.sendTo(
+				{ instanceId: transfer.targetInstanceId },
+				new this.messages.DestinationHoldRequest({ action: "discard", transferId }),
+			);
+			if (response?.success) {
+				this.txLogger.logTransactionEvent(transferId, "destination_discarded", "Held destination copy discarded", {});
+				return null;
+			}
+			if (response?.noHold) {
+				return null;
+			}
+			return response?.error || "Unknown discard error";
+		} catch (err: unknown) {
+			return getErrorMessage(err);
+		}
+	}
+
+	async abortHandshake(transferId: string, transfer: ActiveTransfer, reason: string, unlockSource: boolean) {
+		const discardError = await this.discardDestination(transferId, transfer);
+		const rollbackError = unlockSource ? await this.tryUnlockSource(transferId, transfer) : null;
+		transfer.status = discardError ? "cleanup_failed" : "failed";
+		transfer.error = [
+			reason,
+			discardError ? `destination discard failed: ${discardError}` : null,
+			rollbackError ? `rollback failed: ${rollbackError}` : null,
+		].filter(Boolean).join("; ");
+		transfer.failedAt = Date.now();
+		transfer.completedAt = transfer.failedAt;
+		this.logger.warn(`Transfer ${transferId} aborted: ${transfer.error}`);
+		this.txLogger.logTransactionEvent(transferId, "handshake_aborted", transfer.error, {
+			reason, discardError, rollbackError,
+		});
+		this.updateTransfer(transfer);
+		await this.broadcastTransferStatus(transfer, `Transfer aborted: ${reason}`, "red");
+		await this.txLogger.persistTransactionLog(transferId);
+		return { sourceResolved: !discardError };
+	}
+
+	async cancelTransfer(transferId: string, requestedBy: string): Promise<CancelTransferResult> {
+		const transfer = this.plugin.activeTransfers.get(transferId);
+		if (!transfer) {
+			return { success: false, transferId, error: `Unknown transfer ${transferId}` };
+		}
+		if (transfer.operationType !== "transfer" && transfer.operationType !== "copy") {
+			return { success: false, transferId, status: transfer.status, error: `${transferId} is an ${transfer.operationType} operation; only transfers and copies can be cancelled` };
+		}
+		if (transfer.status === "transporting") {
+			if (!transfer.cancelRequestedBy) {
+				transfer.cancelRequestedBy = requestedBy;
+				this.txLogger.logTransactionEvent(transferId, "cancel_requested",
+					`Cancellation requested by ${requestedBy} while the import is being sent; it takes effect before the `
+					+ "import is sent, or by discarding the staged import once the destination acknowledges it", { requestedBy });
+			}
+			return {
+				success: true,
+				transferId,
+				status: transfer.status,
+				message: "Cancellation requested; the transfer is abandoned as soon as its import send returns",
+			};
+		}
+		if (transfer.status === "awaiting_validation" || transfer.status === "awaiting_group") {
+			if (this.handshakes.has(transferId)) {
+				return { success: false, transferId, status: transfer.status, error: `Cannot cancel ${transferId}: its validation or the reconcile loop is resolving it right now; retry in a moment` };
+			}
+			const discardError = await this.cancelAwaitingValidation(transferId, transfer, requestedBy);
+			return {
+				success: !discardError,
+				transferId,
+				status: transfer.status,
+				...(discardError ? { error: transfer.error || discardError } : { message: transfer.error || "Transfer cancelled" }),
+			};
+		}
+		const error = transfer.status === "committing" || transfer.status === "awaiting_completion"
+			? "the source is already committed, so the transfer can only complete; the reconcile loop finishes it"
+			: `it already settled as ${transfer.status}`;
+		if (IN_FLIGHT_STATUSES.has(transfer.status)) {
+			this.txLogger.logTransactionEvent(transferId, "cancel_refused", `Cancellation by ${requestedBy} refused: ${error}`, { requestedBy });
+		}
+		return { success: false, transferId, status: transfer.status, error: `Cannot cancel ${transferId}: ${error}` };
+	}
+
+	async recordCancellation(transfer: ActiveTransfer, requestedBy: string, detail: string) {
+		transfer.cancelledAt = Date.now();
+		this.txLogger.logTransactionEvent(transfer.transferId, "transfer_cancelled", detail, { requestedBy });
+		this.logger.info(`Transfer ${transfer.transferId} of ${transfer.platformName} cancelled by ${requestedBy}`);
+		await this.plugin.recordAuditRow(buildAuditRow({
+			transferId: transfer.transferId,
+			rowKind: "cancel",
+			savedAt: transfer.cancelledAt,
+			eventCount: this.plugin.transactionLogs.get(transfer.transferId)?.length ?? 0,
+			lastEventAt: this.txLogger.getLastEventTimestamp(transfer.transferId),
+			info: this.txLogger.buildTransferInfo(transfer),
+		}));
+	}
+
+	async abandonCancelled(transferId: string, transfer: ActiveTransfer) {
+		const requestedBy = transfer.cancelRequestedBy || "an operator";
+		transfer.status = "failed";
+		transfer.error = `Cancelled by ${requestedBy} before the import was sent`;
+		transfer.failedAt = Date.now();
+		await this.recordCancellation(transfer, requestedBy, `${transfer.error}; unlocking the source`);
+		const rollbackError = await this.tryUnlockSource(transferId, transfer);
+		if (rollbackError) transfer.error = `${transfer.error}; rollback failed: ${rollbackError}`;
+		this.updateTransfer(transfer);
+		await this.broadcastTransferStatus(transfer, "Transfer cancelled", "yellow");
+		await this.txLogger.persistTransactionLog(transferId);
+		return { success: false, transferId, error: transfer.error };
+	}
+
+	async cancelAwaitingValidation(transferId: string, transfer: ActiveTransfer, requestedBy: string): Promise<string | null> {
+		if (transfer.validationTimeout) {
+			clearTimeout(transfer.validationTimeout);
+			transfer.validationTimeout = null;
+		}
+		this.txLogger.endPhase(transferId, "validation");
+		transfer.status = "failed";
+		transfer.error = `Cancelled by ${requestedBy} while awaiting validation`;
+		transfer.failedAt = Date.now();
+		let discardError: string | null;
+		this.handshakes.add(transferId);
+		try {
+			await this.recordCancellation(transfer, requestedBy, `${transfer.error}; discarding the staged import, then unlocking the source`);
+			this.updateTransfer(transfer);
+
+			discardError = await this.discardDestination(transferId, transfer);
+			if (discardError) {
+				transfer.status = "cleanup_failed";
+				transfer.error = `${transfer.error}; destination discard failed: ${discardError} — the source stays locked and `
+					+ "the reconcile loop retries the discard";
+				this.logger.warn(`Cancelled transfer ${transferId}: ${transfer.error}`);
+			} else {
+				const rollbackError = await this.tryUnlockSource(transferId, transfer);
+				if (rollbackError) transfer.error = `${transfer.error}; rollback failed: ${rollbackError}`;
+				this.plugin.removePendingTransfer(transferId);
+			}
+		} finally {
+			this.handshakes.delete(transferId);
+		}
+		this.updateTransfer(transfer);
+		await this.broadcastTransferStatus(transfer, "Transfer cancelled", "yellow");
+		await this.txLogger.persistTransactionLog(transferId);
+		return discardError;
+	}
+
+	async querySourceLockState(transfer: ActiveTransfer): Promise<SourceTransferLockStateResponse> {
+		const transferId = this.sourceTransferId(transfer);
+		if (!this.plugin.isInstanceOnline(transfer.sourceInstanceId)) {
+			return { state: "unknown/offline", transferId, error: `source instance ${transfer.sourceInstanceId} is offline` };
+		}
+		try {
+			return normalizeSourceTransferLockState(await this.plugin.controller.sendTo(
+				{ instanceId: transfer.sourceInstanceId },
+				new this.messages.GetSourceTransferLockStateRequest({
+					transferId,
+					platformIndex: transfer.platformIndex,
+					platformName: transfer.platformName,
+					forceName: transfer.forceName,
+				}),
+			));
+		} catch (err: unknown) {
+			return { state: "unknown/offline", transferId, error: getErrorMessage(err) };
+		}
+	}
+
+	adoptTransfer(intent: PendingTransferIntent): ActiveTransfer {
+		const existing = this.plugin.activeTransfers.get(intent.transferId);
+		if (existing) {
+			return existing;
+		}
+		const transfer = createOperationRecord(intent.operationType ?? "transfer", {
+			operationId: intent.transferId,
+			exportId: intent.exportId,
+			sourceExportId: intent.sourceExportId ?? null,
+			platformName: intent.sourcePlatformName,
+			platformIndex: intent.sourcePlatformIndex,
+			forceName: intent.forceName,
+			sourceInstanceId: intent.sourceInstanceId,
+			targetInstanceId: intent.targetInstanceId,
+			resolveInstanceName: (id: number) => this.plugin.platformTree.resolveInstanceName(id),
+			startedAt: intent.startedAt,
+			status: "committing",
+		});
+		this.plugin.activeTransfers.set(intent.transferId, transfer);
+		this.txLogger.logTransactionEvent(intent.transferId, "transfer_adopted",
+			`Re-adopted from the pending-transfer store (phase ${intent.phase ?? "prepared"})`, { phase: intent.phase ?? "prepared" });
+		this.updateTransfer(transfer);
+		return transfer;
+	}
+
+	async resumeTransfer(intent: PendingTransferIntent, now = Date.now()) {
+		const transfer = this.adoptTransfer(intent);
+		if (transfer.operationType === "copy") {
+			return await this.resumeCopy(intent, transfer);
+		}
+		const source = await this.querySourceLockState(transfer);
+		switch (source.state) {
+		case "pre_commit":
+			return await this.abortHandshake(intent.transferId, transfer,
+				"the source is still pre_commit, so the handshake never reached COMMIT", true);
+		case "committed":
+			this.setCommitPhase(intent.transferId, "committed");
+			return await this.releaseSource(intent.transferId, transfer);
+		case "source_gone_matching_transfer":
+			this.setCommitPhase(intent.transferId, "released");
+			return await this.goLiveDestination(intent.transferId, transfer);
+		case "identity_mismatch":
+			return await this.abortHandshake(intent.transferId, transfer,
+				`no source lock or tombstone matches this transfer (${source.error || "identity mismatch"})`, false);
+		default:
+			if (now - Number(intent.startedAt) < TRANSFER_HANDSHAKE_DEADLINE_MS) {
+				return { sourceResolved: false };
+			}
+			return await this.abortHandshake(intent.transferId, transfer,
+				`handshake deadline passed with the source unreachable (${source.error || "unknown/offline"})`, false);
+		}
+	}
+
+	async resumeCopy(intent: PendingTransferIntent, transfer: ActiveTransfer) {
+		switch (intent.phase) {
+		case "voted":
+			return await this.goLiveDestination(intent.transferId, transfer);
+		case "released":
+			return await this.unlockCopiedSource(intent.transferId, transfer);
+		default:
+			return await this.abortHandshake(intent.transferId, transfer,
+				"the destination never voted on the copy", true);
+		}
+	}
+
+	async reconcilePendingTransfers(now = Date.now()) {
+		if (this.reconciling || this.plugin.stateRestoreInProgress) {
+			return;
+		}
+		this.reconciling = true;
+		try {
+			for (const intent of Array.from(this.plugin.pendingTransfers.values())) {
+				const live = this.plugin.activeTransfers.get(intent.transferId);
+				if (this.handshakes.has(intent.transferId) || live?.status === "awaiting_group"
+					|| (live?.status === "awaiting_validation" && live.validationTimeout)) {
+					continue;
+				}
+				this.handshakes.add(intent.transferId);
+				try {
+					const { sourceResolved } = await this.resumeTransfer(intent, now);
+					if (sourceResolved) {
+						this.plugin.removePendingTransfer(intent.transferId);
+					}
+				} catch (err: unknown) {
+					this.logger.error(`Reconcile of transfer ${intent.transferId} failed: ${getErrorMessage(err)}`);
+				} finally {
+					this.handshakes.delete(intent.transferId);
+				}
+			}
+		} finally {
+			this.reconciling = false;
+		}
+	}
+
 	async handleValidationFailure(transferId: string, transfer: ActiveTransfer, validation: ValidationResult | undefined) {
 		const errorMsg = validation?.mismatchDetails || "Unknown error";
 		const destinationCleanupError = validation?.cleanup_failed
@@ -453,6 +1115,7 @@ export class TransferOrchestrator {
 
 		await this.broadcastTransferStatus(transfer, "Validation failed ✗ — rolling back...", "red");
 
+		const discardError = await this.discardDestination(transferId, transfer);
 		const rollbackError = await this.tryUnlockSource(transferId, transfer);
 		if (rollbackError) {
 			await this.broadcastTransferStatus(transfer, `⚠ Rollback failed: ${rollbackError}`, "red");
@@ -460,18 +1123,24 @@ export class TransferOrchestrator {
 			await this.broadcastTransferStatus(transfer, `Rolled back. Error: ${errorMsg}`, "red");
 		}
 
-		transfer.status = destinationCleanupError ? "cleanup_failed" : "failed";
-		transfer.error = [errorMsg, rollbackError, destinationCleanupError].filter(Boolean).join("; ");
+		transfer.status = destinationCleanupError || discardError ? "cleanup_failed" : "failed";
+		transfer.error = [
+			errorMsg,
+			rollbackError,
+			destinationCleanupError,
+			discardError ? `destination discard failed: ${discardError}` : null,
+		].filter(Boolean).join("; ");
 		transfer.completedAt = Date.now();
 		this.txLogger.logTransactionEvent(transferId, "transfer_failed",
 			`Failed after ${Math.round((transfer.completedAt - transfer.startedAt) / 1000)}s`, {
 				durationMs: transfer.completedAt - transfer.startedAt,
 				error: transfer.error,
 				destinationCleanupError,
+				discardError,
 			});
 		this.updateTransfer(transfer);
 		await this.txLogger.persistTransactionLog(transferId);
-		return { sourceResolved: !rollbackError };
+		return { sourceResolved: !rollbackError && !discardError };
 	}
 
 	pruneOldTransfers() {
@@ -484,70 +1153,123 @@ export class TransferOrchestrator {
 	}
 
 
-	async handleStartPlatformTransferRequest(request: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null }) {
+	checkStartRequest(request: StartTransferInput, { allowOfflineTarget = false } = {}): { error: string } | { error: null; targetInstanceId: number } {
+		if (this.plugin.stateRestoreInProgress) {
+			return { error: RESTORE_IN_PROGRESS_ERROR };
+		}
 		const sourceInstanceId = Number(request.sourceInstanceId);
 		if (!Number.isInteger(sourceInstanceId)) {
-			return { success: false, error: `Invalid source instance: ${request.sourceInstanceId}` };
+			return { error: `Invalid source instance: ${request.sourceInstanceId}` };
 		}
 		const sourceInstance = this.plugin.controller.instances.get(sourceInstanceId);
 		if (!sourceInstance || sourceInstance.isDeleted) {
-			return { success: false, error: `Unknown source instance ${sourceInstanceId}` };
+			return { error: `Unknown source instance ${sourceInstanceId}` };
 		}
 		const resolvedTarget = this.plugin.platformTree.resolveTargetInstance(request.targetInstanceId);
 		if (!resolvedTarget) {
-			return { success: false, error: `Unknown target instance ${request.targetInstanceId}` };
+			return { error: `Unknown target instance ${request.targetInstanceId}` };
 		}
 		if (resolvedTarget.id === sourceInstanceId) {
-			return { success: false, error: "Source and destination instances must be different" };
+			return { error: "Source and destination instances must be different" };
 		}
-		const forceName = request.forceName || "player";
 		const sourcePlatformIndex = Number(request.sourcePlatformIndex);
 		if (!Number.isInteger(sourcePlatformIndex) || sourcePlatformIndex < 1) {
-			return { success: false, error: `Invalid platform index ${request.sourcePlatformIndex}` };
+			return { error: `Invalid platform index ${request.sourcePlatformIndex}` };
 		}
 
-		if (!this.plugin.isInstanceOnline(resolvedTarget.id)) {
+		if (!allowOfflineTarget && !this.plugin.isInstanceOnline(resolvedTarget.id)) {
 			const name = this.plugin.platformTree.resolveInstanceName(resolvedTarget.id);
-			return { success: false, error:
+			return { error:
 				`Destination instance ${name ? `"${name}" ` : ""}(${resolvedTarget.id}) is offline — `
 				+ "transfer refused before starting. Nothing was locked or exported; retry when the "
 				+ "destination is running." };
 		}
+		return { error: null, targetInstanceId: resolvedTarget.id };
+	}
 
+	async preflightTransfer(request: StartTransferInput): Promise<PreflightResult> {
+		const checked = this.checkStartRequest(request);
+		if (checked.error !== null) {
+			return { success: false, error: checked.error };
+		}
+		const sourceInstanceId = Number(request.sourceInstanceId);
+		const sourcePlatformIndex = Number(request.sourcePlatformIndex);
+		const forceName = request.forceName || "player";
 		try {
-			const t0 = Date.now();
-			const exportResponse = await this.plugin.controller.sendTo(
-				{ instanceId: sourceInstanceId },
-				new this.messages.ExportPlatformRequest({
-					platformIndex: sourcePlatformIndex,
-					forceName,
-					targetInstanceId: resolvedTarget.id,
-				}),
-			) as SimpleResponse & { exportId?: string };
-			const exportRequestMs = Date.now() - t0;
-			if (!exportResponse?.success || !exportResponse.exportId) {
-				return { success: false, error: exportResponse?.error || "Export failed" };
+			const [platformResponse, prototypeResponse] = await Promise.all([
+				this.plugin.controller.sendTo(
+					{ instanceId: sourceInstanceId },
+					new this.messages.GetPlatformCensusRequest({ platformIndex: sourcePlatformIndex, forceName }),
+				) as Promise<SimpleResponse & { census?: PlatformCensus }>,
+				this.plugin.controller.sendTo(
+					{ instanceId: checked.targetInstanceId },
+					new this.messages.GetPrototypeCensusRequest(),
+				) as Promise<SimpleResponse & { census?: PrototypeCensus }>,
+			]);
+			if (!platformResponse?.success || !platformResponse.census) {
+				return { success: false, error: `Source census failed: ${platformResponse?.error || "no census returned"}` };
 			}
+			if (!prototypeResponse?.success || !prototypeResponse.census) {
+				return { success: false, error: `Destination census failed: ${prototypeResponse?.error || "no census returned"}` };
+			}
+			const report = comparePreflightCensus(platformResponse.census, prototypeResponse.census, checked.targetInstanceId, request.targetPlanet ?? null);
+			return { success: true, report };
+		} catch (err: unknown) {
+			return { success: false, error: `Preflight failed: ${getErrorMessage(err)}` };
+		}
+	}
 
-			const t1 = Date.now();
-			const canonicalExportId = makeCanonicalTransferId(sourceInstanceId, exportResponse.exportId);
-			await this.waitForStoredExport(canonicalExportId);
-			const waitForStoredMs = Date.now() - t1;
+	async handleStartPlatformTransferRequest(request: StartTransferInput) {
+		const checked = this.checkStartRequest(request);
+		if (checked.error !== null) {
+			return { success: false, error: checked.error };
+		}
+		const sourceInstanceId = Number(request.sourceInstanceId);
+		const sourcePlatformIndex = Number(request.sourcePlatformIndex);
+		const targetInstanceId = checked.targetInstanceId;
+		const forceName = request.forceName || "player";
 
-			const result = await this.transferPlatform(canonicalExportId, resolvedTarget.id, {
-				requestExportAndLockMs: exportRequestMs,
-				waitForControllerStoreMs: waitForStoredMs,
-				controllerExportPrepTotalMs: exportRequestMs + waitForStoredMs,
-			}, t0, request.targetPlanet ?? null);
+		const preflight = await this.preflightTransfer(request);
+		if (!preflight.success || !preflight.report) {
+			this.logger.warn(`Preflight of platform #${sourcePlatformIndex} on instance ${sourceInstanceId} could not run; starting without it: ${preflight.error}`);
+		} else if (preflight.report.blockers.length) {
+			const { blockers } = preflight.report;
+			this.logger.warn(`Preflight refused transfer of platform #${sourcePlatformIndex} to instance ${targetInstanceId}: ${blockers.length} blocker(s)`);
+			return {
+				success: false,
+				error: `Preflight found ${blockers.length} blocker(s): ${summarizePreflightIssues(blockers)}. Nothing was locked or exported.`,
+				preflight: preflight.report,
+			};
+		}
+		return await this.startPreflightedTransfer(request);
+	}
+
+	async startPreflightedTransfer(request: StartTransferInput) {
+		const checked = this.checkStartRequest(request);
+		if (checked.error !== null) {
+			return { success: false, error: checked.error };
+		}
+		const sourceInstanceId = Number(request.sourceInstanceId);
+		const sourcePlatformIndex = Number(request.sourcePlatformIndex);
+		const targetInstanceId = checked.targetInstanceId;
+		const forceName = request.forceName || "player";
+
+		try {
+			const exported = await this.exportForTransfer(sourceInstanceId, sourcePlatformIndex, forceName, targetInstanceId);
+			if (exported.error !== null) {
+				return { success: false, error: exported.error };
+			}
+			const { exportId, sourceExportId } = exported;
+
+			const result = await this.transferPlatform(exportId, targetInstanceId, exported.exportMetrics, exported.startedAt, request.targetPlanet ?? null, request.copy ? "copy" : "transfer");
 			if (!result.success && result.safeToUnlockSource) {
 				const rollbackError = await this.sendUnlockRequest(sourceInstanceId, sourcePlatformIndex, forceName);
 				if (rollbackError) {
 					this.logger.error(`Unlock after refused transfer of #${sourcePlatformIndex} failed: ${rollbackError}`);
-					return { ...result, error: `${result.error}; rollback failed: ${rollbackError}`,
-						exportId: canonicalExportId, sourceExportId: exportResponse.exportId };
+					return { ...result, error: `${result.error}; rollback failed: ${rollbackError}`, exportId, sourceExportId };
 				}
 			}
-			return { ...result, exportId: canonicalExportId, sourceExportId: exportResponse.exportId };
+			return { ...result, exportId, sourceExportId };
 		} catch (err: unknown) {
 			const errMsg = getErrorMessage(err);
 			this.logger.error(`Error starting transfer (source instance ${sourceInstanceId}, platform #${sourcePlatformIndex}): ${errMsg}`);
@@ -560,7 +1282,41 @@ export class TransferOrchestrator {
 		}
 	}
 
-	private async sendUnlockRequest(sourceInstanceId: number, platformIndex: number, forceName: string, platformName?: string): Promise<string | null> {
+	async exportForTransfer(sourceInstanceId: number, sourcePlatformIndex: number, forceName: string, targetInstanceId: number): Promise<
+		{ error: string } | { error: null; exportId: string; sourceExportId: string; startedAt: number; exportMetrics: Record<string, number> }
+	> {
+		const t0 = Date.now();
+		const exportResponse = await this.plugin.controller.sendTo(
+			{ instanceId: sourceInstanceId },
+			new this.messages.ExportPlatformRequest({
+				platformIndex: sourcePlatformIndex,
+				forceName,
+				targetInstanceId,
+			}),
+		) as SimpleResponse & { exportId?: string };
+		const exportRequestMs = Date.now() - t0;
+		if (!exportResponse?.success || !exportResponse.exportId) {
+			return { error: exportResponse?.error || "Export failed" };
+		}
+
+		const t1 = Date.now();
+		const exportId = makeCanonicalTransferId(sourceInstanceId, exportResponse.exportId);
+		await this.waitForStoredExport(exportId);
+		const waitForStoredMs = Date.now() - t1;
+		return {
+			error: null,
+			exportId,
+			sourceExportId: exportResponse.exportId,
+			startedAt: t0,
+			exportMetrics: {
+				requestExportAndLockMs: exportRequestMs,
+				waitForControllerStoreMs: waitForStoredMs,
+				controllerExportPrepTotalMs: exportRequestMs + waitForStoredMs,
+			},
+		};
+	}
+
+	async sendUnlockRequest(sourceInstanceId: number, platformIndex: number, forceName: string, platformName?: string): Promise<string | null> {
 		if (coercePlatformIndex(platformIndex) === null) return `invalid platformIndex: ${String(platformIndex)}`;
 		try {
 			const resp = await this.plugin.controller.sendTo(
@@ -577,6 +1333,9 @@ export class TransferOrchestrator {
 	}
 
 	async handleTransferPlatformRequest(request: { exportId: string; targetInstanceId: number; sourceInstanceId?: number | null; sourceExportId?: string | null }) {
+		if (this.plugin.stateRestoreInProgress) {
+			return { success: false, safeToUnlockSource: true, error: RESTORE_IN_PROGRESS_ERROR };
+		}
 		const resolved = this.plugin.platformTree.resolveTargetInstance(request.targetInstanceId);
 		if (!resolved) {
 			return { success: false, safeToUnlockSource: true, error: `Unknown instance ${request.targetInstanceId}` };
@@ -0,0 +1,351 @@
+import { getErrorMessage, generateOperationId, DEFAULT_MAX_CONCURRENT_TRANSFERS, DEFAULT_MAX_INBOUND_TRANSFERS, IN_FLIGHT_STATUSES } from "../helpers";
+import { buildAuditRow } from "./audit-ledger";
+import { normalizeLimit } from "./storage-eviction";
+import type { CancelTransferResult, IControllerPlugin, TransferPriority, TransferSummaryModel } from "../messages";
+import type { StartTransferInput, TransferOrchestrator } from "./transfer-orchestrator";
+
+export type StartTransferResult = {
+	success: boolean;
+	error?: string;
+	transferId?: string;
+	exportId?: string;
+	message?: string;
+	queued?: boolean;
+	queuePosition?: number;
+};
+
+export type SubmitOptions = {
+	preflighted?: boolean;
+	beforeDispatch?: (() => Promise<string | null>) | null;
+	onDispatched?: ((result: StartTransferResult) => void) | null;
+};
+
+export type GroupSubmission = { error: string } | { queueId: string; dispatch: Promise<StartTransferResult> | null; queuePosition: number | null };
+
+type QueueEntry = {
+	queueId: string;
+	request: StartTransferInput;
+	priority: TransferPriority;
+	options: SubmitOptions;
+	groupId: string | null;
+	gang: boolean;
+	seq: number;
+	enqueuedAt: number;
+	sourceInstanceId: number;
+	sourcePlatformIndex: number;
+	targetInstanceId: number;
+	shown: boolean;
+	dispatch: Promise<StartTransferResult> | null;
+};
+
+const PRIORITY_RANK: Record<TransferPriority, number> = { admin: 0, player: 1 };
+const MAX_FAILED_ROWS = 20;
+
+export class TransferQueue {
+	private plugin: IControllerPlugin;
+	private orchestrator: TransferOrchestrator;
+	private entries: QueueEntry[] = [];
+	private failed: TransferSummaryModel[] = [];
+	private seq = 0;
+
+	constructor(plugin: IControllerPlugin, orchestrator: TransferOrchestrator) {
+		this.plugin = plugin;
+		this.orchestrator = orchestrator;
+		orchestrator.onTransferSettled(() => this.pump());
+	}
+
+	get logger() { return this.plugin.logger; }
+
+	get waiting(): number {
+		return this.entries.filter(entry => !entry.dispatch).length;
+	}
+
+	globalLimit(): number | null {
+		return normalizeLimit(this.plugin.controller.config?.get("surface_export.max_concurrent_transfers") ?? DEFAULT_MAX_CONCURRENT_TRANSFERS);
+	}
+
+	targetLimit(instanceId: number): number | null {
+		const instance = this.plugin.controller.instances.get(instanceId);
+		return normalizeLimit(instance?.config.get("surface_export.max_inbound_transfers") ?? DEFAULT_MAX_INBOUND_TRANSFERS);
+	}
+
+	inFlightCounts() {
+		const byTarget = new Map<number, number>();
+		let total = 0;
+		const add = (instanceId: number) => {
+			total++;
+			byTarget.set(instanceId, (byTarget.get(instanceId) ?? 0) + 1);
+		};
+		for (const transfer of this.plugin.activeTransfers.values()) {
+			if (transfer.operationType !== "export" && transfer.operationType !== "group" && transfer.operationType !== "swap" && IN_FLIGHT_STATUSES.has(transfer.status)) {
+				add(transfer.targetInstanceId);
+			}
+		}
+		for (const entry of this.entries) {
+			if (entry.dispatch) {
+				add(entry.targetInstanceId);
+			}
+		}
+		return { total, byTarget };
+	}
+
+	ordered(): QueueEntry[] {
+		return this.entries
+			.filter(entry => !entry.dispatch)
+			.sort((a, b) => (PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]) || (a.seq - b.seq));
+	}
+
+	async submit(request: StartTransferInput, priority: TransferPriority, options: SubmitOptions = {}): Promise<StartTransferResult> {
+		const enqueued = this.enqueue(request, priority, options, null, false);
+		if ("error" in enqueued) {
+			return { success: false, error: enqueued.error };
+		}
+		const { entry } = enqueued;
+		this.pump();
+		if (entry.dispatch) {
+			return await entry.dispatch;
+		}
+		return this.announce(entry);
+	}
+
+	submitGroup(members: Array<{ request: StartTransferInput; options: SubmitOptions }>, priority: TransferPriority, groupId: string, gang: boolean): GroupSubmission[] {
+		const enqueued = members.map(({ request, options }) => this.enqueue(request, priority, options, groupId, gang));
+		if (gang && enqueued.some(result => "error" in result)) {
+			this.entries = this.entries.filter(entry => entry.groupId !== groupId);
+			return enqueued.map(result => ("error" in result ? result : { error: "not queued: another platform of the group could not be queued" }));
+		}
+		this.pump();
+		return enqueued.map(result => {
+			if ("error" in result) {
+				return result;
+			}
+			const { entry } = result;
+			if (entry.dispatch) {
+				return { queueId: entry.queueId, dispatch: entry.dispatch, queuePosition: null };
+			}
+			return { queueId: entry.queueId, dispatch: null, queuePosition: this.announce(entry).queuePosition ?? null };
+		});
+	}
+
+	private enqueue(request: StartTransferInput, priority: TransferPriority, options: SubmitOptions, groupId: string | null, gang: boolean): { error: string } | { entry: QueueEntry } {
+		const checked = this.orchestrator.checkStartRequest(request);
+		if (checked.error !== null) {
+			return { error: checked.error };
+		}
+		const sourceInstanceId = Number(request.sourceInstanceId);
+		const sourcePlatformIndex = Number(request.sourcePlatformIndex);
+		const duplicate = this.entries.find(entry => entry.sourceInstanceId === sourceInstanceId && entry.sourcePlatformIndex === sourcePlatformIndex);
+		if (duplicate) {
+			return { error: `Platform #${sourcePlatformIndex} on instance ${sourceInstanceId} is already queued for transfer (${duplicate.queueId})` };
+		}
+		const entry: QueueEntry = {
+			queueId: generateOperationId("queued"),
+			request,
+			priority,
+			options,
+			groupId,
+			gang,
+			seq: this.seq++,
+			enqueuedAt: Date.now(),
+			sourceInstanceId,
+			sourcePlatformIndex,
+			targetInstanceId: checked.targetInstanceId,
+			shown: false,
+			dispatch: null,
+		};
+		this.entries.push(entry);
+		return { entry };
+	}
+
+	private announce(entry: QueueEntry): StartTransferResult {
+		entry.shown = true;
+		const position = this.ordered().indexOf(entry) + 1;
+		this.logger.info(`Queued ${entry.priority} transfer of platform #${entry.sourcePlatformIndex} from instance ${entry.sourceInstanceId} `
+			+ `to instance ${entry.targetInstanceId} at position ${position}${entry.groupId ? ` (group ${entry.groupId})` : ""}`);
+		this.publish();
+		return {
+			success: true,
+			queued: true,
+			transferId: entry.queueId,
+			queuePosition: position,
+			message: `Transfer queued at position ${position}; it starts when the destination has a free transfer slot`,
+		};
+	}
+
+	has(queueId: string): boolean {
+		return this.entries.some(entry => entry.queueId === queueId);
+	}
+
+	async cancelGroup(groupId: string, requestedBy: string): Promise<StartTransferInput[]> {
+		const waiting = this.entries.filter(entry => entry.groupId === groupId && !entry.dispatch);
+		for (const entry of waiting) {
+			await this.cancel(entry.queueId, requestedBy);
+		}
+		return waiting.map(entry => entry.request);
+	}
+
+	async cancel(queueId: string, requestedBy: string): Promise<CancelTransferResult> {
+		const entry = this.entries.find(other => other.queueId === queueId);
+		if (!entry) {
+			return { success: false, transferId: queueId, error: `Unknown queued transfer ${queueId}` };
+		}
+		if (entry.dispatch) {
+			return { success: false, transferId: queueId, status: "dispatched",
+				error: `Cannot cancel ${queueId}: it has already started; cancel it by its transfer id instead` };
+		}
+		this.entries = this.entries.filter(other => other !== entry);
+		const cancelledAt = Date.now();
+		const error = `Cancelled by ${requestedBy} while queued; nothing was locked or exported`;
+		const row = { ...this.summarize(entry, null), status: "failed", error, failedAt: cancelledAt, cancelledAt };
+		this.failed = [row, ...this.failed].slice(0, MAX_FAILED_ROWS);
+		this.logger.info(`Queued transfer ${queueId} of platform #${entry.sourcePlatformIndex} cancelled by ${requestedBy}`);
+		await this.plugin.recordAuditRow(buildAuditRow({
+			transferId: queueId,
+			rowKind: "cancel",
+			savedAt: cancelledAt,
+			eventCount: 0,
+			lastEventAt: null,
+			info: { ...row, platformIndex: entry.sourcePlatformIndex },
+		}));
+		this.plugin.subscriptions.emitTransferSummary(row);
+		this.publish();
+		return { success: true, transferId: queueId, status: "failed", message: error };
+	}
+
+	pump() {
+		const counts = this.inFlightCounts();
+		const globalLimit = this.globalLimit();
+		const fits = (busy: number, needed: number, limit: number | null) => limit === null || busy + needed <= limit || (busy === 0 && needed > limit);
+		const blocked = new Set<number>();
+		const seenGangs = new Set<string>();
+		let started = false;
+		for (const entry of this.ordered()) {
+			if (globalLimit !== null && counts.total >= globalLimit) {
+				break;
+			}
+			if (entry.gang && entry.groupId) {
+				if (seenGangs.has(entry.groupId)) {
+					continue;
+				}
+				seenGangs.add(entry.groupId);
+				const gang = this.ordered().filter(other => other.groupId === entry.groupId);
+				if (gang.some(member => !this.plugin.isInstanceOnline(member.sourceInstanceId) || !this.plugin.isInstanceOnline(member.targetInstanceId))) {
+					continue;
+				}
+				if (!fits(counts.total, gang.length, globalLimit)) {
+					break;
+				}
+				const needed = new Map<number, number>();
+				for (const member of gang) {
+					needed.set(member.targetInstanceId, (needed.get(member.targetInstanceId) ?? 0) + 1);
+				}
+				const targets = Array.from(needed.keys());
+				if (targets.some(id => blocked.has(id) || !fits(counts.byTarget.get(id) ?? 0, needed.get(id) as number, this.targetLimit(id)))) {
+					targets.forEach(id => blocked.add(id));
+					continue;
+				}
+				for (const member of gang) {
+					counts.total++;
+					counts.byTarget.set(member.targetInstanceId, (counts.byTarget.get(member.targetInstanceId) ?? 0) + 1);
+					this.dispatch(member);
+				}
+				started = true;
+				continue;
+			}
+			if (blocked.has(entry.targetInstanceId)) {
+				continue;
+			}
+			if (!this.plugin.isInstanceOnline(entry.sourceInstanceId) || !this.plugin.isInstanceOnline(entry.targetInstanceId)) {
+				continue;
+			}
+			const onTarget = counts.byTarget.get(entry.targetInstanceId) ?? 0;
+			const targetLimit = this.targetLimit(entry.targetInstanceId);
+			if (targetLimit !== null && onTarget >= targetLimit) {
+				continue;
+			}
+			counts.total++;
+			counts.byTarget.set(entry.targetInstanceId, onTarget + 1);
+			this.dispatch(entry);
+			started = true;
+		}
+		if (started) {
+			this.publish();
+		}
+	}
+
+	private dispatch(entry: QueueEntry) {
+		if (entry.shown) {
+			this.plugin.subscriptions.emitTransferSummary({ ...this.summarize(entry, null), status: "dispatched" });
+		}
+		entry.dispatch = this.start(entry)
+			.then(result => result, (err: unknown) => ({ success: false, error: getErrorMessage(err) }))
+			.then(result => {
+				this.settle(entry, result);
+				entry.options.onDispatched?.(result);
+				return result;
+			});
+	}
+
+	private start(entry: QueueEntry): Promise<StartTransferResult> {
+		const begin = () => (entry.options.preflighted
+			? this.orchestrator.startPreflightedTransfer(entry.request)
+			: this.orchestrator.handleStartPlatformTransferRequest(entry.request)) as Promise<StartTransferResult>;
+		const { beforeDispatch } = entry.options;
+		if (!beforeDispatch) {
+			return begin();
+		}
+		return beforeDispatch().then(refusal => (refusal ? { success: false, error: refusal } : begin()));
+	}
+
+	private settle(entry: QueueEntry, result: StartTransferResult) {
+		this.entries = this.entries.filter(other => other !== entry);
+		if (entry.shown && !result.success && !result.transferId) {
+			const error = result.error || "Transfer failed to start";
+			this.logger.warn(`Queued transfer ${entry.queueId} of platform #${entry.sourcePlatformIndex} failed to start: ${error}`);
+			const row = { ...this.summarize(entry, null), status: "failed", error, failedAt: Date.now() };
+			this.failed = [row, ...this.failed].slice(0, MAX_FAILED_ROWS);
+			this.plugin.subscriptions.emitTransferSummary(row);
+		}
+		this.pump();
+	}
+
+	publish() {
+		this.ordered().forEach((entry, index) => {
+			if (entry.shown) {
+				this.plugin.subscriptions.emitTransferSummary(this.summarize(entry, index + 1));
+			}
+		});
+	}
+
+	summarize(entry: QueueEntry, position: number | null): TransferSummaryModel {
+		return {
+			transferId: entry.queueId,
+			operationType: entry.request.copy ? "copy" : "transfer",
+			exportId: null,
+			artifactSizeBytes: null,
+			downloadable: false,
+			platformName: `platform #${entry.sourcePlatformIndex}`,
+			sourceInstanceId: entry.sourceInstanceId,
+			sourceInstanceName: this.plugin.platformTree.resolveInstanceName(entry.sourceInstanceId),
+			targetInstanceId: entry.targetInstanceId,
+			targetInstanceName: this.plugin.platformTree.resolveInstanceName(entry.targetInstanceId),
+			status: "queued",
+			startedAt: entry.enqueuedAt,
+			completedAt: null,
+			failedAt: null,
+			error: null,
+			lastEventAt: null,
+			registrySource: "queue",
+			priority: entry.priority,
+			queuePosition: position,
+			...(entry.groupId ? { groupId: entry.groupId } : {}),
+		};
+	}
+
+	summaries(): TransferSummaryModel[] {
+		return [
+			...this.ordered().map((entry, index) => this.summarize(entry, index + 1)),
+			...this.failed,
+		];
+	}
+}
@@ -0,0 +1,194 @@
+import { buildAuditRow } from "./audit-ledger";
+import { getErrorMessage, RESTORE_IN_PROGRESS_ERROR } from "../helpers";
+import type { AuditRow, IControllerPlugin, ReverseTransferResult } from "../messages";
+import type { TransferOrchestrator } from "./transfer-orchestrator";
+import type { TransferQueue } from "./transfer-queue";
+
+type ReversalCandidate = {
+	transferId: string;
+	operationType: string;
+	status: string;
+	platformName: string;
+	forceName: string;
+	sourceInstanceId: number;
+	targetInstanceId: number;
+	destinationPlatformIndex: number | null;
+	destinationSurfaceIndex: number | null;
+	reversedBy: string | null;
+	auditRow: AuditRow | null;
+};
+
+export class TransferReversal {
+	private plugin: IControllerPlugin;
+	private orchestrator: TransferOrchestrator;
+	private queue: TransferQueue;
+	private starting: Set<string> = new Set();
+
+	constructor(plugin: IControllerPlugin, orchestrator: TransferOrchestrator, queue: TransferQueue) {
+		this.plugin = plugin;
+		this.orchestrator = orchestrator;
+		this.queue = queue;
+	}
+
+	get logger() { return this.plugin.logger; }
+	get txLogger() { return this.plugin.txLogger; }
+
+	findCandidate(transferId: string): ReversalCandidate | null {
+		const live = this.plugin.activeTransfers.get(transferId);
+		const row = this.plugin.auditIndex.get(transferId) ?? null;
+		if (live) {
+			return {
+				transferId,
+				operationType: live.operationType,
+				status: live.status,
+				platformName: live.platformName,
+				forceName: live.forceName || "player",
+				sourceInstanceId: live.sourceInstanceId,
+				targetInstanceId: live.targetInstanceId,
+				destinationPlatformIndex: live.destinationPlatformIndex ?? null,
+				destinationSurfaceIndex: live.destinationSurfaceIndex ?? null,
+				reversedBy: live.reversedBy ?? null,
+				auditRow: row,
+			};
+		}
+		if (!row) {
+			return null;
+		}
+		return {
+			transferId,
+			operationType: row.operationType,
+			status: row.status,
+			platformName: row.platformName,
+			forceName: row.forceName || "player",
+			sourceInstanceId: row.sourceInstanceId,
+			targetInstanceId: row.targetInstanceId,
+			destinationPlatformIndex: row.destinationPlatformIndex ?? null,
+			destinationSurfaceIndex: row.destinationSurfaceIndex ?? null,
+			reversedBy: row.reversedBy ?? null,
+			auditRow: row,
+		};
+	}
+
+	statusOf(transferId: string): string | null {
+		return this.plugin.activeTransfers.get(transferId)?.status
+			?? this.plugin.auditIndex.get(transferId)?.status
+			?? null;
+	}
+
+	async checkIdentity(candidate: ReversalCandidate): Promise<{ error: string } | { error: null; platformIndex: number }> {
+		const { platforms, error } = await this.plugin.platformTree.requestInstancePlatforms(candidate.targetInstanceId, candidate.forceName);
+		if (error) {
+			return { error: `The destination's platforms could not be listed (${error}); nothing was locked or exported` };
+		}
+		const platform = platforms.find(entry => Number(entry.platformIndex) === candidate.destinationPlatformIndex);
+		if (!platform || Number(platform.surfaceIndex) !== candidate.destinationSurfaceIndex) {
+			return { error: `The platform ${candidate.transferId} delivered (platform #${candidate.destinationPlatformIndex}, `
+				+ `surface ${candidate.destinationSurfaceIndex}) no longer exists on instance ${candidate.targetInstanceId}; it was deleted since` };
+		}
+		if (platform.platformName !== candidate.platformName) {
+			return { error: `The platform ${candidate.transferId} delivered as "${candidate.platformName}" was renamed to `
+				+ `"${String(platform.platformName)}"; start a new transfer of it instead` };
+		}
+		if (platform.isLocked) {
+			return { error: `"${candidate.platformName}" is locked by another operation on instance ${candidate.targetInstanceId}` };
+		}
+		return { error: null, platformIndex: candidate.destinationPlatformIndex as number };
+	}
+
+	async reverse(transferId: string, requestedBy: string): Promise<ReverseTransferResult> {
+		if (this.plugin.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		const candidate = this.findCandidate(transferId);
+		if (!candidate) {
+			return { success: false, error: `Unknown transfer ${transferId}` };
+		}
+		if (candidate.operationType !== "transfer") {
+			return { success: false, error: `${transferId} is a ${candidate.operationType} operation; only transfers can be reversed` };
+		}
+		if (candidate.status !== "completed") {
+			return { success: false, error: `${transferId} is ${candidate.status}; only a completed transfer can be reversed` };
+		}
+		if (candidate.reversedBy && this.statusOf(candidate.reversedBy) !== "failed") {
+			return { success: false, error: `${transferId} was already reversed by ${candidate.reversedBy}` };
+		}
+		if (candidate.destinationPlatformIndex === null || candidate.destinationSurfaceIndex === null) {
+			return { success: false, error: `${transferId} completed without recording the destination surface, `
+				+ "so the platform cannot be identified; start a new transfer of it instead" };
+		}
+		if (this.starting.has(transferId)) {
+			return { success: false, error: `A reversal of ${transferId} is already starting` };
+		}
+
+		this.starting.add(transferId);
+		try {
+			const identity = await this.checkIdentity(candidate);
+			if (identity.error !== null) {
+				return { success: false, error: identity.error };
+			}
+			let linking: Promise<void> | null = null;
+			const result = await this.queue.submit({
+				sourceInstanceId: candidate.targetInstanceId,
+				sourcePlatformIndex: identity.platformIndex,
+				targetInstanceId: candidate.sourceInstanceId,
+				forceName: candidate.forceName,
+			}, "player", {
+				beforeDispatch: async () => (await this.checkIdentity(candidate)).error,
+				onDispatched: dispatched => {
+					if (dispatched.success && dispatched.transferId) {
+						linking = this.link(candidate, dispatched.transferId, requestedBy).catch((err: unknown) => {
+							this.logger.error(`Reverse transfer ${dispatched.transferId} could not be linked to ${transferId}: ${getErrorMessage(err)}`);
+						});
+					}
+				},
+			});
+			if (!result.success || !result.transferId) {
+				return { success: false, error: result.error || "The reverse transfer failed to start" };
+			}
+			await linking;
+			return {
+				success: true,
+				transferId: result.transferId,
+				reverseOf: transferId,
+				message: result.queued
+					? `Reverse transfer queued at position ${result.queuePosition}: ${candidate.platformName} returns to instance `
+						+ `${candidate.sourceInstanceId} when the destination has a free transfer slot`
+					: `Reverse transfer ${result.transferId} started: ${candidate.platformName} returns to instance ${candidate.sourceInstanceId}`,
+			};
+		} finally {
+			this.starting.delete(transferId);
+		}
+	}
+
+	async link(candidate: ReversalCandidate, reverseId: string, requestedBy: string) {
+		const reverse = this.plugin.activeTransfers.get(reverseId);
+		if (reverse) {
+			reverse.reverseOf = candidate.transferId;
+			this.txLogger.logTransactionEvent(reverseId, "reverse_of",
+				`Reverses ${candidate.transferId}, requested by ${requestedBy}`, { reverseOf: candidate.transferId, requestedBy });
+			this.orchestrator.updateTransfer(reverse);
+		}
+		this.logger.info(`Transfer ${candidate.transferId} of ${candidate.platformName} reversed by ${reverseId} (${requestedBy})`);
+
+		const original = this.plugin.activeTransfers.get(candidate.transferId);
+		if (original) {
+			original.reversedBy = reverseId;
+			this.txLogger.logTransactionEvent(candidate.transferId, "transfer_reversed",
+				`Reversed by ${reverseId}, requested by ${requestedBy}`, { reversedBy: reverseId, requestedBy });
+			this.orchestrator.updateTransfer(original);
+			await this.txLogger.persistTransactionLog(candidate.transferId);
+			return;
+		}
+		if (candidate.auditRow) {
+			const row = candidate.auditRow;
+			await this.plugin.recordAuditRow(buildAuditRow({
+				transferId: candidate.transferId,
+				rowKind: "terminal",
+				savedAt: Date.now(),
+				eventCount: row.eventCount,
+				lastEventAt: row.lastEventAt,
+				info: { ...row, reversedBy: reverseId },
+			}));
+		}
+	}
+}
@@ -0,0 +1,341 @@
+import { generateOperationId, getErrorMessage, RESTORE_IN_PROGRESS_ERROR } from "../helpers";
+import { checkScheduleRule, describeScheduleRule, nextRunAfter } from "./schedule-rule";
+import type { IControllerPlugin, TransferScheduleModel, TransferScheduleResult, TransferScheduleRule, TransferScheduleRun } from "../messages";
+import type { TransferOrchestrator } from "./transfer-orchestrator";
+import type { StartTransferResult, TransferQueue } from "./transfer-queue";
+
+export const MAX_SCHEDULE_RUNS = 20;
+export const ONE_SHOT_RETRY_MS = 60_000;
+export const ONE_SHOT_RETRY_WINDOW_MS = 60 * 60_000;
+
+type ScheduledStart = { transferId: string | null; error: string | null; permanent?: boolean };
+
+export type CreateScheduleInput = {
+	sourceInstanceId: number;
+	sourcePlatformIndex: number;
+	targetInstanceId: number;
+	forceName?: string;
+	targetPlanet?: string | null;
+	rule: TransferScheduleRule;
+};
+
+export type UpdateScheduleInput = {
+	scheduleId: string;
+	enabled?: boolean;
+	rule?: TransferScheduleRule;
+	targetInstanceId?: number;
+	targetPlanet?: string | null;
+};
+
+export class TransferScheduler {
+	private plugin: IControllerPlugin;
+	private orchestrator: TransferOrchestrator;
+	private queue: TransferQueue;
+	private running: Set<string> = new Set();
+
+	constructor(plugin: IControllerPlugin, orchestrator: TransferOrchestrator, queue: TransferQueue) {
+		this.plugin = plugin;
+		this.orchestrator = orchestrator;
+		this.queue = queue;
+	}
+
+	get logger() { return this.plugin.logger; }
+	get txLogger() { return this.plugin.txLogger; }
+
+	list(): TransferScheduleModel[] {
+		return Array.from(this.plugin.transferSchedules.values())
+			.sort((a, b) => (a.nextRunAt ?? Infinity) - (b.nextRunAt ?? Infinity) || a.createdAt - b.createdAt);
+	}
+
+	async save(schedule: TransferScheduleModel, previous: TransferScheduleModel | null): Promise<string | null> {
+		this.plugin.transferSchedules.set(schedule.scheduleId, schedule);
+		const persistError = await this.plugin.persistTransferSchedules();
+		if (persistError) {
+			if (previous) {
+				this.plugin.transferSchedules.set(schedule.scheduleId, previous);
+			} else {
+				this.plugin.transferSchedules.delete(schedule.scheduleId);
+			}
+		}
+		return persistError;
+	}
+
+	async create(request: CreateScheduleInput, createdBy: string, now = Date.now()): Promise<TransferScheduleResult> {
+		if (this.plugin.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		const ruleError = checkScheduleRule(request.rule, now);
+		if (ruleError) {
+			return { success: false, error: ruleError };
+		}
+		const forceName = request.forceName || "player";
+		const checked = this.orchestrator.checkStartRequest({ ...request, forceName }, { allowOfflineTarget: true });
+		if (checked.error !== null) {
+			return { success: false, error: checked.error };
+		}
+		const sourceInstanceId = Number(request.sourceInstanceId);
+		const { platforms, error } = await this.plugin.platformTree.requestInstancePlatforms(sourceInstanceId, forceName);
+		if (error) {
+			return { success: false, error: `The source instance's platforms could not be listed (${error}); the schedule needs the platform's surface` };
+		}
+		const platform = platforms.find(entry => Number(entry.platformIndex) === Number(request.sourcePlatformIndex));
+		if (!platform || !Number.isInteger(Number(platform.surfaceIndex))) {
+			return { success: false, error: `Platform #${request.sourcePlatformIndex} was not found on instance ${sourceInstanceId}` };
+		}
+
+		const schedule: TransferScheduleModel = {
+			scheduleId: generateOperationId("schedule"),
+			rule: request.rule,
+			sourceInstanceId,
+			sourceSurfaceIndex: Number(platform.surfaceIndex),
+			platformName: String(platform.platformName),
+			forceName,
+			targetInstanceId: checked.targetInstanceId,
+			targetPlanet: request.targetPlanet ?? null,
+			enabled: true,
+			createdAt: now,
+			createdBy,
+			nextRunAt: nextRunAfter(request.rule, now),
+			runs: [],
+		};
+		const persistError = await this.save(schedule, null);
+		if (persistError) {
+			return { success: false, error: `The schedule could not be saved: ${persistError}` };
+		}
+		this.logger.info(`Schedule ${schedule.scheduleId} created by ${createdBy}: ${schedule.platformName} to instance `
+			+ `${schedule.targetInstanceId}, ${describeScheduleRule(schedule.rule)}`);
+		return {
+			success: true,
+			schedule,
+			message: `${schedule.platformName} moves to instance ${schedule.targetInstanceId} ${describeScheduleRule(schedule.rule)}; `
+				+ `next run ${new Date(schedule.nextRunAt as number).toISOString()}`,
+		};
+	}
+
+	async update(request: UpdateScheduleInput, now = Date.now()): Promise<TransferScheduleResult> {
+		if (this.plugin.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		const previous = this.plugin.transferSchedules.get(request.scheduleId);
+		if (!previous) {
+			return { success: false, error: `Unknown schedule ${request.scheduleId}` };
+		}
+		const schedule: TransferScheduleModel = { ...previous };
+		if (request.rule !== undefined) {
+			const ruleError = checkScheduleRule(request.rule, now);
+			if (ruleError) {
+				return { success: false, error: ruleError };
+			}
+			schedule.rule = request.rule;
+		}
+		if (request.targetInstanceId !== undefined) {
+			const resolved = this.plugin.platformTree.resolveTargetInstance(request.targetInstanceId);
+			if (!resolved) {
+				return { success: false, error: `Unknown target instance ${request.targetInstanceId}` };
+			}
+			if (resolved.id === schedule.sourceInstanceId) {
+				return { success: false, error: "Source and destination instances must be different" };
+			}
+			schedule.targetInstanceId = resolved.id;
+		}
+		if (request.targetPlanet !== undefined) {
+			schedule.targetPlanet = request.targetPlanet;
+		}
+		if (request.enabled !== undefined) {
+			schedule.enabled = request.enabled;
+		}
+		schedule.nextRunAt = schedule.enabled ? nextRunAfter(schedule.rule, now) : null;
+		if (schedule.enabled && schedule.nextRunAt === null) {
+			return { success: false, error: `${describeScheduleRule(schedule.rule)} has no run left; give it a new time` };
+		}
+		const persistError = await this.save(schedule, previous);
+		if (persistError) {
+			return { success: false, error: `The schedule could not be saved: ${persistError}` };
+		}
+		return {
+			success: true,
+			schedule,
+			message: schedule.nextRunAt === null
+				? `Schedule ${schedule.scheduleId} is disabled`
+				: `Schedule ${schedule.scheduleId}: next run ${new Date(schedule.nextRunAt).toISOString()}`,
+		};
+	}
+
+	async remove(scheduleId: string): Promise<TransferScheduleResult> {
+		if (this.plugin.stateRestoreInProgress) {
+			return { success: false, error: RESTORE_IN_PROGRESS_ERROR };
+		}
+		const schedule = this.plugin.transferSchedules.get(scheduleId);
+		if (!schedule) {
+			return { success: false, error: `Unknown schedule ${scheduleId}` };
+		}
+		this.plugin.transferSchedules.delete(scheduleId);
+		const persistError = await this.plugin.persistTransferSchedules();
+		if (persistError) {
+			this.plugin.transferSchedules.set(scheduleId, schedule);
+			return { success: false, error: `The schedule could not be deleted: ${persistError}` };
+		}
+		return { success: true, schedule, message: `Schedule ${scheduleId} deleted; transfers it already started are not affected` };
+	}
+
+	tick(now = Date.now()) {
+		if (this.plugin.stateRestoreInProgress) {
+			return;
+		}
+		for (const schedule of this.plugin.transferSchedules.values()) {
+			if (!schedule.enabled || schedule.nextRunAt === null || now < schedule.nextRunAt || this.running.has(schedule.scheduleId)) {
+				continue;
+			}
+			this.running.add(schedule.scheduleId);
+			void this.run(schedule, now)
+				.catch((err: unknown) => {
+					this.logger.error(`Schedule ${schedule.scheduleId} run failed: ${getErrorMessage(err)}`);
+				})
+				.finally(() => this.running.delete(schedule.scheduleId));
+		}
+	}
+
+	async run(schedule: TransferScheduleModel, now: number): Promise<TransferScheduleRun> {
+		let started: ScheduledStart;
+		try {
+			started = await this.start(schedule);
+		} catch (err: unknown) {
+			started = { transferId: null, error: getErrorMessage(err) };
+		}
+		const run: TransferScheduleRun = { at: now, transferId: started.transferId, error: started.error };
+		const current = this.plugin.transferSchedules.get(schedule.scheduleId);
+		if (!current) {
+			return run;
+		}
+		current.runs = [...current.runs, run].slice(-MAX_SCHEDULE_RUNS);
+		let outcome = "";
+		if (current.rule.kind !== "once") {
+			current.nextRunAt = nextRunAfter(current.rule, now);
+		} else if (run.error) {
+			outcome = this.retryOneShot(current, now, started.permanent === true);
+		} else {
+			current.nextRunAt = null;
+		}
+		if (current.nextRunAt === null) {
+			current.enabled = false;
+		}
+		if (run.error) {
+			this.logger.warn(`Schedule ${schedule.scheduleId} (${schedule.platformName}) skipped a run: ${run.error}${outcome}`);
+		}
+		await this.persist(schedule);
+		return run;
+	}
+
+	retryOneShot(schedule: TransferScheduleModel, now: number, permanent: boolean): string {
+		const deadline = schedule.rule.kind === "once" ? schedule.rule.at + ONE_SHOT_RETRY_WINDOW_MS : now;
+		if (permanent || now + ONE_SHOT_RETRY_MS > deadline) {
+			schedule.enabled = false;
+			schedule.nextRunAt = null;
+			return permanent
+				? "; the platform is gone or renamed, so the one-shot schedule is disabled"
+				: `; it did not start within ${ONE_SHOT_RETRY_WINDOW_MS / 60_000} min of its time, so the one-shot schedule is disabled`;
+		}
+		schedule.enabled = true;
+		schedule.nextRunAt = now + ONE_SHOT_RETRY_MS;
+		return `; retrying in ${ONE_SHOT_RETRY_MS / 1000}s`;
+	}
+
+	async persist(schedule: TransferScheduleModel) {
+		const persistError = await this.plugin.persistTransferSchedules();
+		if (persistError) {
+			this.logger.error(`Schedule ${schedule.scheduleId} ran but could not be persisted: ${persistError}`);
+		}
+	}
+
+	async resolvePlatform(schedule: TransferScheduleModel): Promise<{ error: string; permanent: boolean } | { error: null; platformIndex: number }> {
+		if (!this.plugin.isInstanceOnline(schedule.sourceInstanceId)) {
+			return { error: `Source instance ${schedule.sourceInstanceId} is not running`, permanent: false };
+		}
+		const { platforms, error } = await this.plugin.platformTree.requestInstancePlatforms(schedule.sourceInstanceId, schedule.forceName);
+		if (error) {
+			return { error: `The source's platforms could not be listed (${error})`, permanent: false };
+		}
+		const platform = platforms.find(entry => Number(entry.surfaceIndex) === schedule.sourceSurfaceIndex);
+		if (!platform) {
+			return { error: `No platform has surface ${schedule.sourceSurfaceIndex} on instance `
+				+ `${schedule.sourceInstanceId}; it moved away or was deleted`, permanent: true };
+		}
+		if (platform.platformName !== schedule.platformName) {
+			return { error: `Surface ${schedule.sourceSurfaceIndex} on instance ${schedule.sourceInstanceId} is now `
+				+ `"${String(platform.platformName)}", not "${schedule.platformName}"`, permanent: true };
+		}
+		return { error: null, platformIndex: Number(platform.platformIndex) };
+	}
+
+	async start(schedule: TransferScheduleModel): Promise<ScheduledStart> {
+		const resolved = await this.resolvePlatform(schedule);
+		if (resolved.error !== null) {
+			return { transferId: null, error: resolved.error, permanent: resolved.permanent };
+		}
+		let queueId: string | null = null;
+		let permanent = false;
+		const result = await this.queue.submit({
+			sourceInstanceId: schedule.sourceInstanceId,
+			sourcePlatformIndex: resolved.platformIndex,
+			targetInstanceId: schedule.targetInstanceId,
+			forceName: schedule.forceName,
+			targetPlanet: schedule.targetPlanet,
+		}, "player", {
+			beforeDispatch: async () => {
+				const latest = await this.resolvePlatform(schedule);
+				if (latest.error !== null) {
+					permanent = latest.permanent;
+					return latest.error;
+				}
+				if (latest.platformIndex !== resolved.platformIndex) {
+					permanent = true;
+					return `${schedule.platformName} moved from platform #${resolved.platformIndex} to #${latest.platformIndex} while queued`;
+				}
+				return null;
+			},
+			onDispatched: dispatched => {
+				void this.dispatched(schedule, dispatched, queueId, permanent).catch((err: unknown) => {
+					this.logger.error(`Schedule ${schedule.scheduleId} could not record its queued run: ${getErrorMessage(err)}`);
+				});
+			},
+		});
+		if (!result.success || !result.transferId) {
+			return { transferId: null, error: result.error || "The transfer failed to start", permanent };
+		}
+		if (result.queued) {
+			queueId = result.transferId;
+			this.logger.info(`Schedule ${schedule.scheduleId} queued transfer ${result.transferId} of ${schedule.platformName} `
+				+ `at position ${result.queuePosition}`);
+		}
+		return { transferId: result.transferId, error: null };
+	}
+
+	async dispatched(schedule: TransferScheduleModel, result: StartTransferResult, queueId: string | null, permanent: boolean) {
+		const current = this.plugin.transferSchedules.get(schedule.scheduleId);
+		if (result.success && result.transferId) {
+			const transfer = this.plugin.activeTransfers.get(result.transferId);
+			if (transfer) {
+				transfer.scheduleId = schedule.scheduleId;
+				this.txLogger.logTransactionEvent(result.transferId, "scheduled_run",
+					`Started by schedule ${schedule.scheduleId} (${describeScheduleRule(schedule.rule)})`, { scheduleId: schedule.scheduleId });
+				this.orchestrator.updateTransfer(transfer);
+			}
+			this.logger.info(`Schedule ${schedule.scheduleId} started transfer ${result.transferId} of ${schedule.platformName}`);
+			const run = queueId ? current?.runs.find(entry => entry.transferId === queueId) : undefined;
+			if (current && run) {
+				run.transferId = result.transferId;
+				await this.persist(schedule);
+			}
+			return;
+		}
+		if (!queueId || !current) {
+			return;
+		}
+		const now = Date.now();
+		const error = `The queued transfer failed to start: ${result.error || "unknown error"}`;
+		current.runs = [...current.runs, { at: now, transferId: null, error }].slice(-MAX_SCHEDULE_RUNS);
+		const outcome = current.rule.kind === "once" ? this.retryOneShot(current, now, permanent) : "";
+		this.logger.warn(`Schedule ${schedule.scheduleId} (${schedule.platformName}) skipped a run: ${error}${outcome}`);
+		await this.persist(schedule);
+	}
+}
@@ -14,6 +14,24 @@ import type {
 	ResolvedGatewayTarget,
 	ResolvedGateway,
 	AuditRow,
+	EvictionPlan,
+	StateBackupArchive,
+	StateBackupManifest,
+	SalvageReport,
+	SalvageTarget,
+	TransferPriority,
+	UploadSignaturePolicy,
+	MailDropSourcePolicy,
+	DeliveryLeg,
+	GroupTransferPolicy,
+	TransferScheduleModel,
+	TransferScheduleRule,
+	ExportModSet,
+	ModMismatch,
+	PayloadSchemaError,
+	PreflightReport,
+	ExportDiff,
+	BlueprintReport,
 } from "./shared/dto";
 export type {
 	HostNodeModel,
@@ -31,24 +49,71 @@ export type {
 	ResolvedGatewayTarget,
 	ResolvedGateway,
 	AuditRow,
+	StateBackupArchive,
+	StateBackupCounts,
+	StateBackupFile,
+	StateBackupManifest,
+	SalvageReport,
+	PreflightIssue,
+	PreflightIssueKind,
+	PreflightReport,
+	ExportModSet,
+	ModMismatch,
+	ModMismatchKind,
+	PayloadSchemaError,
+	BlueprintReport,
+	CountDelta,
+	DiffEntity,
+	DiffPosition,
+	EntityMove,
+	EntitySettingChange,
+	ExportDiff,
+	FidelityReport,
+	FidelityStatus,
+	SettingChangeKind,
+	TransferScheduleModel,
+	TransferScheduleRule,
+	TransferScheduleRun,
 } from "./shared/dto";
 export {
 	ALL_GATEWAY_NAMES,
 	DEFAULT_GATEWAY_MODE,
+	DEFAULT_MAIL_DROP_SOURCE_POLICY,
+	DEFAULT_MOD_MISMATCH_POLICY,
+	DEFAULT_UPLOAD_SIGNATURE_POLICY,
 	GATEWAY_PREFIX,
+	GROUP_TRANSFER_POLICIES,
 	MULTI_GATEWAY_NAMES,
 	ONE_GATE_NAME,
 	ONE_GATE_NAMES,
 	checkMultiModeLink,
 	gatewayNamesFor,
+	MAIL_DROP_SOURCE_POLICIES,
+	MOD_MISMATCH_POLICIES,
 	parseGatewayMode,
+	parseMailDropSourcePolicy,
+	parseModMismatchPolicy,
+	parseUploadSignaturePolicy,
+	SALVAGE_TARGETS,
+	TRANSFER_PRIORITIES,
+	UPLOAD_SIGNATURE_POLICIES,
 } from "./shared/dto";
-export type { GatewayMode } from "./shared/dto";
+export type { DeliveryLeg, GatewayMode, GroupTransferPolicy, MailDropSourcePolicy, ModMismatchPolicy, SalvageTarget, TransferPriority, UploadSignaturePolicy } from "./shared/dto";
 const PLUGIN_NAME = "surface_export";
 
 export const PERMISSIONS = {
 	LIST_EXPORTS: `${PLUGIN_NAME}.exports.list`,
 	TRANSFER_EXPORTS: `${PLUGIN_NAME}.exports.transfer`,
+	MANAGE_EXPORTS: `${PLUGIN_NAME}.exports.manage`,
+	IMPORT_UNSIGNED: `${PLUGIN_NAME}.exports.import_unsigned`,
+	IMPORT_BLUEPRINTS: `${PLUGIN_NAME}.exports.import_blueprint`,
+	PRIORITY_TRANSFERS: `${PLUGIN_NAME}.exports.transfer_priority`,
+	CANCEL_TRANSFERS: `${PLUGIN_NAME}.exports.cancel`,
+	COPY_PLATFORMS: `${PLUGIN_NAME}.exports.copy`,
+	SCHEDULE_TRANSFERS: `${PLUGIN_NAME}.exports.schedule`,
+	BACKUP_STATE: `${PLUGIN_NAME}.state.backup`,
+	RESTORE_STATE: `${PLUGIN_NAME}.state.restore`,
+	SALVAGE_STATE: `${PLUGIN_NAME}.state.salvage`,
 	UI_VIEW: `${PLUGIN_NAME}.ui.view`,
 	VIEW_LOGS: `${PLUGIN_NAME}.logs.view`,
 } as const;
@@ -74,6 +139,10 @@ export interface SourceTransferLockStateResponse {
 	transferId: string | null;
 	error: string | null;
 }
+export const DESTINATION_HOLD_ACTIONS = ["go_live", "discard"] as const;
+export type DestinationHoldAction = typeof DESTINATION_HOLD_ACTIONS[number];
+export const TRANSFER_COMMIT_PHASES = ["prepared", "voted", "committed", "released"] as const;
+export type TransferCommitPhase = typeof TRANSFER_COMMIT_PHASES[number];
 
 export class ExportPlatformRequest {
 	declare ["constructor"]: typeof ExportPlatformRequest;
@@ -158,6 +227,7 @@ export class GetStoredExportRequest {
 				instanceId: { type: "integer" },
 				timestamp: { type: "number" },
 				size: { type: "integer" },
+				digest: { type: ["string", "null"] },
 				exportData: { type: "object" },
 			},
 			required: ["success"],
@@ -165,12 +235,299 @@ export class GetStoredExportRequest {
 		fromJSON(json: unknown) {
 			return json as SimpleResponse & {
 				exportId?: string; platformName?: string; instanceId?: number;
-				timestamp?: number; size?: number; exportData?: Record<string, unknown>;
+				timestamp?: number; size?: number; digest?: string | null; exportData?: Record<string, unknown>;
 			};
 		},
 	};
 }
 
+export class DiffExportsRequest {
+	declare ["constructor"]: typeof DiffExportsRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.LIST_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			beforeExportId: { type: "string" },
+			afterExportId: { type: "string" },
+		},
+		required: ["beforeExportId", "afterExportId"],
+		additionalProperties: false,
+	};
+
+	beforeExportId: string;
+	afterExportId: string;
+
+	constructor(json: { beforeExportId: string; afterExportId: string }) {
+		this.beforeExportId = json.beforeExportId;
+		this.afterExportId = json.afterExportId;
+	}
+
+	static fromJSON(json: { beforeExportId: string; afterExportId: string }) { return new DiffExportsRequest(json); }
+	toJSON() { return { beforeExportId: this.beforeExportId, afterExportId: this.afterExportId }; }
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				beforeExportId: { type: "string" },
+				afterExportId: { type: "string" },
+				diff: { type: "object" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) {
+			return json as SimpleResponse & { beforeExportId?: string; afterExportId?: string; diff?: ExportDiff };
+		},
+	};
+}
+
+export class ExportBlueprintRequest {
+	declare ["constructor"]: typeof ExportBlueprintRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.LIST_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: { exportId: { type: "string" } },
+		required: ["exportId"],
+		additionalProperties: false,
+	};
+
+	exportId: string;
+
+	constructor(json: { exportId: string }) {
+		this.exportId = json.exportId;
+	}
+
+	static fromJSON(json: { exportId: string }) { return new ExportBlueprintRequest(json); }
+	toJSON() { return { exportId: this.exportId }; }
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				exportId: { type: "string" },
+				platformName: { type: "string" },
+				blueprint: { type: "string" },
+				report: { type: "object" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) {
+			return json as SimpleResponse & { exportId?: string; platformName?: string; blueprint?: string; report?: BlueprintReport };
+		},
+	};
+}
+
+export class UpdateStoredExportRequest {
+	declare ["constructor"]: typeof UpdateStoredExportRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.MANAGE_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			exportId: { type: "string" },
+			pinned: { type: ["boolean", "null"], default: null },
+			labels: { type: ["array", "null"], items: { type: "string" }, default: null },
+			note: { type: ["string", "null"], default: null },
+		},
+		required: ["exportId"],
+		additionalProperties: false,
+	};
+
+	exportId: string;
+	pinned: boolean | null;
+	labels: string[] | null;
+	note: string | null;
+
+	constructor(json: { exportId: string; pinned?: boolean | null; labels?: string[] | null; note?: string | null }) {
+		this.exportId = json.exportId;
+		this.pinned = typeof json.pinned === "boolean" ? json.pinned : null;
+		this.labels = Array.isArray(json.labels) ? json.labels : null;
+		this.note = json.note ?? null;
+	}
+
+	static fromJSON(json: { exportId: string; pinned?: boolean | null; labels?: string[] | null; note?: string | null }) { return new UpdateStoredExportRequest(json); }
+	toJSON() { return { exportId: this.exportId, pinned: this.pinned, labels: this.labels, note: this.note }; }
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				export: { type: "object" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { export?: StoredExportSummaryModel }; },
+	};
+}
+
+export class PreviewStorageEvictionRequest {
+	declare ["constructor"]: typeof PreviewStorageEvictionRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.LIST_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			maxEntries: { type: ["integer", "null"], default: null },
+			maxMegabytes: { type: ["number", "null"], default: null },
+		},
+		additionalProperties: false,
+	};
+
+	maxEntries: number | null;
+	maxMegabytes: number | null;
+
+	constructor(json: { maxEntries?: number | null; maxMegabytes?: number | null } = {}) {
+		this.maxEntries = json.maxEntries ?? null;
+		this.maxMegabytes = json.maxMegabytes ?? null;
+	}
+
+	static fromJSON(json: { maxEntries?: number | null; maxMegabytes?: number | null }) { return new PreviewStorageEvictionRequest(json); }
+	toJSON() { return { maxEntries: this.maxEntries, maxMegabytes: this.maxMegabytes }; }
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				limits: { type: "object" },
+				before: { type: "object" },
+				after: { type: "object" },
+				evict: { type: "array", items: { type: "object" } },
+				unmet: { type: "array", items: { type: "string" } },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & Partial<StorageEvictionPreview>; },
+	};
+}
+
+export class BackupControllerStateRequest {
+	declare ["constructor"]: typeof BackupControllerStateRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.BACKUP_STATE;
+	static jsonSchema: JsonSchema = { type: "object", properties: {}, additionalProperties: false };
+
+	constructor() { }
+	static fromJSON() { return new BackupControllerStateRequest(); }
+	toJSON() { return {}; }
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				archive: { type: "object" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { archive?: StateBackupArchive }; },
+	};
+}
+
+export class RestoreControllerStateRequest {
+	declare ["constructor"]: typeof RestoreControllerStateRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.RESTORE_STATE;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: { archive: { type: "object" } },
+		required: ["archive"],
+		additionalProperties: false,
+	};
+
+	archive: StateBackupArchive;
+
+	constructor(json: { archive: StateBackupArchive }) {
+		this.archive = json.archive;
+	}
+
+	static fromJSON(json: { archive: StateBackupArchive }) { return new RestoreControllerStateRequest(json); }
+	toJSON() { return { archive: this.archive }; }
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				manifest: { type: "object" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { manifest?: StateBackupManifest }; },
+	};
+}
+
+export class SalvageStateFileRequest {
+	declare ["constructor"]: typeof SalvageStateFileRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.SALVAGE_STATE;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			target: { type: "string", enum: ["exports", "transaction_logs"] },
+			dryRun: { type: "boolean" },
+		},
+		required: ["target"],
+		additionalProperties: false,
+	};
+
+	target: SalvageTarget;
+	dryRun: boolean;
+
+	constructor(json: { target: SalvageTarget; dryRun?: boolean }) {
+		this.target = json.target;
+		this.dryRun = json.dryRun ?? false;
+	}
+
+	static fromJSON(json: { target: SalvageTarget; dryRun?: boolean }) { return new SalvageStateFileRequest(json); }
+	toJSON() { return { target: this.target, dryRun: this.dryRun }; }
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				report: { type: "object" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { report?: SalvageReport }; },
+	};
+}
+
 export class ImportUploadedExportRequest {
 	declare ["constructor"]: typeof ImportUploadedExportRequest;
 	static plugin = PLUGIN_NAME;
@@ -186,6 +543,7 @@ export class ImportUploadedExportRequest {
 			forceName: { type: "string", default: "player" },
 			platformName: { type: ["string", "null"], default: null },
 			targetPlanet: { type: ["string", "null"], default: null },
+			signaturePolicy: { type: ["string", "null"], enum: ["refuse", "warn", "allow", null], default: null },
 		},
 		required: ["targetInstanceId", "exportData"],
 		additionalProperties: false,
@@ -196,21 +554,91 @@ export class ImportUploadedExportRequest {
 	forceName: string;
 	platformName: string | null;
 	targetPlanet: string | null;
+	signaturePolicy: UploadSignaturePolicy | null;
 
-	constructor(json: { targetInstanceId: number; exportData: Record<string, unknown>; forceName?: string; platformName?: string | null; targetPlanet?: string | null }) {
+	constructor(json: { targetInstanceId: number; exportData: Record<string, unknown>; forceName?: string; platformName?: string | null; targetPlanet?: string | null; signaturePolicy?: UploadSignaturePolicy | null }) {
 		this.targetInstanceId = json.targetInstanceId;
 		this.exportData = json.exportData;
 		this.forceName = json.forceName || "player";
 		this.platformName = json.platformName ?? null;
 		this.targetPlanet = json.targetPlanet ?? null;
+		this.signaturePolicy = json.signaturePolicy ?? null;
 	}
 
-	static fromJSON(json: { targetInstanceId: number; exportData: Record<string, unknown>; forceName?: string; platformName?: string | null; targetPlanet?: string | null }) {
+	static fromJSON(json: { targetInstanceId: number; exportData: Record<string, unknown>; forceName?: string; platformName?: string | null; targetPlanet?: string | null; signaturePolicy?: UploadSignaturePolicy | null }) {
 		return new ImportUploadedExportRequest(json);
 	}
 
 	toJSON() {
-		return { targetInstanceId: this.targetInstanceId, exportData: this.exportData, forceName: this.forceName, platformName: this.platformName, targetPlanet: this.targetPlanet };
+		return { targetInstanceId: this.targetInstanceId, exportData: this.exportData, forceName: this.forceName, platformName: this.platformName, targetPlanet: this.targetPlanet, signaturePolicy: this.signaturePolicy };
+	}
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				platformName: { type: "string" },
+				targetInstanceId: { type: "integer" },
+				schemaErrors: {
+					type: "array",
+					items: {
+						type: "object",
+						properties: { path: { type: "string" }, message: { type: "string" } },
+						required: ["path", "message"],
+					},
+				},
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { platformName?: string; targetInstanceId?: number; schemaErrors?: PayloadSchemaError[] }; },
+	};
+}
+
+export class ImportBlueprintRequest {
+	declare ["constructor"]: typeof ImportBlueprintRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.IMPORT_BLUEPRINTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			targetInstanceId: { type: "integer" },
+			blueprint: { type: "string" },
+			forceName: { type: "string", default: "player" },
+			platformName: { type: ["string", "null"], default: null },
+			targetPlanet: { type: ["string", "null"], default: null },
+			dryRun: { type: "boolean", default: false },
+		},
+		required: ["targetInstanceId", "blueprint"],
+		additionalProperties: false,
+	};
+
+	targetInstanceId: number;
+	blueprint: string;
+	forceName: string;
+	platformName: string | null;
+	targetPlanet: string | null;
+	dryRun: boolean;
+
+	constructor(json: { targetInstanceId: number; blueprint: string; forceName?: string; platformName?: string | null; targetPlanet?: string | null; dryRun?: boolean }) {
+		this.targetInstanceId = json.targetInstanceId;
+		this.blueprint = json.blueprint;
+		this.forceName = json.forceName || "player";
+		this.platformName = json.platformName ?? null;
+		this.targetPlanet = json.targetPlanet ?? null;
+		this.dryRun = json.dryRun ?? false;
+	}
+
+	static fromJSON(json: { targetInstanceId: number; blueprint: string; forceName?: string; platformName?: string | null; targetPlanet?: string | null; dryRun?: boolean }) {
+		return new ImportBlueprintRequest(json);
+	}
+
+	toJSON() {
+		return { targetInstanceId: this.targetInstanceId, blueprint: this.blueprint, forceName: this.forceName, platformName: this.platformName, targetPlanet: this.targetPlanet, dryRun: this.dryRun };
 	}
 
 	static Response = {
@@ -219,12 +647,16 @@ export class ImportUploadedExportRequest {
 			properties: {
 				success: { type: "boolean" },
 				error: { type: "string" },
+				operationId: { type: "string" },
 				platformName: { type: "string" },
 				targetInstanceId: { type: "integer" },
+				preflight: { type: "object" },
 			},
 			required: ["success"],
 		} as JsonSchema,
-		fromJSON(json: unknown) { return json as SimpleResponse & { platformName?: string; targetInstanceId?: number }; },
+		fromJSON(json: unknown) {
+			return json as SimpleResponse & { operationId?: string; platformName?: string; targetInstanceId?: number; preflight?: PreflightReport };
+		},
 	};
 }
 
@@ -275,6 +707,7 @@ export class ExportPlatformForDownloadRequest {
 				instanceId: { type: "integer" },
 				timestamp: { type: "number" },
 				size: { type: "integer" },
+				digest: { type: ["string", "null"] },
 				exportData: { type: "object" },
 			},
 			required: ["success"],
@@ -282,7 +715,7 @@ export class ExportPlatformForDownloadRequest {
 		fromJSON(json: unknown) {
 			return json as SimpleResponse & {
 				exportId?: string; platformName?: string; instanceId?: number;
-				timestamp?: number; size?: number; exportData?: Record<string, unknown>;
+				timestamp?: number; size?: number; digest?: string | null; exportData?: Record<string, unknown>;
 			};
 		},
 	};
@@ -626,96 +1059,593 @@ export class ListExportsRequest {
 	toJSON() { return {}; }
 
 	static Response = {
-		jsonSchema: { type: "array", items: { type: "object" } } as JsonSchema,
-		fromJSON(json: unknown) { return json as StoredExportSummaryModel[]; },
+		jsonSchema: { type: "array", items: { type: "object" } } as JsonSchema,
+		fromJSON(json: unknown) { return json as StoredExportSummaryModel[]; },
+	};
+}
+
+export class TransferPlatformRequest {
+	declare ["constructor"]: typeof TransferPlatformRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = ["control", "instance"] as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.TRANSFER_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			exportId: { type: "string" },
+			targetInstanceId: { type: "integer" },
+			sourceInstanceId: { type: ["integer", "null"], default: null },
+			sourceExportId: { type: ["string", "null"], default: null },
+		},
+		required: ["exportId", "targetInstanceId"],
+		additionalProperties: false,
+	};
+
+	exportId: string;
+	targetInstanceId: number;
+	sourceInstanceId: number | null;
+	sourceExportId: string | null;
+
+	constructor(json: { exportId: string; targetInstanceId: number; sourceInstanceId?: number | null; sourceExportId?: string | null }) {
+		this.exportId = json.exportId;
+		this.targetInstanceId = json.targetInstanceId;
+		this.sourceInstanceId = Number.isInteger(json.sourceInstanceId) ? (json.sourceInstanceId as number) : null;
+		this.sourceExportId = json.sourceExportId ?? null;
+	}
+
+	static fromJSON(json: { exportId: string; targetInstanceId: number; sourceInstanceId?: number | null; sourceExportId?: string | null }) { return new TransferPlatformRequest(json); }
+	toJSON() { return { exportId: this.exportId, targetInstanceId: this.targetInstanceId, sourceInstanceId: this.sourceInstanceId, sourceExportId: this.sourceExportId }; }
+
+	static Response = {
+		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, transferId: { type: "string" }, message: { type: "string" }, safeToUnlockSource: { type: "boolean" } }, required: ["success"] } as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { transferId?: string; message?: string; safeToUnlockSource?: boolean }; },
+	};
+}
+
+export class StartPlatformTransferRequest {
+	declare ["constructor"]: typeof StartPlatformTransferRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.TRANSFER_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			sourceInstanceId: { type: "integer" },
+			sourcePlatformIndex: { type: "integer" },
+			targetInstanceId: { type: "integer" },
+			forceName: { type: "string", default: "player" },
+			targetPlanet: { type: ["string", "null"], default: null },
+			priority: { type: "string", enum: ["admin", "player"], default: "player" },
+			deferred: { type: "boolean", default: false },
+			copy: { type: "boolean", default: false },
+		},
+		required: ["sourceInstanceId", "sourcePlatformIndex", "targetInstanceId"],
+		additionalProperties: false,
+	};
+
+	sourceInstanceId: number;
+	sourcePlatformIndex: number;
+	targetInstanceId: number;
+	forceName: string;
+	targetPlanet: string | null;
+	priority: TransferPriority;
+	deferred: boolean;
+	copy: boolean;
+
+	constructor(json: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; priority?: TransferPriority; deferred?: boolean; copy?: boolean }) {
+		this.sourceInstanceId = json.sourceInstanceId;
+		this.sourcePlatformIndex = json.sourcePlatformIndex;
+		this.targetInstanceId = json.targetInstanceId;
+		this.forceName = json.forceName || "player";
+		this.targetPlanet = json.targetPlanet ?? null;
+		this.priority = json.priority || "player";
+		this.deferred = json.deferred === true;
+		this.copy = json.copy === true;
+	}
+
+	static fromJSON(json: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; priority?: TransferPriority; deferred?: boolean; copy?: boolean }) {
+		return new StartPlatformTransferRequest(json);
+	}
+
+	toJSON() {
+		return { sourceInstanceId: this.sourceInstanceId, sourcePlatformIndex: this.sourcePlatformIndex, targetInstanceId: this.targetInstanceId, forceName: this.forceName, targetPlanet: this.targetPlanet, priority: this.priority, deferred: this.deferred, copy: this.copy };
+	}
+
+	static Response = {
+		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, transferId: { type: "string" }, exportId: { type: "string" }, message: { type: "string" }, safeToUnlockSource: { type: "boolean" }, queued: { type: "boolean" }, queuePosition: { type: "integer" }, deferred: { type: "boolean" }, expiresAt: { type: ["integer", "null"] }, preflight: { type: "object" } }, required: ["success"] } as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { transferId?: string; exportId?: string; message?: string; safeToUnlockSource?: boolean; queued?: boolean; queuePosition?: number; deferred?: boolean; expiresAt?: number | null; preflight?: PreflightReport }; },
+	};
+}
+
+export class PreflightTransferRequest {
+	declare ["constructor"]: typeof PreflightTransferRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.TRANSFER_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			sourceInstanceId: { type: "integer" },
+			sourcePlatformIndex: { type: "integer" },
+			targetInstanceId: { type: "integer" },
+			forceName: { type: "string", default: "player" },
+			targetPlanet: { type: ["string", "null"], default: null },
+		},
+		required: ["sourceInstanceId", "sourcePlatformIndex", "targetInstanceId"],
+		additionalProperties: false,
+	};
+
+	sourceInstanceId: number;
+	sourcePlatformIndex: number;
+	targetInstanceId: number;
+	forceName: string;
+	targetPlanet: string | null;
+
+	constructor(json: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null }) {
+		this.sourceInstanceId = json.sourceInstanceId;
+		this.sourcePlatformIndex = json.sourcePlatformIndex;
+		this.targetInstanceId = json.targetInstanceId;
+		this.forceName = json.forceName || "player";
+		this.targetPlanet = json.targetPlanet ?? null;
+	}
+
+	static fromJSON(json: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null }) {
+		return new PreflightTransferRequest(json);
+	}
+
+	toJSON() {
+		return { sourceInstanceId: this.sourceInstanceId, sourcePlatformIndex: this.sourcePlatformIndex, targetInstanceId: this.targetInstanceId, forceName: this.forceName, targetPlanet: this.targetPlanet };
+	}
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				report: { type: "object" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as PreflightResult; },
+	};
+}
+
+export class StartGroupTransferRequest {
+	declare ["constructor"]: typeof StartGroupTransferRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.TRANSFER_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			platforms: {
+				type: "array",
+				minItems: 1,
+				items: {
+					type: "object",
+					properties: {
+						sourceInstanceId: { type: "integer" },
+						sourcePlatformIndex: { type: "integer" },
+					},
+					required: ["sourceInstanceId", "sourcePlatformIndex"],
+					additionalProperties: false,
+				},
+			},
+			targetInstanceId: { type: "integer" },
+			forceName: { type: "string", default: "player" },
+			targetPlanet: { type: ["string", "null"], default: null },
+			policy: { type: "string", enum: ["all_or_nothing", "best_effort"], default: "all_or_nothing" },
+		},
+		required: ["platforms", "targetInstanceId"],
+		additionalProperties: false,
+	};
+
+	platforms: GroupTransferMember[];
+	targetInstanceId: number;
+	forceName: string;
+	targetPlanet: string | null;
+	policy: GroupTransferPolicy;
+
+	constructor(json: { platforms: GroupTransferMember[]; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; policy?: GroupTransferPolicy }) {
+		this.platforms = json.platforms;
+		this.targetInstanceId = json.targetInstanceId;
+		this.forceName = json.forceName || "player";
+		this.targetPlanet = json.targetPlanet ?? null;
+		this.policy = json.policy || "all_or_nothing";
+	}
+
+	static fromJSON(json: { platforms: GroupTransferMember[]; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; policy?: GroupTransferPolicy }) {
+		return new StartGroupTransferRequest(json);
+	}
+
+	toJSON() {
+		return { platforms: this.platforms, targetInstanceId: this.targetInstanceId, forceName: this.forceName, targetPlanet: this.targetPlanet, policy: this.policy };
+	}
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				groupId: { type: "string" },
+				transferIds: { type: "array", items: { type: "string" } },
+				skipped: { type: "array", items: { type: "object" } },
+				message: { type: "string" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as GroupTransferResult; },
+	};
+}
+
+export class StartPlatformSwapRequest {
+	declare ["constructor"]: typeof StartPlatformSwapRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.TRANSFER_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			platforms: {
+				type: "array",
+				minItems: 2,
+				maxItems: 2,
+				items: {
+					type: "object",
+					properties: {
+						sourceInstanceId: { type: "integer" },
+						sourcePlatformIndex: { type: "integer" },
+					},
+					required: ["sourceInstanceId", "sourcePlatformIndex"],
+					additionalProperties: false,
+				},
+			},
+			forceName: { type: "string", default: "player" },
+		},
+		required: ["platforms"],
+		additionalProperties: false,
+	};
+
+	platforms: GroupTransferMember[];
+	forceName: string;
+
+	constructor(json: { platforms: GroupTransferMember[]; forceName?: string }) {
+		this.platforms = json.platforms;
+		this.forceName = json.forceName || "player";
+	}
+
+	static fromJSON(json: { platforms: GroupTransferMember[]; forceName?: string }) {
+		return new StartPlatformSwapRequest(json);
+	}
+
+	toJSON() {
+		return { platforms: this.platforms, forceName: this.forceName };
+	}
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				groupId: { type: "string" },
+				transferIds: { type: "array", items: { type: "string" } },
+				skipped: { type: "array", items: { type: "object" } },
+				message: { type: "string" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as GroupTransferResult; },
+	};
+}
+
+export class ReverseTransferRequest {
+	declare ["constructor"]: typeof ReverseTransferRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.TRANSFER_EXPORTS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			transferId: { type: "string" },
+		},
+		required: ["transferId"],
+		additionalProperties: false,
+	};
+
+	transferId: string;
+
+	constructor(json: { transferId: string }) {
+		this.transferId = json.transferId;
+	}
+
+	static fromJSON(json: { transferId: string }) {
+		return new ReverseTransferRequest(json);
+	}
+
+	toJSON() {
+		return { transferId: this.transferId };
+	}
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				transferId: { type: "string" },
+				reverseOf: { type: "string" },
+				message: { type: "string" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as ReverseTransferResult; },
+	};
+}
+
+const TRANSFER_SCHEDULE_RULE_SCHEMA: JsonSchema = {
+	type: "object",
+	properties: {
+		kind: { type: "string", enum: ["once", "cron"] },
+		at: { type: "number" },
+		cron: { type: "string" },
+	},
+	required: ["kind"],
+	additionalProperties: false,
+};
+
+export class ListTransferSchedulesRequest {
+	declare ["constructor"]: typeof ListTransferSchedulesRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.UI_VIEW;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {},
+		additionalProperties: false,
+	};
+
+	static fromJSON() {
+		return new ListTransferSchedulesRequest();
+	}
+
+	toJSON() {
+		return {};
+	}
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				schedules: { type: "array", items: { type: "object" } },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { schedules?: TransferScheduleModel[] }; },
+	};
+}
+
+export class CreateTransferScheduleRequest {
+	declare ["constructor"]: typeof CreateTransferScheduleRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.SCHEDULE_TRANSFERS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			sourceInstanceId: { type: "integer" },
+			sourcePlatformIndex: { type: "integer" },
+			targetInstanceId: { type: "integer" },
+			forceName: { type: "string", default: "player" },
+			targetPlanet: { type: ["string", "null"], default: null },
+			rule: TRANSFER_SCHEDULE_RULE_SCHEMA,
+		},
+		required: ["sourceInstanceId", "sourcePlatformIndex", "targetInstanceId", "rule"],
+		additionalProperties: false,
+	};
+
+	sourceInstanceId: number;
+	sourcePlatformIndex: number;
+	targetInstanceId: number;
+	forceName: string;
+	targetPlanet: string | null;
+	rule: TransferScheduleRule;
+
+	constructor(json: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; rule: TransferScheduleRule }) {
+		this.sourceInstanceId = json.sourceInstanceId;
+		this.sourcePlatformIndex = json.sourcePlatformIndex;
+		this.targetInstanceId = json.targetInstanceId;
+		this.forceName = json.forceName || "player";
+		this.targetPlanet = json.targetPlanet ?? null;
+		this.rule = json.rule;
+	}
+
+	static fromJSON(json: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; rule: TransferScheduleRule }) {
+		return new CreateTransferScheduleRequest(json);
+	}
+
+	toJSON() {
+		return {
+			sourceInstanceId: this.sourceInstanceId,
+			sourcePlatformIndex: this.sourcePlatformIndex,
+			targetInstanceId: this.targetInstanceId,
+			forceName: this.forceName,
+			targetPlanet: this.targetPlanet,
+			rule: this.rule,
+		};
+	}
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				schedule: { type: "object" },
+				message: { type: "string" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as TransferScheduleResult; },
+	};
+}
+
+export class UpdateTransferScheduleRequest {
+	declare ["constructor"]: typeof UpdateTransferScheduleRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "control" as const;
+	static dst = "controller" as const;
+	static permission = PERMISSIONS.SCHEDULE_TRANSFERS;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			scheduleId: { type: "string" },
+			enabled: { type: "boolean" },
+			rule: TRANSFER_SCHEDULE_RULE_SCHEMA,
+			targetInstanceId: { type: "integer" },
+			targetPlanet: { type: ["string", "null"] },
+		},
+		required: ["scheduleId"],
+		additionalProperties: false,
+	};
+
+	scheduleId: string;
+	enabled?: boolean;
+	rule?: TransferScheduleRule;
+	targetInstanceId?: number;
+	targetPlanet?: string | null;
+
+	constructor(json: { scheduleId: string; enabled?: boolean; rule?: TransferScheduleRule; targetInstanceId?: number; targetPlanet?: string | null }) {
+		this.scheduleId = json.scheduleId;
+		this.enabled = json.enabled;
+		this.rule = json.rule;
+		this.targetInstanceId = json.targetInstanceId;
+		this.targetPlanet = json.targetPlanet;
+	}
+
+	static fromJSON(json: { scheduleId: string; enabled?: boolean; rule?: TransferScheduleRule; targetInstanceId?: number; targetPlanet?: string | null }) {
+		return new UpdateTransferScheduleRequest(json);
+	}
+
+	toJSON() {
+		return {
+			scheduleId: this.scheduleId,
+			enabled: this.enabled,
+			rule: this.rule,
+			targetInstanceId: this.targetInstanceId,
+			targetPlanet: this.targetPlanet,
+		};
+	}
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				schedule: { type: "object" },
+				message: { type: "string" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as TransferScheduleResult; },
 	};
 }
 
-export class TransferPlatformRequest {
-	declare ["constructor"]: typeof TransferPlatformRequest;
+export class DeleteTransferScheduleRequest {
+	declare ["constructor"]: typeof DeleteTransferScheduleRequest;
 	static plugin = PLUGIN_NAME;
 	static type = "request" as const;
-	static src = ["control", "instance"] as const;
+	static src = "control" as const;
 	static dst = "controller" as const;
-	static permission = PERMISSIONS.TRANSFER_EXPORTS;
+	static permission = PERMISSIONS.SCHEDULE_TRANSFERS;
 	static jsonSchema: JsonSchema = {
 		type: "object",
 		properties: {
-			exportId: { type: "string" },
-			targetInstanceId: { type: "integer" },
-			sourceInstanceId: { type: ["integer", "null"], default: null },
-			sourceExportId: { type: ["string", "null"], default: null },
+			scheduleId: { type: "string" },
 		},
-		required: ["exportId", "targetInstanceId"],
+		required: ["scheduleId"],
 		additionalProperties: false,
 	};
 
-	exportId: string;
-	targetInstanceId: number;
-	sourceInstanceId: number | null;
-	sourceExportId: string | null;
+	scheduleId: string;
 
-	constructor(json: { exportId: string; targetInstanceId: number; sourceInstanceId?: number | null; sourceExportId?: string | null }) {
-		this.exportId = json.exportId;
-		this.targetInstanceId = json.targetInstanceId;
-		this.sourceInstanceId = Number.isInteger(json.sourceInstanceId) ? (json.sourceInstanceId as number) : null;
-		this.sourceExportId = json.sourceExportId ?? null;
+	constructor(json: { scheduleId: string }) {
+		this.scheduleId = json.scheduleId;
 	}
 
-	static fromJSON(json: { exportId: string; targetInstanceId: number; sourceInstanceId?: number | null; sourceExportId?: string | null }) { return new TransferPlatformRequest(json); }
-	toJSON() { return { exportId: this.exportId, targetInstanceId: this.targetInstanceId, sourceInstanceId: this.sourceInstanceId, sourceExportId: this.sourceExportId }; }
+	static fromJSON(json: { scheduleId: string }) {
+		return new DeleteTransferScheduleRequest(json);
+	}
+
+	toJSON() {
+		return { scheduleId: this.scheduleId };
+	}
 
 	static Response = {
-		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, transferId: { type: "string" }, message: { type: "string" }, safeToUnlockSource: { type: "boolean" } }, required: ["success"] } as JsonSchema,
-		fromJSON(json: unknown) { return json as SimpleResponse & { transferId?: string; message?: string; safeToUnlockSource?: boolean }; },
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				schedule: { type: "object" },
+				message: { type: "string" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as TransferScheduleResult; },
 	};
 }
 
-export class StartPlatformTransferRequest {
-	declare ["constructor"]: typeof StartPlatformTransferRequest;
+export class CancelTransferRequest {
+	declare ["constructor"]: typeof CancelTransferRequest;
 	static plugin = PLUGIN_NAME;
 	static type = "request" as const;
 	static src = "control" as const;
 	static dst = "controller" as const;
-	static permission = PERMISSIONS.TRANSFER_EXPORTS;
+	static permission = PERMISSIONS.CANCEL_TRANSFERS;
 	static jsonSchema: JsonSchema = {
 		type: "object",
 		properties: {
-			sourceInstanceId: { type: "integer" },
-			sourcePlatformIndex: { type: "integer" },
-			targetInstanceId: { type: "integer" },
-			forceName: { type: "string", default: "player" },
-			targetPlanet: { type: ["string", "null"], default: null },
+			transferId: { type: "string" },
 		},
-		required: ["sourceInstanceId", "sourcePlatformIndex", "targetInstanceId"],
+		required: ["transferId"],
 		additionalProperties: false,
 	};
 
-	sourceInstanceId: number;
-	sourcePlatformIndex: number;
-	targetInstanceId: number;
-	forceName: string;
-	targetPlanet: string | null;
-
-	constructor(json: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null }) {
-		this.sourceInstanceId = json.sourceInstanceId;
-		this.sourcePlatformIndex = json.sourcePlatformIndex;
-		this.targetInstanceId = json.targetInstanceId;
-		this.forceName = json.forceName || "player";
-		this.targetPlanet = json.targetPlanet ?? null;
-	}
+	transferId: string;
 
-	static fromJSON(json: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null }) {
-		return new StartPlatformTransferRequest(json);
+	constructor(json: { transferId: string }) {
+		this.transferId = json.transferId;
 	}
 
-	toJSON() {
-		return { sourceInstanceId: this.sourceInstanceId, sourcePlatformIndex: this.sourcePlatformIndex, targetInstanceId: this.targetInstanceId, forceName: this.forceName, targetPlanet: this.targetPlanet };
-	}
+	static fromJSON(json: { transferId: string }) { return new CancelTransferRequest(json); }
+	toJSON() { return { transferId: this.transferId }; }
 
 	static Response = {
-		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, transferId: { type: "string" }, exportId: { type: "string" }, message: { type: "string" }, safeToUnlockSource: { type: "boolean" } }, required: ["success"] } as JsonSchema,
-		fromJSON(json: unknown) { return json as SimpleResponse & { transferId?: string; exportId?: string; message?: string; safeToUnlockSource?: boolean }; },
+		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, transferId: { type: "string" }, status: { type: "string" }, message: { type: "string" } }, required: ["success"] } as JsonSchema,
+		fromJSON(json: unknown) { return json as CancelTransferResult; },
 	};
 }
 
@@ -1254,6 +2184,182 @@ export class GetSourceTransferLockStateRequest {
 		fromJSON(json: unknown) { return json as SourceTransferLockStateResponse; },
 	};
 }
+
+export class CommitSourceTransferRequest {
+	declare ["constructor"]: typeof CommitSourceTransferRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "controller" as const;
+	static dst = "instance" as const;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			transferId: { type: "string" },
+			platformIndex: { type: "integer" },
+			platformName: { type: "string" },
+			forceName: { type: "string", default: "player" },
+		},
+		required: ["transferId", "platformIndex", "platformName"],
+		additionalProperties: false,
+	};
+
+	transferId: string;
+	platformIndex: number;
+	platformName: string;
+	forceName: string;
+
+	constructor(json: { transferId: string; platformIndex: number; platformName: string; forceName?: string }) {
+		this.transferId = json.transferId;
+		this.platformIndex = json.platformIndex;
+		this.platformName = json.platformName;
+		this.forceName = json.forceName || "player";
+	}
+
+	static fromJSON(json: { transferId: string; platformIndex: number; platformName: string; forceName?: string }) { return new CommitSourceTransferRequest(json); }
+	toJSON() { return { transferId: this.transferId, platformIndex: this.platformIndex, platformName: this.platformName, forceName: this.forceName }; }
+
+	static Response = {
+		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" } }, required: ["success"] } as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse; },
+	};
+}
+
+export class DestinationHoldRequest {
+	declare ["constructor"]: typeof DestinationHoldRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "controller" as const;
+	static dst = "instance" as const;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			action: { enum: DESTINATION_HOLD_ACTIONS },
+			transferId: { type: "string" },
+		},
+		required: ["action", "transferId"],
+		additionalProperties: false,
+	};
+
+	action: DestinationHoldAction;
+	transferId: string;
+
+	constructor(json: { action: DestinationHoldAction; transferId: string }) {
+		this.action = json.action;
+		this.transferId = json.transferId;
+	}
+
+	static fromJSON(json: { action: DestinationHoldAction; transferId: string }) { return new DestinationHoldRequest(json); }
+	toJSON() { return { action: this.action, transferId: this.transferId }; }
+
+	static Response = {
+		jsonSchema: {
+			type: "object",
+			properties: {
+				success: { type: "boolean" },
+				error: { type: "string" },
+				noHold: { type: "boolean" },
+			},
+			required: ["success"],
+		} as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { noHold?: boolean }; },
+	};
+}
+export class GetPrototypeCensusRequest {
+	declare ["constructor"]: typeof GetPrototypeCensusRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "controller" as const;
+	static dst = "instance" as const;
+	static jsonSchema: JsonSchema = { type: "object", properties: {}, additionalProperties: false };
+
+	constructor() { }
+	static fromJSON() { return new GetPrototypeCensusRequest(); }
+	toJSON() { return {}; }
+
+	static Response = {
+		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, census: { type: "object" } }, required: ["success"] } as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { census?: PrototypeCensus }; },
+	};
+}
+
+export class GetPlatformCensusRequest {
+	declare ["constructor"]: typeof GetPlatformCensusRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "controller" as const;
+	static dst = "instance" as const;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: {
+			platformIndex: { type: "integer" },
+			forceName: { type: "string", default: "player" },
+		},
+		required: ["platformIndex"],
+		additionalProperties: false,
+	};
+
+	platformIndex: number;
+	forceName: string;
+
+	constructor(json: { platformIndex: number; forceName?: string }) {
+		this.platformIndex = json.platformIndex;
+		this.forceName = json.forceName || "player";
+	}
+
+	static fromJSON(json: { platformIndex: number; forceName?: string }) { return new GetPlatformCensusRequest(json); }
+	toJSON() { return { platformIndex: this.platformIndex, forceName: this.forceName }; }
+
+	static Response = {
+		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, census: { type: "object" } }, required: ["success"] } as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { census?: PlatformCensus }; },
+	};
+}
+
+export class DescribeEntityPrototypesRequest {
+	declare ["constructor"]: typeof DescribeEntityPrototypesRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "controller" as const;
+	static dst = "instance" as const;
+	static jsonSchema: JsonSchema = {
+		type: "object",
+		properties: { names: { type: "array", items: { type: "string" } } },
+		required: ["names"],
+		additionalProperties: false,
+	};
+
+	names: string[];
+
+	constructor(json: { names: string[] }) {
+		this.names = json.names;
+	}
+
+	static fromJSON(json: { names: string[] }) { return new DescribeEntityPrototypesRequest(json); }
+	toJSON() { return { names: this.names }; }
+
+	static Response = {
+		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, prototypes: { type: "object" } }, required: ["success"] } as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { prototypes?: Record<string, EntityPrototypeInfo> }; },
+	};
+}
+
+export class GetActiveModsRequest {
+	declare ["constructor"]: typeof GetActiveModsRequest;
+	static plugin = PLUGIN_NAME;
+	static type = "request" as const;
+	static src = "controller" as const;
+	static dst = "instance" as const;
+	static jsonSchema: JsonSchema = { type: "object", properties: {}, additionalProperties: false };
+
+	constructor() { }
+	static fromJSON() { return new GetActiveModsRequest(); }
+	toJSON() { return {}; }
+
+	static Response = {
+		jsonSchema: { type: "object", properties: { success: { type: "boolean" }, error: { type: "string" }, modSet: { type: "object" } }, required: ["success"] } as JsonSchema,
+		fromJSON(json: unknown) { return json as SimpleResponse & { modSet?: ExportModSet }; },
+	};
+}
 export class TransferStatusUpdate {
 	declare ["constructor"]: typeof TransferStatusUpdate;
 	static plugin = PLUGIN_NAME;
@@ -1368,13 +2474,16 @@ export class PlatformStateChangedEvent {
 }
 
 
-export type OperationType = "transfer" | "export" | "import";
+export type OperationType = "transfer" | "copy" | "export" | "import" | "group" | "swap";
 
 export type TransferStatus =
 	| "transporting"
 	| "in_progress"
 	| "awaiting_validation"
 	| "awaiting_completion"
+	| "committing"
+	| "awaiting_group"
+	| "deferred"
 	| "completed"
 	| "failed"
 	| "cleanup_failed"
@@ -1409,14 +2518,86 @@ export interface ActiveTransfer {
 	exportMetrics?: ExportMetrics | null;
 	importMetrics?: ImportMetrics | null;
 	validationResult?: ValidationResult | null;
-	failedStage?: 'items' | 'fluids' | 'belts' | 'test_hook' | null;
+	failedStage?: 'items' | 'fluids' | 'belts' | 'test_hook' | 'hold' | null;
 	sourceVerification?: { itemCounts: Record<string, number>; fluidCounts: Record<string, number> };
 	validationTimeout?: ReturnType<typeof setTimeout> | null;
 	armedValidationTimeoutMs?: number | null;
 	phases?: Record<string, PhaseRecord>;
 	metricsRecorded?: boolean;
+	deliveryLeg?: DeliveryLeg;
+	deliveryExpiresAt?: number | null;
+	cancelRequestedBy?: string | null;
+	cancelledAt?: number | null;
+	modMismatches?: ModMismatch[];
+	destinationPlatformIndex?: number | null;
+	destinationSurfaceIndex?: number | null;
+	groupId?: string | null;
+	groupPolicy?: GroupTransferPolicy;
+	groupChildren?: string[];
+	reverseOf?: string | null;
+	reversedBy?: string | null;
+	scheduleId?: string | null;
+}
+
+export type ReverseTransferResult = SimpleResponse & {
+	transferId?: string;
+	reverseOf?: string;
+	message?: string;
+};
+
+export type TransferScheduleResult = SimpleResponse & {
+	schedule?: TransferScheduleModel;
+	message?: string;
+};
+
+export type CancelTransferResult = SimpleResponse & {
+	transferId?: string;
+	status?: string;
+	message?: string;
+};
+
+export interface GroupTransferMember {
+	sourceInstanceId: number;
+	sourcePlatformIndex: number;
+}
+
+export type GroupTransferResult = SimpleResponse & {
+	groupId?: string;
+	transferIds?: string[];
+	skipped?: Array<GroupTransferMember & { error: string }>;
+	message?: string;
+};
+
+export interface PrototypeCensus {
+	entities: string[];
+	items: string[];
+	fluids: string[];
+	tiles: string[];
+	qualities: string[];
+	spaceLocations: string[];
+}
+
+export interface EntityPrototypeInfo {
+	type: string;
+	platformBlocked: string | null;
+	collisionBox: [number, number, number, number];
+}
+
+export interface PlatformCensus {
+	platformName: string;
+	entities: Record<string, number>;
+	items: Record<string, number>;
+	fluids: Record<string, number>;
+	tiles: Record<string, number>;
+	qualities: Record<string, number>;
+	spaceLocation: string | null;
+	scheduleStations: string[];
 }
 
+export type PreflightResult = SimpleResponse & {
+	report?: PreflightReport;
+};
+
 
 export interface StoredExport {
 	exportId: string;
@@ -1424,10 +2605,16 @@ export interface StoredExport {
 	platformName: string;
 	platformIndex: number | null;
 	instanceId: number;
-	exportData: Record<string, unknown>;
+	exportData?: Record<string, unknown>;
 	exportMetrics: ExportMetrics | null;
 	timestamp: number;
 	size: number;
+	pinned?: boolean;
+	labels?: string[];
+	note?: string | null;
+	digest?: string;
+	integrityError?: string;
+	modSet?: ExportModSet | null;
 }
 
 
@@ -1447,6 +2634,10 @@ export interface SubscriptionState {
 	transferId: string | null;
 }
 
+export type StorageEvictionPreview = EvictionPlan & {
+	limits: { maxEntries: number | null; maxBytes: number | null; instanceQuotaBytes: Record<string, number> };
+};
+
 export type InstanceRecordLike = {
 	id: number;
 	isDeleted: boolean;
@@ -1463,6 +2654,31 @@ export interface PendingTransferIntent {
 	targetInstanceId: number;
 	startedAt: number;
 	exportId: string | null;
+	sourceExportId?: string | null;
+	phase?: TransferCommitPhase;
+	operationType?: "transfer" | "copy";
+}
+
+export type DeliveryPhase = "releasing_source" | "waiting" | "delivering" | "going_live" | "stuck";
+
+export interface PendingDelivery {
+	transferId: string;
+	exportId: string;
+	sourceExportId: string;
+	sourceInstanceId: number;
+	sourcePlatformIndex: number;
+	sourcePlatformName: string;
+	forceName: string;
+	targetInstanceId: number;
+	targetPlanet: string | null;
+	sourcePolicy: MailDropSourcePolicy;
+	leg: DeliveryLeg;
+	phase: DeliveryPhase;
+	postedAt: number;
+	expiresAt: number | null;
+	attempts: number;
+	lastAttemptAt: number | null;
+	lastError: string | null;
 }
 
 export interface SourceCommitMarker {
@@ -1475,8 +2691,15 @@ export interface SourceCommitMarker {
 }
 
 export interface IControllerPlugin {
+	pendingTransfers: Map<string, PendingTransferIntent>;
 	persistPendingTransfer(intent: PendingTransferIntent): void;
 	removePendingTransfer(transferId: string): void;
+	pendingDeliveries: Map<string, PendingDelivery>;
+	persistPendingDelivery(delivery: PendingDelivery): Promise<string | null>;
+	removePendingDelivery(transferId: string): void;
+	transferSchedules: Map<string, TransferScheduleModel>;
+	persistTransferSchedules(): Promise<string | null>;
+	recordCommitTransmitted(marker: SourceCommitMarker): void;
 	isInstanceOnline(instanceId: number): boolean;
 	controller: {
 		wsServer: { controlConnections: Map<number, unknown> };
@@ -1503,6 +2726,7 @@ export interface IControllerPlugin {
 	};
 	platformDepartureTimes: Map<string, number>;
 	activeTransfers: Map<string, ActiveTransfer>;
+	stateRestoreInProgress: boolean;
 	surfaceExportSubscriptions: Map<{ send: (event: unknown) => void; user: { checkPermission: (permission: string) => void } }, SubscriptionState>;
 	transactionLogs: Map<string, TransactionLogEntryModel[]>;
 	persistedTransactionLogs: PersistedTransactionLog[];
@@ -1532,9 +2756,11 @@ export interface IControllerPlugin {
 	subscriptions: {
 		emitLogUpdate(transferId: string, event: TransactionLogEntryModel | null): void;
 		emitTransferUpdate(transfer: ActiveTransfer): void;
+		emitTransferSummary(transferSummary: TransferSummaryModel): void;
 		queueTreeBroadcast(forceName?: string): void;
 	};
 	persistStorage(): Promise<void>;
+	loadStoredExportData(exportId: string): Promise<ExportData | null>;
 }
 
 export type ExportVerification = {
@@ -1555,9 +2781,14 @@ export type ExportData = {
 	verification?: ExportVerification;
 	platform?: { force?: string };
 	platform_name?: string;
+	mods?: Record<string, string>;
+	module_version?: string;
+	schema_version?: string;
 	_transferId?: string;
 	_sourceInstanceId?: number;
 	_operationId?: string;
+	_digest?: string;
+	_signature?: string;
 	[extra: string]: unknown;
 };
 
@@ -18,6 +18,7 @@ local JobResults = require("modules/surface_export/core/job-results")
 local CensusAccumulator = require("modules/surface_export/export_scanners/census-accumulator")
 local BlueprintDiff = require("modules/surface_export/export_scanners/blueprint-diff")
 local ExportCache = require("modules/surface_export/utils/export-cache")
+local module_version = require("modules/surface_export/version")
 local ImportPipeline = require("modules/surface_export/core/import-pipeline")
 
 local ExportPipeline = {}
@@ -217,6 +218,8 @@ function ExportPipeline.queue(platform_index, force_name, requester_name, destin
 		export_data = {
 			schema_version = VersionCompat.PAYLOAD_SCHEMA_VERSION,
 			factorio_version = script.active_mods.base,
+			mods = VersionCompat.active_mods(),
+			module_version = module_version,
 			platform_name = platform.name,
 			tick = game.tick,
 			timestamp = Util.format_timestamp(game.tick),
@@ -393,10 +396,13 @@ function ExportPipeline.complete(job)
 			compressed = true,
 			compression = "deflate",
 			payload = compressed,
+			schema_version = job.export_data.schema_version,
 			platform_name = job.export_data.platform_name,
 			tick = job.export_data.tick,
 			timestamp = job.export_data.timestamp,
 			stats = job.export_data.stats,
+			mods = job.export_data.mods,
+			module_version = job.export_data.module_version,
 			verification = job.export_data.verification
 		})
 		log(string.format("[Compression] Export %s: %d bytes → %d bytes (%.1f%% reduction)",
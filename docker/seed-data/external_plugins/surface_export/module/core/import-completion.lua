@@ -21,6 +21,7 @@ local PhaseRecorder = require("modules/surface_export/utils/phase-recorder")
 local PhaseCensus = require("modules/surface_export/utils/phase-census")
 local TransactionHistory = require("modules/surface_export/utils/transaction-history")
 local JobResults = require("modules/surface_export/core/job-results")
+local DestinationHold = require("modules/surface_export/core/destination-hold")
 
 local ImportCompletion = {}
 
@@ -775,6 +776,34 @@ function ImportCompletion.run_phase2(job)
 						job.platform_name, tostring(captured_paused), tostring(err_captured)))
 				end
 			end
+
+			if job.target_platform and job.target_platform.valid then
+				local held, hold = DestinationHold.stage(job.transfer_id, job.target_platform, job.target_platform.force)
+				if held then
+					result.destinationHeld = true
+					result.destinationPlatformIndex = job.target_platform.index
+					local surface = job.target_platform.surface
+					result.destinationSurfaceIndex = surface and surface.valid and surface.index or nil
+					log(string.format("[Validation] Platform %s HELD not-live for transfer %s — VOTE yes, awaiting go-live",
+						job.platform_name, job.transfer_id))
+				else
+					result.success = false
+					result.destinationHeld = false
+					result.failedStage = "hold"
+					result.mismatchDetails = "destination hold could not be staged: " .. tostring(hold)
+					log(string.format("[Validation] ERROR: %s — discarding the destination (VOTE no)", result.mismatchDetails))
+					local delete_ok, delete_result = pcall(GameUtils.delete_platform, job.target_platform)
+					if delete_ok and delete_result == true then
+						sweep_created_logistic_groups(job)
+					else
+						result.cleanup_failed = true
+						result.cleanup_error = string.format("GameUtils.delete_platform failed: %s",
+							tostring(delete_ok and (delete_result or "returned false") or delete_result))
+						log(string.format("[Validation] ERROR: cleanup_failed for %s: %s",
+							tostring(job.platform_name), result.cleanup_error))
+					end
+				end
+			end
 		end
 
 	end
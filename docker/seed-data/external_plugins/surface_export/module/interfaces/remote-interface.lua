@@ -41,7 +41,10 @@ local configure_gateways_remote = require("modules/surface_export/interfaces/rem
 local gateway_config_staging_selftest = require("modules/surface_export/interfaces/remote/gateway-config-staging-selftest")
 local delete_platform_for_transfer = require("modules/surface_export/interfaces/remote/delete-platform-for-transfer")
 local get_source_transfer_lock_state = require("modules/surface_export/interfaces/remote/get-source-transfer-lock-state")
+local commit_source_transfer_lock = require("modules/surface_export/interfaces/remote/commit-source-transfer-lock")
 local destination_hold = require("modules/surface_export/interfaces/remote/destination-hold")
+local preflight_census = require("modules/surface_export/interfaces/remote/preflight-census")
+local get_active_mods = require("modules/surface_export/interfaces/remote/get-active-mods")
 local test_roster = require("modules/surface_export/interfaces/remote/test-roster")
 local lifecycle = require("modules/surface_export/interfaces/remote/lifecycle")
 local teleport_roster_update = require("modules/surface_export/interfaces/remote/teleport-roster")
@@ -85,7 +88,12 @@ RemoteInterface.configure_gateways_commit = configure_gateways_remote.configure_
 RemoteInterface.gateway_config_staging_selftest = gateway_config_staging_selftest
 RemoteInterface.delete_platform_for_transfer = delete_platform_for_transfer
 RemoteInterface.get_source_transfer_lock_state = get_source_transfer_lock_state
+RemoteInterface.commit_source_transfer_lock = commit_source_transfer_lock
 RemoteInterface.destination_hold = destination_hold
+RemoteInterface.get_prototype_census = preflight_census.get_prototype_census
+RemoteInterface.get_platform_census = preflight_census.get_platform_census
+RemoteInterface.describe_entity_prototypes = preflight_census.describe_entity_prototypes
+RemoteInterface.get_active_mods = get_active_mods
 RemoteInterface.set_test_roster = test_roster.set_test_roster
 RemoteInterface.set_test_roster_begin = test_roster.set_test_roster_begin
 RemoteInterface.set_test_roster_chunk = test_roster.set_test_roster_chunk
@@ -172,8 +180,14 @@ function RemoteInterface.register()
     delete_platform_for_transfer = delete_platform_for_transfer,
     get_source_transfer_lock_state = get_source_transfer_lock_state,
     get_source_transfer_lock_state_json = Base.json_wrap(get_source_transfer_lock_state),
+    commit_source_transfer_lock = commit_source_transfer_lock,
     destination_hold = destination_hold,
     destination_hold_json = Base.json_wrap(destination_hold),
+    get_prototype_census_json = Base.json_wrap(preflight_census.get_prototype_census),
+    get_platform_census_json = Base.json_wrap(preflight_census.get_platform_census),
+    describe_entity_prototypes_json = Base.json_wrap(preflight_census.describe_entity_prototypes),
+    get_active_mods = get_active_mods,
+    get_active_mods_json = Base.json_wrap(get_active_mods),
 
     set_test_roster = test_roster.set_test_roster,
     set_test_roster_json = Base.json_wrap(test_roster.set_test_roster),
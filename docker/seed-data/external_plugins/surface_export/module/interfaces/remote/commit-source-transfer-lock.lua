@@ -0,0 +1,19 @@
+local SurfaceLock = require("modules/surface_export/utils/surface-lock")
+
+local function commit_source_transfer_lock(platform_index, transfer_id)
+  local idx = tonumber(platform_index)
+  if not idx then
+    return "ERROR:invalid platform index: " .. tostring(platform_index)
+  end
+  if type(transfer_id) ~= "string" or transfer_id == "" then
+    return "ERROR:transfer_id is required"
+  end
+  local committed, err = SurfaceLock.commit_source_transfer_lock(idx, transfer_id)
+  if not committed then
+    return "ERROR:" .. tostring(err)
+  end
+  log(string.format("[SurfaceLock] Source lock for platforms[%d] COMMITTED to transfer %s", idx, transfer_id))
+  return "SUCCESS"
+end
+
+return commit_source_transfer_lock
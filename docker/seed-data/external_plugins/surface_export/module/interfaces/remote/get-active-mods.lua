@@ -0,0 +1,16 @@
+local VersionCompat = require("modules/surface_export/utils/version-compat")
+local module_version = require("modules/surface_export/version")
+
+local function get_active_mods()
+  local mods = VersionCompat.active_mods()
+  return {
+    success = true,
+    modSet = {
+      factorioVersion = mods.base,
+      moduleVersion = module_version,
+      mods = mods,
+    },
+  }
+end
+
+return get_active_mods
@@ -0,0 +1,158 @@
+local Base = require("modules/surface_export/interfaces/remote/base")
+local GameUtils = require("modules/surface_export/utils/game-utils")
+local SurfaceCounter = require("modules/surface_export/validators/surface-counter")
+local Util = require("modules/surface_export/utils/util")
+
+local PreflightCensus = {}
+
+local function prototype_names(custom_table)
+	local names = {}
+	for name in pairs(custom_table) do
+		names[#names + 1] = name
+	end
+	table.sort(names)
+	return names
+end
+
+local function bump(totals, key, count)
+	totals[key] = (totals[key] or 0) + (count or 1)
+end
+
+function PreflightCensus.get_prototype_census()
+	return {
+		success = true,
+		census = {
+			entities = prototype_names(prototypes.entity),
+			items = prototype_names(prototypes.item),
+			fluids = prototype_names(prototypes.fluid),
+			tiles = prototype_names(prototypes.tile),
+			qualities = prototype_names(prototypes.quality),
+			spaceLocations = prototype_names(prototypes.space_location),
+		},
+	}
+end
+
+local function platform_property_value(properties, property_name)
+	if properties[property_name] ~= nil then
+		return properties[property_name]
+	end
+	local property = prototypes.surface_property[property_name]
+	return property and property.default_value or 0
+end
+
+local function platform_blocked_reason(entity_prototype, properties)
+	for _, condition in ipairs(entity_prototype.surface_conditions or {}) do
+		local value = platform_property_value(properties, condition.property)
+		if condition.min and value < condition.min then
+			return string.format("%s is %s on a platform, needs at least %s", condition.property, tostring(value), tostring(condition.min))
+		end
+		if condition.max and value > condition.max then
+			return string.format("%s is %s on a platform, needs at most %s", condition.property, tostring(value), tostring(condition.max))
+		end
+	end
+	return nil
+end
+
+function PreflightCensus.describe_entity_prototypes(names_json)
+	local names, decode_err = Util.json_to_table_compat(names_json)
+	if type(names) ~= "table" then
+		return { success = false, error = "names did not decode to a list: " .. tostring(decode_err) }
+	end
+	local platform_surface = prototypes.surface["space-platform"]
+	if not platform_surface then
+		return { success = false, error = "No space-platform surface prototype (is Space Age enabled?)" }
+	end
+	local properties = platform_surface.surface_properties or {}
+
+	local described = {}
+	for _, name in ipairs(names) do
+		local entity_prototype = prototypes.entity[name]
+		if entity_prototype then
+			local box = entity_prototype.collision_box
+			described[name] = {
+				type = entity_prototype.type,
+				platformBlocked = platform_blocked_reason(entity_prototype, properties),
+				collisionBox = { box.left_top.x, box.left_top.y, box.right_bottom.x, box.right_bottom.y },
+			}
+		end
+	end
+	return { success = true, prototypes = described }
+end
+
+function PreflightCensus.get_platform_census(platform_index, force_name)
+	local force = Base.get_force(force_name)
+	if not (force and force.valid) then
+		return { success = false, error = "Force not found: " .. tostring(force_name or "player") }
+	end
+	local platform, find_err = Base.find_platform(force, platform_index)
+	if not platform then
+		return { success = false, error = find_err or ("Platform index not found: " .. tostring(platform_index)) }
+	end
+	local surface = platform.surface
+	if not (surface and surface.valid) then
+		return { success = false, error = "Platform has no surface: " .. platform.name }
+	end
+
+	local entities, items, fluids, tiles, qualities = {}, {}, {}, {}, {}
+	for _, entity in ipairs(surface.find_entities_filtered({})) do
+		if entity.valid and entity.type ~= "item-entity" then
+			bump(entities, entity.type == "entity-ghost" and entity.ghost_name or entity.name)
+			if entity.quality then
+				bump(qualities, entity.quality.name)
+			end
+		end
+	end
+
+	local item_counts = SurfaceCounter.count_items(surface)
+	for key, count in pairs(item_counts) do
+		local name, quality = GameUtils.parse_quality_key(key)
+		bump(items, name, count)
+		bump(qualities, quality, count)
+	end
+
+	local fluid_counts = SurfaceCounter.count_fluids(surface)
+	for key, amount in pairs(fluid_counts) do
+		local name = GameUtils.parse_fluid_temp_key(key)
+		bump(fluids, name, amount)
+	end
+
+	for _, tile in ipairs(surface.find_tiles_filtered({ name = "empty-space", invert = true })) do
+		bump(tiles, tile.name)
+	end
+
+	local space_location = nil
+	if platform.space_location and platform.space_location.valid then
+		space_location = platform.space_location.name
+	end
+
+	local schedule_stations = {}
+	local ok_sched, schedule = pcall(function() return platform.schedule end)
+	if not ok_sched then
+		log(string.format("[preflight_census] read platform.schedule failed for '%s': %s",
+			tostring(platform.name), tostring(schedule)))
+	elseif schedule and schedule.records then
+		local seen = {}
+		for _, record in ipairs(schedule.records) do
+			if record.station and not seen[record.station] then
+				seen[record.station] = true
+				schedule_stations[#schedule_stations + 1] = record.station
+			end
+		end
+	end
+
+	return {
+		success = true,
+		census = {
+			platformName = platform.name,
+			entities = entities,
+			items = items,
+			fluids = fluids,
+			tiles = tiles,
+			qualities = qualities,
+			spaceLocation = space_location,
+			scheduleStations = schedule_stations,
+		},
+	}
+end
+
+return PreflightCensus
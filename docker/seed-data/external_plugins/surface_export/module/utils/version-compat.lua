@@ -46,6 +46,15 @@ function VersionCompat.runtime_bucket()
   return _runtime_bucket_cache or nil
 end
 
+function VersionCompat.active_mods()
+  local active_mods = (script and script.active_mods) or (game and game.active_mods) or {}
+  local mods = {}
+  for name, version in pairs(active_mods) do
+    mods[name] = version
+  end
+  return mods
+end
+
 
 local PROFILES = {}
 
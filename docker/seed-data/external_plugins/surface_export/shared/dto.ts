@@ -29,6 +29,82 @@ export function parseGatewayMode(value: unknown): { mode: GatewayMode; warning:
 	};
 }
 
+export type UploadSignaturePolicy = "refuse" | "warn" | "allow";
+export const UPLOAD_SIGNATURE_POLICIES: UploadSignaturePolicy[] = ["refuse", "warn", "allow"];
+export const DEFAULT_UPLOAD_SIGNATURE_POLICY: UploadSignaturePolicy = "refuse";
+
+export type SalvageTarget = "exports" | "transaction_logs";
+export const SALVAGE_TARGETS: SalvageTarget[] = ["exports", "transaction_logs"];
+
+export type TransferPriority = "admin" | "player";
+export const TRANSFER_PRIORITIES: TransferPriority[] = ["admin", "player"];
+
+export type MailDropSourcePolicy = "despawn" | "unlock";
+export const MAIL_DROP_SOURCE_POLICIES: MailDropSourcePolicy[] = ["despawn", "unlock"];
+export const DEFAULT_MAIL_DROP_SOURCE_POLICY: MailDropSourcePolicy = "despawn";
+export type DeliveryLeg = "outbound" | "return";
+
+export type GroupTransferPolicy = "all_or_nothing" | "best_effort";
+export const GROUP_TRANSFER_POLICIES: GroupTransferPolicy[] = ["all_or_nothing", "best_effort"];
+
+export type TransferScheduleRule = { kind: "once"; at: number } | { kind: "cron"; cron: string };
+
+export interface TransferScheduleRun {
+	at: number;
+	transferId: string | null;
+	error: string | null;
+}
+
+export interface TransferScheduleModel {
+	scheduleId: string;
+	rule: TransferScheduleRule;
+	sourceInstanceId: number;
+	sourceSurfaceIndex: number;
+	platformName: string;
+	forceName: string;
+	targetInstanceId: number;
+	targetPlanet: string | null;
+	enabled: boolean;
+	createdAt: number;
+	createdBy: string;
+	nextRunAt: number | null;
+	runs: TransferScheduleRun[];
+}
+
+export type ModMismatchPolicy = "ignore" | "warn" | "refuse";
+export const MOD_MISMATCH_POLICIES: ModMismatchPolicy[] = ["ignore", "warn", "refuse"];
+export const DEFAULT_MOD_MISMATCH_POLICY: ModMismatchPolicy = "warn";
+
+export function parseUploadSignaturePolicy(value: unknown): { policy: UploadSignaturePolicy; warning: string | null } {
+	if (UPLOAD_SIGNATURE_POLICIES.includes(value as UploadSignaturePolicy)) {
+		return { policy: value as UploadSignaturePolicy, warning: null };
+	}
+	return {
+		policy: DEFAULT_UPLOAD_SIGNATURE_POLICY,
+		warning: `Unknown upload_signature_policy ${JSON.stringify(value)} — falling back to ${DEFAULT_UPLOAD_SIGNATURE_POLICY}`,
+	};
+}
+
+export function parseMailDropSourcePolicy(value: unknown): { policy: MailDropSourcePolicy; warning: string | null } {
+	if (MAIL_DROP_SOURCE_POLICIES.includes(value as MailDropSourcePolicy)) {
+		return { policy: value as MailDropSourcePolicy, warning: null };
+	}
+	return {
+		policy: DEFAULT_MAIL_DROP_SOURCE_POLICY,
+		warning: `Unknown mail_drop_source_policy ${JSON.stringify(value)} — falling back to ${DEFAULT_MAIL_DROP_SOURCE_POLICY}`,
+	};
+}
+
+export function parseModMismatchPolicy(value: unknown): { policy: ModMismatchPolicy; warning: string | null } {
+	if (MOD_MISMATCH_POLICIES.includes(value as ModMismatchPolicy)) {
+		return { policy: value as ModMismatchPolicy, warning: null };
+	}
+	return {
+		policy: DEFAULT_MOD_MISMATCH_POLICY,
+		warning: `Unknown mod_mismatch_policy ${JSON.stringify(value)} — falling back to ${DEFAULT_MOD_MISMATCH_POLICY}`,
+	};
+}
+
 export function checkMultiModeLink(
 	gatewayName: string,
 	targets: readonly GatewayLink[],
@@ -71,7 +147,7 @@ export interface ResolvedGateway {
 
 export interface TransferSummaryModel {
 	transferId: string;
-	operationType: "transfer" | "export" | "import";
+	operationType: "transfer" | "copy" | "export" | "import" | "group" | "swap";
 	exportId: string | null;
 	artifactSizeBytes: number | null;
 	downloadable: boolean;
@@ -86,7 +162,21 @@ export interface TransferSummaryModel {
 	failedAt: number | null;
 	error: string | null;
 	lastEventAt: number | null;
-	registrySource?: "active" | "persisted";
+	registrySource?: "active" | "persisted" | "queue";
+	priority?: TransferPriority;
+	queuePosition?: number | null;
+	deliveryLeg?: DeliveryLeg;
+	deliveryExpiresAt?: number | null;
+	cancelledAt?: number | null;
+	modMismatches?: ModMismatch[];
+	groupId?: string | null;
+	groupPolicy?: GroupTransferPolicy;
+	groupChildren?: string[];
+	destinationPlatformIndex?: number | null;
+	destinationSurfaceIndex?: number | null;
+	reverseOf?: string | null;
+	reversedBy?: string | null;
+	scheduleId?: string | null;
 }
 export interface StoredExportSummaryModel {
 	exportId: string;
@@ -95,6 +185,141 @@ export interface StoredExportSummaryModel {
 	instanceId: number;
 	timestamp: number;
 	size: number;
+	pinned: boolean;
+	labels: string[];
+	note: string | null;
+	digest: string | null;
+	integrityError: string | null;
+	modSet: ExportModSet | null;
+}
+export interface ExportModSet {
+	factorioVersion: string | null;
+	moduleVersion: string | null;
+	mods: Record<string, string>;
+}
+export type ModMismatchKind = "missing" | "version" | "module";
+export interface ModMismatch {
+	kind: ModMismatchKind;
+	name: string;
+	sourceVersion: string | null;
+	targetVersion: string | null;
+}
+export interface PayloadSchemaError {
+	path: string;
+	message: string;
+}
+export interface DiffPosition {
+	x: number;
+	y: number;
+}
+export interface DiffEntity {
+	name: string;
+	type: string;
+	position: DiffPosition;
+	entityId: number | string | null;
+}
+export interface EntityMove extends DiffEntity {
+	from: DiffPosition;
+}
+export type SettingChangeKind = "recipe" | "direction" | "filters" | "control_behavior" | "circuit_connections";
+export interface EntitySettingChange extends DiffEntity {
+	kind: SettingChangeKind;
+	before: unknown;
+	after: unknown;
+}
+export interface CountDelta {
+	name: string;
+	before: number;
+	after: number;
+	delta: number;
+}
+export type FidelityStatus = "match" | "mismatch" | "skipped";
+export interface FidelityReport {
+	status: FidelityStatus;
+	destinationPlatformIndex: number | null;
+	sourceEntities: number;
+	mismatchCount: number;
+	truncated: boolean;
+	missing: DiffEntity[];
+	unexpected: DiffEntity[];
+	settingsChanged: EntitySettingChange[];
+	reason: string | null;
+}
+export interface ExportDiff {
+	unchangedEntities: number;
+	entitiesAdded: DiffEntity[];
+	entitiesRemoved: DiffEntity[];
+	entitiesMoved: EntityMove[];
+	settingsChanged: EntitySettingChange[];
+	itemDeltas: CountDelta[];
+	fluidDeltas: CountDelta[];
+}
+export interface BlueprintReport {
+	entities: number;
+	tiles: number;
+	wires: number;
+	unsupported: string[];
+}
+export type EvictionReason = "max_entries" | "max_bytes" | "instance_quota";
+export interface PlannedEviction {
+	exportId: string;
+	platformName: string;
+	instanceId: number;
+	timestamp: number;
+	size: number;
+	inFlight: boolean;
+	reason: EvictionReason;
+}
+export interface StorageTotals {
+	entries: number;
+	bytes: number;
+	pinnedEntries: number;
+	bytesByInstance: Record<string, number>;
+}
+export interface EvictionPlan {
+	before: StorageTotals;
+	after: StorageTotals;
+	evict: PlannedEviction[];
+	unmet: string[];
+}
+export interface StateBackupFile {
+	name: string;
+	bytes: number;
+	sha256: string;
+}
+export interface StateBackupCounts {
+	storedExports: number;
+	transactionLogs: number;
+	auditRows: number;
+	gatewayLinks: number;
+	pendingTransfers: number;
+	sourceCommitMarkers: number;
+	pendingDeliveries?: number;
+	transferSchedules?: number;
+}
+export interface StateBackupManifest {
+	format: string;
+	formatVersion: number;
+	pluginVersion: string | null;
+	auditRowVersion: number;
+	createdAt: number;
+	counts: StateBackupCounts;
+	files: StateBackupFile[];
+}
+export interface StateBackupArchive {
+	manifest: StateBackupManifest;
+	files: Record<string, string>;
+}
+export interface SalvageReport {
+	target: SalvageTarget;
+	location: string;
+	applied: boolean;
+	quarantinedAs: string | null;
+	recovered: number;
+	dropped: number;
+	truncated: boolean;
+	lostBytes: number;
+	lostIds: string[];
 }
 export interface TransactionLogEntryModel {
 	timestamp: string;
@@ -143,7 +368,23 @@ export interface HostNodeModel {
 }
 
 
-export type AuditRowKind = "start" | "terminal";
+export type PreflightIssueKind = "entity" | "item" | "fluid" | "tile" | "quality" | "space_location" | "schedule" | "platform_forbidden" | "foundation";
+
+export interface PreflightIssue {
+	kind: PreflightIssueKind;
+	name: string;
+	count: number | null;
+	message: string;
+}
+
+export interface PreflightReport {
+	platformName: string;
+	targetInstanceId: number;
+	blockers: PreflightIssue[];
+	warnings: PreflightIssue[];
+}
+
+export type AuditRowKind = "start" | "cancel" | "terminal";
 
 export interface AuditRow {
 	v: number;
@@ -167,6 +408,15 @@ export interface AuditRow {
 	eventCount: number;
 	error: string | null;
 	errorTruncated?: boolean;
+	groupId?: string;
+	groupPolicy?: GroupTransferPolicy;
+	groupChildren?: string[];
+	destinationPlatformIndex?: number;
+	destinationSurfaceIndex?: number;
+	reverseOf?: string;
+	reversedBy?: string;
+	scheduleId?: string;
+	forceName?: string;
 }
 
 
@@ -244,7 +494,7 @@ export interface ValidationResult {
 	fluidCountMatch: boolean;
 	success?: boolean;
 	message?: string;
-	failedStage?: 'items' | 'fluids' | 'belts' | 'test_hook' | null;
+	failedStage?: 'items' | 'fluids' | 'belts' | 'test_hook' | 'hold' | null;
 	testForcedFailure?: boolean;
 	testForcedEntityFailure?: boolean;
 	itemLossByType?: Record<string, { expected: number; actual: number; loss: number }>;
@@ -298,6 +548,9 @@ export interface ValidationResult {
 	cleanup_failed?: boolean;
 	cleanup_error?: string;
 	destinationPreserved?: boolean;
+	destinationHeld?: boolean;
+	destinationPlatformIndex?: number;
+	destinationSurfaceIndex?: number;
 	inventoryOverflowLosses?: {
 		total: number;
 		items: Record<string, number>;
@@ -10,6 +10,14 @@ export interface ShipPhase {
 }
 
 const PHASES: Record<string, ShipPhase> = {
+	queued: {
+		distance: 0, holding: true, opening: false, terminal: false,
+		tone: "holding", label: "queued",
+	},
+	deferred: {
+		distance: 0.5, holding: true, opening: false, terminal: false,
+		tone: "holding", label: "in the mail",
+	},
 	transporting: {
 		distance: 0.5, holding: false, opening: true, terminal: false,
 		tone: "active", label: "in transit",
@@ -18,6 +26,14 @@ const PHASES: Record<string, ShipPhase> = {
 		distance: 0.5, holding: true, opening: false, terminal: false,
 		tone: "holding", label: "validating",
 	},
+	awaiting_group: {
+		distance: 0.5, holding: true, opening: false, terminal: false,
+		tone: "holding", label: "waiting for the group",
+	},
+	committing: {
+		distance: 0.5, holding: true, opening: false, terminal: false,
+		tone: "holding", label: "committing",
+	},
 	completed: {
 		distance: 1, holding: false, opening: false, terminal: true,
 		tone: "success", label: "arrived",
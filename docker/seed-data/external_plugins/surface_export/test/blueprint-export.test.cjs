@@ -0,0 +1,172 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { deflateSync, inflateSync } = require("node:zlib");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+const registered = [];
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			Command: class { constructor(options) { this.definition = options.definition; this.handler = options.handler; registered.push(this); } },
+			CommandTree: class { constructor() { this.children = []; } add(command) { this.children.push(command); } },
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	if (request === "@clusterio/ctl") {
+		return { BaseCtlPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { buildBlueprint, encodeBlueprintVersion } = require(path.join(distNode, "lib", "blueprint-export.js"));
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const messages = require(path.join(distNode, "messages.js"));
+require(path.join(distNode, "control.js"));
+
+function decode(blueprintString) {
+	assert.equal(blueprintString[0], "0");
+	return JSON.parse(inflateSync(Buffer.from(blueprintString.slice(1), "base64")).toString("utf8")).blueprint;
+}
+
+const PAYLOAD = {
+	schema_version: "2.0.0",
+	factorio_version: "2.0.28",
+	platform: { name: "Hauler", schedule: { records: [{ station: "nauvis" }, { station: "gleba" }], interrupts: [] } },
+	entities: [
+		{ entity_id: 1, name: "space-platform-hub", type: "space-platform-hub", position: { x: 0, y: 0 } },
+		{
+			entity_id: 10, name: "assembling-machine-2", type: "assembling-machine", position: { x: 3.5, y: 3.5 }, direction: 4, quality: "rare",
+			specific_data: { recipe: "iron-gear-wheel", recipe_quality: "normal", crafting_progress: 0.5 },
+		},
+		{
+			entity_id: 11, name: "fast-inserter", type: "inserter", position: { x: 5.5, y: 3.5 },
+			entity_filters: [{ index: 1, name: "iron-plate", quality: "normal", comparator: "=" }],
+			specific_data: { use_filters: true, filter_mode: "blacklist", stack_size_override: 2 },
+			circuit_connections: [{ source_circuit_id: 1, target_entity_id: 12, target_circuit_id: 1 }],
+			control_behavior: { circuit_enable_disable: true, circuit_condition: { comparator: ">", constant: 5 }, read_contents: null },
+		},
+		{
+			entity_id: 12, name: "constant-combinator", type: "constant-combinator", position: { x: 6.5, y: 3.5 },
+			circuit_connections: [
+				{ source_circuit_id: 1, target_entity_id: 11, target_circuit_id: 1 },
+				{ source_circuit_id: 2, target_entity_id: "pos_7.50_3.50", target_circuit_id: 2 },
+				{ source_circuit_id: 1, target_entity_id: 999, target_circuit_id: 1 },
+			],
+			control_behavior: { constant_sections: [{ group: "", filters: [{ index: 1, value: { type: "item", name: "coal" }, min: 7 }] }] },
+		},
+		{ entity_id: "small-lamp@7.500,3.500#0", name: "small-lamp", type: "lamp", position: { x: 7.5, y: 3.5 } },
+		{
+			entity_id: 13, name: "decider-combinator", type: "decider-combinator", position: { x: 8.5, y: 3.5 },
+			control_behavior: { parameters: { conditions: [{ comparator: "<" }], outputs: [] } },
+		},
+		{
+			entity_id: 14, name: "requester-chest", type: "logistic-container", position: { x: 9.5, y: 3.5 },
+			logistic_sections: [{ point_index: 1, sections: [{ multiplier: 1, filters: [{ index: 1, value: { type: "item", name: "coal", quality: "normal", comparator: "=" }, min: 50 }] }] }],
+			specific_data: { bar: 4 },
+		},
+		{ entity_id: 15, name: "splitter", type: "splitter", position: { x: 11, y: 3.5 }, specific_data: { filter: { name: "coal", quality: "normal" }, output_priority: "left" } },
+		{ name: "coal", type: "item-entity", position: { x: 1, y: 1 } },
+	],
+	tiles: [{ name: "space-platform-foundation", position: { x: 0, y: 0 } }, { name: "space-platform-foundation", position: { x: 1, y: 0 } }],
+	verification: { item_counts: { "coal:normal": 40, "iron-plate:normal": 10 }, fluid_counts: { "water@15": 120.25 } },
+};
+
+test("entities, tiles, settings and wires are converted into a blueprint string", () => {
+	const { blueprint, report } = buildBlueprint(PAYLOAD);
+	const decoded = decode(blueprint);
+
+	assert.equal(decoded.item, "blueprint");
+	assert.equal(decoded.label, "Hauler");
+	assert.equal(decoded.version, encodeBlueprintVersion("2.0.28"));
+	assert.equal(decoded.tiles.length, 2);
+	assert.deepEqual(decoded.entities.map(entity => entity.entity_number), [1, 2, 3, 4, 5, 6, 7]);
+
+	const [assembler, inserter, combinator, , decider, chest, splitter] = decoded.entities;
+	assert.deepEqual(assembler, { entity_number: 1, name: "assembling-machine-2", position: { x: 3.5, y: 3.5 }, direction: 4, quality: "rare", recipe: "iron-gear-wheel" });
+	assert.deepEqual(inserter.filters, [{ index: 1, name: "iron-plate", comparator: "=" }]);
+	assert.equal(inserter.filter_mode, "blacklist");
+	assert.equal(inserter.override_stack_size, 2);
+	assert.deepEqual(inserter.control_behavior, { circuit_enable_disable: true, circuit_condition: { comparator: ">", constant: 5 } });
+	assert.deepEqual(combinator.control_behavior.sections.sections, [{ index: 1, group: "", filters: [{ index: 1, name: "coal", comparator: "=", count: 7 }] }]);
+	assert.deepEqual(decider.control_behavior.decider_conditions, { conditions: [{ comparator: "<" }], outputs: [] });
+	assert.deepEqual(chest.request_filters, { sections: [{ index: 1, filters: [{ index: 1, name: "coal", comparator: "=", count: 50 }] }] });
+	assert.equal(chest.bar, 4);
+	assert.deepEqual(splitter.filter, { name: "coal" });
+	assert.equal(splitter.output_priority, "left");
+
+	assert.deepEqual(decoded.wires, [[2, 1, 3, 1], [3, 2, 4, 2]], "each wire once, including targets addressed by position");
+	assert.deepEqual({ entities: report.entities, tiles: report.tiles, wires: report.wires }, { entities: 7, tiles: 2, wires: 2 });
+});
+
+test("the report lists contents, fluids, schedule and entities the blueprint cannot hold", () => {
+	const { report } = buildBlueprint(PAYLOAD);
+
+	assert.deepEqual(report.unsupported, [
+		"Item contents: 50 item(s) of 2 kind(s) in inventories, on belts and in hands",
+		"Fluids: 120.3 unit(s) of 1 kind(s)",
+		"Platform schedule: 2 stop(s) and 0 interrupt(s)",
+		"Entities that cannot be blueprinted: space-platform-hub ×1, coal ×1",
+		"Wires to entities outside the blueprint: 1",
+	]);
+	assert.deepEqual(buildBlueprint({ entities: {}, tiles: {} }).report, { entities: 0, tiles: 0, wires: 0, unsupported: [] });
+	assert.equal(encodeBlueprintVersion("2.0.28"), 562949955256320);
+});
+
+function makePlugin() {
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-blueprint-"));
+	const exportData = {
+		compressed: true,
+		compression: "deflate",
+		payload: deflateSync(Buffer.from(JSON.stringify(PAYLOAD), "utf8")).toString("base64"),
+		schema_version: PAYLOAD.schema_version,
+	};
+	plugin.platformStorage = new Map([["1:001", { exportId: "1:001", platformName: "Hauler", exportData }]]);
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
+	plugin.loadStoredExportData = async (exportId) => plugin.platformStorage.get(exportId).exportData;
+	plugin.checkStoredPayload = () => null;
+	return plugin;
+}
+
+test("the controller converts a stored export and ctl blueprint prints the string and the report", async () => {
+	const plugin = makePlugin();
+	const response = await plugin.handleExportBlueprintRequest({ exportId: "1:001" });
+	assert.equal(response.success, true);
+	assert.equal(response.platformName, "Hauler");
+	assert.equal(decode(response.blueprint).entities.length, 7);
+	assert.deepEqual(await plugin.handleExportBlueprintRequest({ exportId: "1:404" }), { success: false, error: "Export not found: 1:404" });
+	assert.deepEqual(messages.ExportBlueprintRequest.fromJSON({ exportId: "1:001" }).toJSON(), { exportId: "1:001" });
+
+	const command = registered.find(entry => String(entry.definition[0]).startsWith("blueprint "));
+	const control = { sendTo: async (_target, message) => plugin.handleExportBlueprintRequest(message.toJSON()) };
+	const printed = [];
+	const errors = [];
+	const originalLog = console.log;
+	const originalError = console.error;
+	console.log = (line) => printed.push(line);
+	console.error = (line) => errors.push(line);
+	try {
+		await command.handler({ exportId: "1:001" }, control);
+	} finally {
+		console.log = originalLog;
+		console.error = originalError;
+	}
+	assert.deepEqual(printed, [response.blueprint]);
+	assert.equal(errors[0], "Blueprint of Hauler: 7 entities, 2 tiles, 2 wires");
+	assert.ok(errors.includes("  Platform schedule: 2 stop(s) and 0 interrupt(s)"));
+	await assert.rejects(command.handler({ exportId: "1:404" }, control), /Export not found: 1:404/);
+});
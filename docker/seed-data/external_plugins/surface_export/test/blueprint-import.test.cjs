@@ -0,0 +1,240 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { deflateSync } = require("node:zlib");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+const registered = [];
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			Command: class { constructor(options) { this.definition = options.definition; this.handler = options.handler; registered.push(this); } },
+			CommandTree: class { constructor() { this.children = []; } add(command) { this.children.push(command); } },
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	if (request === "@clusterio/ctl") {
+		return { BaseCtlPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { encodeBlueprintString, buildBlueprint } = require(path.join(distNode, "lib", "blueprint-export.js"));
+const { buildPayloadFromBlueprint, decodeBlueprintString, preflightBlueprint } = require(path.join(distNode, "lib", "blueprint-import.js"));
+const { validateExportPayload } = require(path.join(distNode, "lib", "payload-schema.js"));
+const { decodeExportPayload } = require(path.join(distNode, "lib", "schema-migrations.js"));
+const { checkBundle } = require(path.join(distNode, "lib", "bundle-signing.js"));
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const messages = require(path.join(distNode, "messages.js"));
+require(path.join(distNode, "control.js"));
+
+const PROTOTYPES = {
+	"assembling-machine-2": { type: "assembling-machine", platformBlocked: null, collisionBox: [-1.2, -1.2, 1.2, 1.2] },
+	"fast-inserter": { type: "inserter", platformBlocked: null, collisionBox: [-0.15, -0.15, 0.15, 0.15] },
+	"constant-combinator": { type: "constant-combinator", platformBlocked: null, collisionBox: [-0.35, -0.35, 0.35, 0.35] },
+	"decider-combinator": { type: "decider-combinator", platformBlocked: null, collisionBox: [-0.35, -0.85, 0.35, 0.85] },
+	"burner-mining-drill": { type: "mining-drill", platformBlocked: "gravity is 0 on a platform, needs at least 0.1", collisionBox: [-0.7, -0.7, 0.7, 0.7] },
+};
+
+const DESTINATION = {
+	entities: Object.keys(PROTOTYPES),
+	tiles: ["space-platform-foundation"],
+	items: [],
+	fluids: [],
+	qualities: ["normal", "rare"],
+	spaceLocations: ["nauvis"],
+};
+
+function foundation(fromX, toX, fromY, toY) {
+	const tiles = [];
+	for (let x = fromX; x <= toX; x++) {
+		for (let y = fromY; y <= toY; y++) {
+			tiles.push({ name: "space-platform-foundation", position: { x, y } });
+		}
+	}
+	return tiles;
+}
+
+const SOURCE_PAYLOAD = {
+	schema_version: "2.0.0",
+	factorio_version: "2.0.28",
+	platform: { name: "Forge" },
+	entities: [
+		{
+			entity_id: 10, name: "assembling-machine-2", type: "assembling-machine", position: { x: 1.5, y: 1.5 }, direction: 4, quality: "rare",
+			specific_data: { recipe: "iron-gear-wheel", recipe_quality: "normal" },
+		},
+		{
+			entity_id: 11, name: "fast-inserter", type: "inserter", position: { x: 3.5, y: 1.5 },
+			entity_filters: [{ index: 1, name: "iron-plate", quality: "normal", comparator: "=" }],
+			specific_data: { use_filters: true, filter_mode: "blacklist", stack_size_override: 2 },
+			circuit_connections: [{ source_circuit_id: 1, target_entity_id: 12, target_circuit_id: 1 }],
+		},
+		{
+			entity_id: 12, name: "constant-combinator", type: "constant-combinator", position: { x: 4.5, y: 1.5 },
+			circuit_connections: [{ source_circuit_id: 1, target_entity_id: 11, target_circuit_id: 1 }],
+			control_behavior: { constant_sections: [{ group: "", filters: [{ index: 1, value: { type: "item", name: "coal" }, min: 7 }] }] },
+		},
+		{
+			entity_id: 13, name: "decider-combinator", type: "decider-combinator", position: { x: 5.5, y: 1 },
+			control_behavior: { parameters: { conditions: [{ comparator: "<" }], outputs: [] } },
+		},
+	],
+	tiles: foundation(0, 6, 0, 2),
+};
+
+function blueprintString(blueprint) {
+	return encodeBlueprintString({ blueprint: { item: "blueprint", version: 562949955256320, ...blueprint } });
+}
+
+test("a blueprint converts back into a payload that matches the export schema", () => {
+	const blueprint = decodeBlueprintString(buildBlueprint(SOURCE_PAYLOAD).blueprint);
+	assert.equal(blueprint.label, "Forge");
+	assert.equal(blueprint.version, "2.0.28");
+
+	const payload = buildPayloadFromBlueprint(blueprint, PROTOTYPES, { platformName: "Forge II", forceName: "player" });
+	assert.deepEqual(validateExportPayload(payload), []);
+	assert.equal(payload.schema_version, "2.0.0");
+	assert.equal(payload.platform_name, "Forge II");
+	assert.deepEqual(payload.stats, { entity_count: 4, tile_count: 21 });
+	assert.deepEqual(payload.verification, { item_counts: {}, fluid_counts: {} });
+
+	const [assembler, inserter, combinator, decider] = payload.entities;
+	assert.deepEqual(assembler, {
+		entity_id: 1, name: "assembling-machine-2", type: "assembling-machine", force: "player", position: { x: 1.5, y: 1.5 }, direction: 4, quality: "rare",
+		specific_data: { recipe: "iron-gear-wheel", recipe_quality: "normal" },
+	});
+	assert.deepEqual(inserter.entity_filters, [{ index: 1, name: "iron-plate", quality: "normal", comparator: "=" }]);
+	assert.deepEqual(inserter.specific_data, { use_filters: true, filter_mode: "blacklist", stack_size_override: 2 });
+	assert.deepEqual(inserter.circuit_connections, [{ source_circuit_id: 1, target_entity_id: 3, target_circuit_id: 1 }]);
+	assert.deepEqual(combinator.circuit_connections, [{ source_circuit_id: 1, target_entity_id: 2, target_circuit_id: 1 }]);
+	assert.deepEqual(combinator.control_behavior, { constant_sections: [{ group: "", filters: [{ index: 1, value: { type: "item", name: "coal" }, min: 7 }] }] });
+	assert.deepEqual(decider.control_behavior, { parameters: { conditions: [{ comparator: "<" }], outputs: [] } });
+});
+
+test("the preflight blocks entities a platform forbids or that stand off the foundation", () => {
+	const blueprint = decodeBlueprintString(blueprintString({
+		entities: [
+			{ entity_number: 1, name: "burner-mining-drill", position: { x: 1, y: 1 } },
+			{ entity_number: 2, name: "decider-combinator", position: { x: 3.5, y: 0 } },
+			{ entity_number: 3, name: "decider-combinator", position: { x: 1, y: 0.5 }, direction: 4 },
+			{ entity_number: 4, name: "pumpjack", position: { x: 0.5, y: 0.5 } },
+		],
+		tiles: foundation(0, 3, 0, 1),
+	}));
+	const report = preflightBlueprint(blueprint, "Rig", PROTOTYPES, DESTINATION, 7, null);
+
+	assert.deepEqual(report.blockers.map(issue => [issue.kind, issue.name, issue.count]), [
+		["entity", "pumpjack", 1],
+		["platform_forbidden", "burner-mining-drill", 1],
+		["foundation", "decider-combinator", 1],
+	]);
+	assert.equal(report.blockers[1].message, "\"burner-mining-drill\" cannot be built on a space platform: gravity is 0 on a platform, needs at least 0.1 (1 placed)");
+	assert.equal(report.blockers[2].message, "\"decider-combinator\" would stand off the platform foundation (1 placed)");
+	assert.deepEqual({ platformName: report.platformName, targetInstanceId: report.targetInstanceId, warnings: report.warnings }, { platformName: "Rig", targetInstanceId: 7, warnings: [] });
+});
+
+test("blueprint books and strings that are not blueprints are refused", () => {
+	const book = `0${deflateSync(Buffer.from(JSON.stringify({ blueprint_book: { blueprints: [] } }))).toString("base64")}`;
+	assert.throws(() => decodeBlueprintString(book), /Blueprint books are not supported/);
+	assert.throws(() => decodeBlueprintString("  "), /empty/);
+	assert.throws(() => decodeBlueprintString("1abc"), /Unsupported blueprint string version "1"/);
+	assert.throws(() => decodeBlueprintString("0not-deflate"), /could not be decoded/);
+});
+
+function makePlugin(blueprintPrototypes = PROTOTYPES) {
+	const plugin = Object.create(ControllerPlugin.prototype);
+	const sent = [];
+	const imports = [];
+	plugin.stateRestoreInProgress = false;
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
+	plugin.cfg = (field) => (field === "surface_export.export_signing_key" ? "test-key" : null);
+	plugin.platformTree = { resolveTargetInstance: (id) => (id === 7 ? { id, instance: {} } : null) };
+	plugin.controller = {
+		sendTo: async (_target, message) => {
+			sent.push(message.constructor.name);
+			if (message instanceof messages.GetPrototypeCensusRequest) {
+				return { success: true, census: DESTINATION };
+			}
+			return { success: true, prototypes: Object.fromEntries(message.names.map(name => [name, blueprintPrototypes[name]]).filter(([, info]) => info)) };
+		},
+	};
+	plugin.handleImportUploadedExportRequest = async (request, src, sourceLabel, builtByController) => {
+		imports.push({ request, src, sourceLabel, builtByController });
+		return { success: true, operationId: "op-1", platformName: request.platformName, targetInstanceId: request.targetInstanceId };
+	};
+	return { plugin, sent, imports };
+}
+
+test("the controller checks the destination, then imports the payload it built unless it is a dry run", async () => {
+	const blueprint = buildBlueprint(SOURCE_PAYLOAD).blueprint;
+	const { plugin, sent, imports } = makePlugin();
+
+	const dryRun = await plugin.handleImportBlueprintRequest({ targetInstanceId: 7, blueprint, dryRun: true });
+	assert.equal(dryRun.success, true);
+	assert.equal(dryRun.platformName, "Forge");
+	assert.deepEqual(dryRun.preflight.blockers, []);
+	assert.deepEqual(sent, ["GetPrototypeCensusRequest", "DescribeEntityPrototypesRequest"]);
+	assert.equal(imports.length, 0);
+
+	const response = await plugin.handleImportBlueprintRequest({ targetInstanceId: 7, blueprint, platformName: " Forge II ", targetPlanet: "nauvis" }, { id: 3 });
+	assert.equal(response.success, true);
+	assert.equal(response.operationId, "op-1");
+	assert.equal(imports.length, 1);
+	const { request, src, sourceLabel, builtByController } = imports[0];
+	assert.deepEqual({ src, sourceLabel, platformName: request.platformName, targetPlanet: request.targetPlanet }, { src: { id: 3 }, sourceLabel: "Blueprint string", platformName: "Forge II", targetPlanet: "nauvis" });
+	assert.equal(builtByController, true, "the upload path is told the controller built the payload");
+	assert.equal(checkBundle(request.exportData, "test-key").verdict, "unsigned", "the controller does not sign what it built itself");
+	assert.deepEqual(validateExportPayload(decodeExportPayload(request.exportData)), []);
+
+	assert.deepEqual(await plugin.handleImportBlueprintRequest({ targetInstanceId: 8, blueprint }), { success: false, error: "Target instance not found: 8" });
+	assert.match((await plugin.handleImportBlueprintRequest({ targetInstanceId: 7, blueprint: "0eNq" })).error, /could not be decoded/);
+});
+
+test("importing a blueprint needs its own admin permission, not the transfer one", () => {
+	assert.equal(messages.ImportBlueprintRequest.permission, "surface_export.exports.import_blueprint");
+	assert.notEqual(messages.ImportBlueprintRequest.permission, messages.PERMISSIONS.TRANSFER_EXPORTS);
+});
+
+test("blockers refuse the import and ctl import-blueprint prints them", async () => {
+	const { plugin, imports } = makePlugin({ ...PROTOTYPES, "assembling-machine-2": { ...PROTOTYPES["assembling-machine-2"], platformBlocked: "needs gravity" } });
+	const blueprint = buildBlueprint(SOURCE_PAYLOAD).blueprint;
+	const refused = await plugin.handleImportBlueprintRequest({ targetInstanceId: 7, blueprint });
+	assert.equal(refused.success, false);
+	assert.equal(refused.error, "The blueprint cannot be built on instance 7: \"assembling-machine-2\" cannot be built on a space platform: needs gravity (1 placed)");
+	assert.equal(refused.preflight.blockers.length, 1);
+	assert.equal(imports.length, 0);
+	assert.deepEqual(messages.ImportBlueprintRequest.fromJSON({ targetInstanceId: 7, blueprint: "0x" }).toJSON(), {
+		targetInstanceId: 7, blueprint: "0x", forceName: "player", platformName: null, targetPlanet: null, dryRun: false,
+	});
+
+	const command = registered.find(entry => String(entry.definition[0]).startsWith("import-blueprint "));
+	const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-blueprint-import-")), "forge.txt");
+	fs.writeFileSync(file, `${blueprint}\n`);
+	const control = { sendTo: async (_target, message) => plugin.handleImportBlueprintRequest(message.toJSON()) };
+	const printed = [];
+	const originalLog = console.log;
+	console.log = (line) => printed.push(line);
+	try {
+		await assert.rejects(command.handler({ file, targetInstanceId: "7", dryRun: true }, control), /The blueprint cannot be built on instance 7/);
+	} finally {
+		console.log = originalLog;
+	}
+	assert.deepEqual(printed, [
+		"Preflight of Forge to instance 7: 1 blocker(s), 0 warning(s)",
+		"  BLOCKER platform_forbidden: \"assembling-machine-2\" cannot be built on a space platform: needs gravity (1 placed)",
+	]);
+});
@@ -0,0 +1,171 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { checkBundle, signBundle } = require(path.join(distNode, "lib", "bundle-signing.js"));
+const { computeExportDigest } = require(path.join(distNode, "lib", "payload-digest.js"));
+
+const KEY = "controller-secret";
+const PAYLOAD = { schema_version: "2.0.0", entities: [], platform: { force: "player" }, platform_name: "alpha", payload: "body" };
+
+function makePlugin(config = {}, permissions = []) {
+	const events = [];
+	const sent = [];
+	const warns = [];
+	const values = { "surface_export.export_signing_key": KEY, ...config };
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-sign-"));
+	plugin.platformStorage = new Map();
+	plugin.activeTransfers = new Map();
+	plugin.controller = {
+		config: { get: (key) => values[key], set: (key, value) => { values[key] = value; } },
+		instances: new Map(),
+		sendTo: async (_dst, msg) => { sent.push(msg); return { success: true, platformName: "alpha" }; },
+		wsServer: {
+			controlConnections: new Map([[7, { user: { checkPermission(permission) {
+				if (!permissions.includes(permission)) {
+					throw new Error(`Permission denied: ${permission}`);
+				}
+			} } }]]),
+		},
+	};
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn: (m) => warns.push(m) };
+	plugin.subscriptions = { queueTreeBroadcast() {}, emitTransferUpdate() {} };
+	plugin.platformTree = { resolveTargetInstance: (id) => ({ id, instance: {} }) };
+	plugin.txLogger = {
+		logTransactionEvent: (transferId, eventType, message, data) => events.push({ eventType, message, data }),
+		persistTransactionLog: async () => {},
+	};
+	plugin.orchestrator = { pruneOldTransfers() {}, migratePayload: (_transferId, exportData) => exportData, checkModCompatibility: async () => null };
+	plugin.createOperationRecord = async (operationType, options) => ({ transferId: "op-1", operationType, ...options });
+	return { plugin, events, sent, warns, values };
+}
+
+function signed(payload = PAYLOAD, key = KEY) {
+	return signBundle(payload, computeExportDigest(payload), key);
+}
+
+test("a bundle verifies only with the signing key and unedited content", () => {
+	assert.equal(checkBundle(signed(), KEY).verdict, "signed");
+	assert.equal(checkBundle(PAYLOAD, KEY).verdict, "unsigned");
+	assert.equal(checkBundle(signed(), null).verdict, "unsigned", "without a key nothing can be vouched for");
+	assert.equal(checkBundle(signed(PAYLOAD, "another-controller"), KEY).verdict, "tampered");
+
+	const edited = { ...signed(), payload: "more items" };
+	const check = checkBundle(edited, KEY);
+	assert.equal(check.verdict, "tampered");
+	assert.match(check.detail, /digest mismatch/);
+
+	const { _digest, ...editedWithoutDigest } = edited;
+	assert.equal(checkBundle(editedWithoutDigest, KEY).verdict, "tampered",
+		"dropping _digest must not let an edit past the signature");
+});
+
+test("downloads are signed with the controller key", async () => {
+	const { plugin } = makePlugin();
+	plugin.platformStorage.set("1:001", {
+		exportId: "1:001", instanceId: 1, platformName: "alpha", timestamp: 1, size: 1,
+		exportData: PAYLOAD, digest: computeExportDigest(PAYLOAD),
+	});
+
+	const response = await plugin.handleGetStoredExportRequest({ exportId: "1:001" });
+
+	assert.equal(response.success, true);
+	assert.match(response.exportData._signature, /^hmac-sha256:[0-9a-f]{64}$/);
+	assert.equal(checkBundle(response.exportData, KEY).verdict, "signed");
+});
+
+test("a missing signing key is generated once at startup", () => {
+	const { plugin, values } = makePlugin({ "surface_export.export_signing_key": "" });
+	plugin.ensureSigningKey();
+	const generated = values["surface_export.export_signing_key"];
+	assert.match(generated, /^[0-9a-f]{64}$/);
+	plugin.ensureSigningKey();
+	assert.equal(values["surface_export.export_signing_key"], generated, "an existing key is never replaced");
+});
+
+test("the default policy refuses unsigned uploads and accepts signed ones", async () => {
+	const { plugin, events, sent } = makePlugin();
+
+	const refused = await plugin.handleImportUploadedExportRequest({ targetInstanceId: 2, exportData: PAYLOAD }, { id: 7 });
+	assert.equal(refused.success, false);
+	assert.match(refused.error, /no signature/);
+	assert.ok(events.some(e => e.eventType === "upload_unsigned_refused"));
+	assert.equal(sent.length, 0);
+
+	const accepted = await plugin.handleImportUploadedExportRequest({ targetInstanceId: 2, exportData: signed() }, { id: 7 });
+	assert.equal(accepted.success, true);
+	assert.equal(sent.length, 1);
+	assert.equal(events.filter(e => e.eventType === "import_requested")[1].data.signature, "signed");
+});
+
+test("the warn policy imports unsigned uploads and records a warning", async () => {
+	const { plugin, events, sent } = makePlugin({ "surface_export.upload_signature_policy": "warn" });
+
+	const result = await plugin.handleImportUploadedExportRequest(
+		{ targetInstanceId: 2, exportData: { ...signed(), payload: "edited" } }, { id: 7 });
+
+	assert.equal(result.success, true);
+	assert.equal(sent.length, 1);
+	assert.match(events.find(e => e.eventType === "upload_signature_warning").message, /tampered upload/);
+});
+
+test("a payload the controller built itself skips the signature verdict; the same payload uploaded is refused", async () => {
+	const { plugin, events, sent } = makePlugin();
+
+	const built = await plugin.handleImportUploadedExportRequest({ targetInstanceId: 2, exportData: PAYLOAD }, { id: 7 }, "Blueprint string", true);
+	assert.equal(built.success, true);
+	assert.equal(sent.length, 1);
+	const requested = events.find(e => e.eventType === "import_requested").data;
+	assert.deepEqual([requested.signature, requested.payloadDigest], ["built_by_controller", computeExportDigest(PAYLOAD)]);
+	assert.ok(!events.some(e => e.eventType === "upload_signature_warning"));
+
+	const uploaded = await plugin.handleImportUploadedExportRequest({ targetInstanceId: 2, exportData: PAYLOAD }, { id: 7 });
+	assert.equal(uploaded.success, false);
+	assert.match(uploaded.error, /no signature/);
+	assert.equal(sent.length, 1);
+});
+
+test("asking for a weaker policy than the controller's needs the import_unsigned permission", async () => {
+	const player = makePlugin();
+	const denied = await player.plugin.handleImportUploadedExportRequest(
+		{ targetInstanceId: 2, exportData: PAYLOAD, signaturePolicy: "allow" }, { id: 7 });
+	assert.equal(denied.success, false);
+	assert.match(denied.error, /surface_export\.exports\.import_unsigned/);
+	assert.equal(player.events.length, 0, "a refused override never opens an operation");
+
+	const admin = makePlugin({}, ["surface_export.exports.import_unsigned"]);
+	const allowed = await admin.plugin.handleImportUploadedExportRequest(
+		{ targetInstanceId: 2, exportData: PAYLOAD, signaturePolicy: "allow" }, { id: 7 });
+	assert.equal(allowed.success, true);
+	assert.equal(admin.sent.length, 1);
+	assert.equal(admin.events[0].data.signaturePolicy, "allow");
+
+	const stricter = await player.plugin.handleImportUploadedExportRequest(
+		{ targetInstanceId: 2, exportData: signed(), signaturePolicy: "refuse" }, { id: 7 });
+	assert.equal(stricter.success, true, "the controller's own policy needs no extra permission");
+});
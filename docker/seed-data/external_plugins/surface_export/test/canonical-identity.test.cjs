@@ -32,6 +32,7 @@ Module._load = function patchedLoad(request, parent, isMain) {
 const distNode = path.join(__dirname, "..", "dist", "node");
 const helpers = require(path.join(distNode, "helpers.js"));
 const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { FilesystemStorageBackend } = require(path.join(distNode, "lib", "storage-backend.js"));
 const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
 const messages = require(path.join(distNode, "messages.js"));
 
@@ -49,6 +50,9 @@ function makeControllerHarness() {
 	const calls = { persisted: 0, broadcasts: 0, warns: [] };
 	const plugin = Object.create(ControllerPlugin.prototype);
 	plugin.platformStorage = new Map();
+	plugin.activeTransfers = new Map();
+	plugin.pendingDeliveries = new Map();
+	plugin.controller = { instances: new Map() };
 	plugin.logger = { info() {}, verbose() {}, error(msg) { throw new Error(msg); }, warn(msg) { calls.warns.push(msg); } };
 	plugin.cfg = () => 100;
 	plugin.persistStorage = async () => { calls.persisted++; };
@@ -64,7 +68,7 @@ test("controller stores source exports by canonical sourceInstanceId:sourceExpor
 		platformName: "test",
 		platformIndex: 3,
 		instanceId: 1,
-		exportData: { platform: { force: "player" } },
+		exportData: { schema_version: "2.0.0", entities: [], platform: { force: "player" } },
 		timestamp: 1000,
 		exportMetrics: null,
 	});
@@ -73,7 +77,7 @@ test("controller stores source exports by canonical sourceInstanceId:sourceExpor
 		platformName: "test",
 		platformIndex: 4,
 		instanceId: 2,
-		exportData: { platform: { force: "player" } },
+		exportData: { schema_version: "2.0.0", entities: [], platform: { force: "player" } },
 		timestamp: 1001,
 		exportMetrics: null,
 	});
@@ -88,6 +92,8 @@ test("controller loadStorage migrates legacy raw source export ids without dropp
 	const { plugin, calls } = makeControllerHarness();
 	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-storage-"));
 	plugin.storagePath = path.join(dir, "exports.json");
+	plugin.storageDir = path.join(dir, "exports");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
 	fs.writeFileSync(plugin.storagePath, JSON.stringify([
 		{ exportId: "001_test", platformName: "legacy", platformIndex: 1, instanceId: 7, exportData: {}, timestamp: 1, size: 2 },
 		{ exportId: "8:002_done", sourceExportId: "002_done", platformName: "done", platformIndex: 2, instanceId: 8, exportData: {}, timestamp: 2, size: 2 },
@@ -109,7 +115,7 @@ function makeTransferHarness() {
 	const stored = {
 		exportId: "1:001_test",
 		sourceExportId: "001_test",
-		exportData: { platform: { force: "player" } },
+		exportData: { schema_version: "2.0.0", entities: [], platform: { force: "player" } },
 		exportMetrics: null,
 		platformName: "test-platform",
 		platformIndex: 3,
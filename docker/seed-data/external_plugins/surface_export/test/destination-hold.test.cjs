@@ -89,10 +89,15 @@ test("destination hold remote fails loud for unknown force names", () => {
 	assert.match(remote, /local force = game\.forces\[selected_force_name\]/);
 	assert.doesNotMatch(remote, /game\.forces\[force_name or "player"\] or game\.forces\.player/);
 });
-test("normal transfer import path is not yet gated on destination hold", () => {
+test("transfer import stages the destination hold only after activation and the park settle", () => {
 	const importCompletion = read("module/core/import-completion.lua");
-	assert.doesNotMatch(importCompletion, /DestinationHold/);
-	assert.match(importCompletion, /Platform .* UNPAUSED after successful validation/);
+	const stageAt = importCompletion.indexOf("DestinationHold.stage(job.transfer_id, job.target_platform");
+	assert.ok(stageAt !== -1, "a validated transfer must VOTE by staging a hold");
+	assert.ok(stageAt > importCompletion.indexOf("ActiveStateRestoration.restore("), "the VOTE follows activation");
+	assert.ok(stageAt > importCompletion.indexOf("settled at the CAPTURED paused"), "the hold captures the settled pause state");
+	assert.ok(stageAt < importCompletion.indexOf("clusterio_api.send_json(\"surface_export_import_complete\""), "the hold lands before the verdict is sent");
+	assert.match(importCompletion, /result\.destinationHeld = true/);
+	assert.match(importCompletion, /result\.failedStage = "hold"/, "a hold that cannot be staged turns the VOTE into a refusal");
 });
 
 test("destination hold stage completes cargo pods by reusing SurfaceLock helper", () => {
@@ -24,7 +24,8 @@ const pluginRoot = path.join(__dirname, "..");
 const messagesSource = fs.readFileSync(path.join(pluginRoot, "messages.ts"), "utf8");
 const exportPipelineSource = fs.readFileSync(
 	path.join(pluginRoot, "module", "core", "export-pipeline.lua"), "utf8");
-const tsSources = ["controller.ts", "instance.ts", "helpers.ts", path.join("lib", "transfer-orchestrator.ts")]
+const tsSources = ["controller.ts", "instance.ts", "helpers.ts", path.join("lib", "transfer-orchestrator.ts"),
+	path.join("lib", "payload-digest.ts"), path.join("lib", "bundle-signing.ts")]
 	.map(rel => fs.readFileSync(path.join(pluginRoot, rel), "utf8"))
 	.join("\n");
 
@@ -38,6 +39,9 @@ const MANIFEST = [
 	{ name: "payload", declared: true, origin: LUA_ENVELOPE },
 	{ name: "platform_name", declared: true, origin: LUA_ENVELOPE },
 	{ name: "stats", declared: true, origin: LUA_ENVELOPE },
+	{ name: "mods", declared: true, origin: LUA_ENVELOPE },
+	{ name: "module_version", declared: true, origin: LUA_ENVELOPE },
+	{ name: "schema_version", declared: true, origin: LUA_ENVELOPE },
 	{ name: "verification", declared: true, origin: LUA_ENVELOPE },
 	{
 		name: "tick",
@@ -81,6 +85,22 @@ const MANIFEST = [
 		origin: TS_INJECTED,
 		note: "written at controller.ts:330 and read at module/core/import-pipeline.lua:322",
 	},
+	{
+		name: "_digest",
+		declared: true,
+		origin: TS_INJECTED,
+		note: "written onto downloaded payloads by withEmbeddedDigest in lib/payload-digest.ts and read "
+			+ "back by handleImportUploadedExportRequest in controller.ts, which strips it before the "
+			+ "payload reaches Lua; excluded from the digest itself like every `_` key",
+	},
+	{
+		name: "_signature",
+		declared: true,
+		origin: TS_INJECTED,
+		note: "written onto downloaded payloads by signBundle in lib/bundle-signing.ts, checked by "
+			+ "checkBundle when handleImportUploadedExportRequest in controller.ts accepts an upload, and "
+			+ "stripped there before the payload reaches Lua",
+	},
 ];
 
 function matchedBlock(source, openIndex) {
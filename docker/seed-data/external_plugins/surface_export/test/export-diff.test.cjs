@@ -0,0 +1,162 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { deflateSync } = require("node:zlib");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+const registered = [];
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			Command: class { constructor(options) { this.definition = options.definition; this.handler = options.handler; registered.push(this); } },
+			CommandTree: class { constructor() { this.children = []; } add(command) { this.children.push(command); } },
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	if (request === "@clusterio/ctl") {
+		return { BaseCtlPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { diffExportPayloads, summarizeExportDiff } = require(path.join(distNode, "lib", "export-diff.js"));
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const messages = require(path.join(distNode, "messages.js"));
+require(path.join(distNode, "control.js"));
+
+function entity(id, name, x, y, extra = {}) {
+	return { entity_id: id, name, type: name, position: { x, y }, ...extra };
+}
+
+const BEFORE = {
+	schema_version: "2.0.0",
+	entities: [
+		entity(1, "assembling-machine-2", 0.5, 0.5, { specific_data: { recipe: "iron-gear-wheel", recipe_quality: "normal" } }),
+		entity(2, "inserter", 2.5, 0.5, { control_behavior: { circuit_enable_disable: true, circuit_condition: { comparator: ">", constant: 5 } } }),
+		entity(3, "pipe", 4.5, 0.5),
+		entity(4, "cargo-bay", 6, 6),
+		entity(5, "splitter", 8, 0.5, { specific_data: { filter: "coal" } }),
+		{ type: "item-on-ground", name: "coal", count: 1, position: { x: 9, y: 9 } },
+	],
+	verification: { item_counts: { "iron-plate:normal": 50, "coal:normal": 10 }, fluid_counts: { water: 100, steam: 20.0000001 } },
+};
+
+const AFTER = {
+	schema_version: "2.0.0",
+	entities: [
+		entity(11, "assembling-machine-2", 0.5, 0.5, { specific_data: { recipe: "copper-cable", recipe_quality: "rare" } }),
+		entity(12, "inserter", 2.5, 0.5, { control_behavior: { circuit_condition: { constant: 5, comparator: ">" }, circuit_enable_disable: true } }),
+		entity(3, "pipe", 4.5, 2.5),
+		entity(5, "splitter", 8, 0.5, { specific_data: { filter: "iron-ore" } }),
+		entity(6, "solar-panel", 12, 12),
+	],
+	verification: { item_counts: { "iron-plate:normal": 80, "coal:normal": 10, "copper-cable:normal": 4 }, fluid_counts: { water: 40, steam: 20 } },
+};
+
+test("entities are matched by position first and by entity id when they moved", () => {
+	const diff = diffExportPayloads(BEFORE, AFTER);
+
+	assert.deepEqual(diff.entitiesAdded, [{ name: "solar-panel", type: "solar-panel", position: { x: 12, y: 12 }, entityId: 6 }]);
+	assert.deepEqual(diff.entitiesRemoved.map(row => row.name).sort(), ["cargo-bay", "coal"]);
+	assert.deepEqual(diff.entitiesMoved, [{ name: "pipe", type: "pipe", position: { x: 4.5, y: 2.5 }, entityId: 3, from: { x: 4.5, y: 0.5 } }]);
+	assert.equal(diff.unchangedEntities, 1, "only the reordered-but-equal inserter is unchanged");
+});
+
+test("recipe and filter changes are reported and key order does not count as a change", () => {
+	const diff = diffExportPayloads(BEFORE, AFTER);
+
+	assert.deepEqual(diff.settingsChanged.map(change => [change.name, change.kind, change.before, change.after]), [
+		["assembling-machine-2", "recipe", "iron-gear-wheel", "copper-cable (rare)"],
+		["splitter", "filters", { filter: "coal" }, { filter: "iron-ore" }],
+	]);
+
+	const rewired = structuredClone(AFTER);
+	rewired.entities[1].control_behavior.circuit_condition.constant = 9;
+	rewired.entities[1].logistic_sections = {};
+	const change = diffExportPayloads(BEFORE, rewired).settingsChanged.find(row => row.kind === "control_behavior");
+	assert.equal(change.after.control_behavior.circuit_condition.constant, 9);
+});
+
+test("item and fluid deltas come from the verification counts, largest first", () => {
+	const diff = diffExportPayloads(BEFORE, AFTER);
+
+	assert.deepEqual(diff.itemDeltas, [
+		{ name: "iron-plate:normal", before: 50, after: 80, delta: 30 },
+		{ name: "copper-cable:normal", before: 0, after: 4, delta: 4 },
+	]);
+	assert.deepEqual(diff.fluidDeltas, [{ name: "water", before: 100, after: 40, delta: -60 }], "float noise is not a change");
+	assert.equal(summarizeExportDiff(diff), "1 added, 2 removed, 1 moved, 2 setting change(s), 2 item and 1 fluid count change(s), 1 unchanged");
+	assert.deepEqual(diffExportPayloads({ entities: {} }, {}).itemDeltas, []);
+});
+
+function compressed(inner) {
+	return {
+		compressed: true,
+		compression: "deflate",
+		payload: deflateSync(Buffer.from(JSON.stringify(inner), "utf8")).toString("base64"),
+		schema_version: inner.schema_version,
+	};
+}
+
+function makePlugin() {
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-diff-"));
+	plugin.platformStorage = new Map([
+		["1:001", { exportId: "1:001", platformName: "Hauler", exportData: compressed(BEFORE) }],
+		["1:002", { exportId: "1:002", platformName: "Hauler", exportData: compressed(AFTER) }],
+		["1:003", { exportId: "1:003", platformName: "Hauler", exportData: compressed(AFTER), integrityError: "digest mismatch" }],
+	]);
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
+	plugin.loadStoredExportData = async (exportId) => plugin.platformStorage.get(exportId).exportData;
+	plugin.checkStoredPayload = (stored) => (stored.integrityError ? `Export ${stored.exportId} failed its integrity check: ${stored.integrityError}` : null);
+	return plugin;
+}
+
+test("the controller decodes both stored payloads and refuses missing or corrupted ones", async () => {
+	const plugin = makePlugin();
+
+	const response = await plugin.handleDiffExportsRequest({ beforeExportId: "1:001", afterExportId: "1:002" });
+	assert.equal(response.success, true);
+	assert.equal(response.diff.entitiesMoved[0].name, "pipe");
+
+	assert.deepEqual(await plugin.handleDiffExportsRequest({ beforeExportId: "1:001", afterExportId: "1:999" }),
+		{ success: false, error: "Export not found: 1:999" });
+	assert.match((await plugin.handleDiffExportsRequest({ beforeExportId: "1:003", afterExportId: "1:002" })).error, /integrity check/);
+
+	assert.deepEqual(messages.DiffExportsRequest.fromJSON({ beforeExportId: "a", afterExportId: "b" }).toJSON(), { beforeExportId: "a", afterExportId: "b" });
+});
+
+test("ctl diff prints each section with positions and signed deltas", async () => {
+	const plugin = makePlugin();
+	const command = registered.find(entry => String(entry.definition[0]).startsWith("diff "));
+	const control = { sendTo: async (_target, message) => plugin.handleDiffExportsRequest(message.toJSON()) };
+	const printed = [];
+	const originalLog = console.log;
+	console.log = (line) => printed.push(line);
+	try {
+		await command.handler({ beforeExportId: "1:001", afterExportId: "1:002" }, control);
+	} finally {
+		console.log = originalLog;
+	}
+
+	assert.match(printed[0], /^1:001 → 1:002: 1 added, 2 removed, 1 moved/);
+	assert.ok(printed.includes("  + solar-panel at (12, 12)"));
+	assert.ok(printed.includes("  ~ pipe (4.5, 0.5) → (4.5, 2.5)"));
+	assert.ok(printed.includes("  * assembling-machine-2 at (0.5, 0.5) recipe: \"iron-gear-wheel\" → \"copper-cable (rare)\""));
+	assert.ok(printed.includes("  water: 100 → 40 (-60)"));
+	assert.ok(printed.includes("  iron-plate:normal: 50 → 80 (+30)"));
+	await assert.rejects(command.handler({ beforeExportId: "1:001", afterExportId: "nope" }, control), /Export not found: nope/);
+});
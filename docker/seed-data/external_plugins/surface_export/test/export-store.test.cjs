@@ -0,0 +1,148 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { FilesystemStorageBackend } = require(path.join(distNode, "lib", "storage-backend.js"));
+const { exportPayloadPath } = require(path.join(distNode, "lib", "export-store.js"));
+
+function makePlugin(dir) {
+	const warns = [];
+	const errors = [];
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.storagePath = path.join(dir, "surface_export_storage.json");
+	plugin.storageDir = path.join(dir, "surface_export_exports");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
+	plugin.storageLoadError = null;
+	plugin.consecutiveStorageWriteFailures = 0;
+	plugin.platformStorage = new Map();
+	plugin.cfg = () => null;
+	plugin.logger = { error: (m) => errors.push(m), info() {}, verbose() {}, warn: (m) => warns.push(m) };
+	plugin.subscriptions = { queueTreeBroadcast() {} };
+	return { plugin, warns, errors };
+}
+
+function legacyEntry(i) {
+	return {
+		exportId: `1:00${i}`,
+		sourceExportId: `00${i}`,
+		platformName: `platform-${i}`,
+		platformIndex: i,
+		instanceId: 1,
+		exportData: { payload: `body-${i}` },
+		exportMetrics: null,
+		timestamp: 1000 + i,
+		size: 10,
+	};
+}
+
+test("first boot migrates the monolithic file into an index plus one file per payload", async () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-store-"));
+	const { plugin, errors } = makePlugin(dir);
+	fs.writeFileSync(plugin.storagePath, JSON.stringify([legacyEntry(1), legacyEntry(2)], null, 2));
+
+	await plugin.loadStorage();
+
+	assert.deepEqual(errors, []);
+	assert.equal(plugin.storageLoadError, null);
+	assert.ok(!fs.existsSync(plugin.storagePath), "the legacy file must not be migrated twice");
+	assert.ok(fs.existsSync(`${plugin.storagePath}.migrated`), "the legacy file is kept aside, not deleted");
+	const index = JSON.parse(fs.readFileSync(path.join(plugin.storageDir, "index.json"), "utf8"));
+	assert.deepEqual(index.map(entry => entry.exportId).sort(), ["1:001", "1:002"]);
+	assert.ok(index.every(entry => !("exportData" in entry)), "the index must not carry payloads");
+	assert.deepEqual(JSON.parse(fs.readFileSync(exportPayloadPath(plugin.storageDir, "1:002"), "utf8")), { payload: "body-2" });
+	assert.equal(plugin.platformStorage.get("1:001").exportData, undefined, "migrated payloads must be released from memory");
+	assert.deepEqual(await plugin.loadStoredExportData("1:001"), { payload: "body-1" });
+});
+
+test("a boot with an index reads metadata only and loads payloads on demand", async () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-store-"));
+	const { plugin: first } = makePlugin(dir);
+	first.platformStorage.set("1:001", legacyEntry(1));
+	await first.persistStorage();
+
+	const { plugin } = makePlugin(dir);
+	await plugin.loadStorage();
+
+	assert.equal(plugin.platformStorage.get("1:001").exportData, undefined);
+	assert.equal(plugin.platformStorage.get("1:001").platformName, "platform-1");
+	const response = await plugin.handleGetStoredExportRequest({ exportId: "1:001" });
+	assert.equal(response.success, true);
+	const { _digest, ...payload } = response.exportData;
+	assert.deepEqual(payload, { payload: "body-1" });
+	assert.equal(_digest, plugin.platformStorage.get("1:001").digest, "downloads carry the stored digest");
+	assert.equal(await plugin.loadStoredExportData("1:404"), null);
+});
+
+test("persisting after a removal deletes the orphaned payload file", async () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-store-"));
+	const { plugin } = makePlugin(dir);
+	plugin.platformStorage.set("1:001", legacyEntry(1));
+	plugin.platformStorage.set("1:002", legacyEntry(2));
+	await plugin.persistStorage();
+	const orphan = exportPayloadPath(plugin.storageDir, "1:001");
+	assert.ok(fs.existsSync(orphan));
+
+	plugin.platformStorage.delete("1:001");
+	await plugin.persistStorage();
+
+	assert.ok(!fs.existsSync(orphan), "an evicted export must not leave its payload behind");
+	assert.ok(fs.existsSync(exportPayloadPath(plugin.storageDir, "1:002")));
+});
+
+test("an index entry whose payload file is gone is dropped at load with a warning", async () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-store-"));
+	const { plugin: first } = makePlugin(dir);
+	first.platformStorage.set("1:001", legacyEntry(1));
+	first.platformStorage.set("1:002", legacyEntry(2));
+	await first.persistStorage();
+	fs.unlinkSync(exportPayloadPath(first.storageDir, "1:002"));
+
+	const { plugin, warns } = makePlugin(dir);
+	await plugin.loadStorage();
+
+	assert.deepEqual([...plugin.platformStorage.keys()], ["1:001"]);
+	assert.match(warns.join("\n"), /1:002.*payload file is missing/);
+	assert.equal(plugin.storageLoadError, null);
+});
+
+test("a corrupt index disables persistence and leaves the store untouched", async () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-store-"));
+	const { plugin } = makePlugin(dir);
+	fs.mkdirSync(plugin.storageDir, { recursive: true });
+	const corruptBytes = "[{not valid json]\n";
+	fs.writeFileSync(path.join(plugin.storageDir, "index.json"), corruptBytes);
+	fs.writeFileSync(plugin.storagePath, JSON.stringify([legacyEntry(1)]));
+
+	await plugin.loadStorage();
+	assert.ok(plugin.storageLoadError, "a corrupt index must latch the load failure");
+	plugin.platformStorage.set("1:003", legacyEntry(3));
+	await plugin.persistStorage();
+
+	assert.equal(fs.readFileSync(path.join(plugin.storageDir, "index.json"), "utf8"), corruptBytes);
+	assert.ok(fs.existsSync(plugin.storagePath), "a corrupt index must not trigger the legacy migration");
+	assert.ok(!fs.existsSync(exportPayloadPath(plugin.storageDir, "1:003")));
+});
@@ -0,0 +1,165 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { FidelityCheck, buildFidelityReport, summarizeFidelityReport } = require(path.join(distNode, "lib", "fidelity-check.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function entity(id, name, x, y, extra = {}) {
+	return { entity_id: id, name, type: name, position: { x, y }, ...extra };
+}
+
+function wire(target) {
+	return [{ source_circuit_id: 1, target_entity_id: target, target_circuit_id: 1 }];
+}
+
+const SOURCE = {
+	schema_version: "2.0.0",
+	entities: [
+		entity(1, "inserter", 0.5, 0.5, { direction: 4, circuit_connections: wire(2) }),
+		entity(2, "constant-combinator", 1.5, 0.5, { circuit_connections: wire(1) }),
+		entity(3, "assembling-machine-1", 4.5, 4.5, { specific_data: { recipe: "iron-gear-wheel" } }),
+	],
+	verification: { item_counts: { "iron-plate:normal": 10 } },
+};
+
+function destination(overrides = {}) {
+	return {
+		schema_version: "2.0.0",
+		entities: [
+			entity(101, "inserter", 0.5, 0.5, { direction: 4, circuit_connections: wire(102) }),
+			entity(102, "constant-combinator", 1.5, 0.5, { circuit_connections: wire(101) }),
+			entity(103, "assembling-machine-1", 4.5, 4.5, { specific_data: { recipe: "iron-gear-wheel" } }),
+		],
+		verification: { item_counts: { "iron-plate:normal": 7 } },
+		...overrides,
+	};
+}
+
+test("a faithful destination matches even though entity ids and live counts differ", () => {
+	const report = buildFidelityReport(SOURCE, destination(), 4);
+
+	assert.equal(report.status, "match");
+	assert.equal(report.mismatchCount, 0);
+	assert.equal(report.destinationPlatformIndex, 4);
+	assert.equal(summarizeFidelityReport(report), "Destination matches the source structurally (3 entities)");
+});
+
+test("rotation, rewired circuits and missing entities are reported per entity", () => {
+	const broken = destination();
+	broken.entities[0].direction = 0;
+	broken.entities[1].circuit_connections = [];
+	broken.entities[2] = entity(103, "assembling-machine-2", 4.5, 4.5);
+
+	const report = buildFidelityReport(SOURCE, broken, 4);
+
+	assert.equal(report.status, "mismatch");
+	assert.deepEqual(report.missing.map(row => row.name), ["assembling-machine-1"]);
+	assert.deepEqual(report.unexpected.map(row => row.name), ["assembling-machine-2"]);
+	assert.deepEqual(report.settingsChanged.map(row => [row.name, row.kind, row.before, row.after]), [
+		["inserter", "direction", 4, 0],
+		["constant-combinator", "circuit_connections", ["1 → inserter@0.5,0.5:1"], null],
+	]);
+	assert.equal(summarizeFidelityReport(report), "4 fidelity mismatch(es) on the destination: 1 missing, 1 unexpected, 2 setting mismatch(es)");
+
+	const capped = buildFidelityReport(SOURCE, broken, 4, 1);
+	assert.equal(capped.truncated, true);
+	assert.equal(capped.mismatchCount, 4);
+	assert.equal(capped.settingsChanged.length, 1);
+});
+
+function makeHarness({ enabled = true, destinationPlatformIndex = 4, reexport = destination() } = {}) {
+	const noop = () => {};
+	const platformStorage = new Map([["1:export_1", { exportId: "1:export_1", platformName: "Hauler", exportData: SOURCE }]]);
+	const calls = { sends: [], events: [], accepted: [] };
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		platformStorage,
+		persistStorage: async () => {},
+		loadStoredExportData: async (exportId) => platformStorage.get(exportId)?.exportData ?? null,
+		activeTransfers: new Map(),
+		platformTree: { resolveInstanceName: (id) => `instance-${id}` },
+		txLogger: {
+			logTransactionEvent: (_id, type, message, data) => { calls.events.push({ type, message, data }); },
+			persistTransactionLog: async () => {},
+			buildPhaseSummary: () => ({}),
+			buildTransferInfo: (transfer) => ({ status: transfer.status, error: transfer.error ?? null }),
+		},
+		subscriptions: { emitTransferUpdate: noop, queueTreeBroadcast: noop },
+		controller: {
+			config: { get: (key) => (key === "surface_export.fidelity_check" ? enabled : null) },
+			sendTo: async (dst, msg) => {
+				calls.sends.push({ name: msg.constructor.name, dst: dst.instanceId, msg });
+				if (msg.constructor.name === "ExportPlatformRequest") {
+					setImmediate(() => calls.accepted.push(fidelity.accept({ instanceId: dst.instanceId, platformIndex: msg.platformIndex, exportData: reexport })));
+					return { success: true, exportId: "export_9" };
+				}
+				return { success: true };
+			},
+		},
+	};
+	const orch = new TransferOrchestrator(plugin, messages);
+	const fidelity = new FidelityCheck(plugin, orch, messages);
+	const transfer = {
+		transferId: "1:export_1", exportId: "1:export_1", platformName: "Hauler", forceName: "player",
+		sourceInstanceId: 1, targetInstanceId: 2, status: "validating", startedAt: Date.now(), destinationPlatformIndex,
+	};
+	plugin.activeTransfers.set(transfer.transferId, transfer);
+	return { orch, fidelity, plugin, calls, transfer };
+}
+
+async function settle(calls) {
+	for (let attempt = 0; attempt < 50 && !calls.events.some(({ type }) => type === "fidelity_checked"); attempt++) {
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+}
+
+test("completing a transfer re-exports the platform the destination reported and diffs it without storing it", async () => {
+	const harness = makeHarness();
+
+	await harness.orch.completeTransfer("1:export_1", harness.transfer, 0);
+	await settle(harness.calls);
+
+	const reexport = harness.calls.sends.find(({ name }) => name === "ExportPlatformRequest");
+	assert.equal(reexport.dst, 2);
+	assert.equal(reexport.msg.platformIndex, 4);
+	assert.deepEqual(harness.calls.accepted, [true], "the re-export is handed to the check");
+	const event = harness.calls.events.find(({ type }) => type === "fidelity_checked");
+	assert.equal(event.data.fidelity.status, "match");
+	assert.equal(event.data.fidelity.destinationPlatformIndex, 4);
+	assert.equal(harness.plugin.platformStorage.size, 0, "the re-export never enters the export store");
+	assert.equal(harness.fidelity.accept({ instanceId: 2, platformIndex: 4, exportData: SOURCE }), false,
+		"an ordinary export of the same platform afterwards is stored as usual");
+});
+
+test("the check is skipped with a reason when the destination platform is unknown, and off by default", async () => {
+	const missing = makeHarness({ destinationPlatformIndex: null });
+	await missing.fidelity.run("1:export_1", missing.transfer, SOURCE);
+	const event = missing.calls.events.find(({ type }) => type === "fidelity_checked");
+	assert.equal(event.data.fidelity.status, "skipped");
+	assert.match(event.message, /did not report which platform it created/);
+	assert.equal(missing.calls.sends.some(({ name }) => name === "ExportPlatformRequest"), false);
+
+	const disabled = makeHarness({ enabled: false });
+	await disabled.orch.completeTransfer("1:export_1", disabled.transfer, 0);
+	assert.equal(disabled.calls.sends.some(({ name }) => name === "ExportPlatformRequest"), false);
+	assert.equal(disabled.calls.events.some(({ type }) => type === "fidelity_checked"), false);
+});
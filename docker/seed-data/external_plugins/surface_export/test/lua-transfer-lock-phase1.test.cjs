@@ -81,20 +81,23 @@ test("source transfer locks have fail-closed pre_commit/committed phases", () =>
 	assert.match(selftest, /source_query_committed_ignores_rename/, "live selftest must prove committed query is rename-robust");
 	assert.match(selftest, /committed_tombstone_pruned/, "live selftest must prove tombstone retention is bounded");
 });
-test("source commit seam is intentionally unwired until protocol PR", () => {
-	const productionFiles = [
+test("source commit seam is reachable only through the controller COMMIT request", () => {
+	const lockPaths = [
 		path.join("core", "export-pipeline.lua"),
 		path.join("core", "transfer-trigger.lua"),
 		path.join("interfaces", "remote", "delete-platform-for-transfer.lua"),
-		path.join("interfaces", "remote-interface.lua"),
 		path.join("interfaces", "commands", "resume-platform.lua"),
 	].map(readModule).join("\n");
-	const controller = fs.readFileSync(path.join(pluginDir, "controller.ts"), "utf8");
+	const remote = readModule(path.join("interfaces", "remote", "commit-source-transfer-lock.lua"));
+	const remoteInterface = readModule(path.join("interfaces", "remote-interface.lua"));
 	const orchestrator = fs.readFileSync(path.join(pluginDir, "lib", "transfer-orchestrator.ts"), "utf8");
 
-	assert.doesNotMatch(productionFiles, /commit_source_transfer_lock\s*\(/, "PR-2 adds the commit seam but production Lua must not call it until PR-3 wiring");
-	const markerRefs = [...(controller + "\n" + orchestrator).matchAll(/recordCommitTransmitted\s*\(/g)].length;
-	assert.equal(markerRefs, 1, "PR-2 commit marker must have only its declaration; no production caller until PR-3 immediate-abort gate wiring");
+	assert.doesNotMatch(lockPaths, /commit_source_transfer_lock\s*\(/, "lock, delete and resume paths must never COMMIT on their own");
+	assert.match(remote, /SurfaceLock\.commit_source_transfer_lock\(idx, transfer_id\)/);
+	assert.match(remoteInterface, /commit_source_transfer_lock = commit_source_transfer_lock/);
+	const markerAt = orchestrator.indexOf("this.plugin.recordCommitTransmitted(");
+	assert.ok(markerAt !== -1 && markerAt < orchestrator.indexOf("new this.messages.CommitSourceTransferRequest("),
+		"the COMMIT marker is written ahead of transmitting COMMIT");
 });
 test("export-platform-to-file reports queued success and leaves async writing to the pipeline", () => {
 	const remote = readModule(path.join("interfaces", "remote", "export-platform-to-file.lua"));
@@ -0,0 +1,282 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { MailDrop } = require(path.join(distNode, "lib", "mail-drop.js"));
+const { DELIVERY_RETRY_INTERVAL_MS } = require(path.join(distNode, "helpers.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function makeHarness({ policy = "despawn", offline = [2], replies = {} } = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const pendingDeliveries = new Map();
+	const platformStorage = new Map();
+	const config = { "surface_export.mail_drop_source_policy": policy, "surface_export.mail_drop_expiry_hours": 72 };
+	const calls = { sends: [], events: [], auditRows: [], offlineInstances: new Set(offline) };
+
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		pendingTransfers: new Map(),
+		persistPendingTransfer: noop,
+		removePendingTransfer: noop,
+		pendingDeliveries,
+		persistPendingDelivery: async (delivery) => { pendingDeliveries.set(delivery.transferId, delivery); return null; },
+		removePendingDelivery: (id) => { pendingDeliveries.delete(id); },
+		recordCommitTransmitted: noop,
+		recordAuditRow: async (row) => { calls.auditRows.push(row); },
+		isInstanceOnline: (id) => !calls.offlineInstances.has(id),
+		persistStorage: async () => {},
+		loadStoredExportData: async () => ({ schema_version: "2.0.0", entities: [], platform: { force: "player" } }),
+		stateRestoreInProgress: false,
+		platformStorage,
+		platformTree: {
+			resolveInstanceName: (id) => `instance-${id}`,
+			resolveTargetInstance: (id) => ({ id }),
+		},
+		activeTransfers,
+		transactionLogs: new Map(),
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (_id, type) => { calls.events.push(type); },
+			archiveRecycledTransferId: async () => {},
+			startPhase: noop,
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+			buildPhaseSummary: () => ({}),
+			buildTransferInfo: (transfer) => ({ status: transfer.status, error: transfer.error ?? null }),
+			getLastEventTimestamp: () => null,
+		},
+		subscriptions: { emitTransferUpdate: noop, queueTreeBroadcast: noop },
+		controller: {
+			config: { get: (key) => config[key] },
+			instances: { get: (id) => ({ id, isDeleted: false }) },
+			sendTo: async (dst, msg) => {
+				const name = msg.constructor.name;
+				calls.sends.push({ name, dst: dst.instanceId, action: msg.action, msg });
+				if (name === "ExportPlatformRequest") {
+					platformStorage.set("1:export_1", {
+						platformName: "test-platform", platformIndex: 3, instanceId: 1, sourceExportId: "export_1", size: 123,
+					});
+					return { success: true, exportId: "export_1" };
+				}
+				const reply = replies[name === "DestinationHoldRequest" ? `${name}:${msg.action}` : name];
+				if (reply) {
+					return reply(msg);
+				}
+				if (name === "GetSourceTransferLockStateRequest") {
+					return { state: "pre_commit", transferId: msg.transferId, error: null };
+				}
+				if (name === "DestinationHoldRequest") {
+					return { success: true, noHold: msg.action === "discard" };
+				}
+				return { success: true };
+			},
+		},
+	};
+
+	const orch = new TransferOrchestrator(plugin, messages);
+	const mailDrop = new MailDrop(plugin, orch, messages);
+	return { orch, mailDrop, plugin, calls, config, replies, activeTransfers, pendingDeliveries };
+}
+
+function sent(calls) {
+	return calls.sends
+		.filter(({ name }) => name !== "TransferStatusUpdate")
+		.map(({ name, action }) => (action ? `${name}:${action}` : name));
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+async function post(harness) {
+	const response = await harness.mailDrop.post({ sourceInstanceId: 1, sourcePlatformIndex: 3, targetInstanceId: 2, forceName: "player" });
+	assert.equal(response.success, true, response.error);
+	return response;
+}
+
+function clearTimers(harness) {
+	for (const transfer of harness.activeTransfers.values()) {
+		clearTimeout(transfer.validationTimeout);
+	}
+}
+
+test("a despawn mail drop commits and deletes the source while the destination is offline, then lands when it starts", async () => {
+	const harness = makeHarness();
+	const response = await post(harness);
+
+	assert.equal(response.deferred, true);
+	assert.equal(response.transferId, "1:export_1");
+	assert.ok(response.expiresAt > Date.now() + 71 * HOUR_MS);
+	assert.deepEqual(sent(harness.calls), [
+		"ExportPlatformRequest",
+		"GetSourceTransferLockStateRequest",
+		"CommitSourceTransferRequest",
+		"DeleteSourcePlatformRequest",
+	], "nothing is sent to the offline destination");
+	assert.equal(harness.pendingDeliveries.get("1:export_1").phase, "waiting");
+	assert.equal(harness.activeTransfers.get("1:export_1").status, "deferred");
+
+	harness.calls.sends.length = 0;
+	harness.calls.offlineInstances.delete(2);
+	harness.mailDrop.pump();
+	await flush();
+	await flush();
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard", "ImportPlatformRequest"]);
+	const importSend = harness.calls.sends.find(send => send.name === "ImportPlatformRequest");
+	assert.equal(importSend.dst, 2);
+	assert.equal(importSend.msg.exportData._transferId, "1:export_1");
+	assert.equal(harness.activeTransfers.get("1:export_1").status, "awaiting_validation");
+
+	harness.calls.sends.length = 0;
+	await harness.orch.handleTransferValidation({ transferId: "1:export_1", success: true, validation: { destinationHeld: true } });
+	clearTimers(harness);
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:go_live"], "the source is already gone, so only the destination is released");
+	assert.equal(harness.activeTransfers.get("1:export_1").status, "completed");
+	assert.equal(harness.pendingDeliveries.size, 0);
+});
+
+test("the unlock policy releases the source lock instead of committing it", async () => {
+	const harness = makeHarness({ policy: "unlock" });
+	await post(harness);
+
+	assert.deepEqual(sent(harness.calls), ["ExportPlatformRequest", "UnlockSourcePlatformRequest"]);
+	assert.equal(harness.pendingDeliveries.get("1:export_1").sourcePolicy, "unlock");
+	assert.ok(harness.calls.events.includes("source_unlocked"));
+});
+
+test("a source that refuses to despawn abandons the delivery and unlocks it", async () => {
+	const harness = makeHarness({ replies: { CommitSourceTransferRequest: () => ({ success: false, error: "lock not owned" }) } });
+	const response = await harness.mailDrop.post({ sourceInstanceId: 1, sourcePlatformIndex: 3, targetInstanceId: 2, forceName: "player" });
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /source refused to despawn: lock not owned/);
+	assert.ok(sent(harness.calls).includes("UnlockSourcePlatformRequest"));
+	assert.equal(harness.pendingDeliveries.size, 0);
+});
+
+test("an expired despawned delivery is returned to its source and never expires again", async () => {
+	const harness = makeHarness();
+	const { expiresAt } = await post(harness);
+	harness.calls.offlineInstances.add(1);
+
+	harness.mailDrop.pump(expiresAt);
+	await flush();
+
+	const delivery = harness.pendingDeliveries.get("1:export_1");
+	assert.equal(delivery.leg, "return");
+	assert.equal(delivery.expiresAt, null);
+	assert.equal(harness.activeTransfers.get("1:export_1").targetInstanceId, 1);
+	assert.match(harness.activeTransfers.get("1:export_1").error, /returning to sender/);
+
+	harness.calls.sends.length = 0;
+	harness.calls.offlineInstances.delete(1);
+	harness.mailDrop.pump(expiresAt + 1);
+	await flush();
+	await flush();
+	clearTimers(harness);
+
+	const importSend = harness.calls.sends.find(send => send.name === "ImportPlatformRequest");
+	assert.equal(importSend.dst, 1, "the return leg lands on the source instance");
+	assert.equal(importSend.msg.targetPlanet, null);
+});
+
+test("an expired unlocked delivery fails without touching the source", async () => {
+	const harness = makeHarness({ policy: "unlock" });
+	const { expiresAt } = await post(harness);
+	harness.calls.sends.length = 0;
+
+	harness.mailDrop.pump(expiresAt);
+	await flush();
+
+	assert.deepEqual(sent(harness.calls), []);
+	assert.equal(harness.pendingDeliveries.size, 0);
+	const transfer = harness.activeTransfers.get("1:export_1");
+	assert.equal(transfer.status, "failed");
+	assert.match(transfer.error, /expired before it landed; the source platform was never removed/);
+});
+
+test("a failed validation discards the destination copy and keeps the delivery for a later retry", async () => {
+	const harness = makeHarness();
+	await post(harness);
+	harness.calls.offlineInstances.delete(2);
+	harness.mailDrop.pump();
+	await flush();
+	await flush();
+	clearTimers(harness);
+	harness.calls.sends.length = 0;
+
+	await harness.orch.handleTransferValidation({ transferId: "1:export_1", success: false, validation: { mismatchDetails: "item mismatch" } });
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard"], "the despawned source is never unlocked");
+	const delivery = harness.pendingDeliveries.get("1:export_1");
+	assert.equal(delivery.phase, "waiting");
+	assert.match(delivery.lastError, /validation failed: item mismatch/);
+	assert.equal(harness.activeTransfers.get("1:export_1").status, "deferred");
+
+	harness.calls.sends.length = 0;
+	harness.mailDrop.pump(delivery.lastAttemptAt + DELIVERY_RETRY_INTERVAL_MS - 1);
+	await flush();
+	assert.deepEqual(sent(harness.calls), [], "the retry waits out the backoff");
+});
+
+test("a held payload that does not match the payload schema stops the delivery instead of sending it", async () => {
+	const harness = makeHarness();
+	await post(harness);
+	harness.plugin.loadStoredExportData = async () => ({ schema_version: "2.0.0", entities: [{ name: "cargo-bay", type: "cargo-bay" }] });
+	harness.calls.offlineInstances.delete(2);
+	harness.calls.sends.length = 0;
+
+	harness.mailDrop.pump();
+	await flush();
+	await flush();
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard"], "nothing is imported");
+	const delivery = harness.pendingDeliveries.get("1:export_1");
+	assert.equal(delivery.phase, "stuck");
+	assert.match(delivery.lastError, /does not match the payload schema \(\$\.entities\[0\]\.position is required\)/);
+	assert.ok(harness.calls.events.includes("delivery_stuck"));
+});
+
+test("a waiting unlocked delivery can be cancelled; a despawned one cannot", async () => {
+	const unlocked = makeHarness({ policy: "unlock" });
+	await post(unlocked);
+	unlocked.calls.sends.length = 0;
+
+	const response = await unlocked.mailDrop.cancel("1:export_1", "user alice");
+
+	assert.equal(response.success, true);
+	assert.deepEqual(sent(unlocked.calls), []);
+	assert.equal(unlocked.pendingDeliveries.size, 0);
+	const transfer = unlocked.activeTransfers.get("1:export_1");
+	assert.equal(transfer.status, "failed");
+	assert.ok(transfer.cancelledAt);
+	assert.deepEqual(unlocked.calls.auditRows.map(row => row.rowKind), ["cancel"]);
+
+	const despawned = makeHarness();
+	await post(despawned);
+	const refused = await despawned.mailDrop.cancel("1:export_1", "user alice");
+	assert.equal(refused.success, false);
+	assert.match(refused.error, /source was despawned/);
+	assert.equal(despawned.pendingDeliveries.get("1:export_1").phase, "waiting");
+});
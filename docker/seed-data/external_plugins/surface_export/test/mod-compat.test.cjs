@@ -0,0 +1,241 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { readExportModSet, compareModSets, summarizeModMismatches } = require(path.join(distNode, "lib", "mod-compat.js"));
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function modSet(mods, moduleVersion = "0.10.276") {
+	return { factorioVersion: mods.base ?? null, moduleVersion, mods };
+}
+
+test("the mod set is read from the export header and older exports have none", () => {
+	assert.deepEqual(readExportModSet({
+		factorio_version: "2.0.60",
+		module_version: "0.10.276",
+		mods: { "space-age": "2.0.60", base: "2.0.60", broken: 7 },
+	}), modSet({ base: "2.0.60", "space-age": "2.0.60" }));
+	assert.equal(readExportModSet({ compressed: true, payload: "eJw=" }), null);
+	assert.equal(readExportModSet({ mods: [] }), null);
+});
+
+test("missing mods, version skew and a different module version are each reported", () => {
+	const mismatches = compareModSets(
+		modSet({ base: "2.0.60", "space-age": "2.0.60", krastorio2: "1.4.0", "quality": "2.0.60" }),
+		modSet({ base: "2.0.61", "space-age": "2.0.60", "quality": "2.0.60", "extra-mod": "1.0.0" }, "0.10.280"),
+	);
+
+	assert.deepEqual(mismatches.map(row => [row.kind, row.name, row.sourceVersion, row.targetVersion]), [
+		["version", "base", "2.0.60", "2.0.61"],
+		["missing", "krastorio2", "1.4.0", null],
+		["module", "surface_export", "0.10.276", "0.10.280"],
+	]);
+	assert.match(summarizeModMismatches(mismatches, 2), /mod "base" is 2\.0\.60 on the source and 2\.0\.61 on the destination; mod "krastorio2" 1\.4\.0 is not active on the destination; and 1 more$/);
+	assert.deepEqual(compareModSets(modSet({ base: "2.0.60" }), modSet({ base: "2.0.60" })), []);
+});
+
+function makeHarness({ policy = "warn", stored = modSet({ base: "2.0.60", krastorio2: "1.4.0" }), reply, exportData = { schema_version: "2.0.0", entities: [], platform: { force: "player" } } } = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const calls = { sends: [], events: [], warnings: [] };
+	const plugin = {
+		logger: { error: noop, info: noop, warn: (message) => calls.warnings.push(message) },
+		pendingTransfers: new Map(),
+		persistPendingTransfer: noop,
+		removePendingTransfer: noop,
+		recordCommitTransmitted: noop,
+		recordAuditRow: async () => {},
+		isInstanceOnline: () => true,
+		persistStorage: async () => {},
+		stateRestoreInProgress: false,
+		platformStorage: {
+			get: () => ({
+				exportData,
+				exportMetrics: null,
+				platformName: "test-platform",
+				platformIndex: 3,
+				instanceId: 1,
+				sourceExportId: "export_1",
+				size: 123,
+				modSet: stored,
+			}),
+			delete: noop,
+		},
+		platformTree: { resolveInstanceName: (id) => `instance-${id}` },
+		activeTransfers,
+		transactionLogs: new Map(),
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (_id, type, _message, details) => { calls.events.push({ type, details }); },
+			archiveRecycledTransferId() {},
+			startPhase: noop,
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+			buildPhaseSummary: () => ({}),
+		},
+		subscriptions: { emitTransferUpdate: noop, emitTransferSummary: noop, queueTreeBroadcast: noop },
+		controller: {
+			config: { get: (key) => (key === "surface_export.mod_mismatch_policy" ? policy : undefined) },
+			sendTo: async (_dst, msg) => {
+				const name = msg.constructor.name;
+				calls.sends.push(name);
+				if (name === "GetActiveModsRequest") {
+					return reply ? reply() : { success: true, modSet: modSet({ base: "2.0.60" }) };
+				}
+				return { success: true };
+			},
+		},
+	};
+	const orch = new TransferOrchestrator(plugin, messages);
+	return { orch, calls, activeTransfers };
+}
+
+function sent(calls) {
+	return calls.sends.filter(name => name !== "TransferStatusUpdate");
+}
+
+function clearTimeouts(activeTransfers) {
+	for (const transfer of activeTransfers.values()) {
+		clearTimeout(transfer.validationTimeout);
+	}
+}
+
+test("under the default warn policy a mismatch is logged and the platform is still sent", async () => {
+	const { orch, calls, activeTransfers } = makeHarness();
+
+	const response = await orch.transferPlatform("export_1", 2);
+	clearTimeouts(activeTransfers);
+
+	assert.equal(response.success, true);
+	assert.deepEqual(sent(calls), ["GetActiveModsRequest", "ImportPlatformRequest"]);
+	const event = calls.events.find(row => row.type === "mod_mismatch");
+	assert.deepEqual(event.details.modMismatches.map(row => [row.kind, row.name]), [["missing", "krastorio2"]]);
+	assert.equal(activeTransfers.get(response.transferId).modMismatches.length, 1);
+	assert.match(calls.warnings[0], /Mod mismatch with instance-2: mod "krastorio2" 1\.4\.0 is not active on the destination/);
+});
+
+test("under the refuse policy a mismatch fails the transfer and unlocks the source without importing", async () => {
+	const { orch, calls, activeTransfers } = makeHarness({ policy: "refuse" });
+
+	const response = await orch.transferPlatform("export_1", 2);
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /mod_mismatch_policy is refuse, so the platform was NOT sent/);
+	assert.deepEqual(sent(calls), ["GetActiveModsRequest", "UnlockSourcePlatformRequest"]);
+	assert.equal(activeTransfers.get("export_1").status, "failed");
+	assert.ok(calls.events.some(row => row.type === "mod_mismatch_refused"));
+});
+
+test("the check is skipped for ignore, for exports without a mod set and, under warn, when the destination cannot answer", async () => {
+	const ignored = makeHarness({ policy: "ignore" });
+	assert.equal((await ignored.orch.transferPlatform("export_1", 2)).success, true);
+	clearTimeouts(ignored.activeTransfers);
+	assert.deepEqual(sent(ignored.calls), ["ImportPlatformRequest"]);
+
+	const legacy = makeHarness({ policy: "refuse", stored: null });
+	assert.equal((await legacy.orch.transferPlatform("export_1", 2)).success, true);
+	clearTimeouts(legacy.activeTransfers);
+	assert.ok(legacy.calls.events.some(row => row.type === "mod_check_skipped"));
+
+	const silent = makeHarness({ reply: () => ({ success: false, error: "remote get_active_mods_json missing" }) });
+	assert.equal((await silent.orch.transferPlatform("export_1", 2)).success, true);
+	clearTimeouts(silent.activeTransfers);
+	assert.deepEqual(sent(silent.calls), ["GetActiveModsRequest", "ImportPlatformRequest"]);
+	assert.equal(silent.calls.events.find(row => row.type === "mod_check_skipped").details.error, "remote get_active_mods_json missing");
+});
+
+test("under the refuse policy a destination that cannot report its mods is refused without importing", async () => {
+	const { orch, calls, activeTransfers } = makeHarness({ policy: "refuse", reply: () => ({ success: false, error: "remote get_active_mods_json missing" }) });
+
+	const response = await orch.transferPlatform("export_1", 2);
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /Destination mod list unavailable \(remote get_active_mods_json missing\).*NOT sent to the destination/);
+	assert.deepEqual(sent(calls), ["GetActiveModsRequest", "UnlockSourcePlatformRequest"]);
+	assert.equal(activeTransfers.get("export_1").status, "failed");
+	assert.ok(calls.events.some(row => row.type === "mod_mismatch_refused"));
+});
+
+test("a stored payload that does not match the payload schema is refused before anything is sent", async () => {
+	const { orch, calls, activeTransfers } = makeHarness({ policy: "ignore", exportData: { schema_version: "2.0.0", entities: {}, tiles: [{ name: 7 }] } });
+
+	const response = await orch.transferPlatform("export_1", 2);
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /does not match payload schema 2\.0\.0 \(\$\.tiles\[0\]\.position is required; \$\.tiles\[0\]\.name expected string, got integer\), so it was NOT sent/);
+	assert.deepEqual(sent(calls), ["UnlockSourcePlatformRequest"]);
+	assert.equal(activeTransfers.get("export_1").status, "failed");
+	assert.equal(calls.events.find(row => row.type === "payload_schema_invalid").details.schemaErrors.length, 2);
+});
+
+test("an unknown policy falls back to warn and is logged", () => {
+	assert.deepEqual(messages.parseModMismatchPolicy("strict"), {
+		policy: "warn",
+		warning: "Unknown mod_mismatch_policy \"strict\" — falling back to warn",
+	});
+	assert.equal(messages.parseModMismatchPolicy("refuse").warning, null);
+});
+
+test("an uploaded export carrying its mod set is checked against the destination before it is imported", async () => {
+	const events = [];
+	const sends = [];
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.stateRestoreInProgress = false;
+	plugin.activeTransfers = new Map();
+	plugin.cfg = (key) => (key === "surface_export.upload_signature_policy" ? "allow" : 0);
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
+	plugin.subscriptions = { queueTreeBroadcast() {}, emitTransferUpdate() {} };
+	plugin.platformTree = { resolveTargetInstance: (id) => ({ id, instance: {} }), resolveInstanceName: (id) => `instance-${id}` };
+	plugin.txLogger = {
+		logTransactionEvent: (_id, type, _message, details) => events.push({ type, details }),
+		persistTransactionLog: async () => {},
+	};
+	plugin.controller = {
+		config: { get: (key) => (key === "surface_export.mod_mismatch_policy" ? "refuse" : undefined) },
+		sendTo: async (_dst, msg) => {
+			sends.push(msg.constructor.name);
+			return msg.constructor.name === "GetActiveModsRequest"
+				? { success: true, modSet: modSet({ base: "2.0.60" }) }
+				: { success: true, platformName: "uploaded" };
+		},
+	};
+	plugin.orchestrator = new TransferOrchestrator(plugin, messages);
+	plugin.orchestrator.migratePayload = (_transferId, exportData) => exportData;
+	plugin.createOperationRecord = async (operationType, options) => ({ transferId: "op-1", operationType, ...options });
+	plugin.failOperation = async (operation, eventType) => { operation.status = "failed"; events.push({ type: eventType }); };
+
+	const response = await plugin.handleImportUploadedExportRequest({
+		targetInstanceId: 2,
+		exportData: {
+			schema_version: "2.0.0", entities: [], platform: { force: "player" },
+			module_version: "0.10.276", mods: { base: "2.0.60", krastorio2: "1.4.0" },
+		},
+	});
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /mod "krastorio2" 1\.4\.0 is not active on the destination.*NOT sent/);
+	assert.deepEqual(sends, ["GetActiveModsRequest"], "the upload never reaches the destination");
+	assert.ok(events.some(row => row.type === "mod_mismatch_refused"));
+});
@@ -8,6 +8,12 @@ const path = require("node:path");
 const pluginDir = path.join(__dirname, "..");
 const distNode = path.join(pluginDir, "dist", "node");
 const { ControllerPlugin, PENDING_TRANSFER_INTENT_RETENTION_MS, SOURCE_COMMIT_MARKER_RETENTION_MS } = require(path.join(distNode, "controller.js"));
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { TransferQueue } = require(path.join(distNode, "lib", "transfer-queue.js"));
+const { MailDrop } = require(path.join(distNode, "lib", "mail-drop.js"));
+const { TransferGroups } = require(path.join(distNode, "lib", "transfer-group.js"));
+const { TransferScheduler } = require(path.join(distNode, "lib", "transfer-scheduler.js"));
+const messages = require(path.join(distNode, "messages.js"));
 
 function read(rel) {
 	return fs.readFileSync(path.join(pluginDir, rel), "utf8");
@@ -25,10 +31,30 @@ function makeControllerHarness(pendingEntries = []) {
 		error: (msg) => calls.errors.push(msg),
 		verbose: () => {},
 	};
-	plugin.subscriptions = { treeBroadcastLimiter: { cancel: () => {} } };
+	plugin.subscriptions = { treeBroadcastLimiter: { cancel: () => {} }, emitTransferUpdate() {}, queueTreeBroadcast() {} };
 	plugin.controller = {
-		sendTo: async (...args) => { calls.sends.push(args); },
+		sendTo: async (...args) => {
+			calls.sends.push(args);
+			const name = args[1]?.constructor?.name;
+			if (name === "GetSourceTransferLockStateRequest") {
+				return { state: "pre_commit", transferId: args[1].transferId, error: null };
+			}
+			return { success: true };
+		},
 	};
+	plugin.activeTransfers = new Map();
+	plugin.stateRestoreInProgress = false;
+	plugin.isInstanceOnline = () => true;
+	plugin.platformTree = { resolveInstanceName: (id) => `instance-${id}` };
+	plugin.txLogger = { logTransactionEvent() {}, persistTransactionLog: async () => {}, startPhase() {}, endPhase: () => 0 };
+	plugin.orchestrator = new TransferOrchestrator(plugin, messages);
+	plugin.transferQueue = new TransferQueue(plugin, plugin.orchestrator);
+	plugin.pendingDeliveries = new Map();
+	plugin.mailDrop = new MailDrop(plugin, plugin.orchestrator, messages);
+	plugin.auditIndex = new Map();
+	plugin.transferGroups = new TransferGroups(plugin, plugin.orchestrator, plugin.transferQueue);
+	plugin.transferSchedules = new Map();
+	plugin.transferScheduler = new TransferScheduler(plugin, plugin.orchestrator, plugin.transferQueue);
 	plugin.persistPendingTransfers = async () => { calls.persisted++; };
 	plugin.persistSourceCommitMarkers = async () => { calls.persisted++; };
 	return { plugin, calls };
@@ -48,26 +74,29 @@ function pendingIntent(overrides = {}) {
 	};
 }
 
-test("controller restart path does not auto-delete sources from persisted intents", async () => {
+test("controller restart reconciles persisted intents from the source phase and never deletes a pre_commit source", async () => {
 	const { plugin, calls } = makeControllerHarness([pendingIntent()]);
 
 	const origSetInterval = global.setInterval;
-	const origSetTimeout = global.setTimeout;
 	const timers = [];
-	global.setInterval = (...a) => { timers.push(["interval", a]); return { unref() {} }; };
-	global.setTimeout = (...a) => { timers.push(["timeout", a]); return { unref() {} }; };
+	global.setInterval = (...a) => { timers.push(a); return { unref() {} }; };
 	try {
 		await plugin.onStart();
 	} finally {
 		global.setInterval = origSetInterval;
-		global.setTimeout = origSetTimeout;
 	}
 
-	assert.equal(timers.length, 0, "onStart must not SCHEDULE a timer (the retired reconcile was a setInterval poll)");
-	assert.equal(calls.sends.length, 0, "onStart must not send delete/unlock/reconcile requests for boot-leftover intents");
-	await new Promise((r) => origSetTimeout(r, 0));
-	assert.equal(calls.sends.length, 0, "no delete/unlock send may fire on a later macrotask either");
-	assert.match(calls.warns.join("\n"), /source-side TTL unlock/, "restart warning should point at source-side TTL recovery");
+	assert.equal(timers.length, 1, "onStart schedules the reconcile loop");
+	const sent = calls.sends.map(([, msg]) => msg.constructor.name).filter(name => name !== "TransferStatusUpdate");
+	assert.deepEqual(sent, ["GetSourceTransferLockStateRequest", "DestinationHoldRequest", "UnlockSourcePlatformRequest"],
+		"a pre_commit source means DISCARD the destination, then unlock the source");
+	assert.equal(calls.sends.find(([, msg]) => msg.constructor.name === "DestinationHoldRequest")[1].action, "discard");
+	assert.ok(!sent.includes("DeleteSourcePlatformRequest"), "a source that never committed is never deleted");
+	assert.equal(plugin.pendingTransfers.size, 0, "the resolved intent is dropped");
+	assert.match(calls.warns.join("\n"), /reconcile loop resumes each from its source lock state/);
+
+	await plugin.onShutdown();
+	assert.equal(plugin.reconcileInterval, null, "shutdown stops the reconcile loop");
 });
 
 test("pending transfer observability store prunes stale entries", async () => {
@@ -117,7 +146,6 @@ test("controller source-outcome failsafe code is retired", () => {
 
 	assert.doesNotMatch(controller, /GetTransferOutcomeRequest/, "controller boot/reconcile must not query destination outcome as a failsafe");
 	assert.doesNotMatch(controller, /resolveStrandedTransfer\s*\([^)]*["']complete["']/, "controller must not complete/delete a stranded source on boot");
-	assert.doesNotMatch(controller, /reconcilePendingTransfers/, "controller boot reconcile loop should be retired in Phase 1");
 	assert.doesNotMatch(orchestrator, /kind:\s*["']complete["']|kind\s*===\s*["']complete["']/, "orchestrator must not expose a restart-complete auto-delete branch");
 	assert.doesNotMatch(remoteInterface, /get_transfer_outcome/, "destination outcome query remote should not be registered as a failsafe");
 	assert.doesNotMatch(importCompletion, /surface_export_transfer_outcomes/, "destination must not persist transfer success before finalization");
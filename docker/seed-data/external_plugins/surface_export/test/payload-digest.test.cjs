@@ -0,0 +1,209 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { FilesystemStorageBackend } = require(path.join(distNode, "lib", "storage-backend.js"));
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { computeExportDigest, verifyExportDigest } = require(path.join(distNode, "lib", "payload-digest.js"));
+const { exportPayloadPath } = require(path.join(distNode, "lib", "export-store.js"));
+const { signBundle } = require(path.join(distNode, "lib", "bundle-signing.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function makePlugin(dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-digest-"))) {
+	const warns = [];
+	const events = [];
+	const sent = [];
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.storagePath = path.join(dir, "surface_export_storage.json");
+	plugin.storageDir = path.join(dir, "surface_export_exports");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
+	plugin.storageLoadError = null;
+	plugin.consecutiveStorageWriteFailures = 0;
+	plugin.platformStorage = new Map();
+	plugin.activeTransfers = new Map();
+	plugin.pendingDeliveries = new Map();
+	plugin.controller = {
+		instances: new Map(),
+		sendTo: async (_dst, msg) => { sent.push(msg); return { success: true, platformName: "uploaded" }; },
+	};
+	plugin.cfg = (key) => (key === "surface_export.export_signing_key" ? "test-key" : 0);
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn: (m) => warns.push(m) };
+	plugin.subscriptions = { queueTreeBroadcast() {}, emitTransferUpdate() {} };
+	plugin.platformTree = { resolveTargetInstance: (id) => ({ id, instance: {} }) };
+	plugin.txLogger = {
+		logTransactionEvent: (transferId, eventType, message, data) => events.push({ eventType, message, data }),
+		persistTransactionLog: async () => {},
+	};
+	plugin.orchestrator = { pruneOldTransfers() {}, migratePayload: (_transferId, exportData) => exportData, checkModCompatibility: async () => null };
+	plugin.createOperationRecord = async (operationType, options) => ({ transferId: "op-1", operationType, ...options });
+	return { plugin, dir, warns, events, sent };
+}
+
+async function storeExport(plugin) {
+	await plugin.handlePlatformExport({
+		exportId: "001",
+		platformName: "alpha",
+		platformIndex: 1,
+		instanceId: 1,
+		exportData: { platform: { force: "player" }, payload: "body", stats: { entities: 3 } },
+		timestamp: 1000,
+	});
+	return plugin.platformStorage.get("1:001");
+}
+
+test("the digest ignores key order and transport fields but not payload content", () => {
+	const a = computeExportDigest({ payload: "x", stats: { b: 1, a: 2 } });
+	const b = computeExportDigest({ stats: { a: 2, b: 1 }, payload: "x", _transferId: "1:001", _digest: "sha256:stale" });
+	assert.match(a, /^sha256:[0-9a-f]{64}$/);
+	assert.equal(a, b);
+	assert.notEqual(a, computeExportDigest({ payload: "y", stats: { b: 1, a: 2 } }));
+	assert.equal(verifyExportDigest({ payload: "x" }, null), null, "exports without a digest are not rejected");
+	assert.match(verifyExportDigest({ payload: "y" }, computeExportDigest({ payload: "x" })), /digest mismatch/);
+});
+
+test("a stored export records its digest and downloads carry it embedded", async () => {
+	const { plugin } = makePlugin();
+	const stored = await storeExport(plugin);
+
+	assert.equal(stored.digest, computeExportDigest({ platform: { force: "player" }, payload: "body", stats: { entities: 3 } }));
+	const response = await plugin.handleGetStoredExportRequest({ exportId: "1:001" });
+	assert.equal(response.success, true);
+	assert.equal(response.digest, stored.digest);
+	assert.equal(response.exportData._digest, stored.digest);
+	assert.equal(plugin.listStoredExports()[0].digest, stored.digest);
+});
+
+test("a payload edited on disk is not read at load, and is flagged and refused when it is served", async () => {
+	const { plugin: first, dir } = makePlugin();
+	await storeExport(first);
+	const file = exportPayloadPath(first.storageDir, "1:001");
+	const edited = JSON.parse(fs.readFileSync(file, "utf8"));
+	edited.payload = "tampered";
+	fs.writeFileSync(file, JSON.stringify(edited));
+
+	const { plugin, warns } = makePlugin(dir);
+	await plugin.loadStorage();
+
+	assert.equal(plugin.storageLoadError, null);
+	assert.equal(plugin.listStoredExports()[0].integrityError, null, "payloads are not read at load");
+	const response = await plugin.handleGetStoredExportRequest({ exportId: "1:001" });
+	assert.equal(response.success, false);
+	assert.match(response.error, /failed its integrity check/);
+	assert.match(plugin.listStoredExports()[0].integrityError, /digest mismatch/);
+	assert.match(warns.join("\n"), /1:001 failed its integrity check/);
+});
+
+test("exports stored before digests existed get one recorded the first time they are read", async () => {
+	const { plugin: first, dir } = makePlugin();
+	const stored = await storeExport(first);
+	const expected = stored.digest;
+	delete stored.digest;
+	await first.persistStorage();
+
+	const { plugin } = makePlugin(dir);
+	await plugin.loadStorage();
+	assert.equal(plugin.platformStorage.get("1:001").digest, undefined);
+
+	assert.equal((await plugin.handleGetStoredExportRequest({ exportId: "1:001" })).success, true);
+	assert.equal(plugin.platformStorage.get("1:001").digest, expected);
+	assert.equal(plugin.platformStorage.get("1:001").integrityError, undefined);
+});
+
+test("an uploaded file whose embedded digest no longer matches is refused before any import", async () => {
+	const { plugin, events, sent } = makePlugin();
+	const exportData = { schema_version: "2.0.0", entities: [], platform: { force: "player" }, payload: "body" };
+	const digest = computeExportDigest(exportData);
+
+	const refused = await plugin.handleImportUploadedExportRequest({
+		targetInstanceId: 2,
+		exportData: { ...exportData, payload: "hand-edited", _digest: digest },
+	});
+	assert.equal(refused.success, false);
+	assert.match(refused.error, /failed its integrity check/);
+	assert.equal(sent.length, 0, "a mismatched upload must never reach the destination");
+	assert.ok(events.some(e => e.eventType === "payload_integrity_failed"));
+
+	const accepted = await plugin.handleImportUploadedExportRequest({
+		targetInstanceId: 2,
+		exportData: signBundle(exportData, digest, "test-key"),
+	});
+	assert.equal(accepted.success, true);
+	assert.equal(sent.length, 1);
+	assert.equal(sent[0].exportData._digest, undefined, "the digest is not forwarded to the instance");
+	assert.equal(sent[0].exportData._signature, undefined);
+	const requested = events.filter(e => e.eventType === "import_requested");
+	assert.equal(requested[0].data.expectedDigest, digest);
+	assert.notEqual(requested[0].data.payloadDigest, digest, "the log records what was actually uploaded");
+	assert.equal(requested[1].data.payloadDigest, digest);
+});
+
+test("a transfer whose stored payload fails its digest is not sent and unlocks the source", async () => {
+	const sent = [];
+	const events = [];
+	const stored = {
+		exportId: "1:001_test",
+		sourceExportId: "001_test",
+		exportData: { platform: { force: "player" }, payload: "tampered" },
+		exportMetrics: null,
+		platformName: "test-platform",
+		platformIndex: 3,
+		instanceId: 1,
+		size: 123,
+		digest: computeExportDigest({ platform: { force: "player" }, payload: "original" }),
+	};
+	const activeTransfers = new Map();
+	const plugin = {
+		logger: { error() {}, warn() {}, info() {}, verbose() {} },
+		persistPendingTransfer: () => {},
+		removePendingTransfer: () => {},
+		isInstanceOnline: () => true,
+		platformStorage: { get: (id) => (id === stored.exportId ? stored : null) },
+		platformTree: { resolveInstanceName: (id) => `instance-${id}` },
+		activeTransfers,
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (transferId, eventType, message, data) => events.push({ eventType, data }),
+			archiveRecycledTransferId() {},
+			startPhase() {},
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+		},
+		subscriptions: { emitTransferUpdate() {}, queueTreeBroadcast() {} },
+		controller: { sendTo: async (_dst, msg) => { sent.push(msg.constructor.name); return { success: true }; } },
+	};
+	const orch = new TransferOrchestrator(plugin, messages);
+
+	const result = await orch.transferPlatform("1:001_test", 2);
+
+	assert.equal(result.success, false);
+	assert.match(result.error, /NOT sent to the destination/);
+	assert.ok(!sent.includes("ImportPlatformRequest"));
+	assert.ok(sent.includes("UnlockSourcePlatformRequest"));
+	assert.equal(activeTransfers.get("1:001_test").status, "failed");
+	assert.equal(events.find(e => e.eventType === "transfer_created").data.payloadDigest, stored.digest);
+	assert.ok(events.some(e => e.eventType === "payload_integrity_failed"));
+});
@@ -0,0 +1,190 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { deflateSync } = require("node:zlib");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { EXPORT_PAYLOAD_SCHEMA, SUPPORTED_SCHEMA_KEYWORDS, summarizePayloadSchemaErrors, validateExportPayload } = require(path.join(distNode, "lib", "payload-schema.js"));
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+
+function validPayload() {
+	return {
+		schema_version: "2.0.0",
+		factorio_version: "2.0.60",
+		platform_name: "Hauler",
+		tick: 1200,
+		timestamp: "1200",
+		platform: {
+			force: "player",
+			paused: false,
+			schedule: { current: 1, records: [{ station: "Nauvis", wait_conditions: [{ type: "full" }] }], interrupts: {} },
+		},
+		tiles: [{ name: "space-platform-foundation", position: { x: 0, y: 0 } }],
+		entities: [
+			{
+				entity_id: 1, name: "cargo-bay", type: "cargo-bay", position: { x: 0.5, y: 0.5 }, direction: 0,
+				specific_data: { inventories: [{ type: "cargo", items: [{ name: "iron-plate", count: 50, quality: "normal", slot: 1 }] }] },
+				circuit_connections: [{ source_circuit_id: 1, target_entity_id: 2, target_circuit_id: 1 }],
+			},
+			{
+				entity_id: 2, name: "transport-belt", type: "transport-belt", position: { x: 2.5, y: 0.5 },
+				specific_data: { items: [{ line: 1, items: [{ name: "coal", count: 3 }] }, { line: 2, items: {} }] },
+				circuit_connections: {},
+			},
+			{
+				entity_id: "pos_4_0", name: "pipe", type: "pipe", position: { x: 4.5, y: 0.5 },
+				specific_data: { fluidboxes: [{ box_index: 1, segment_ref: 1, local_amount: 12.5, local_temperature: 15 }] },
+			},
+			{ type: "item-on-ground", name: "copper-plate", count: 1, position: { x: 6, y: 0 } },
+		],
+		fluid_segments: [{ id: 1, source_segment_id: 77, fluid: "water", total: 12.5, temperature: 15 }],
+		verification: { item_counts: { "iron-plate:normal": 50 }, fluid_counts: {} },
+	};
+}
+
+test("the published schema only uses keywords the validator enforces and every reference resolves", () => {
+	const refs = [];
+	const walk = (node) => {
+		if (!node || typeof node !== "object") return;
+		for (const [key, value] of Object.entries(node)) {
+			assert.ok(SUPPORTED_SCHEMA_KEYWORDS.includes(key), `unsupported keyword ${key}`);
+			if (key === "$ref") refs.push(value);
+			if (key === "properties" || key === "definitions") {
+				Object.values(value).forEach(walk);
+			} else if (key === "items" || key === "additionalProperties") {
+				walk(value);
+			}
+		}
+	};
+	walk(EXPORT_PAYLOAD_SCHEMA);
+	for (const ref of refs) {
+		assert.ok(EXPORT_PAYLOAD_SCHEMA.definitions[ref.replace("#/definitions/", "")], `${ref} does not resolve`);
+	}
+	assert.equal(EXPORT_PAYLOAD_SCHEMA.$schema, "http://json-schema.org/draft-07/schema#");
+});
+
+test("the schema is the JSON file in the repo and its $id names that file", () => {
+	const schemaFile = path.join(__dirname, "..", "lib", "export-payload.schema.json");
+	assert.deepEqual(EXPORT_PAYLOAD_SCHEMA, JSON.parse(fs.readFileSync(schemaFile, "utf8")));
+	const { repository } = require(path.join(__dirname, "..", "package.json"));
+	assert.ok(EXPORT_PAYLOAD_SCHEMA.$id.endsWith(`/${repository.directory}/lib/export-payload.schema.json`), EXPORT_PAYLOAD_SCHEMA.$id);
+	assert.ok(fs.existsSync(path.join(distNode, "lib", "export-payload.schema.json")), "the build ships the schema file");
+});
+
+test("a real export shape validates, including the empty tables Lua encodes as {}", () => {
+	assert.deepEqual(validateExportPayload(validPayload()), []);
+	assert.deepEqual(validateExportPayload({ schema_version: "2.0.0", entities: {}, tiles: {} }), []);
+});
+
+test("problems are reported with the path that holds them", () => {
+	const payload = validPayload();
+	delete payload.entities[0].position.y;
+	payload.entities[1].specific_data.items[0].items[0].count = 0;
+	payload.entities[2].specific_data.fluidboxes[0].segment_ref = "one";
+	payload.entities[0].circuit_connections[0] = { source_circuit_id: 1 };
+	payload.tiles = { "1": { name: "x" } };
+	payload.platform.schedule.current = 0;
+	payload.verification.item_counts["coal:normal"] = -1;
+
+	assert.deepEqual(validateExportPayload(payload), [
+		{ path: "$.platform.schedule.current", message: "must be at least 1, got 0" },
+		{ path: "$.tiles", message: "expected a list, got an object with keys" },
+		{ path: "$.entities[0].position.y", message: "is required" },
+		{ path: "$.entities[0].circuit_connections[0].target_entity_id", message: "is required" },
+		{ path: "$.entities[0].circuit_connections[0].target_circuit_id", message: "is required" },
+		{ path: "$.entities[1].specific_data.items[0].items[0].count", message: "must be at least 1, got 0" },
+		{ path: "$.entities[2].specific_data.fluidboxes[0].segment_ref", message: "expected integer, got string" },
+		{ path: "$.verification.item_counts[\"coal:normal\"]", message: "must be at least 0, got -1" },
+	]);
+	assert.deepEqual(validateExportPayload([]), [{ path: "$", message: "expected object, got array" }]);
+});
+
+test("the error list is capped and summarized", () => {
+	const entities = Array.from({ length: 50 }, () => ({ name: "pipe", type: "pipe" }));
+	const errors = validateExportPayload({ schema_version: "2.0.0", entities }, 5);
+
+	assert.equal(errors.length, 5);
+	assert.equal(errors[4].path, "$.entities[4].position");
+	assert.equal(summarizePayloadSchemaErrors(errors, 2), "$.entities[0].position is required; $.entities[1].position is required; and 3 more");
+});
+
+function makePlugin() {
+	const events = [];
+	const sent = [];
+	const values = { "surface_export.upload_signature_policy": "allow" };
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-schema-"));
+	plugin.platformStorage = new Map();
+	plugin.activeTransfers = new Map();
+	plugin.controller = {
+		config: { get: (key) => values[key] },
+		instances: new Map(),
+		sendTo: async (_dst, msg) => { sent.push(msg); return { success: true, platformName: "Hauler" }; },
+	};
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
+	plugin.subscriptions = { queueTreeBroadcast() {}, emitTransferUpdate() {} };
+	plugin.platformTree = { resolveTargetInstance: (id) => ({ id, instance: {} }) };
+	plugin.txLogger = {
+		logTransactionEvent: (_transferId, eventType, message, data) => events.push({ eventType, message, data }),
+		persistTransactionLog: async () => {},
+	};
+	plugin.orchestrator = { pruneOldTransfers() {}, migratePayload: (_transferId, exportData) => exportData, checkModCompatibility: async () => null };
+	plugin.createOperationRecord = async (operationType, options) => ({ transferId: "op-1", operationType, ...options });
+	return { plugin, events, sent };
+}
+
+function compressed(inner) {
+	return {
+		compressed: true,
+		compression: "deflate",
+		payload: deflateSync(Buffer.from(JSON.stringify(inner), "utf8")).toString("base64"),
+		platform_name: inner.platform_name,
+		schema_version: inner.schema_version,
+	};
+}
+
+test("a malformed upload is refused with path-level errors before it reaches an instance", async () => {
+	const { plugin, events, sent } = makePlugin();
+	const inner = validPayload();
+	inner.entities[0].position = { x: "left", y: 0 };
+
+	const refused = await plugin.handleImportUploadedExportRequest({ targetInstanceId: 2, exportData: compressed(inner) });
+
+	assert.equal(refused.success, false);
+	assert.deepEqual(refused.schemaErrors, [{ path: "$.entities[0].position.x", message: "expected number, got string" }]);
+	assert.match(refused.error, /does not match payload schema 2\.0\.0: \$\.entities\[0\]\.position\.x expected number, got string$/);
+	assert.equal(sent.length, 0);
+	assert.deepEqual(events.find(e => e.eventType === "payload_schema_invalid").data.schemaErrors, refused.schemaErrors);
+
+	const garbled = await plugin.handleImportUploadedExportRequest({
+		targetInstanceId: 2,
+		exportData: { compressed: true, compression: "gzip", payload: "x" },
+	});
+	assert.equal(garbled.schemaErrors[0].path, "$.payload");
+
+	const accepted = await plugin.handleImportUploadedExportRequest({ targetInstanceId: 2, exportData: compressed(validPayload()) });
+	assert.equal(accepted.success, true);
+	assert.equal(sent.length, 1);
+});
@@ -26,6 +26,7 @@ Module._load = function patchedLoad(request, parent, isMain) {
 
 const distNode = path.join(__dirname, "..", "dist", "node");
 const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { FilesystemStorageBackend } = require(path.join(distNode, "lib", "storage-backend.js"));
 const { TransactionLogger } = require(path.join(distNode, "lib", "transaction-logger.js"));
 
 function loggerSpy() {
@@ -150,6 +151,8 @@ test("degraded platform-storage load refuses to overwrite the unreadable file",
 	const { logger, errors } = loggerSpy();
 	const plugin = Object.create(ControllerPlugin.prototype);
 	plugin.storagePath = file;
+	plugin.storageDir = path.join(dir, "exports");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
 	plugin.platformStorage = new Map();
 	plugin.logger = logger;
 
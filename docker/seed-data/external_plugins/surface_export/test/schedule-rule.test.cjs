@@ -0,0 +1,60 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { checkScheduleRule, nextRunAfter, parseCronExpression, parseDuration } = require(path.join(distNode, "lib", "schedule-rule.js"));
+
+function next(cron, after) {
+	return nextRunAfter({ kind: "cron", cron }, after.getTime());
+}
+
+test("cron expressions are checked field by field", () => {
+	assert.equal(parseCronExpression("*/15 2-4 1,15 * 1-5").error, null);
+	assert.match(parseCronExpression("0 2 * *").error, /needs 5 fields/);
+	assert.match(parseCronExpression("60 * * * *").error, /minute "60" is outside 0-59/);
+	assert.match(parseCronExpression("0 5-2 * * *").error, /hour "5-2" is outside 0-23/);
+	assert.match(parseCronExpression("0 0 * * mon").error, /day of week "mon" is not a number/);
+	assert.match(checkScheduleRule({ kind: "cron", cron: "0 0 31 2 *" }, Date.now()), /never matches a date/);
+	assert.match(checkScheduleRule({ kind: "daily" }, Date.now()), /either a one-shot time or a cron expression/);
+});
+
+test("the next cron time is the first matching minute strictly after the given time, in local time", () => {
+	assert.equal(next("0 2 * * *", new Date(2026, 4, 10, 1, 59, 30)), new Date(2026, 4, 10, 2, 0).getTime());
+	assert.equal(next("0 2 * * *", new Date(2026, 4, 10, 2, 0)), new Date(2026, 4, 11, 2, 0).getTime());
+	assert.equal(next("*/20 * * * *", new Date(2026, 4, 10, 8, 41)), new Date(2026, 4, 10, 9, 0).getTime());
+	assert.equal(next("30 6 1 * *", new Date(2026, 11, 15)), new Date(2027, 0, 1, 6, 30).getTime());
+	// 2026-05-10 is a Sunday; day-of-week 7 is Sunday too
+	assert.equal(next("0 9 * * 1-5", new Date(2026, 4, 9, 12, 0)), new Date(2026, 4, 11, 9, 0).getTime());
+	assert.equal(next("0 9 * * 7", new Date(2026, 4, 9, 12, 0)), new Date(2026, 4, 10, 9, 0).getTime());
+	// with both day fields restricted, either one matching is enough
+	assert.equal(next("0 0 13 * 5", new Date(2026, 4, 1, 12, 0)), new Date(2026, 4, 8, 0, 0).getTime());
+	assert.equal(next("0 0 29 2 *", new Date(2026, 0, 1)), new Date(2028, 1, 29, 0, 0).getTime());
+});
+
+test("aliases expand to their cron expressions", () => {
+	const after = new Date(2026, 4, 10, 8, 30);
+	assert.equal(next("@hourly", after), new Date(2026, 4, 10, 9, 0).getTime());
+	assert.equal(next("@daily", after), new Date(2026, 4, 11, 0, 0).getTime());
+	assert.equal(next("@weekly", after), new Date(2026, 4, 17, 0, 0).getTime());
+	assert.equal(next("@monthly", after), new Date(2026, 5, 1, 0, 0).getTime());
+});
+
+test("a one-shot rule runs once, and only if its time is still ahead", () => {
+	const at = new Date(2026, 4, 10, 20, 0).getTime();
+	assert.equal(checkScheduleRule({ kind: "once", at }, at - 1), null);
+	assert.match(checkScheduleRule({ kind: "once", at }, at), /has already passed/);
+	assert.equal(nextRunAfter({ kind: "once", at }, at - 1), at);
+	assert.equal(nextRunAfter({ kind: "once", at }, at), null);
+});
+
+test("durations combine days, hours, minutes and seconds", () => {
+	assert.equal(parseDuration("30m"), 30 * 60 * 1000);
+	assert.equal(parseDuration("1h30m"), 90 * 60 * 1000);
+	assert.equal(parseDuration("1d 2h"), 26 * 60 * 60 * 1000);
+	assert.equal(parseDuration("90"), null);
+	assert.equal(parseDuration("2 weeks"), null);
+	assert.equal(parseDuration("1h-5m"), null);
+});
@@ -0,0 +1,192 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { deflateSync, inflateSync } = require("node:zlib");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+const registered = [];
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			Command: class { constructor(options) { this.definition = options.definition; this.handler = options.handler; registered.push(this); } },
+			CommandTree: class { constructor() { this.children = []; } add(command) { this.children.push(command); } },
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+		};
+	}
+	if (request === "@clusterio/ctl") {
+		return { BaseCtlPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { PAYLOAD_MIGRATIONS, PAYLOAD_SCHEMA_VERSION, migrateExportData, planMigrations } = require(path.join(distNode, "lib", "schema-migrations.js"));
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const messages = require(path.join(distNode, "messages.js"));
+require(path.join(distNode, "control.js"));
+
+const STEPS = [
+	{ from: "1.8.0", to: "1.9.0", description: "rename belts", migrate: (payload) => ({ ...payload, belts: payload.transport_lines, transport_lines: undefined }) },
+	{ from: "1.9.0", to: "2.0.0", description: "count entities", migrate: (payload) => ({ ...payload, stats: { entity_count: payload.entities.length } }) },
+];
+
+function compressed(inner, envelope = {}) {
+	return {
+		compressed: true,
+		compression: "deflate",
+		payload: deflateSync(Buffer.from(JSON.stringify(inner), "utf8")).toString("base64"),
+		platform_name: inner.platform_name,
+		stats: { entity_count: 0 },
+		...envelope,
+	};
+}
+
+function inflate(envelope) {
+	return JSON.parse(inflateSync(Buffer.from(envelope.payload, "base64")).toString("utf8"));
+}
+
+test("the controller's payload schema matches the one the mod imports", () => {
+	const compat = fs.readFileSync(path.join(__dirname, "..", "module", "utils", "version-compat.lua"), "utf8");
+	assert.equal(compat.match(/VersionCompat\.PAYLOAD_SCHEMA_VERSION = "([^"]+)"/)[1], PAYLOAD_SCHEMA_VERSION);
+});
+
+test("a current or unversioned payload is passed through untouched", () => {
+	const current = compressed({ schema_version: "2.0.0", entities: [] }, { schema_version: "2.0.0", payload: "not inflated" });
+	assert.equal(migrateExportData(current, STEPS).exportData, current);
+
+	const legacyEnvelope = compressed({ schema_version: "2.0.0", entities: [] });
+	assert.deepEqual(migrateExportData(legacyEnvelope, STEPS).steps, []);
+
+	const unversioned = { platform: { force: "player" } };
+	assert.deepEqual(migrateExportData(unversioned, STEPS), { exportData: unversioned, fromVersion: null, toVersion: "2.0.0", steps: [] });
+});
+
+test("an old compressed payload runs every step and is re-deflated with the envelope kept", () => {
+	const inner = { schema_version: "1.8.0", platform_name: "Hauler", entities: [{ name: "a" }, { name: "b" }], transport_lines: [1] };
+	const original = compressed(inner, { _transferId: "t1" });
+	const snapshot = structuredClone(original);
+
+	const result = migrateExportData(original, STEPS);
+
+	assert.equal(result.fromVersion, "1.8.0");
+	assert.deepEqual(result.steps, ["1.8.0 → 1.9.0: rename belts", "1.9.0 → 2.0.0: count entities"]);
+	assert.equal(result.exportData.schema_version, "2.0.0");
+	assert.equal(result.exportData._transferId, "t1");
+	assert.deepEqual(result.exportData.stats, { entity_count: 2 });
+	const migrated = inflate(result.exportData);
+	assert.equal(migrated.schema_version, "2.0.0");
+	assert.deepEqual(migrated.belts, [1]);
+	assert.equal("transport_lines" in migrated, false);
+	assert.deepEqual(original, snapshot, "the stored envelope is never rewritten");
+});
+
+test("an uncompressed payload is migrated in place of the object", () => {
+	const result = migrateExportData({ schema_version: "1.9.0", entities: [{}], _operationId: "op" }, STEPS);
+
+	assert.deepEqual(result.exportData, { schema_version: "2.0.0", entities: [{}], _operationId: "op", stats: { entity_count: 1 } });
+});
+
+test("a version the chain cannot reach is refused with the known schemas", () => {
+	assert.throws(() => migrateExportData({ schema_version: "1.0.0" }, STEPS), /no migration from payload schema 1\.0\.0 to 2\.0\.0 \(known schemas: 1\.8\.0, 1\.9\.0, 2\.0\.0\)/);
+	assert.throws(() => migrateExportData({ schema_version: "2.1.0" }, STEPS), /no migration from payload schema 2\.1\.0/);
+	assert.throws(() => planMigrations("1.8.0", [STEPS[0]]), /stops at 1\.9\.0 before reaching 2\.0\.0/);
+	assert.throws(() => planMigrations("1.8.0", [STEPS[0], { ...STEPS[1], to: "1.8.0" }]), /loops at 1\.8\.0/);
+});
+
+function makeHarness(innerData) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const calls = { sends: [], events: [] };
+	const plugin = {
+		logger: { error: noop, info: noop, warn: noop },
+		pendingTransfers: new Map(),
+		persistPendingTransfer: noop,
+		recordAuditRow: async () => {},
+		isInstanceOnline: () => true,
+		stateRestoreInProgress: false,
+		platformStorage: {
+			get: () => ({ exportData: innerData, platformName: "Hauler", platformIndex: 3, instanceId: 1, sourceExportId: "export_1", size: 123 }),
+		},
+		platformTree: { resolveInstanceName: (id) => `instance-${id}` },
+		activeTransfers,
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (_id, type, _message, details) => { calls.events.push({ type, details }); },
+			archiveRecycledTransferId() {},
+			startPhase: noop,
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+		},
+		subscriptions: { emitTransferUpdate: noop, emitTransferSummary: noop, queueTreeBroadcast: noop },
+		controller: {
+			config: { get: (key) => (key === "surface_export.mod_mismatch_policy" ? "ignore" : undefined) },
+			sendTo: async (_dst, msg) => {
+				calls.sends.push({ name: msg.constructor.name, exportData: msg.exportData });
+				return { success: true };
+			},
+		},
+	};
+	return { orch: new TransferOrchestrator(plugin, messages), calls, activeTransfers };
+}
+
+test("a transfer sends the migrated payload and logs the steps", async () => {
+	PAYLOAD_MIGRATIONS.push(...STEPS);
+	try {
+		const { orch, calls, activeTransfers } = makeHarness({ schema_version: "1.9.0", platform: { force: "player" }, entities: [] });
+
+		const response = await orch.transferPlatform("export_1", 2);
+		clearTimeout(activeTransfers.get(response.transferId).validationTimeout);
+
+		assert.equal(response.success, true);
+		const sent = calls.sends.find(send => send.name === "ImportPlatformRequest").exportData;
+		assert.equal(sent.schema_version, "2.0.0");
+		assert.equal(sent._transferId, "export_1");
+		assert.deepEqual(calls.events.find(row => row.type === "payload_migrated").details.steps, ["1.9.0 → 2.0.0: count entities"]);
+	} finally {
+		PAYLOAD_MIGRATIONS.length = 0;
+	}
+});
+
+test("a payload that cannot be migrated fails the transfer and unlocks the source without importing", async () => {
+	const { orch, calls, activeTransfers } = makeHarness({ schema_version: "1.0.0", platform: { force: "player" } });
+
+	const response = await orch.transferPlatform("export_1", 2);
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /could not be migrated to schema 2\.0\.0 \(no migration from payload schema 1\.0\.0/);
+	assert.deepEqual(calls.sends.map(send => send.name).filter(name => name !== "TransferStatusUpdate"), ["UnlockSourcePlatformRequest"]);
+	assert.equal(activeTransfers.get("export_1").status, "failed");
+	assert.ok(calls.events.some(row => row.type === "payload_migration_failed"));
+});
+
+test("ctl migrate rewrites a downloaded file offline and drops its signature", async () => {
+	const command = registered.find(entry => String(entry.definition[0]).startsWith("migrate "));
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-migrate-"));
+	const input = path.join(dir, "hauler.json");
+	const output = path.join(dir, "hauler.migrated.json");
+	fs.writeFileSync(input, JSON.stringify({ schema_version: "1.9.0", entities: [], _digest: "sha256:x", _signature: "hmac:y" }));
+	const printed = [];
+	const originalLog = console.log;
+	console.log = (line) => printed.push(line);
+	PAYLOAD_MIGRATIONS.push(...STEPS);
+	try {
+		await command.handler({ file: input, outputFile: output });
+		await command.handler({ file: output });
+	} finally {
+		console.log = originalLog;
+		PAYLOAD_MIGRATIONS.length = 0;
+	}
+
+	const written = JSON.parse(fs.readFileSync(output, "utf8"));
+	assert.equal(written.schema_version, "2.0.0");
+	assert.equal("_digest" in written || "_signature" in written, false);
+	assert.match(printed[0], /from payload schema 1\.9\.0 to 2\.0\.0/);
+	assert.match(printed.at(-1), /already at payload schema 2\.0\.0; nothing to migrate/);
+	fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,272 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { FilesystemStorageBackend } = require(path.join(distNode, "lib", "storage-backend.js"));
+const { TransactionLogger } = require(path.join(distNode, "lib", "transaction-logger.js"));
+const { enqueueWrite } = require(path.join(distNode, "lib", "persist-queue.js"));
+const { STATE_BACKUP_FORMAT } = require(path.join(distNode, "lib", "state-backup.js"));
+
+function makePlugin(dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-state-"))) {
+	const pushed = [];
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.info = { version: "9.9.9" };
+	plugin.storagePath = path.join(dir, "surface_export_storage.json");
+	plugin.storageDir = path.join(dir, "surface_export_exports");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
+	plugin.transactionLogPath = path.join(dir, "surface_export_transaction_logs.json");
+	plugin.auditLedgerPath = path.join(dir, "surface_export_transaction_audit.jsonl");
+	plugin.gatewayConfigPath = path.join(dir, "surface_export_gateways.json");
+	plugin.pendingTransfersPath = path.join(dir, "surface_export_pending_transfers.json");
+	plugin.pendingDeliveriesPath = path.join(dir, "surface_export_pending_deliveries.json");
+	plugin.sourceCommitMarkersPath = path.join(dir, "surface_export_source_commit_markers.json");
+	plugin.transferSchedulesPath = path.join(dir, "surface_export_transfer_schedules.json");
+	plugin.storageLoadError = null;
+	plugin.consecutiveStorageWriteFailures = 0;
+	plugin.stateRestoreInProgress = false;
+	plugin.platformStorage = new Map();
+	plugin.activeTransfers = new Map();
+	plugin.transactionLogs = new Map();
+	plugin.persistedTransactionLogs = [];
+	plugin.transactionLogLoadError = null;
+	plugin.auditIndex = new Map();
+	plugin.auditRevisions = new Map();
+	plugin.gatewayLinks = new Map();
+	plugin.pendingTransfers = new Map();
+	plugin.pendingDeliveries = new Map();
+	plugin.sourceCommitMarkers = new Map();
+	plugin.transferSchedules = new Map();
+	plugin.lastTreeForceName = "player";
+	plugin.controller = { instances: new Map([[2, { id: 2, isDeleted: false }]]) };
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
+	plugin.subscriptions = { queueTreeBroadcast() {} };
+	plugin.transferQueue = { waiting: 0 };
+	plugin.transferGroups = { active: 0 };
+	plugin.txLogger = new TransactionLogger(plugin);
+	plugin.pushGatewayConfigToInstance = async (instanceId) => { pushed.push(instanceId); return null; };
+	return { plugin, dir, pushed };
+}
+
+async function seedState(plugin) {
+	const now = Date.now();
+	await plugin.handlePlatformExport({
+		exportId: "001",
+		platformName: "alpha",
+		platformIndex: 1,
+		instanceId: 1,
+		exportData: { platform: { force: "player" }, payload: "body" },
+		timestamp: 1000,
+	});
+	fs.writeFileSync(plugin.transactionLogPath, JSON.stringify([{ transferId: "1:001", savedAt: now, events: [] }]));
+	fs.writeFileSync(plugin.auditLedgerPath, `${JSON.stringify({ v: 1, transferId: "1:001", rowKind: "terminal", savedAt: now, status: "completed" })}\n`);
+	plugin.gatewayLinks.set("1:surfexp_gateway_1", [{ targetInstanceId: 2, targetGateway: "surfexp_gateway_1" }]);
+	await plugin.persistGatewayConfig();
+	plugin.persistPendingTransfer({ transferId: "1:002", startedAt: now });
+	plugin.recordCommitTransmitted({ transferId: "1:003", committedAt: now });
+	await plugin.persistPendingTransfers();
+	await plugin.persistSourceCommitMarkers();
+	await plugin.persistPendingDelivery({ transferId: "1:001", exportId: "1:001", phase: "waiting" });
+	plugin.transferSchedules.set("schedule_1", { scheduleId: "schedule_1", rule: { kind: "cron", cron: "@daily" }, runs: [] });
+	await plugin.persistTransferSchedules();
+}
+
+test("a backup carries every state file with a manifest of versions, counts and checksums", async () => {
+	const { plugin } = makePlugin();
+	await seedState(plugin);
+
+	const response = await plugin.handleBackupControllerStateRequest();
+
+	assert.equal(response.success, true);
+	const { manifest, files } = response.archive;
+	assert.equal(manifest.format, STATE_BACKUP_FORMAT);
+	assert.equal(manifest.pluginVersion, "9.9.9");
+	assert.deepEqual(manifest.counts, {
+		storedExports: 1,
+		transactionLogs: 1,
+		auditRows: 1,
+		gatewayLinks: 1,
+		pendingTransfers: 1,
+		sourceCommitMarkers: 1,
+		pendingDeliveries: 1,
+		transferSchedules: 1,
+	});
+	assert.deepEqual(Object.keys(files).sort(), [
+		"surface_export_exports/1%3A001.export.json",
+		"surface_export_exports/index.json",
+		"surface_export_gateways.json",
+		"surface_export_pending_deliveries.json",
+		"surface_export_pending_transfers.json",
+		"surface_export_source_commit_markers.json",
+		"surface_export_transaction_audit.jsonl",
+		"surface_export_transaction_logs.json",
+		"surface_export_transfer_schedules.json",
+	]);
+	assert.deepEqual(manifest.files.map(file => file.name), Object.keys(files).sort());
+	assert.ok(manifest.files.every(file => /^[0-9a-f]{64}$/.test(file.sha256)));
+});
+
+test("the backup reads each file behind writes already queued on it", async () => {
+	const { plugin } = makePlugin();
+	let release;
+	const gate = new Promise(resolve => { release = resolve; });
+	const queued = enqueueWrite(plugin.gatewayConfigPath, async () => {
+		await gate;
+		fs.writeFileSync(plugin.gatewayConfigPath, JSON.stringify([["1:late", []]]));
+	});
+
+	const backup = plugin.handleBackupControllerStateRequest();
+	release();
+	await queued;
+	const response = await backup;
+
+	assert.equal(response.archive.files["surface_export_gateways.json"], JSON.stringify([["1:late", []]]));
+});
+
+test("restore replaces live state with the backup and reloads it", async () => {
+	const { plugin: source } = makePlugin();
+	await seedState(source);
+	const { archive } = await source.handleBackupControllerStateRequest();
+
+	const { plugin, pushed } = makePlugin();
+	await plugin.handlePlatformExport({
+		exportId: "777",
+		platformName: "newer",
+		platformIndex: 4,
+		instanceId: 3,
+		exportData: { payload: "after the backup" },
+		timestamp: 2000,
+	});
+	const response = await plugin.handleRestoreControllerStateRequest({ archive });
+
+	assert.equal(response.success, true);
+	assert.equal(response.error, undefined);
+	assert.deepEqual([...plugin.platformStorage.keys()], ["1:001"]);
+	assert.deepEqual(await plugin.loadStoredExportData("1:001"), { platform: { force: "player" }, payload: "body" });
+	assert.ok(!fs.existsSync(path.join(plugin.storageDir, "3%3A777.export.json")), "exports stored after the backup are removed");
+	assert.equal(plugin.persistedTransactionLogs.length, 1);
+	assert.ok(plugin.auditIndex.has("1:001"));
+	assert.ok(plugin.gatewayLinks.has("1:surfexp_gateway_1"));
+	assert.ok(plugin.pendingTransfers.has("1:002"));
+	assert.ok(plugin.sourceCommitMarkers.has("1:003"));
+	assert.ok(plugin.pendingDeliveries.has("1:001"));
+	assert.deepEqual(pushed, [2], "restored gateway links are pushed to live instances");
+	assert.equal(plugin.stateRestoreInProgress, false);
+});
+
+test("restore is refused while a mail-drop delivery is pending, since the controller may hold the only copy", async () => {
+	const { plugin: source } = makePlugin();
+	const { archive } = await source.handleBackupControllerStateRequest();
+
+	const { plugin } = makePlugin();
+	await seedState(plugin);
+	const response = await plugin.handleRestoreControllerStateRequest({ archive });
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /1 mail-drop delivery\(s\) are pending \(1:001 waiting\)/);
+	assert.ok(plugin.pendingDeliveries.has("1:001"));
+	assert.equal(plugin.platformStorage.size, 1);
+	assert.ok(fs.existsSync(plugin.pendingDeliveriesPath));
+});
+
+test("restore deletes live state files the backup does not contain", async () => {
+	const { plugin: source } = makePlugin();
+	const { archive } = await source.handleBackupControllerStateRequest();
+
+	const { plugin } = makePlugin();
+	await seedState(plugin);
+	plugin.removePendingDelivery("1:001");
+	const response = await plugin.handleRestoreControllerStateRequest({ archive });
+
+	assert.equal(response.success, true);
+	assert.equal(plugin.platformStorage.size, 0);
+	assert.equal(plugin.gatewayLinks.size, 0);
+	assert.equal(plugin.pendingTransfers.size, 0);
+	assert.equal(plugin.pendingDeliveries.size, 0);
+	assert.ok(!fs.existsSync(plugin.pendingTransfersPath));
+	assert.ok(!fs.existsSync(plugin.auditLedgerPath));
+});
+
+test("restore is refused while an operation is in flight and leaves state untouched", async () => {
+	const { plugin: source } = makePlugin();
+	const { archive } = await source.handleBackupControllerStateRequest();
+
+	const { plugin } = makePlugin();
+	await seedState(plugin);
+	plugin.activeTransfers.set("1:001", { transferId: "1:001", status: "awaiting_validation" });
+	plugin.activeTransfers.set("1:000", { transferId: "1:000", status: "completed" });
+
+	const response = await plugin.handleRestoreControllerStateRequest({ archive });
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /1 operation\(s\) are in flight \(1:001 awaiting_validation\)/);
+	assert.equal(plugin.platformStorage.size, 1);
+	assert.ok(fs.existsSync(plugin.pendingTransfersPath));
+});
+
+test("restore is refused while transfers wait in the queue or a group is running", async () => {
+	const { plugin: source } = makePlugin();
+	const { archive } = await source.handleBackupControllerStateRequest();
+
+	const { plugin } = makePlugin();
+	await seedState(plugin);
+	plugin.removePendingDelivery("1:001");
+	plugin.transferQueue.waiting = 2;
+	const queued = await plugin.handleRestoreControllerStateRequest({ archive });
+	assert.equal(queued.success, false);
+	assert.match(queued.error, /2 transfer\(s\) wait in the transfer queue and 0 group transfer\(s\) are running/);
+
+	plugin.transferQueue.waiting = 0;
+	plugin.transferGroups.active = 1;
+	assert.match((await plugin.handleRestoreControllerStateRequest({ archive })).error, /1 group transfer\(s\) are running/);
+	assert.equal(plugin.platformStorage.size, 1);
+	assert.ok(fs.existsSync(plugin.pendingTransfersPath));
+	assert.equal(plugin.stateRestoreInProgress, false);
+});
+
+test("a backup edited after it was written, or naming files outside the state set, is rejected", async () => {
+	const { plugin: source } = makePlugin();
+	await seedState(source);
+	const { archive } = await source.handleBackupControllerStateRequest();
+	const { plugin } = makePlugin();
+
+	const edited = structuredClone(archive);
+	edited.files["surface_export_gateways.json"] = "[]";
+	const tampered = await plugin.handleRestoreControllerStateRequest({ archive: edited });
+	assert.equal(tampered.success, false);
+	assert.match(tampered.error, /surface_export_gateways\.json does not match its manifest checksum/);
+
+	const escaping = structuredClone(archive);
+	escaping.files["../outside.json"] = "[]";
+	escaping.manifest.files.push({ name: "../outside.json", bytes: 2, sha256: "4f53cda18c2baa0c0354bb5f9a3ecbe5ed12ab4d8e11ba873c2f11161202b945" });
+	const outside = await plugin.handleRestoreControllerStateRequest({ archive: escaping });
+	assert.equal(outside.success, false);
+	assert.match(outside.error, /\.\.\/outside\.json is not a Surface Export state file/);
+
+	const foreign = await plugin.handleRestoreControllerStateRequest({ archive: { manifest: { format: "other", files: [] }, files: {} } });
+	assert.match(foreign.error, /not a Surface Export state backup/);
+	assert.equal(plugin.platformStorage.size, 0);
+});
@@ -0,0 +1,175 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { FilesystemStorageBackend } = require(path.join(distNode, "lib", "storage-backend.js"));
+const { TransactionLogger } = require(path.join(distNode, "lib", "transaction-logger.js"));
+const { salvageJsonArray } = require(path.join(distNode, "lib", "json-salvage.js"));
+
+function makePlugin(config = {}) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-salvage-"));
+	const warns = [];
+	const errors = [];
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.storagePath = path.join(dir, "surface_export_storage.json");
+	plugin.storageDir = path.join(dir, "surface_export_exports");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
+	plugin.exportStoreError = null;
+	plugin.transactionLogPath = path.join(dir, "surface_export_transaction_logs.json");
+	plugin.storageLoadError = null;
+	plugin.transactionLogLoadError = null;
+	plugin.consecutiveStorageWriteFailures = 0;
+	plugin.stateRestoreInProgress = false;
+	plugin.platformStorage = new Map();
+	plugin.activeTransfers = new Map();
+	plugin.persistedTransactionLogs = [];
+	plugin.controller = { instances: new Map() };
+	plugin.cfg = (key) => config[key] ?? null;
+	plugin.logger = { error: (m) => errors.push(m), info() {}, verbose() {}, warn: (m) => warns.push(m) };
+	plugin.subscriptions = { queueTreeBroadcast() {} };
+	plugin.txLogger = new TransactionLogger(plugin);
+	return { plugin, dir, warns, errors };
+}
+
+function indexEntry(n) {
+	return { exportId: `1:00${n}`, sourceExportId: `00${n}`, platformName: `platform-${n}`, platformIndex: n, instanceId: 1, timestamp: 1000 + n, size: 10 };
+}
+
+async function seedIndexWithCorruptTail(plugin) {
+	for (const n of [1, 2, 3]) {
+		fs.mkdirSync(plugin.storageDir, { recursive: true });
+		fs.writeFileSync(path.join(plugin.storageDir, `1%3A00${n}.export.json`), JSON.stringify({ payload: `body-${n}` }));
+	}
+	const full = JSON.stringify([indexEntry(1), indexEntry(2), indexEntry(3)], null, 2);
+	const cut = full.indexOf("\"platformName\": \"platform-3\"");
+	const corrupt = full.slice(0, cut);
+	fs.writeFileSync(path.join(plugin.storageDir, "index.json"), corrupt);
+	return corrupt;
+}
+
+test("a truncated array keeps every complete entry and names the one cut off", () => {
+	const full = JSON.stringify([{ transferId: "a", events: [] }, { transferId: "b", events: [{ n: 1 }] }, { transferId: "c", events: [] }], null, 2);
+	const salvage = salvageJsonArray(full.slice(0, full.lastIndexOf("\"events\"")), "transferId");
+
+	assert.deepEqual(salvage.entries.map(entry => entry.transferId), ["a", "b"]);
+	assert.equal(salvage.truncated, true);
+	assert.equal(salvage.dropped, 1);
+	assert.deepEqual(salvage.lostIds, ["c"]);
+});
+
+test("damage in the middle of a pretty-printed array is skipped up to the next entry", () => {
+	const full = JSON.stringify([{ exportId: "1:001" }, { exportId: "1:002", note: "x" }, { exportId: "1:003" }], null, 2);
+	const damaged = full.replace("\"note\": \"x\"", "\"note\": \"x\u0000\u0000\u0000, \"broken");
+
+	const salvage = salvageJsonArray(damaged, "exportId");
+
+	assert.deepEqual(salvage.entries.map(entry => entry.exportId), ["1:001", "1:003"]);
+	assert.equal(salvage.truncated, false);
+	assert.equal(salvage.dropped, 1);
+	assert.deepEqual(salvage.lostIds, ["1:002"]);
+	assert.ok(salvage.lostBytes > 0);
+});
+
+test("an intact array, and a file that is not an array at all, are told apart", () => {
+	const intact = salvageJsonArray(JSON.stringify([{ exportId: "1:001" }]), "exportId");
+	assert.deepEqual([intact.entries.length, intact.dropped, intact.truncated], [1, 0, false]);
+
+	const object = salvageJsonArray("{\"exportId\": \"1:001\"}", "exportId");
+	assert.deepEqual([object.entries.length, object.dropped], [0, 1]);
+});
+
+test("salvaging the export index quarantines the original, rewrites it and re-enables persistence", async () => {
+	const { plugin, warns } = makePlugin();
+	const corrupt = await seedIndexWithCorruptTail(plugin);
+	await plugin.loadStorage();
+	assert.notEqual(plugin.storageLoadError, null);
+
+	const dryRun = await plugin.handleSalvageStateFileRequest({ target: "exports", dryRun: true });
+	assert.equal(dryRun.success, true);
+	assert.deepEqual(
+		[dryRun.report.applied, dryRun.report.recovered, dryRun.report.dropped, dryRun.report.truncated, dryRun.report.lostIds],
+		[false, 2, 1, true, ["1:003"]],
+	);
+	assert.equal(fs.readFileSync(path.join(plugin.storageDir, "index.json"), "utf8"), corrupt, "a dry run changes nothing");
+
+	const response = await plugin.handleSalvageStateFileRequest({ target: "exports", dryRun: false });
+
+	assert.equal(response.success, true);
+	assert.equal(response.report.applied, true);
+	assert.match(response.report.quarantinedAs, /index\.json\.corrupt-\d{4}-\d{2}-\d{2}T/);
+	assert.equal(fs.readFileSync(response.report.quarantinedAs, "utf8"), corrupt);
+	assert.equal(plugin.storageLoadError, null);
+	assert.deepEqual([...plugin.platformStorage.keys()].sort(), ["1:001", "1:002"]);
+	assert.deepEqual(await plugin.loadStoredExportData("1:002"), { payload: "body-2" });
+	assert.ok(!fs.existsSync(path.join(plugin.storageDir, "1%3A003.export.json")), "the payload of the lost entry is pruned on the next persist");
+	assert.match(warns.join("\n"), /Salvaged 2 entries .* 1 damaged entry was dropped .*ids 1:003/);
+});
+
+test("salvaging the transaction log file reloads the history it kept", async () => {
+	const { plugin } = makePlugin();
+	const full = JSON.stringify([{ transferId: "1:001", events: [], savedAt: 1 }, { transferId: "1:002", events: [], savedAt: 2 }], null, 2);
+	fs.writeFileSync(plugin.transactionLogPath, `${full.slice(0, full.length - 20)}`);
+	await plugin.txLogger.loadTransactionLogs();
+	assert.notEqual(plugin.transactionLogLoadError, null);
+
+	const response = await plugin.handleSalvageStateFileRequest({ target: "transaction_logs", dryRun: false });
+
+	assert.equal(response.success, true);
+	assert.deepEqual(response.report.lostIds, ["1:002"]);
+	assert.equal(plugin.transactionLogLoadError, null);
+	assert.deepEqual(plugin.persistedTransactionLogs.map(log => log.transferId), ["1:001"]);
+	assert.ok(fs.existsSync(response.report.quarantinedAs));
+});
+
+test("an intact file is left alone and a missing one is reported", async () => {
+	const { plugin } = makePlugin();
+	fs.writeFileSync(plugin.transactionLogPath, JSON.stringify([{ transferId: "1:001", events: [] }]));
+
+	const intact = await plugin.handleSalvageStateFileRequest({ target: "transaction_logs", dryRun: false });
+	assert.equal(intact.success, true);
+	assert.equal(intact.report.applied, false);
+	assert.equal(intact.report.quarantinedAs, null);
+
+	const missing = await plugin.handleSalvageStateFileRequest({ target: "exports", dryRun: false });
+	assert.equal(missing.success, false);
+	assert.match(missing.error, /does not exist, so there is nothing to salvage/);
+});
+
+test("boot salvage only runs when salvage_corrupt_state_on_boot is enabled", async () => {
+	const { plugin: off } = makePlugin();
+	await seedIndexWithCorruptTail(off);
+	await off.loadStorage();
+	await off.salvageOnBoot("exports");
+	assert.notEqual(off.storageLoadError, null, "without the opt-in the file is preserved as-is");
+
+	const { plugin: on } = makePlugin({ "surface_export.salvage_corrupt_state_on_boot": true });
+	await seedIndexWithCorruptTail(on);
+	await on.loadStorage();
+	await on.salvageOnBoot("exports");
+	assert.equal(on.storageLoadError, null);
+	assert.equal(on.platformStorage.size, 2);
+});
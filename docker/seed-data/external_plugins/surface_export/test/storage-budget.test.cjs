@@ -0,0 +1,153 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			safeOutputFile: async () => {},
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { planEviction, BYTES_PER_MEGABYTE } = require(path.join(distNode, "lib", "storage-eviction.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function entry(i, overrides = {}) {
+	return {
+		exportId: `1:00${i}`,
+		platformName: `platform-${i}`,
+		instanceId: 1,
+		timestamp: 1000 + i,
+		size: 100,
+		...overrides,
+	};
+}
+
+function limits(overrides = {}) {
+	return { maxEntries: null, maxBytes: null, instanceQuotaBytes: new Map(), ...overrides };
+}
+
+function makeInstance(id, quotaMegabytes) {
+	return {
+		id,
+		isDeleted: false,
+		config: { get: (key) => (key === "surface_export.controller_storage_quota_megabytes" ? quotaMegabytes : null) },
+	};
+}
+
+function makePlugin(config = {}) {
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.platformStorage = new Map();
+	plugin.activeTransfers = new Map();
+	plugin.pendingDeliveries = new Map();
+	plugin.controller = { instances: new Map() };
+	plugin.cfg = (key) => config[key] ?? 0;
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
+	plugin.subscriptions = { queueTreeBroadcast() {} };
+	return plugin;
+}
+
+test("the byte budget evicts oldest-first until the total fits", () => {
+	const plan = planEviction([entry(1), entry(2), entry(3), entry(4)], limits({ maxBytes: 250 }));
+
+	assert.deepEqual(plan.evict.map(e => e.exportId), ["1:001", "1:002"]);
+	assert.ok(plan.evict.every(e => e.reason === "max_bytes"));
+	assert.equal(plan.after.bytes, 200);
+	assert.deepEqual(plan.unmet, []);
+});
+
+test("an instance quota only evicts that instance's exports", () => {
+	const entries = [
+		entry(1, { instanceId: 2 }),
+		entry(2, { instanceId: 1 }),
+		entry(3, { instanceId: 1 }),
+		entry(4, { instanceId: 1 }),
+	];
+	const plan = planEviction(entries, limits({ instanceQuotaBytes: new Map([[1, 150]]) }));
+
+	assert.deepEqual(plan.evict.map(e => e.exportId), ["1:002", "1:003"],
+		"instance 2's older export is not charged to instance 1's quota");
+	assert.ok(plan.evict.every(e => e.reason === "instance_quota"));
+	assert.equal(plan.after.bytesByInstance["1"], 100);
+	assert.equal(plan.after.bytesByInstance["2"], 100);
+});
+
+test("exports referenced by an in-flight transfer go after every other unpinned export", () => {
+	const plan = planEviction(
+		[entry(1), entry(2), entry(3, { pinned: true }), entry(4)],
+		limits({ maxEntries: 2 }),
+		{ inFlightExportIds: new Set(["1:001"]) },
+	);
+
+	assert.deepEqual(plan.evict.map(e => e.exportId), ["1:002", "1:004"]);
+	assert.ok(plan.evict.every(e => !e.inFlight));
+
+	const squeezed = planEviction(
+		[entry(1), entry(2), entry(3, { pinned: true })],
+		limits({ maxEntries: 1 }),
+		{ inFlightExportIds: new Set(["1:001"]) },
+	);
+	assert.deepEqual(squeezed.evict.map(e => [e.exportId, e.inFlight]), [["1:002", false], ["1:001", true]]);
+});
+
+test("limits that only pins could satisfy are reported as unmet", () => {
+	const plan = planEviction(
+		[entry(1, { pinned: true, size: 500 }), entry(2)],
+		limits({ maxBytes: 300, instanceQuotaBytes: new Map([[1, 400]]) }),
+	);
+
+	assert.deepEqual(plan.evict.map(e => e.exportId), ["1:002"]);
+	assert.equal(plan.unmet.length, 2);
+	assert.match(plan.unmet[0], /byte budget of 300 bytes \(500 stored\)/);
+	assert.match(plan.unmet[1], /instance 1's quota of 400 bytes \(500 stored\)/);
+});
+
+test("the controller reads the byte budget and instance quotas from config", () => {
+	const plugin = makePlugin({ "surface_export.max_storage_size": 20, "surface_export.max_storage_megabytes": 2 });
+	plugin.controller.instances.set(1, makeInstance(1, 0.5));
+	plugin.controller.instances.set(2, makeInstance(2, 0));
+	plugin.controller.instances.set(3, { ...makeInstance(3, 1), isDeleted: true });
+
+	const resolved = plugin.storageLimits();
+
+	assert.equal(resolved.maxEntries, 20);
+	assert.equal(resolved.maxBytes, 2 * BYTES_PER_MEGABYTE);
+	assert.deepEqual([...resolved.instanceQuotaBytes], [[1, BYTES_PER_MEGABYTE / 2]],
+		"a zero quota and deleted instances carry no quota");
+});
+
+test("the eviction preview reports without deleting and honours overrides", async () => {
+	const plugin = makePlugin({ "surface_export.max_storage_size": 20 });
+	for (const i of [1, 2, 3]) {
+		plugin.platformStorage.set(`1:00${i}`, entry(i));
+	}
+	plugin.activeTransfers.set("t1", { exportId: "1:001", status: "awaiting_validation" });
+
+	const report = await plugin.handlePreviewStorageEvictionRequest(
+		messages.PreviewStorageEvictionRequest.fromJSON({ maxEntries: 1 }),
+	);
+
+	assert.equal(report.success, true);
+	assert.equal(report.limits.maxEntries, 1);
+	assert.equal(report.limits.maxBytes, null);
+	assert.deepEqual(report.evict.map(e => e.exportId), ["1:002", "1:003"],
+		"the in-flight export is kept while other candidates remain");
+	assert.equal(report.before.entries, 3);
+	assert.equal(report.after.entries, 1);
+	assert.equal(plugin.platformStorage.size, 3, "a preview must not evict anything");
+});
@@ -29,14 +29,19 @@ Module._load = function patchedLoad(request, parent, isMain) {
 
 const distNode = path.join(__dirname, "..", "dist", "node");
 const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { FilesystemStorageBackend } = require(path.join(distNode, "lib", "storage-backend.js"));
 
 function makePlugin() {
 	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-evict-"));
 	const plugin = Object.create(ControllerPlugin.prototype);
 	plugin.storagePath = path.join(dir, "surface_export_storage.json");
+	plugin.storageDir = path.join(dir, "surface_export_exports");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
 	plugin.storageLoadError = null;
 	plugin.consecutiveStorageWriteFailures = 0;
 	plugin.platformStorage = new Map();
+	plugin.activeTransfers = new Map();
+	plugin.pendingDeliveries = new Map();
 	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
 	plugin.subscriptions = { queueTreeBroadcast() {} };
 	return plugin;
@@ -63,7 +68,7 @@ test("eviction drops the OLDEST exports and keeps the cap exactly", () => {
 	const plugin = makePlugin();
 	seed(plugin, 5);
 
-	plugin.cleanupOldExports(3);
+	plugin.cleanupOldExports({ maxEntries: 3 });
 
 	assert.equal(plugin.platformStorage.size, 3);
 	assert.deepEqual([...plugin.platformStorage.keys()].sort(), ["1:003", "1:004", "1:005"]);
@@ -75,19 +80,45 @@ test("eviction is a no-op when the store is at or under the cap", () => {
 	const plugin = makePlugin();
 	seed(plugin, 3);
 
-	plugin.cleanupOldExports(3);
+	plugin.cleanupOldExports({ maxEntries: 3 });
 	assert.equal(plugin.platformStorage.size, 3);
 
-	plugin.cleanupOldExports(10);
+	plugin.cleanupOldExports({ maxEntries: 10 });
 	assert.equal(plugin.platformStorage.size, 3);
 });
 
+test("pinned exports are skipped and the next-oldest unpinned export goes instead", () => {
+	const plugin = makePlugin();
+	seed(plugin, 5);
+	plugin.platformStorage.get("1:001").pinned = true;
+
+	plugin.cleanupOldExports({ maxEntries: 3 });
+
+	assert.deepEqual([...plugin.platformStorage.keys()].sort(), ["1:001", "1:004", "1:005"]);
+});
+
+test("when pins alone fill the cap, the store stays over it with a warning and keeps the new export", () => {
+	const plugin = makePlugin();
+	const warns = [];
+	plugin.logger.warn = (m) => warns.push(m);
+	seed(plugin, 3);
+	plugin.platformStorage.get("1:001").pinned = true;
+	plugin.platformStorage.get("1:002").pinned = true;
+
+	plugin.cleanupOldExports({ maxEntries: 1 }, "1:003");
+
+	assert.deepEqual([...plugin.platformStorage.keys()].sort(), ["1:001", "1:002", "1:003"],
+		"neither pins nor the export that triggered eviction may be dropped");
+	assert.equal(warns.length, 1);
+	assert.match(warns[0], /over the cap of 1 \(3 stored, 2 pinned\)/);
+});
+
 test("eviction does NOT write — its caller owns the persist", async () => {
 	const plugin = makePlugin();
 	seed(plugin, 5);
 	writeCount = 0;
 
-	plugin.cleanupOldExports(3);
+	plugin.cleanupOldExports({ maxEntries: 3 });
 	await new Promise(resolve => setImmediate(resolve));
 
 	assert.equal(writeCount, 0, "cleanupOldExports must not persist; handlePlatformExport does it next");
@@ -101,6 +132,8 @@ test("what persistStorage writes is what loadStorage reads back", async () => {
 
 	const reloaded = Object.create(ControllerPlugin.prototype);
 	reloaded.storagePath = plugin.storagePath;
+	reloaded.storageDir = plugin.storageDir;
+	reloaded.exportStore = plugin.exportStore;
 	reloaded.storageLoadError = null;
 	reloaded.platformStorage = new Map();
 	reloaded.logger = { error() {}, info() {}, verbose() {}, warn() {} };
@@ -109,8 +142,9 @@ test("what persistStorage writes is what loadStorage reads back", async () => {
 
 	assert.equal(reloaded.storageLoadError, null, "a file we just wrote must load cleanly");
 	assert.deepEqual([...reloaded.platformStorage.keys()].sort(), ["1:001", "1:002"]);
+	assert.equal(reloaded.platformStorage.get("1:002").exportData, undefined, "payloads stay on disk until asked for");
 	assert.deepEqual(
-		reloaded.platformStorage.get("1:002").exportData,
+		await reloaded.loadStoredExportData("1:002"),
 		{ payload: "body-2" },
 		"the payload must survive the round trip, not just the key",
 	);
@@ -121,7 +155,9 @@ test("a repeated write failure escalates instead of repeating one identical line
 	seed(plugin, 1);
 	const errors = [];
 	plugin.logger = { error: (m) => errors.push(m), info() {}, verbose() {}, warn() {} };
-	plugin.storagePath = path.join(plugin.storagePath, "not-a-directory", "nope.json");
+	fs.writeFileSync(plugin.storagePath, "");
+	plugin.storageDir = path.join(plugin.storagePath, "not-a-directory");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
 
 	await plugin.persistStorage();
 	await plugin.persistStorage();
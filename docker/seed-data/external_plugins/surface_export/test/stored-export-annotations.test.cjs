@@ -0,0 +1,119 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			safeOutputFile: async (file, data) => fs.writeFileSync(file, data),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	if (request === "@clusterio/controller") {
+		return { BaseControllerPlugin: class {} };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { ControllerPlugin } = require(path.join(distNode, "controller.js"));
+const { FilesystemStorageBackend } = require(path.join(distNode, "lib", "storage-backend.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function makePlugin(dir = fs.mkdtempSync(path.join(os.tmpdir(), "surface-export-annotate-"))) {
+	const plugin = Object.create(ControllerPlugin.prototype);
+	plugin.storagePath = path.join(dir, "surface_export_storage.json");
+	plugin.storageDir = path.join(dir, "surface_export_exports");
+	plugin.exportStore = new FilesystemStorageBackend(plugin.storageDir);
+	plugin.storageLoadError = null;
+	plugin.consecutiveStorageWriteFailures = 0;
+	plugin.platformStorage = new Map([["1:001", {
+		exportId: "1:001",
+		sourceExportId: "001",
+		platformName: "main-factory",
+		platformIndex: 1,
+		instanceId: 1,
+		exportData: { payload: "body" },
+		exportMetrics: null,
+		timestamp: 1000,
+		size: 10,
+	}]]);
+	plugin.logger = { error() {}, info() {}, verbose() {}, warn() {} };
+	plugin.subscriptions = { queueTreeBroadcast() {} };
+	return { plugin, dir };
+}
+
+function update(plugin, json) {
+	return plugin.handleUpdateStoredExportRequest(messages.UpdateStoredExportRequest.fromJSON(json));
+}
+
+test("a fresh export lists as unpinned with no labels or note", () => {
+	const { plugin } = makePlugin();
+	const [entry] = plugin.listStoredExports();
+	assert.equal(entry.pinned, false);
+	assert.deepEqual(entry.labels, []);
+	assert.equal(entry.note, null);
+});
+
+test("pin, labels and note are applied independently and surface in ListExports", async () => {
+	const { plugin } = makePlugin();
+
+	const pinned = await update(plugin, { exportId: "1:001", pinned: true });
+	assert.equal(pinned.success, true);
+	assert.equal(pinned.export.pinned, true);
+
+	await update(plugin, { exportId: "1:001", labels: [" known-good ", "main", "main", ""] });
+	await update(plugin, { exportId: "1:001", note: "  before the quality rebuild  " });
+
+	const [entry] = plugin.listStoredExports();
+	assert.equal(entry.pinned, true, "a labels/note update must not reset the pin");
+	assert.deepEqual(entry.labels, ["known-good", "main"], "labels are trimmed, de-duplicated and blank ones dropped");
+	assert.equal(entry.note, "before the quality rebuild");
+
+	await update(plugin, { exportId: "1:001", note: "", labels: [] });
+	const [cleared] = plugin.listStoredExports();
+	assert.equal(cleared.note, null);
+	assert.deepEqual(cleared.labels, []);
+	assert.equal(cleared.pinned, true);
+});
+
+test("annotations survive a controller restart", async () => {
+	const { plugin, dir } = makePlugin();
+	await update(plugin, { exportId: "1:001", pinned: true, labels: ["keep"], note: "golden copy" });
+
+	const { plugin: reloaded } = makePlugin(dir);
+	reloaded.platformStorage = new Map();
+	await reloaded.loadStorage();
+
+	const [entry] = reloaded.listStoredExports();
+	assert.equal(entry.pinned, true);
+	assert.deepEqual(entry.labels, ["keep"]);
+	assert.equal(entry.note, "golden copy");
+});
+
+test("unknown exports and oversized input are refused without changing anything", async () => {
+	const { plugin } = makePlugin();
+
+	const missing = await update(plugin, { exportId: "9:999", pinned: true });
+	assert.equal(missing.success, false);
+	assert.match(missing.error, /Export not found: 9:999/);
+
+	const tooMany = await update(plugin, { exportId: "1:001", pinned: true, labels: Array.from({ length: 17 }, (_, i) => `l${i}`) });
+	assert.equal(tooMany.success, false);
+	assert.match(tooMany.error, /at most 16 labels/);
+
+	const longNote = await update(plugin, { exportId: "1:001", pinned: true, note: "x".repeat(2001) });
+	assert.equal(longNote.success, false);
+	assert.match(longNote.error, /limit is 2000/);
+
+	assert.equal(plugin.platformStorage.get("1:001").pinned, undefined, "a refused request must not half-apply");
+});
@@ -0,0 +1,259 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { TRANSFER_HANDSHAKE_DEADLINE_MS } = require(path.join(distNode, "helpers.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function makeHarness(replies = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const pendingTransfers = new Map();
+	const calls = { sends: [], events: [], commitMarkers: [], offlineInstances: new Set() };
+
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		pendingTransfers,
+		persistPendingTransfer: (intent) => { pendingTransfers.set(intent.transferId, intent); },
+		removePendingTransfer: (id) => { pendingTransfers.delete(id); },
+		recordCommitTransmitted: (marker) => { calls.commitMarkers.push(marker); },
+		isInstanceOnline: (id) => !calls.offlineInstances.has(id),
+		persistStorage: async () => {},
+		stateRestoreInProgress: false,
+		platformStorage: {
+			get: () => ({
+				exportData: { schema_version: "2.0.0", entities: [], platform: { force: "player" } },
+				exportMetrics: null,
+				platformName: "test-platform",
+				platformIndex: 3,
+				instanceId: 1,
+				sourceExportId: "export_1",
+				size: 123,
+			}),
+			delete: noop,
+		},
+		platformTree: { resolveInstanceName: (id) => `instance-${id}` },
+		activeTransfers,
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (_id, type) => { calls.events.push(type); },
+			archiveRecycledTransferId() {},
+			startPhase: noop,
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+			buildPhaseSummary: () => ({}),
+		},
+		subscriptions: { emitTransferUpdate: noop, queueTreeBroadcast: noop },
+		controller: {
+			sendTo: async (dst, msg) => {
+				const name = msg.constructor.name;
+				calls.sends.push({ name, dst: dst.instanceId, action: msg.action, transferId: msg.transferId ?? msg.exportId });
+				const reply = replies[name === "DestinationHoldRequest" ? `${name}:${msg.action}` : name];
+				return reply ? reply(msg) : { success: true };
+			},
+		},
+	};
+
+	const orch = new TransferOrchestrator(plugin, messages);
+	return { orch, calls, plugin, replies, activeTransfers, pendingTransfers };
+}
+
+function sent(calls) {
+	return calls.sends
+		.filter(({ name }) => name !== "TransferStatusUpdate")
+		.map(({ name, action }) => (action ? `${name}:${action}` : name));
+}
+
+async function startAwaitingVote(harness) {
+	const res = await harness.orch.transferPlatform("export_1", 2);
+	assert.equal(res.success, true);
+	harness.calls.sends.length = 0;
+	return res.transferId;
+}
+
+function intentFor(transferId, overrides = {}) {
+	return {
+		transferId,
+		exportId: "1:export_1",
+		sourceExportId: "export_1",
+		sourceInstanceId: 1,
+		sourcePlatformIndex: 3,
+		sourcePlatformName: "test-platform",
+		forceName: "player",
+		targetInstanceId: 2,
+		startedAt: Date.now(),
+		phase: "voted",
+		...overrides,
+	};
+}
+
+test("a held VOTE drives COMMIT, then the source delete, then go-live, in that order", async () => {
+	const harness = makeHarness();
+	const transferId = await startAwaitingVote(harness);
+	assert.equal(harness.pendingTransfers.get(transferId).phase, "prepared");
+
+	await harness.orch.handleTransferValidation({ transferId, success: true, validation: { destinationHeld: true } });
+
+	assert.deepEqual(sent(harness.calls), [
+		"CommitSourceTransferRequest",
+		"DeleteSourcePlatformRequest",
+		"DestinationHoldRequest:go_live",
+	]);
+	const byName = (name) => harness.calls.sends.find(send => send.name === name);
+	assert.equal(byName("CommitSourceTransferRequest").transferId, "export_1", "the source lock is addressed by the raw source job id");
+	assert.equal(byName("DestinationHoldRequest").transferId, transferId, "the destination hold is addressed by the canonical id");
+	assert.equal(harness.calls.commitMarkers.length, 1, "the commit marker is recorded before COMMIT is sent");
+	assert.equal(harness.activeTransfers.get(transferId).status, "completed");
+	assert.equal(harness.pendingTransfers.has(transferId), false);
+});
+
+test("a refused COMMIT discards the held destination and neither deletes nor unlocks the source", async () => {
+	const harness = makeHarness({ CommitSourceTransferRequest: () => ({ success: false, error: "lock not owned" }) });
+	const transferId = await startAwaitingVote(harness);
+
+	await harness.orch.handleTransferValidation({ transferId, success: true, validation: { destinationHeld: true } });
+
+	assert.deepEqual(sent(harness.calls), ["CommitSourceTransferRequest", "DestinationHoldRequest:discard"]);
+	const transfer = harness.activeTransfers.get(transferId);
+	assert.equal(transfer.status, "failed");
+	assert.match(transfer.error, /Source refused COMMIT: lock not owned/);
+	assert.equal(harness.pendingTransfers.has(transferId), false);
+});
+
+test("an unconfirmed COMMIT stays committing until reconcile reads the committed source", async () => {
+	const harness = makeHarness({ CommitSourceTransferRequest: () => { throw new Error("Session Closed"); } });
+	const transferId = await startAwaitingVote(harness);
+
+	await harness.orch.handleTransferValidation({ transferId, success: true, validation: { destinationHeld: true } });
+
+	assert.equal(harness.activeTransfers.get(transferId).status, "committing");
+	assert.equal(harness.pendingTransfers.get(transferId).phase, "voted");
+	assert.ok(harness.calls.events.includes("commit_uncertain"));
+
+	harness.calls.sends.length = 0;
+	harness.replies.GetSourceTransferLockStateRequest = (msg) => ({ state: "committed", transferId: msg.transferId, error: null });
+	await harness.orch.reconcilePendingTransfers();
+
+	assert.deepEqual(sent(harness.calls), [
+		"GetSourceTransferLockStateRequest",
+		"DeleteSourcePlatformRequest",
+		"DestinationHoldRequest:go_live",
+	]);
+	assert.equal(harness.activeTransfers.get(transferId).status, "completed");
+	assert.equal(harness.pendingTransfers.has(transferId), false);
+});
+
+test("reconcile of a pre_commit source discards the destination before unlocking the source", async () => {
+	const harness = makeHarness({
+		GetSourceTransferLockStateRequest: (msg) => ({ state: "pre_commit", transferId: msg.transferId, error: null }),
+	});
+	harness.pendingTransfers.set("1:export_1", intentFor("1:export_1"));
+
+	await harness.orch.reconcilePendingTransfers();
+
+	assert.deepEqual(sent(harness.calls), [
+		"GetSourceTransferLockStateRequest",
+		"DestinationHoldRequest:discard",
+		"UnlockSourcePlatformRequest",
+	]);
+	assert.equal(harness.activeTransfers.get("1:export_1").status, "failed");
+	assert.equal(harness.pendingTransfers.size, 0);
+});
+
+test("reconcile of a source already gone under this transfer only releases the destination", async () => {
+	const harness = makeHarness({
+		GetSourceTransferLockStateRequest: (msg) => ({ state: "source_gone_matching_transfer", transferId: msg.transferId, error: null }),
+	});
+	harness.pendingTransfers.set("1:export_1", intentFor("1:export_1", { phase: "committed" }));
+
+	await harness.orch.reconcilePendingTransfers();
+
+	assert.deepEqual(sent(harness.calls), ["GetSourceTransferLockStateRequest", "DestinationHoldRequest:go_live"]);
+	assert.equal(harness.activeTransfers.get("1:export_1").status, "completed");
+	assert.equal(harness.pendingTransfers.size, 0);
+});
+
+test("an unreachable source is waited on until the handshake deadline, then the destination is discarded", async () => {
+	const harness = makeHarness();
+	harness.calls.offlineInstances.add(1);
+	const startedAt = Date.now();
+	harness.pendingTransfers.set("1:export_1", intentFor("1:export_1", { startedAt }));
+
+	await harness.orch.reconcilePendingTransfers(startedAt + TRANSFER_HANDSHAKE_DEADLINE_MS - 1);
+	assert.deepEqual(sent(harness.calls), [], "an offline source is not queried and nothing is sent before the deadline");
+	assert.equal(harness.pendingTransfers.size, 1);
+
+	await harness.orch.reconcilePendingTransfers(startedAt + TRANSFER_HANDSHAKE_DEADLINE_MS);
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard"], "the source is never unlocked or deleted blind");
+	assert.equal(harness.activeTransfers.get("1:export_1").status, "failed");
+	assert.equal(harness.pendingTransfers.size, 0);
+});
+
+test("a failed discard keeps the intent and marks the transfer cleanup_failed", async () => {
+	const harness = makeHarness({
+		GetSourceTransferLockStateRequest: (msg) => ({ state: "identity_mismatch", transferId: msg.transferId, error: "lock owned by 9" }),
+		"DestinationHoldRequest:discard": () => ({ success: false, error: "surface busy", noHold: false }),
+	});
+	harness.pendingTransfers.set("1:export_1", intentFor("1:export_1"));
+
+	await harness.orch.reconcilePendingTransfers();
+
+	assert.deepEqual(sent(harness.calls), ["GetSourceTransferLockStateRequest", "DestinationHoldRequest:discard"]);
+	const transfer = harness.activeTransfers.get("1:export_1");
+	assert.equal(transfer.status, "cleanup_failed");
+	assert.match(transfer.error, /destination discard failed: surface busy/);
+	assert.equal(harness.pendingTransfers.size, 1);
+});
+
+test("a validation FAILURE discards any held destination before unlocking the source", async () => {
+	const harness = makeHarness();
+	const transferId = await startAwaitingVote(harness);
+
+	await harness.orch.handleTransferValidation({ transferId, success: false, validation: { mismatchDetails: "item mismatch" } });
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard", "UnlockSourcePlatformRequest"]);
+	assert.equal(harness.activeTransfers.get(transferId).status, "failed");
+});
+
+test("a late held VOTE after the transfer already failed discards the destination", async () => {
+	const harness = makeHarness();
+	const transferId = await startAwaitingVote(harness);
+	await harness.orch.handleTransferValidation({ transferId, success: false, validation: { mismatchDetails: "timeout" } });
+	harness.calls.sends.length = 0;
+
+	await harness.orch.handleTransferValidation({ transferId, success: true, validation: { destinationHeld: true } });
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard"]);
+	assert.ok(!sent(harness.calls).includes("CommitSourceTransferRequest"), "a settled transfer never commits its source");
+	assert.equal(harness.activeTransfers.get(transferId).status, "failed");
+});
+
+test("while a VOTE is being handled, neither reconcile nor cancel can roll the transfer back", async () => {
+	let releaseDelete;
+	const deleting = new Promise(resolve => { releaseDelete = resolve; });
+	const harness = makeHarness({
+		DeleteSourcePlatformRequest: async () => { await deleting; return { success: true }; },
+		GetSourceTransferLockStateRequest: (msg) => ({ state: "pre_commit", transferId: msg.transferId, error: null }),
+	});
+	const transferId = await startAwaitingVote(harness);
+
+	const voting = harness.orch.handleTransferValidation({ transferId, success: true, validation: { destinationHeld: false } });
+	await new Promise(resolve => setImmediate(resolve));
+	assert.equal(harness.activeTransfers.get(transferId).validationTimeout, null);
+
+	await harness.orch.reconcilePendingTransfers();
+	const cancel = await harness.orch.cancelTransfer(transferId, "user alice");
+	assert.equal(cancel.success, false);
+	assert.match(cancel.error, /resolving it right now/);
+
+	releaseDelete();
+	await voting;
+	assert.deepEqual(sent(harness.calls), ["DeleteSourcePlatformRequest"], "nothing was discarded or unlocked under the delete");
+	assert.equal(harness.activeTransfers.get(transferId).status, "completed");
+	await harness.orch.reconcilePendingTransfers();
+	assert.equal(harness.pendingTransfers.has(transferId), false);
+});
@@ -0,0 +1,211 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { TransferQueue } = require(path.join(distNode, "lib", "transfer-queue.js"));
+const { buildAuditRow, foldAuditRows } = require(path.join(distNode, "lib", "audit-ledger.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function makeHarness(replies = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const pendingTransfers = new Map();
+	const calls = { sends: [], events: [], auditRows: [] };
+
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		pendingTransfers,
+		persistPendingTransfer: (intent) => { pendingTransfers.set(intent.transferId, intent); },
+		removePendingTransfer: (id) => { pendingTransfers.delete(id); },
+		recordCommitTransmitted: noop,
+		recordAuditRow: async (row) => { calls.auditRows.push(row); },
+		isInstanceOnline: () => true,
+		persistStorage: async () => {},
+		stateRestoreInProgress: false,
+		platformStorage: {
+			get: () => ({
+				exportData: { schema_version: "2.0.0", entities: [], platform: { force: "player" } },
+				exportMetrics: null,
+				platformName: "test-platform",
+				platformIndex: 3,
+				instanceId: 1,
+				sourceExportId: "export_1",
+				size: 123,
+			}),
+			delete: noop,
+		},
+		platformTree: { resolveInstanceName: (id) => `instance-${id}` },
+		activeTransfers,
+		transactionLogs: new Map(),
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (_id, type) => { calls.events.push(type); },
+			archiveRecycledTransferId() {},
+			startPhase: noop,
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+			buildPhaseSummary: () => ({}),
+			buildTransferInfo: (transfer) => ({ status: transfer.status, error: transfer.error ?? null }),
+			getLastEventTimestamp: () => null,
+		},
+		subscriptions: { emitTransferUpdate: noop, emitTransferSummary: noop, queueTreeBroadcast: noop },
+		controller: {
+			sendTo: async (dst, msg) => {
+				const name = msg.constructor.name;
+				calls.sends.push({ name, action: msg.action });
+				const reply = replies[name === "DestinationHoldRequest" ? `${name}:${msg.action}` : name];
+				return reply ? reply(msg) : { success: true };
+			},
+		},
+	};
+
+	const orch = new TransferOrchestrator(plugin, messages);
+	return { orch, calls, plugin, activeTransfers, pendingTransfers };
+}
+
+function sent(calls) {
+	return calls.sends
+		.filter(({ name }) => name !== "TransferStatusUpdate")
+		.map(({ name, action }) => (action ? `${name}:${action}` : name));
+}
+
+async function startAwaitingVote(harness) {
+	const res = await harness.orch.transferPlatform("export_1", 2);
+	assert.equal(res.success, true);
+	clearTimeout(harness.activeTransfers.get(res.transferId).validationTimeout);
+	harness.calls.sends.length = 0;
+	return res.transferId;
+}
+
+test("cancelling while awaiting validation discards the staged import before unlocking the source", async () => {
+	const harness = makeHarness();
+	const transferId = await startAwaitingVote(harness);
+
+	const response = await harness.orch.cancelTransfer(transferId, "user alice");
+
+	assert.equal(response.success, true);
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard", "UnlockSourcePlatformRequest"]);
+	const transfer = harness.activeTransfers.get(transferId);
+	assert.equal(transfer.status, "failed");
+	assert.match(transfer.error, /Cancelled by user alice while awaiting validation/);
+	assert.ok(transfer.cancelledAt);
+	assert.equal(transfer.validationTimeout, null);
+	assert.equal(harness.pendingTransfers.has(transferId), false);
+	assert.ok(harness.calls.events.includes("transfer_cancelled"));
+	assert.deepEqual(harness.calls.auditRows.map(row => [row.transferId, row.rowKind, row.status]), [[transferId, "cancel", "failed"]]);
+});
+
+test("a failed discard keeps the source locked and the intent for the reconcile loop", async () => {
+	const harness = makeHarness({ "DestinationHoldRequest:discard": () => ({ success: false, error: "surface busy", noHold: false }) });
+	const transferId = await startAwaitingVote(harness);
+
+	const response = await harness.orch.cancelTransfer(transferId, "user alice");
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /destination discard failed: surface busy/);
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard"], "the source is never unlocked beside a staged copy");
+	assert.equal(harness.activeTransfers.get(transferId).status, "cleanup_failed");
+	assert.equal(harness.pendingTransfers.has(transferId), true);
+});
+
+test("a cancel during the import send takes effect once the destination acknowledges it", async () => {
+	let acknowledge;
+	const harness = makeHarness({ ImportPlatformRequest: () => new Promise((resolve) => { acknowledge = resolve; }) });
+
+	const started = harness.orch.transferPlatform("export_1", 2);
+	await new Promise((resolve) => setImmediate(resolve));
+	const transferId = "export_1";
+	assert.equal(harness.activeTransfers.get(transferId).status, "transporting");
+
+	const response = await harness.orch.cancelTransfer(transferId, "user bob");
+	assert.equal(response.success, true);
+	assert.equal(response.status, "transporting");
+	assert.ok(harness.calls.events.includes("cancel_requested"));
+
+	harness.calls.sends.length = 0;
+	acknowledge({ success: true });
+	const result = await started;
+
+	assert.equal(result.success, false);
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard", "UnlockSourcePlatformRequest"]);
+	assert.equal(harness.activeTransfers.get(transferId).status, "failed");
+	assert.equal(harness.activeTransfers.get(transferId).validationTimeout, null);
+});
+
+test("a committed or settled transfer is refused and nothing is sent", async () => {
+	const harness = makeHarness();
+	const transferId = await startAwaitingVote(harness);
+	harness.activeTransfers.get(transferId).status = "committing";
+
+	const committing = await harness.orch.cancelTransfer(transferId, "user alice");
+	assert.equal(committing.success, false);
+	assert.match(committing.error, /already committed/);
+	assert.ok(harness.calls.events.includes("cancel_refused"));
+
+	harness.activeTransfers.get(transferId).status = "completed";
+	const completed = await harness.orch.cancelTransfer(transferId, "user alice");
+	assert.match(completed.error, /already settled as completed/);
+
+	assert.deepEqual(sent(harness.calls), []);
+	assert.deepEqual(harness.calls.auditRows, []);
+	assert.match((await harness.orch.cancelTransfer("missing", "user alice")).error, /Unknown transfer missing/);
+});
+
+test("a queued transfer is dropped with a cancel row and the entries behind it move up", async () => {
+	const harness = makeHarness();
+	const started = [];
+	const config = {};
+	harness.plugin.controller.config = { get: (key) => config[key] };
+	harness.plugin.controller.instances = { get: (id) => ({ id, config: { get: () => 1 } }) };
+	const orchestrator = {
+		checkStartRequest: (request) => ({ error: null, targetInstanceId: request.targetInstanceId }),
+		handleStartPlatformTransferRequest: (request) => new Promise((resolve) => { started.push({ request, resolve }); }),
+		onTransferSettled() {},
+	};
+	const queue = new TransferQueue(harness.plugin, orchestrator);
+	const request = (sourcePlatformIndex) => ({ sourceInstanceId: 1, sourcePlatformIndex, targetInstanceId: 2, forceName: "player" });
+	queue.submit(request(1), "player");
+	const second = await queue.submit(request(2), "player");
+	await queue.submit(request(3), "player");
+
+	const response = await queue.cancel(second.transferId, "user alice");
+
+	assert.equal(response.success, true);
+	assert.equal(queue.has(second.transferId), false);
+	assert.deepEqual(queue.summaries().filter(row => row.status === "queued").map(row => [row.platformName, row.queuePosition]), [["platform #3", 1]]);
+	const cancelled = queue.summaries().find(row => row.transferId === second.transferId);
+	assert.equal(cancelled.status, "failed");
+	assert.ok(cancelled.cancelledAt);
+	assert.deepEqual(harness.calls.auditRows.map(row => [row.transferId, row.rowKind, row.platformIndex]), [[second.transferId, "cancel", 2]]);
+
+	const dispatched = queue.summaries().length;
+	assert.equal((await queue.cancel("queued_missing", "user alice")).success, false);
+	assert.equal(queue.summaries().length, dispatched);
+});
+
+test("a cancel row replaces the start row, the terminal row replaces it, and it never replaces a terminal row", () => {
+	const base = { savedAt: 1, eventCount: 0, lastEventAt: null };
+	const start = buildAuditRow({ ...base, transferId: "1:001", rowKind: "start", info: { status: "transporting" } });
+	const cancel = buildAuditRow({ ...base, transferId: "1:001", rowKind: "cancel", info: { status: "failed" } });
+	const terminal = buildAuditRow({ ...base, transferId: "1:001", rowKind: "terminal", info: { status: "failed" } });
+
+	assert.equal(foldAuditRows([start, cancel]).get("1:001").rowKind, "cancel");
+	assert.equal(foldAuditRows([start, cancel, terminal]).get("1:001").rowKind, "terminal");
+	assert.equal(foldAuditRows([terminal, cancel]).get("1:001").rowKind, "terminal");
+});
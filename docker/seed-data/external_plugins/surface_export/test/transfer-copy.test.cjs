@@ -0,0 +1,183 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { TransferQueue } = require(path.join(distNode, "lib", "transfer-queue.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function makeHarness(replies = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const pendingTransfers = new Map();
+	const calls = { sends: [], events: [] };
+
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		pendingTransfers,
+		persistPendingTransfer: (intent) => { pendingTransfers.set(intent.transferId, intent); },
+		removePendingTransfer: (id) => { pendingTransfers.delete(id); },
+		recordCommitTransmitted: () => { calls.events.push("commit_transmitted"); },
+		recordAuditRow: async () => {},
+		isInstanceOnline: () => true,
+		persistStorage: async () => {},
+		stateRestoreInProgress: false,
+		platformStorage: {
+			get: () => ({
+				exportData: { schema_version: "2.0.0", entities: [], platform: { force: "player" } },
+				exportMetrics: null,
+				platformName: "test-platform",
+				platformIndex: 3,
+				instanceId: 1,
+				sourceExportId: "export_1",
+				size: 123,
+			}),
+			delete: noop,
+		},
+		platformTree: { resolveInstanceName: (id) => `instance-${id}` },
+		activeTransfers,
+		transactionLogs: new Map(),
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (_id, type) => { calls.events.push(type); },
+			archiveRecycledTransferId() {},
+			startPhase: noop,
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+			buildPhaseSummary: () => ({}),
+			buildTransferInfo: (transfer) => ({ status: transfer.status, error: transfer.error ?? null }),
+			getLastEventTimestamp: () => null,
+		},
+		subscriptions: { emitTransferUpdate: noop, emitTransferSummary: noop, queueTreeBroadcast: noop },
+		controller: {
+			sendTo: async (dst, msg) => {
+				const name = msg.constructor.name;
+				calls.sends.push({ name, action: msg.action });
+				const reply = replies[name === "DestinationHoldRequest" ? `${name}:${msg.action}` : name];
+				return reply ? reply(msg) : { success: true };
+			},
+		},
+	};
+
+	const orch = new TransferOrchestrator(plugin, messages);
+	return { orch, calls, plugin, activeTransfers, pendingTransfers };
+}
+
+function sent(calls) {
+	return calls.sends
+		.filter(({ name }) => name !== "TransferStatusUpdate")
+		.map(({ name, action }) => (action ? `${name}:${action}` : name));
+}
+
+async function startCopy(harness) {
+	const res = await harness.orch.transferPlatform("export_1", 2, null, null, null, "copy");
+	assert.equal(res.success, true);
+	clearTimeout(harness.activeTransfers.get(res.transferId).validationTimeout);
+	harness.calls.sends.length = 0;
+	return res.transferId;
+}
+
+function vote(transferId, success) {
+	return new messages.TransferValidationEvent({
+		transferId,
+		success,
+		platformName: "test-platform",
+		sourceInstanceId: 1,
+		validation: success
+			? { itemCountMatch: true, fluidCountMatch: true, destinationHeld: true }
+			: { itemCountMatch: false, fluidCountMatch: true, mismatchDetails: "item count mismatch" },
+	});
+}
+
+test("a validated copy goes live on the destination and unlocks the source without deleting it", async () => {
+	const harness = makeHarness();
+	const transferId = await startCopy(harness);
+	assert.equal(harness.activeTransfers.get(transferId).operationType, "copy");
+	assert.equal(harness.pendingTransfers.get(transferId).operationType, "copy");
+
+	await harness.orch.handleTransferValidation(vote(transferId, true));
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:go_live", "UnlockSourcePlatformRequest"]);
+	assert.ok(!harness.calls.events.includes("commit_transmitted"), "a copy never writes a commit tombstone");
+	const transfer = harness.activeTransfers.get(transferId);
+	assert.equal(transfer.status, "completed");
+	assert.ok(harness.calls.events.includes("source_unlocked"));
+	assert.equal(harness.pendingTransfers.has(transferId), false);
+});
+
+test("a copy that fails validation is discarded and its source unlocked, like a transfer", async () => {
+	const harness = makeHarness();
+	const transferId = await startCopy(harness);
+
+	await harness.orch.handleTransferValidation(vote(transferId, false));
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard", "UnlockSourcePlatformRequest"]);
+	assert.equal(harness.activeTransfers.get(transferId).status, "failed");
+});
+
+test("a copy whose source unlock fails stays pending and the reconcile loop finishes it", async () => {
+	let unlockReply = { success: false, error: "instance busy" };
+	const harness = makeHarness({ UnlockSourcePlatformRequest: () => unlockReply });
+	const transferId = await startCopy(harness);
+
+	await harness.orch.handleTransferValidation(vote(transferId, true));
+	const transfer = harness.activeTransfers.get(transferId);
+	assert.equal(transfer.status, "committing");
+	assert.match(transfer.error, /Source unlock pending: instance busy/);
+	assert.equal(harness.pendingTransfers.get(transferId).phase, "released");
+
+	harness.activeTransfers.clear();
+	harness.calls.sends.length = 0;
+	unlockReply = { success: true };
+	await harness.orch.reconcilePendingTransfers();
+
+	assert.deepEqual(sent(harness.calls), ["UnlockSourcePlatformRequest"], "the reconcile loop never queries or commits the source of a copy");
+	assert.equal(harness.activeTransfers.get(transferId).operationType, "copy");
+	assert.equal(harness.activeTransfers.get(transferId).status, "completed");
+	assert.equal(harness.pendingTransfers.has(transferId), false);
+});
+
+test("a copy intent that never reached a vote is aborted on resume", async () => {
+	const harness = makeHarness();
+	const transferId = await startCopy(harness);
+	harness.activeTransfers.clear();
+
+	await harness.orch.reconcilePendingTransfers();
+
+	assert.deepEqual(sent(harness.calls), ["DestinationHoldRequest:discard", "UnlockSourcePlatformRequest"]);
+	assert.equal(harness.activeTransfers.get(transferId).status, "failed");
+});
+
+test("queued copies keep their operation type and the copy flag round-trips", async () => {
+	const harness = makeHarness();
+	harness.plugin.controller.config = { get: () => undefined };
+	harness.plugin.controller.instances = { get: (id) => ({ id, config: { get: () => 1 } }) };
+	const orchestrator = {
+		checkStartRequest: (request) => ({ error: null, targetInstanceId: request.targetInstanceId }),
+		handleStartPlatformTransferRequest: () => new Promise(() => {}),
+		onTransferSettled() {},
+	};
+	const queue = new TransferQueue(harness.plugin, orchestrator);
+	queue.submit({ sourceInstanceId: 1, sourcePlatformIndex: 1, targetInstanceId: 2 }, "player");
+	const queued = await queue.submit({ sourceInstanceId: 1, sourcePlatformIndex: 2, targetInstanceId: 2, copy: true }, "player");
+	assert.equal(queue.summaries().find(row => row.transferId === queued.transferId).operationType, "copy");
+
+	const request = messages.StartPlatformTransferRequest.fromJSON({ sourceInstanceId: 1, sourcePlatformIndex: 2, targetInstanceId: 2, copy: true });
+	assert.equal(request.toJSON().copy, true);
+	assert.equal(messages.StartPlatformTransferRequest.fromJSON({ sourceInstanceId: 1, sourcePlatformIndex: 2, targetInstanceId: 2 }).copy, false);
+});
@@ -0,0 +1,313 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { TransferQueue } = require(path.join(distNode, "lib", "transfer-queue.js"));
+const { TransferGroups } = require(path.join(distNode, "lib", "transfer-group.js"));
+const { buildAuditRow } = require(path.join(distNode, "lib", "audit-ledger.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function makeHarness({ config = {} } = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const platformStorage = new Map();
+	const calls = { sends: [], events: [], auditRows: [] };
+
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		pendingTransfers: new Map(),
+		persistPendingTransfer: noop,
+		removePendingTransfer: noop,
+		recordCommitTransmitted: noop,
+		auditIndex: new Map(),
+		recordAuditRow: async (row) => { calls.auditRows.push(row); },
+		isInstanceOnline: () => true,
+		persistStorage: async () => {},
+		loadStoredExportData: async () => ({ schema_version: "2.0.0", entities: [], platform: { force: "player" } }),
+		stateRestoreInProgress: false,
+		platformStorage,
+		platformTree: {
+			resolveInstanceName: (id) => `instance-${id}`,
+			resolveTargetInstance: (id) => ({ id }),
+		},
+		activeTransfers,
+		transactionLogs: new Map(),
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (id, type) => { calls.events.push(`${id} ${type}`); },
+			archiveRecycledTransferId: async () => {},
+			startPhase: noop,
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+			buildPhaseSummary: () => ({}),
+			buildTransferInfo: (transfer) => ({ status: transfer.status, error: transfer.error ?? null }),
+			getLastEventTimestamp: () => null,
+		},
+		subscriptions: { emitTransferUpdate: noop, queueTreeBroadcast: noop, emitTransferSummary: noop },
+		controller: {
+			config: { get: (key) => config[key] },
+			instances: { get: (id) => ({ id, isDeleted: false, config: { get: (key) => config[key] } }) },
+			sendTo: async (dst, msg) => {
+				const name = msg.constructor.name;
+				calls.sends.push({ name, dst: dst.instanceId, action: msg.action, platformIndex: msg.platformIndex });
+				if (name === "ExportPlatformRequest") {
+					const exportId = `export_${msg.platformIndex}`;
+					platformStorage.set(`1:${exportId}`, {
+						platformName: `ship-${msg.platformIndex}`, platformIndex: msg.platformIndex, instanceId: 1, sourceExportId: exportId, size: 100,
+					});
+					return { success: true, exportId };
+				}
+				if (name === "GetPlatformCensusRequest" || name === "GetPrototypeCensusRequest") {
+					return { success: false, error: "census unavailable in tests" };
+				}
+				if (name === "GetSourceTransferLockStateRequest") {
+					return { state: "pre_commit", transferId: msg.transferId, error: null };
+				}
+				if (name === "DestinationHoldRequest") {
+					return { success: true };
+				}
+				return { success: true };
+			},
+		},
+	};
+
+	const orch = new TransferOrchestrator(plugin, messages);
+	const queue = new TransferQueue(plugin, orch);
+	const groups = new TransferGroups(plugin, orch, queue);
+	return { orch, queue, groups, plugin, calls, activeTransfers };
+}
+
+function sent(calls) {
+	return calls.sends
+		.filter(({ name }) => name !== "TransferStatusUpdate" && name !== "GetPlatformCensusRequest" && name !== "GetPrototypeCensusRequest")
+		.map(({ name, action, platformIndex }) => `${name}${action ? `:${action}` : ""}${platformIndex ? `#${platformIndex}` : ""}`);
+}
+
+const flush = async () => {
+	for (let i = 0; i < 20; i++) {
+		await new Promise((resolve) => setImmediate(resolve));
+	}
+};
+
+function vote(transferId, success, destinationHeld = true) {
+	return new messages.TransferValidationEvent({
+		transferId,
+		success,
+		platformName: "ship",
+		sourceInstanceId: 1,
+		validation: success
+			? { itemCountMatch: true, fluidCountMatch: true, destinationHeld }
+			: { itemCountMatch: false, fluidCountMatch: true, mismatchDetails: "item count mismatch" },
+	});
+}
+
+function clearTimers(harness) {
+	for (const transfer of harness.activeTransfers.values()) {
+		clearTimeout(transfer.validationTimeout);
+	}
+}
+
+const FLEET = [{ sourceInstanceId: 1, sourcePlatformIndex: 3 }, { sourceInstanceId: 1, sourcePlatformIndex: 4 }];
+
+test("an all-or-nothing group holds each destination until every platform validated, then commits them all", async () => {
+	const harness = makeHarness();
+	const response = await harness.groups.start({ platforms: FLEET, targetInstanceId: 2 });
+	assert.equal(response.success, true, response.error);
+	assert.deepEqual(response.transferIds, ["1:export_3", "1:export_4"]);
+
+	const parent = harness.activeTransfers.get(response.groupId);
+	assert.equal(parent.operationType, "group");
+	assert.equal(parent.status, "in_progress");
+	assert.deepEqual(parent.groupChildren, response.transferIds);
+	assert.equal(harness.activeTransfers.get("1:export_3").groupId, response.groupId);
+
+	assert.equal(harness.calls.sends.filter(({ name }) => name === "GetPlatformCensusRequest").length, 2, "each platform is preflighted once, by the group");
+
+	harness.calls.sends.length = 0;
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	assert.equal(harness.activeTransfers.get("1:export_3").status, "awaiting_group");
+	assert.deepEqual(sent(harness.calls), [], "the first source is not committed while its sibling is still validating");
+
+	await harness.orch.handleTransferValidation(vote("1:export_4", true));
+	await flush();
+	assert.deepEqual(sent(harness.calls).filter(name => name.startsWith("CommitSourceTransferRequest")), [
+		"CommitSourceTransferRequest#3",
+		"CommitSourceTransferRequest#4",
+	]);
+	assert.equal(harness.activeTransfers.get("1:export_3").status, "completed");
+	assert.equal(harness.activeTransfers.get("1:export_4").status, "completed");
+	assert.equal(parent.status, "completed");
+	assert.equal(parent.error, null);
+	assert.ok(harness.calls.events.includes(`${response.groupId} group_completed`));
+	clearTimers(harness);
+});
+
+test("an all-or-nothing group reverts the held platforms when one fails validation", async () => {
+	const harness = makeHarness();
+	const response = await harness.groups.start({ platforms: FLEET, targetInstanceId: 2, policy: "all_or_nothing" });
+	assert.equal(response.success, true, response.error);
+
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	harness.calls.sends.length = 0;
+	await harness.orch.handleTransferValidation(vote("1:export_4", false));
+	await flush();
+
+	const sends = sent(harness.calls);
+	assert.ok(!sends.some(name => name.startsWith("CommitSourceTransferRequest")), "no source was committed");
+	assert.ok(sends.includes("UnlockSourcePlatformRequest#3"), "the held sibling's source is unlocked");
+	assert.ok(sends.includes("UnlockSourcePlatformRequest#4"));
+	assert.equal(sends.filter(name => name === "DestinationHoldRequest:discard").length, 2, "both destination copies are discarded");
+	assert.equal(harness.activeTransfers.get("1:export_3").status, "failed");
+	assert.equal(harness.activeTransfers.get("1:export_4").status, "failed");
+
+	const parent = harness.activeTransfers.get(response.groupId);
+	assert.equal(parent.status, "failed");
+	assert.match(parent.error, /^No platform moved/);
+	clearTimers(harness);
+});
+
+test("a best-effort group skips blocked platforms and lets each child commit on its own", async () => {
+	const harness = makeHarness();
+	harness.orch.preflightTransfer = async (request) => (request.sourcePlatformIndex === 4
+		? { success: true, report: { platformName: "ship-4", targetInstanceId: 2, blockers: [{ kind: "entity", name: "big-mining-drill", message: "big-mining-drill is missing" }], warnings: [] } }
+		: { success: true, report: { platformName: "ship-3", targetInstanceId: 2, blockers: [], warnings: [] } });
+
+	const refused = await harness.groups.start({ platforms: FLEET, targetInstanceId: 2, policy: "all_or_nothing" });
+	assert.equal(refused.success, false);
+	assert.match(refused.error, /platform #4 on instance 1: Preflight found 1 blocker\(s\).*Nothing was locked or exported/);
+	assert.ok(!sent(harness.calls).includes("ExportPlatformRequest#3"), "all-or-nothing refuses before locking anything");
+
+	const response = await harness.groups.start({ platforms: FLEET, targetInstanceId: 2, policy: "best_effort" });
+	assert.equal(response.success, true, response.error);
+	assert.deepEqual(response.transferIds, ["1:export_3"]);
+	assert.equal(response.skipped.length, 1);
+
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	await flush();
+	const parent = harness.activeTransfers.get(response.groupId);
+	assert.equal(harness.activeTransfers.get("1:export_3").status, "completed");
+	assert.equal(parent.status, "completed");
+	assert.match(parent.error, /^1 of 2 platform\(s\) did not move/);
+	clearTimers(harness);
+});
+
+test("with the default limits an all-or-nothing fleet waits in the queue for its destination, then starts together", async () => {
+	const harness = makeHarness();
+	harness.activeTransfers.set("3:busy", { transferId: "3:busy", operationType: "transfer", status: "transporting", targetInstanceId: 2 });
+	const response = await harness.groups.start({ platforms: FLEET, targetInstanceId: 2 });
+	assert.equal(response.success, true, response.error);
+	assert.deepEqual(response.transferIds, []);
+	assert.match(response.message, /2 wait in the transfer queue/);
+	assert.deepEqual(sent(harness.calls), [], "nothing is locked or exported while the destination is busy");
+	assert.equal(harness.queue.summaries().filter(row => row.groupId === response.groupId).length, 2);
+
+	harness.activeTransfers.delete("3:busy");
+	harness.queue.pump();
+	await flush();
+	const parent = harness.activeTransfers.get(response.groupId);
+	assert.deepEqual(parent.groupChildren, ["1:export_3", "1:export_4"], "both platforms start together, over the inbound limit of 1");
+	assert.equal(harness.queue.summaries().length, 0);
+
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	await harness.orch.handleTransferValidation(vote("1:export_4", true));
+	await flush();
+	assert.equal(parent.status, "completed");
+	clearTimers(harness);
+});
+
+test("a best-effort fleet takes the destination's slots one at a time", async () => {
+	const harness = makeHarness();
+	const response = await harness.groups.start({ platforms: FLEET, targetInstanceId: 2, policy: "best_effort" });
+	assert.equal(response.success, true, response.error);
+	assert.deepEqual(response.transferIds, ["1:export_3"]);
+	assert.match(response.message, /1 wait in the transfer queue/);
+
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	await flush();
+	const parent = harness.activeTransfers.get(response.groupId);
+	assert.deepEqual(parent.groupChildren, ["1:export_3", "1:export_4"], "the second platform starts when the first one settled");
+	assert.equal(parent.status, "in_progress");
+
+	await harness.orch.handleTransferValidation(vote("1:export_4", true));
+	await flush();
+	assert.equal(parent.status, "completed");
+	assert.equal(parent.error, null);
+	clearTimers(harness);
+});
+
+test("cancelling a group drops its queued platforms and reverts its started children", async () => {
+	const waiting = makeHarness();
+	waiting.activeTransfers.set("3:busy", { transferId: "3:busy", operationType: "transfer", status: "transporting", targetInstanceId: 2 });
+	const queued = await waiting.groups.start({ platforms: FLEET, targetInstanceId: 2 });
+	assert.equal((await waiting.groups.cancel(queued.groupId, "user alice")).success, true);
+	await flush();
+	const queuedParent = waiting.activeTransfers.get(queued.groupId);
+	assert.equal(queuedParent.status, "failed");
+	assert.match(queuedParent.error, /^No platform moved.*not started: cancelled by user alice/);
+	assert.equal(waiting.queue.waiting, 0);
+	assert.equal(waiting.groups.has(queued.groupId), false);
+
+	const harness = makeHarness();
+	const response = await harness.groups.start({ platforms: FLEET, targetInstanceId: 2 });
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	const cancelled = await harness.groups.cancel(response.groupId, "user alice");
+	assert.equal(cancelled.success, true);
+	await flush();
+	assert.equal(harness.activeTransfers.get("1:export_3").status, "failed");
+	assert.equal(harness.activeTransfers.get("1:export_4").status, "failed");
+	assert.equal(harness.activeTransfers.get(response.groupId).status, "failed");
+	assert.equal(harness.groups.has(response.groupId), false);
+	clearTimers(harness);
+});
+
+test("a group or swap left unfinished by a restart is marked failed at boot; settled ones are left alone", async () => {
+	const harness = makeHarness();
+	const row = (transferId, operationType, rowKind, status) => buildAuditRow({
+		transferId, rowKind, savedAt: 1, eventCount: 2, lastEventAt: 1,
+		info: { operationType, platformName: "Group of 2", status, groupPolicy: "all_or_nothing", groupChildren: [] },
+	});
+	harness.plugin.auditIndex.set("group_1", row("group_1", "group", "start", "in_progress"));
+	harness.plugin.auditIndex.set("swap_2", row("swap_2", "swap", "start", "in_progress"));
+	harness.plugin.auditIndex.set("group_3", row("group_3", "group", "terminal", "completed"));
+	harness.plugin.auditIndex.set("1:export_4", row("1:export_4", "transfer", "start", "transporting"));
+
+	await harness.groups.settleInterrupted();
+	assert.deepEqual(harness.calls.auditRows.map(entry => [entry.transferId, entry.rowKind, entry.status]),
+		[["group_1", "terminal", "failed"], ["swap_2", "terminal", "failed"]]);
+	assert.match(harness.calls.auditRows[0].error, /controller restarted before this group finished/);
+	assert.equal(harness.calls.auditRows[0].groupPolicy, "all_or_nothing");
+});
+
+test("group messages round-trip and audit rows link children to their group", () => {
+	const request = messages.StartGroupTransferRequest.fromJSON({ platforms: FLEET, targetInstanceId: 2 });
+	assert.deepEqual(request.toJSON(), { platforms: FLEET, targetInstanceId: 2, forceName: "player", targetPlanet: null, policy: "all_or_nothing" });
+
+	const parentRow = buildAuditRow({
+		transferId: "group_1", rowKind: "terminal", savedAt: 1, eventCount: 3, lastEventAt: null,
+		info: { operationType: "group", status: "completed", groupPolicy: "best_effort", groupChildren: ["1:export_3"] },
+	});
+	assert.deepEqual([parentRow.operationType, parentRow.groupPolicy, parentRow.groupChildren], ["group", "best_effort", ["1:export_3"]]);
+	const childRow = buildAuditRow({
+		transferId: "1:export_3", rowKind: "terminal", savedAt: 1, eventCount: 3, lastEventAt: null, info: { groupId: "group_1" },
+	});
+	assert.equal(childRow.groupId, "group_1");
+	assert.equal("groupChildren" in childRow, false);
+});
@@ -0,0 +1,163 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { comparePreflightCensus, summarizePreflightIssues } = require(path.join(distNode, "lib", "preflight.js"));
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function platformCensus(overrides = {}) {
+	return {
+		platformName: "Hauler",
+		entities: { "space-platform-hub": 1, "assembling-machine-2": 4 },
+		items: { "iron-plate": 200 },
+		fluids: { water: 1500.4 },
+		tiles: { "space-platform-foundation": 900 },
+		qualities: { normal: 205 },
+		spaceLocation: "nauvis",
+		scheduleStations: ["nauvis"],
+		...overrides,
+	};
+}
+
+function prototypeCensus(overrides = {}) {
+	return {
+		entities: ["assembling-machine-2", "space-platform-hub"],
+		items: ["iron-plate"],
+		fluids: ["water"],
+		tiles: ["space-platform-foundation"],
+		qualities: ["normal"],
+		spaceLocations: ["nauvis"],
+		...overrides,
+	};
+}
+
+test("a destination with every prototype and location passes with no issues", () => {
+	const report = comparePreflightCensus(platformCensus(), prototypeCensus(), 2, null);
+
+	assert.deepEqual(report, { platformName: "Hauler", targetInstanceId: 2, blockers: [], warnings: [] });
+});
+
+test("missing prototypes of each kind are blockers with their census count", () => {
+	const report = comparePreflightCensus(
+		platformCensus({
+			entities: { "space-platform-hub": 1, "se-core-miner": 2 },
+			items: { "iron-plate": 5, "modded-plate": 30 },
+			fluids: { "modded-gas": 99.6 },
+			tiles: { "modded-foundation": 12 },
+			qualities: { normal: 3, legendary: 1 },
+		}),
+		prototypeCensus({ entities: ["space-platform-hub"] }),
+		2,
+		null,
+	);
+
+	assert.deepEqual(report.blockers.map(issue => [issue.kind, issue.name, issue.count]), [
+		["entity", "se-core-miner", 2],
+		["tile", "modded-foundation", 12],
+		["item", "modded-plate", 30],
+		["fluid", "modded-gas", 100],
+		["quality", "legendary", 1],
+	]);
+	assert.match(report.blockers[0].message, /no entity prototype "se-core-miner" \(2 placed\)/);
+	assert.equal(summarizePreflightIssues(report.blockers, 2).split("; ").at(-1), "and 3 more");
+});
+
+test("an unknown arrival location blocks and an unknown schedule stop only warns", () => {
+	const chosen = comparePreflightCensus(platformCensus({ scheduleStations: ["nauvis", "vulcanus"] }), prototypeCensus(), 2, "fulgora");
+	assert.deepEqual(chosen.blockers.map(issue => [issue.kind, issue.name]), [["space_location", "fulgora"]]);
+	assert.deepEqual(chosen.warnings.map(issue => [issue.kind, issue.name]), [["schedule", "vulcanus"]]);
+
+	const defaulted = comparePreflightCensus(platformCensus({ scheduleStations: [] }), prototypeCensus({ spaceLocations: ["gleba"] }), 2, null);
+	assert.match(defaulted.blockers[0].message, /default arrival planet "nauvis"/);
+});
+
+test("empty census tables encoded as JSON arrays are read as empty", () => {
+	const report = comparePreflightCensus(platformCensus({ fluids: [], items: [] }), prototypeCensus({ fluids: {} }), 2, null);
+
+	assert.deepEqual(report.blockers, []);
+});
+
+function makeHarness(replies = {}) {
+	const noop = () => {};
+	const calls = { sends: [], warnings: [] };
+	const plugin = {
+		logger: { error: noop, info: noop, warn: (message) => calls.warnings.push(message) },
+		stateRestoreInProgress: false,
+		isInstanceOnline: () => true,
+		activeTransfers: new Map(),
+		platformTree: {
+			resolveTargetInstance: (id) => ({ id }),
+			resolveInstanceName: (id) => `instance-${id}`,
+		},
+		controller: {
+			instances: { get: (id) => ({ id, isDeleted: false }) },
+			sendTo: async (dst, msg) => {
+				const name = msg.constructor.name;
+				calls.sends.push({ name, dst: dst.instanceId });
+				const reply = replies[name];
+				return reply ? reply(msg) : { success: true };
+			},
+		},
+	};
+	return { orch: new TransferOrchestrator(plugin, messages), calls };
+}
+
+const request = { sourceInstanceId: 1, sourcePlatformIndex: 3, targetInstanceId: 2, forceName: "player", targetPlanet: null };
+
+test("preflight asks the source for its platform census and the destination for its prototypes", async () => {
+	const { orch, calls } = makeHarness({
+		GetPlatformCensusRequest: (msg) => ({ success: true, census: platformCensus({ platformName: `#${msg.platformIndex}` }) }),
+		GetPrototypeCensusRequest: () => ({ success: true, census: prototypeCensus({ entities: ["space-platform-hub"] }) }),
+	});
+
+	const response = await orch.preflightTransfer(request);
+
+	assert.equal(response.success, true);
+	assert.deepEqual(calls.sends.map(send => [send.name, send.dst]), [["GetPlatformCensusRequest", 1], ["GetPrototypeCensusRequest", 2]]);
+	assert.equal(response.report.platformName, "#3");
+	assert.deepEqual(response.report.blockers.map(issue => issue.name), ["assembling-machine-2"]);
+});
+
+test("a transfer with blockers is refused before the source is locked or exported", async () => {
+	const { orch, calls } = makeHarness({
+		GetPlatformCensusRequest: () => ({ success: true, census: platformCensus() }),
+		GetPrototypeCensusRequest: () => ({ success: true, census: prototypeCensus({ items: [] }) }),
+	});
+
+	const response = await orch.handleStartPlatformTransferRequest(request);
+
+	assert.equal(response.success, false);
+	assert.match(response.error, /Preflight found 1 blocker\(s\): The destination has no item prototype "iron-plate".*Nothing was locked or exported/);
+	assert.equal(response.preflight.blockers.length, 1);
+	assert.deepEqual(calls.sends.map(send => send.name), ["GetPlatformCensusRequest", "GetPrototypeCensusRequest"]);
+});
+
+test("a preflight that cannot run does not hold up the transfer", async () => {
+	const { orch, calls } = makeHarness({
+		GetPlatformCensusRequest: () => ({ success: true, census: platformCensus() }),
+		GetPrototypeCensusRequest: () => ({ success: false, error: "remote get_prototype_census_json missing" }),
+		ExportPlatformRequest: () => ({ success: false, error: "Export failed" }),
+	});
+
+	const response = await orch.handleStartPlatformTransferRequest(request);
+
+	assert.equal(response.error, "Export failed");
+	assert.ok(calls.sends.some(send => send.name === "ExportPlatformRequest"));
+	assert.match(calls.warnings[0], /could not run; starting without it: Destination census failed: remote get_prototype_census_json missing/);
+});
@@ -0,0 +1,168 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return { escapeString: (value) => String(value) };
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferQueue } = require(path.join(distNode, "lib", "transfer-queue.js"));
+
+function makeQueue({ globalLimit = 4, inboundLimits = {}, offline = [] } = {}) {
+	const emitted = [];
+	const started = [];
+	const settleListeners = [];
+	const activeTransfers = new Map();
+	const config = { "surface_export.max_concurrent_transfers": globalLimit };
+	const plugin = {
+		logger: { info() {}, warn() {}, error() {} },
+		activeTransfers,
+		isInstanceOnline: (id) => !offline.includes(id),
+		controller: {
+			config: { get: (key) => config[key] },
+			instances: {
+				get: (id) => ({ id, config: { get: () => inboundLimits[id] ?? 1 } }),
+			},
+		},
+		platformTree: { resolveInstanceName: (id) => `instance-${id}` },
+		subscriptions: { emitTransferSummary: (summary) => emitted.push(summary) },
+	};
+	const orchestrator = {
+		checkStartRequest: (request) => (request.targetInstanceId === 99
+			? { error: "Unknown target instance 99" }
+			: { error: null, targetInstanceId: request.targetInstanceId }),
+		handleStartPlatformTransferRequest: (request) => new Promise((resolve) => {
+			started.push({ request, resolve });
+		}),
+		onTransferSettled: (listener) => settleListeners.push(listener),
+	};
+	const queue = new TransferQueue(plugin, orchestrator);
+	return { queue, plugin, config, emitted, started, settleListeners, activeTransfers };
+}
+
+function request(sourcePlatformIndex, targetInstanceId = 2, sourceInstanceId = 1) {
+	return { sourceInstanceId, sourcePlatformIndex, targetInstanceId, forceName: "player" };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("a transfer with a free slot starts at once and answers with the start result", async () => {
+	const { queue, started } = makeQueue();
+
+	const pending = queue.submit(request(1), "player");
+	assert.equal(started.length, 1);
+	started[0].resolve({ success: true, transferId: "1:abc" });
+
+	assert.deepEqual(await pending, { success: true, transferId: "1:abc" });
+	assert.equal(queue.summaries().length, 0);
+});
+
+test("a full destination queues the next transfer with its position and leaves other destinations free", async () => {
+	const { queue, started, emitted } = makeQueue();
+
+	queue.submit(request(1, 2), "player");
+	const queued = await queue.submit(request(2, 2), "player");
+	queue.submit(request(3, 3), "player");
+
+	assert.equal(queued.success, true);
+	assert.equal(queued.queued, true);
+	assert.equal(queued.queuePosition, 1);
+	assert.deepEqual(started.map(entry => entry.request.sourcePlatformIndex), [1, 3], "instance 3 is not held up by a full instance 2");
+	const [row] = queue.summaries();
+	assert.equal(row.transferId, queued.transferId);
+	assert.equal(row.status, "queued");
+	assert.equal(row.registrySource, "queue");
+	assert.equal(row.queuePosition, 1);
+	assert.ok(emitted.some(summary => summary.transferId === queued.transferId && summary.status === "queued"));
+});
+
+test("admin priority is dispatched before earlier player transfers, then FIFO", async () => {
+	const { queue, started } = makeQueue();
+	queue.submit(request(1), "player");
+	await queue.submit(request(2), "player");
+	await queue.submit(request(3), "player");
+	await queue.submit(request(4), "admin");
+
+	assert.deepEqual(queue.summaries().map(row => [row.platformName, row.queuePosition, row.priority]), [
+		["platform #4", 1, "admin"],
+		["platform #2", 2, "player"],
+		["platform #3", 3, "player"],
+	]);
+
+	started[0].resolve({ success: true, transferId: "1:one" });
+	await flush();
+	assert.deepEqual(started.map(entry => entry.request.sourcePlatformIndex), [1, 4]);
+});
+
+test("a slot frees when a transfer on that destination settles", async () => {
+	const { queue, started, settleListeners, activeTransfers } = makeQueue();
+	queue.submit(request(1), "player");
+	started[0].resolve({ success: true, transferId: "1:one" });
+	await flush();
+	activeTransfers.set("1:one", { transferId: "1:one", operationType: "transfer", status: "awaiting_validation", targetInstanceId: 2 });
+
+	await queue.submit(request(2), "player");
+	assert.equal(started.length, 1, "the in-flight transfer still holds the destination's only slot");
+
+	activeTransfers.get("1:one").status = "completed";
+	for (const listener of settleListeners) listener();
+	assert.equal(started.length, 2);
+	assert.equal(started[1].request.sourcePlatformIndex, 2);
+});
+
+test("the cluster-wide limit caps dispatch across all destinations", async () => {
+	const { queue, started, config } = makeQueue({ globalLimit: 2 });
+	queue.submit(request(1, 2), "player");
+	queue.submit(request(2, 3), "player");
+	const third = await queue.submit(request(3, 4), "player");
+
+	assert.equal(third.queued, true);
+	assert.equal(started.length, 2);
+
+	config["surface_export.max_concurrent_transfers"] = 0;
+	queue.pump();
+	assert.equal(started.length, 3, "0 removes the cluster-wide limit");
+});
+
+test("a queued transfer that fails to start is kept as a failed row; one that created a transfer record is not", async () => {
+	const { queue, started, emitted } = makeQueue();
+	queue.submit(request(1), "player");
+	const queued = await queue.submit(request(2), "player");
+	const queuedToo = await queue.submit(request(3), "player");
+
+	started[0].resolve({ success: true, transferId: "1:one" });
+	await flush();
+	started[1].resolve({ success: false, error: "Export failed" });
+	await flush();
+	started[2].resolve({ success: false, error: "validation refused", transferId: "1:three" });
+	await flush();
+
+	const rows = queue.summaries();
+	assert.equal(rows.length, 1);
+	assert.equal(rows[0].transferId, queued.transferId);
+	assert.equal(rows[0].status, "failed");
+	assert.equal(rows[0].error, "Export failed");
+	assert.ok(emitted.some(summary => summary.transferId === queuedToo.transferId && summary.status === "dispatched"));
+});
+
+test("offline endpoints keep a transfer waiting, invalid and duplicate requests are refused up front", async () => {
+	const { queue, started } = makeQueue({ offline: [5] });
+
+	const waiting = await queue.submit(request(1, 5), "player");
+	assert.equal(waiting.queued, true);
+	assert.equal(started.length, 0);
+
+	assert.deepEqual(await queue.submit(request(2, 99), "player"), { success: false, error: "Unknown target instance 99" });
+	const duplicate = await queue.submit(request(1, 5), "player");
+	assert.equal(duplicate.success, false);
+	assert.match(duplicate.error, /already queued/);
+	assert.equal(queue.waiting, 1);
+});
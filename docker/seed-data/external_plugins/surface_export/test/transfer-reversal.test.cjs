@@ -0,0 +1,191 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferReversal } = require(path.join(distNode, "lib", "transfer-reversal.js"));
+const { buildAuditRow } = require(path.join(distNode, "lib", "audit-ledger.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+const DELIVERED = {
+	transferId: "1:export_3",
+	operationType: "transfer",
+	status: "completed",
+	platformName: "ship",
+	forceName: "player",
+	sourceInstanceId: 1,
+	targetInstanceId: 2,
+	destinationPlatformIndex: 7,
+	destinationSurfaceIndex: 12,
+};
+
+function makeHarness({ platforms = [{ platformIndex: 7, surfaceIndex: 12, platformName: "ship", isLocked: false }], queueFull = false } = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map([[DELIVERED.transferId, { ...DELIVERED }]]);
+	const calls = { starts: [], events: [], auditRows: [], priorities: [], queued: [] };
+
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		stateRestoreInProgress: false,
+		activeTransfers,
+		auditIndex: new Map(),
+		recordAuditRow: async (row) => { calls.auditRows.push(row); },
+		platformTree: { requestInstancePlatforms: async () => ({ platforms, error: null }) },
+		txLogger: {
+			logTransactionEvent: (id, type) => { calls.events.push(`${id} ${type}`); },
+			persistTransactionLog: async () => {},
+		},
+	};
+	const orchestrator = {
+		handleStartPlatformTransferRequest: async (request) => {
+			calls.starts.push(request);
+			const transferId = `${request.sourceInstanceId}:export_${calls.starts.length + 10}`;
+			activeTransfers.set(transferId, { transferId, operationType: "transfer", status: "transporting" });
+			return { success: true, transferId };
+		},
+		updateTransfer: noop,
+	};
+	const queue = {
+		submit: async (request, priority, { beforeDispatch, onDispatched } = {}) => {
+			calls.priorities.push(priority);
+			const dispatch = async () => {
+				const refusal = beforeDispatch ? await beforeDispatch() : null;
+				const result = refusal
+					? { success: false, error: refusal }
+					: await orchestrator.handleStartPlatformTransferRequest(request);
+				onDispatched?.(result);
+				return result;
+			};
+			if (queueFull) {
+				calls.queued.push(dispatch);
+				return { success: true, queued: true, transferId: `queued_${calls.queued.length}`, queuePosition: calls.queued.length };
+			}
+			return await dispatch();
+		},
+	};
+
+	const reversal = new TransferReversal(plugin, orchestrator, queue);
+	return { reversal, plugin, calls, activeTransfers };
+}
+
+test("reversing a completed transfer starts a linked transfer of the delivered platform back to its source", async () => {
+	const harness = makeHarness();
+	const response = await harness.reversal.reverse(DELIVERED.transferId, "user alice");
+	assert.equal(response.success, true, response.error);
+	assert.equal(response.reverseOf, DELIVERED.transferId);
+	assert.deepEqual(harness.calls.starts, [{ sourceInstanceId: 2, sourcePlatformIndex: 7, targetInstanceId: 1, forceName: "player" }]);
+	assert.deepEqual(harness.calls.priorities, ["player"], "a reversal goes through the transfer queue");
+
+	assert.equal(harness.activeTransfers.get(response.transferId).reverseOf, DELIVERED.transferId);
+	assert.equal(harness.activeTransfers.get(DELIVERED.transferId).reversedBy, response.transferId);
+	assert.ok(harness.calls.events.includes(`${response.transferId} reverse_of`));
+	assert.ok(harness.calls.events.includes(`${DELIVERED.transferId} transfer_reversed`));
+
+	const again = await harness.reversal.reverse(DELIVERED.transferId, "user alice");
+	assert.equal(again.success, false);
+	assert.match(again.error, /already reversed by/);
+	assert.equal(harness.calls.starts.length, 1);
+});
+
+test("a reversal is refused when the delivered platform was renamed, deleted or replaced", async () => {
+	const renamed = makeHarness({ platforms: [{ platformIndex: 7, surfaceIndex: 12, platformName: "ship-renamed", isLocked: false }] });
+	const renamedResponse = await renamed.reversal.reverse(DELIVERED.transferId, "an operator");
+	assert.equal(renamedResponse.success, false);
+	assert.match(renamedResponse.error, /was renamed to "ship-renamed"/);
+
+	const deleted = makeHarness({ platforms: [] });
+	assert.match((await deleted.reversal.reverse(DELIVERED.transferId, "an operator")).error, /no longer exists on instance 2/);
+
+	const replaced = makeHarness({ platforms: [{ platformIndex: 7, surfaceIndex: 15, platformName: "ship", isLocked: false }] });
+	assert.match((await replaced.reversal.reverse(DELIVERED.transferId, "an operator")).error, /no longer exists/);
+
+	for (const harness of [renamed, deleted, replaced]) {
+		assert.equal(harness.calls.starts.length, 0, "nothing is locked or exported when the identity check fails");
+		assert.equal(harness.activeTransfers.get(DELIVERED.transferId).reversedBy, undefined);
+	}
+});
+
+test("only completed transfers with a recorded destination can be reversed", async () => {
+	const harness = makeHarness();
+	harness.activeTransfers.get(DELIVERED.transferId).status = "failed";
+	assert.match((await harness.reversal.reverse(DELIVERED.transferId, "an operator")).error, /is failed; only a completed transfer/);
+
+	harness.activeTransfers.set("1:export_4", { ...DELIVERED, transferId: "1:export_4", operationType: "copy" });
+	assert.match((await harness.reversal.reverse("1:export_4", "an operator")).error, /only transfers can be reversed/);
+
+	harness.activeTransfers.set("1:export_5", { ...DELIVERED, transferId: "1:export_5", destinationPlatformIndex: undefined, destinationSurfaceIndex: undefined });
+	assert.match((await harness.reversal.reverse("1:export_5", "an operator")).error, /without recording the destination surface/);
+
+	assert.match((await harness.reversal.reverse("missing", "an operator")).error, /Unknown transfer missing/);
+	assert.equal(harness.calls.starts.length, 0);
+});
+
+test("a reversal that finds no free slot is queued and linked once the queue starts it", async () => {
+	const harness = makeHarness({ queueFull: true });
+	const response = await harness.reversal.reverse(DELIVERED.transferId, "user alice");
+	assert.equal(response.success, true, response.error);
+	assert.equal(response.transferId, "queued_1");
+	assert.match(response.message, /queued at position 1/);
+	assert.equal(harness.activeTransfers.get(DELIVERED.transferId).reversedBy, undefined);
+
+	await harness.calls.queued[0]();
+	await new Promise((resolve) => setImmediate(resolve));
+	const reverseId = "2:export_11";
+	assert.equal(harness.activeTransfers.get(reverseId).reverseOf, DELIVERED.transferId);
+	assert.equal(harness.activeTransfers.get(DELIVERED.transferId).reversedBy, reverseId);
+});
+
+test("a queued reversal rechecks the delivered platform when it dispatches and fails if it was renamed meanwhile", async () => {
+	const harness = makeHarness({ queueFull: true });
+	assert.equal((await harness.reversal.reverse(DELIVERED.transferId, "user alice")).success, true);
+
+	harness.plugin.platformTree.requestInstancePlatforms = async () => ({
+		platforms: [{ platformIndex: 7, surfaceIndex: 12, platformName: "ship-renamed", isLocked: false }], error: null,
+	});
+	const result = await harness.calls.queued[0]();
+	assert.equal(result.success, false);
+	assert.match(result.error, /was renamed to "ship-renamed"/);
+	assert.equal(harness.calls.starts.length, 0, "the renamed platform is not exported");
+	assert.equal(harness.activeTransfers.get(DELIVERED.transferId).reversedBy, undefined);
+});
+
+test("a transfer that left memory is reversed from its audit row and the link is recorded as a new terminal row", async () => {
+	const harness = makeHarness();
+	harness.activeTransfers.clear();
+	const row = buildAuditRow({
+		transferId: DELIVERED.transferId, rowKind: "terminal", savedAt: 1, eventCount: 9, lastEventAt: 5, info: DELIVERED,
+	});
+	assert.deepEqual([row.destinationPlatformIndex, row.destinationSurfaceIndex], [7, 12]);
+	harness.plugin.auditIndex.set(DELIVERED.transferId, row);
+
+	const response = await harness.reversal.reverse(DELIVERED.transferId, "user alice");
+	assert.equal(response.success, true, response.error);
+	assert.equal(harness.calls.auditRows.length, 1);
+	assert.equal(harness.calls.auditRows[0].reversedBy, response.transferId);
+	assert.equal(harness.calls.auditRows[0].destinationSurfaceIndex, 12);
+
+	const enemy = makeHarness();
+	enemy.activeTransfers.clear();
+	enemy.plugin.auditIndex.set(DELIVERED.transferId, buildAuditRow({
+		transferId: DELIVERED.transferId, rowKind: "terminal", savedAt: 1, eventCount: 9, lastEventAt: 5, info: { ...DELIVERED, forceName: "pirates" },
+	}));
+	assert.equal((await enemy.reversal.reverse(DELIVERED.transferId, "user alice")).success, true);
+	assert.equal(enemy.calls.starts[0].forceName, "pirates", "the audit row keeps the transfer's force");
+
+	const request = messages.ReverseTransferRequest.fromJSON({ transferId: DELIVERED.transferId });
+	assert.deepEqual(request.toJSON(), { transferId: DELIVERED.transferId });
+});
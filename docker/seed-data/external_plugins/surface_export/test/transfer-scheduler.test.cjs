@@ -0,0 +1,273 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferScheduler, ONE_SHOT_RETRY_MS, ONE_SHOT_RETRY_WINDOW_MS } = require(path.join(distNode, "lib", "transfer-scheduler.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date(2026, 4, 10, 12, 0).getTime();
+
+function makeHarness({ platforms = [{ platformIndex: 3, surfaceIndex: 9, platformName: "ship" }], queueFull = false, online = true } = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const calls = { starts: [], events: [], persists: 0, priorities: [], queued: [] };
+
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		stateRestoreInProgress: false,
+		activeTransfers,
+		transferSchedules: new Map(),
+		persistTransferSchedules: async () => { calls.persists++; return null; },
+		isInstanceOnline: () => online,
+		platformTree: {
+			requestInstancePlatforms: async () => ({ platforms, error: null }),
+			resolveTargetInstance: (id) => (id === 404 ? null : { id }),
+		},
+		txLogger: { logTransactionEvent: (id, type) => { calls.events.push(`${id} ${type}`); } },
+	};
+	const orchestrator = {
+		checkStartRequest: (request) => ({ error: null, targetInstanceId: Number(request.targetInstanceId) }),
+		handleStartPlatformTransferRequest: async (request) => {
+			calls.starts.push(request);
+			const transferId = `${request.sourceInstanceId}:export_${calls.starts.length}`;
+			activeTransfers.set(transferId, { transferId, operationType: "transfer", status: "transporting" });
+			return { success: true, transferId };
+		},
+		updateTransfer: noop,
+	};
+	const queue = {
+		submit: async (request, priority, { beforeDispatch, onDispatched } = {}) => {
+			calls.priorities.push(priority);
+			const dispatch = async () => {
+				const refusal = beforeDispatch ? await beforeDispatch() : null;
+				const result = refusal
+					? { success: false, error: refusal }
+					: await orchestrator.handleStartPlatformTransferRequest(request);
+				onDispatched?.(result);
+				return result;
+			};
+			if (queueFull) {
+				calls.queued.push(dispatch);
+				return { success: true, queued: true, transferId: `queued_${calls.queued.length}`, queuePosition: calls.queued.length };
+			}
+			return await dispatch();
+		},
+	};
+
+	const scheduler = new TransferScheduler(plugin, orchestrator, queue);
+	return { scheduler, plugin, orchestrator, calls, activeTransfers };
+}
+
+const REQUEST = { sourceInstanceId: 1, sourcePlatformIndex: 3, targetInstanceId: 2, rule: { kind: "cron", cron: "0 * * * *" } };
+
+async function created(harness, request = REQUEST) {
+	const response = await harness.scheduler.create(request, "user alice", NOW);
+	assert.equal(response.success, true, response.error);
+	return harness.plugin.transferSchedules.get(response.schedule.scheduleId);
+}
+
+test("creating a schedule records the platform's surface and name and the next run", async () => {
+	const harness = makeHarness();
+	const schedule = await created(harness);
+	assert.deepEqual(
+		[schedule.sourceSurfaceIndex, schedule.platformName, schedule.targetInstanceId, schedule.createdBy, schedule.enabled],
+		[9, "ship", 2, "user alice", true],
+	);
+	assert.equal(schedule.nextRunAt, NOW + HOUR);
+	assert.equal(harness.calls.persists, 1);
+
+	assert.match((await harness.scheduler.create({ ...REQUEST, sourcePlatformIndex: 4 }, "an operator", NOW)).error, /Platform #4 was not found/);
+	assert.match((await harness.scheduler.create({ ...REQUEST, rule: { kind: "once", at: NOW - 1 } }, "an operator", NOW)).error,
+		/has already passed/);
+	assert.equal(harness.plugin.transferSchedules.size, 1);
+});
+
+test("a due run starts a transfer linked to the schedule and advances to the next cron time", async () => {
+	const harness = makeHarness();
+	const schedule = await created(harness);
+	const run = await harness.scheduler.run(schedule, NOW + HOUR);
+
+	assert.deepEqual(run, { at: NOW + HOUR, transferId: "1:export_1", error: null });
+	assert.deepEqual(harness.calls.priorities, ["player"], "a scheduled run goes through the transfer queue");
+	assert.deepEqual(harness.calls.starts, [{ sourceInstanceId: 1, sourcePlatformIndex: 3, targetInstanceId: 2, forceName: "player", targetPlanet: null }]);
+	assert.equal(harness.activeTransfers.get("1:export_1").scheduleId, schedule.scheduleId);
+	assert.ok(harness.calls.events.includes("1:export_1 scheduled_run"));
+	assert.equal(schedule.nextRunAt, NOW + 2 * HOUR);
+	assert.equal(schedule.enabled, true);
+	assert.deepEqual(schedule.runs, [run]);
+});
+
+test("a run is skipped and recorded when the surface now holds another platform or is gone, or the source is offline", async () => {
+	const harness = makeHarness();
+	const schedule = await created(harness);
+
+	harness.plugin.platformTree.requestInstancePlatforms = async () => ({ platforms: [{ platformIndex: 3, surfaceIndex: 9, platformName: "impostor" }], error: null });
+	assert.match((await harness.scheduler.run(schedule, NOW + HOUR)).error, /is now "impostor", not "ship"/);
+
+	harness.plugin.platformTree.requestInstancePlatforms = async () => ({ platforms: [{ platformIndex: 3, surfaceIndex: 11, platformName: "ship" }], error: null });
+	assert.match((await harness.scheduler.run(schedule, NOW + 2 * HOUR)).error, /No platform has surface 9/);
+
+	const offline = makeHarness({ online: false });
+	const offlineSchedule = await created(offline);
+	assert.match((await offline.scheduler.run(offlineSchedule, NOW + HOUR)).error, /Source instance 1 is not running/);
+
+	assert.equal(harness.calls.starts.length + offline.calls.starts.length, 0);
+	assert.deepEqual(schedule.runs.map(run => run.transferId), [null, null]);
+	assert.equal(schedule.nextRunAt, NOW + 3 * HOUR, "a skipped run is not retried; the schedule moves on");
+});
+
+test("a platform moved by the schedule is found by surface even when its platform index changed", async () => {
+	const harness = makeHarness();
+	const schedule = await created(harness);
+	harness.plugin.platformTree.requestInstancePlatforms = async () => ({ platforms: [{ platformIndex: 6, surfaceIndex: 9, platformName: "ship" }], error: null });
+	await harness.scheduler.run(schedule, NOW + HOUR);
+	assert.equal(harness.calls.starts[0].sourcePlatformIndex, 6);
+});
+
+test("a one-shot schedule disables itself after it ran, and tick only runs what is due", async () => {
+	const harness = makeHarness();
+	const schedule = await created(harness, { ...REQUEST, rule: { kind: "once", at: NOW + HOUR } });
+
+	harness.scheduler.tick(NOW + HOUR - 1);
+	await new Promise((resolve) => setImmediate(resolve));
+	assert.equal(harness.calls.starts.length, 0);
+
+	harness.scheduler.tick(NOW + HOUR);
+	harness.scheduler.tick(NOW + HOUR);
+	for (let i = 0; i < 10; i++) {
+		await new Promise((resolve) => setImmediate(resolve));
+	}
+	assert.equal(harness.calls.starts.length, 1, "an overlapping tick does not start the run twice");
+	assert.equal(schedule.enabled, false);
+	assert.equal(schedule.nextRunAt, null);
+	assert.equal(schedule.runs.length, 1);
+});
+
+test("a one-shot run that could not start stays armed and retries until it starts", async () => {
+	const harness = makeHarness({ online: false });
+	const schedule = await created(harness, { ...REQUEST, rule: { kind: "once", at: NOW + HOUR } });
+
+	assert.match((await harness.scheduler.run(schedule, NOW + HOUR)).error, /Source instance 1 is not running/);
+	assert.deepEqual([schedule.enabled, schedule.nextRunAt], [true, NOW + HOUR + ONE_SHOT_RETRY_MS]);
+
+	harness.plugin.isInstanceOnline = () => true;
+	const run = await harness.scheduler.run(schedule, schedule.nextRunAt);
+	assert.equal(run.transferId, "1:export_1");
+	assert.deepEqual([schedule.enabled, schedule.nextRunAt], [false, null]);
+	assert.equal(schedule.runs.length, 2);
+});
+
+test("a one-shot stops retrying once its platform is gone or renamed, or its retry window has passed", async () => {
+	const harness = makeHarness();
+	const renamed = await created(harness, { ...REQUEST, rule: { kind: "once", at: NOW + HOUR } });
+	harness.plugin.platformTree.requestInstancePlatforms = async () => ({ platforms: [{ platformIndex: 3, surfaceIndex: 9, platformName: "impostor" }], error: null });
+	assert.match((await harness.scheduler.run(renamed, NOW + HOUR)).error, /is now "impostor"/);
+	assert.deepEqual([renamed.enabled, renamed.nextRunAt], [false, null]);
+
+	const offline = makeHarness({ online: false });
+	const late = await created(offline, { ...REQUEST, rule: { kind: "once", at: NOW + HOUR } });
+	await offline.scheduler.run(late, NOW + HOUR + ONE_SHOT_RETRY_WINDOW_MS - ONE_SHOT_RETRY_MS - 1);
+	assert.equal(late.enabled, true, "a transient failure inside the window is retried");
+	await offline.scheduler.run(late, late.nextRunAt);
+	assert.deepEqual([late.enabled, late.nextRunAt], [false, null], "no retry is armed past the window");
+	assert.equal(late.runs.length, 2);
+});
+
+test("a queued run is linked to the schedule when it starts, and a one-shot whose queued start fails is re-armed", async () => {
+	const harness = makeHarness({ queueFull: true });
+	const schedule = await created(harness);
+	const run = await harness.scheduler.run(schedule, NOW + HOUR);
+	assert.deepEqual(run, { at: NOW + HOUR, transferId: "queued_1", error: null });
+	assert.equal(harness.calls.starts.length, 0);
+
+	const persists = harness.calls.persists;
+	await harness.calls.queued[0]();
+	await new Promise((resolve) => setImmediate(resolve));
+	assert.equal(harness.activeTransfers.get("1:export_1").scheduleId, schedule.scheduleId);
+	assert.ok(harness.calls.events.includes("1:export_1 scheduled_run"));
+	assert.deepEqual(schedule.runs.map(entry => entry.transferId), ["1:export_1"], "the run's queue id is replaced by the transfer id");
+	assert.equal(harness.calls.persists, persists + 1);
+
+	const due = Date.now();
+	const { schedule: { scheduleId } } = await harness.scheduler.create({ ...REQUEST, rule: { kind: "once", at: due } }, "user alice", due - HOUR);
+	const oneShot = harness.plugin.transferSchedules.get(scheduleId);
+	await harness.scheduler.run(oneShot, due);
+	assert.deepEqual([oneShot.enabled, oneShot.nextRunAt], [false, null], "a queued one-shot counts as started");
+
+	harness.orchestrator.handleStartPlatformTransferRequest = async () => ({ success: false, error: "Export failed" });
+	await harness.calls.queued[1]();
+	await new Promise((resolve) => setImmediate(resolve));
+	assert.equal(oneShot.enabled, true);
+	assert.ok(oneShot.nextRunAt > due);
+	assert.match(oneShot.runs.at(-1).error, /queued transfer failed to start: Export failed/);
+});
+
+test("a queued run rechecks the platform when it dispatches and a one-shot is disabled if it was renamed meanwhile", async () => {
+	const harness = makeHarness({ queueFull: true });
+	const oneShot = await created(harness, { ...REQUEST, rule: { kind: "once", at: NOW + HOUR } });
+	await harness.scheduler.run(oneShot, NOW + HOUR);
+
+	harness.plugin.platformTree.requestInstancePlatforms = async () => ({ platforms: [{ platformIndex: 3, surfaceIndex: 9, platformName: "impostor" }], error: null });
+	const result = await harness.calls.queued[0]();
+	await new Promise((resolve) => setImmediate(resolve));
+	assert.match(result.error, /is now "impostor", not "ship"/);
+	assert.equal(harness.calls.starts.length, 0, "the renamed platform is not exported");
+	assert.deepEqual([oneShot.enabled, oneShot.nextRunAt], [false, null]);
+	assert.match(oneShot.runs.at(-1).error, /queued transfer failed to start: .*impostor/);
+});
+
+test("schedules can be retargeted, disabled, re-enabled and deleted", async () => {
+	const harness = makeHarness();
+	const schedule = await created(harness);
+	const id = schedule.scheduleId;
+
+	const disabled = await harness.scheduler.update({ scheduleId: id, enabled: false }, NOW);
+	assert.equal(disabled.success, true, disabled.error);
+	assert.deepEqual([disabled.schedule.enabled, disabled.schedule.nextRunAt], [false, null]);
+
+	const retargeted = await harness.scheduler.update({ scheduleId: id, enabled: true, targetInstanceId: 5, targetPlanet: "vulcanus", rule: { kind: "cron", cron: "@daily" } }, NOW);
+	assert.equal(retargeted.success, true, retargeted.error);
+	assert.deepEqual([retargeted.schedule.targetInstanceId, retargeted.schedule.targetPlanet], [5, "vulcanus"]);
+	assert.equal(retargeted.schedule.nextRunAt, new Date(2026, 4, 11, 0, 0).getTime());
+
+	assert.match((await harness.scheduler.update({ scheduleId: id, targetInstanceId: 1 }, NOW)).error, /must be different/);
+	assert.match((await harness.scheduler.update({ scheduleId: id, targetInstanceId: 404 }, NOW)).error, /Unknown target instance 404/);
+	assert.match((await harness.scheduler.update({ scheduleId: id, rule: { kind: "cron", cron: "bad" } }, NOW)).error, /needs 5 fields/);
+	assert.equal(harness.plugin.transferSchedules.get(id).targetInstanceId, 5, "a refused update leaves the schedule as it was");
+
+	assert.equal((await harness.scheduler.remove(id)).success, true);
+	assert.equal(harness.plugin.transferSchedules.size, 0);
+	assert.match((await harness.scheduler.remove(id)).error, /Unknown schedule/);
+});
+
+test("a schedule that cannot be persisted is not kept", async () => {
+	const harness = makeHarness();
+	harness.plugin.persistTransferSchedules = async () => "disk full";
+	const response = await harness.scheduler.create(REQUEST, "an operator", NOW);
+	assert.match(response.error, /could not be saved: disk full/);
+	assert.equal(harness.plugin.transferSchedules.size, 0);
+});
+
+test("schedule messages round-trip their rule and unset update fields stay off the wire", () => {
+	const create = messages.CreateTransferScheduleRequest.fromJSON({ ...REQUEST, rule: { kind: "once", at: NOW } });
+	assert.deepEqual(create.toJSON(), { ...REQUEST, forceName: "player", targetPlanet: null, rule: { kind: "once", at: NOW } });
+
+	const update = messages.UpdateTransferScheduleRequest.fromJSON({ scheduleId: "schedule_1", enabled: false });
+	assert.deepEqual(JSON.parse(JSON.stringify(update)), { scheduleId: "schedule_1", enabled: false });
+});
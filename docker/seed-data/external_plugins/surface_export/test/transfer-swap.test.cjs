@@ -0,0 +1,261 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const Module = require("node:module");
+const originalLoad = Module._load;
+Module._load = function patchedLoad(request, parent, isMain) {
+	if (request === "@clusterio/lib") {
+		return {
+			escapeString: (value) => String(value),
+			wait: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+			Counter: class {},
+			Histogram: class {},
+		};
+	}
+	return originalLoad.call(this, request, parent, isMain);
+};
+
+const distNode = path.join(__dirname, "..", "dist", "node");
+const { TransferOrchestrator } = require(path.join(distNode, "lib", "transfer-orchestrator.js"));
+const { TransferQueue } = require(path.join(distNode, "lib", "transfer-queue.js"));
+const { TransferGroups } = require(path.join(distNode, "lib", "transfer-group.js"));
+const messages = require(path.join(distNode, "messages.js"));
+
+function makeHarness({ config = {}, replies = {} } = {}) {
+	const noop = () => {};
+	const activeTransfers = new Map();
+	const platformStorage = new Map();
+	const calls = { sends: [], events: [] };
+
+	const plugin = {
+		logger: { error: noop, warn: noop, info: noop },
+		pendingTransfers: new Map(),
+		persistPendingTransfer: noop,
+		removePendingTransfer: noop,
+		recordCommitTransmitted: noop,
+		recordAuditRow: async () => {},
+		isInstanceOnline: () => true,
+		persistStorage: async () => {},
+		loadStoredExportData: async () => ({ schema_version: "2.0.0", entities: [], platform: { force: "player" } }),
+		stateRestoreInProgress: false,
+		platformStorage,
+		platformTree: {
+			resolveInstanceName: (id) => `instance-${id}`,
+			resolveTargetInstance: (id) => ({ id }),
+		},
+		activeTransfers,
+		transactionLogs: new Map(),
+		recordTransferStarted: async () => {},
+		txLogger: {
+			logTransactionEvent: (id, type) => { calls.events.push(`${id} ${type}`); },
+			archiveRecycledTransferId: async () => {},
+			startPhase: noop,
+			endPhase: () => 0,
+			persistTransactionLog: async () => {},
+			buildPhaseSummary: () => ({}),
+			buildTransferInfo: (transfer) => ({ status: transfer.status, error: transfer.error ?? null }),
+			getLastEventTimestamp: () => null,
+		},
+		subscriptions: { emitTransferUpdate: noop, queueTreeBroadcast: noop, emitTransferSummary: noop },
+		controller: {
+			config: { get: (key) => config[key] },
+			instances: { get: (id) => ({ id, isDeleted: false, config: { get: (key) => config[key] } }) },
+			sendTo: async (dst, msg) => {
+				const name = msg.constructor.name;
+				calls.sends.push({ name, dst: dst.instanceId, action: msg.action, platformIndex: msg.platformIndex });
+				if (replies[name]) {
+					return replies[name](msg, dst.instanceId);
+				}
+				if (name === "ExportPlatformRequest") {
+					const exportId = `export_${msg.platformIndex}`;
+					platformStorage.set(`${dst.instanceId}:${exportId}`, {
+						platformName: `ship-${msg.platformIndex}`, platformIndex: msg.platformIndex, instanceId: dst.instanceId, sourceExportId: exportId, size: 100,
+					});
+					return { success: true, exportId };
+				}
+				if (name === "GetPlatformCensusRequest" || name === "GetPrototypeCensusRequest") {
+					return { success: false, error: "census unavailable in tests" };
+				}
+				if (name === "GetSourceTransferLockStateRequest") {
+					return { state: "pre_commit", transferId: msg.transferId, error: null };
+				}
+				return { success: true };
+			},
+		},
+	};
+
+	const orch = new TransferOrchestrator(plugin, messages);
+	const queue = new TransferQueue(plugin, orch);
+	const groups = new TransferGroups(plugin, orch, queue);
+	return { orch, groups, plugin, calls, activeTransfers };
+}
+
+function sent(calls) {
+	return calls.sends
+		.filter(({ name }) => name !== "TransferStatusUpdate" && name !== "GetPlatformCensusRequest" && name !== "GetPrototypeCensusRequest")
+		.map(({ name, dst, action, platformIndex }) => `${name}${action ? `:${action}` : ""}${platformIndex ? `#${platformIndex}` : ""}@${dst}`);
+}
+
+const flush = async () => {
+	for (let i = 0; i < 20; i++) {
+		await new Promise((resolve) => setImmediate(resolve));
+	}
+};
+
+function vote(transferId, success, destinationHeld = true) {
+	return new messages.TransferValidationEvent({
+		transferId,
+		success,
+		platformName: "ship",
+		sourceInstanceId: Number(transferId.split(":")[0]),
+		validation: success
+			? { itemCountMatch: true, fluidCountMatch: true, destinationHeld }
+			: { itemCountMatch: false, fluidCountMatch: true, mismatchDetails: "item count mismatch" },
+	});
+}
+
+function clearTimers(harness) {
+	for (const transfer of harness.activeTransfers.values()) {
+		clearTimeout(transfer.validationTimeout);
+	}
+}
+
+const PAIR = [{ sourceInstanceId: 1, sourcePlatformIndex: 3 }, { sourceInstanceId: 2, sourcePlatformIndex: 5 }];
+
+test("a swap sends each platform to the other's instance and deletes neither source until both destinations validated", async () => {
+	const harness = makeHarness();
+	const response = await harness.groups.swap({ platforms: PAIR });
+	assert.equal(response.success, true, response.error);
+	assert.deepEqual(response.transferIds, ["1:export_3", "2:export_5"]);
+
+	const parent = harness.activeTransfers.get(response.groupId);
+	assert.equal(parent.operationType, "swap");
+	assert.equal(parent.platformName, "Swap ship-3 ⇄ ship-5");
+	assert.deepEqual([parent.sourceInstanceId, parent.targetInstanceId], [1, 2]);
+	assert.equal(harness.activeTransfers.get("1:export_3").targetInstanceId, 2);
+	assert.equal(harness.activeTransfers.get("2:export_5").targetInstanceId, 1);
+
+	harness.calls.sends.length = 0;
+	await harness.orch.handleTransferValidation(vote("2:export_5", true));
+	assert.equal(harness.activeTransfers.get("2:export_5").status, "awaiting_group");
+	assert.deepEqual(sent(harness.calls), [], "the first side to validate waits for the other");
+
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	await flush();
+	assert.deepEqual(sent(harness.calls).filter(name => name.startsWith("CommitSourceTransferRequest")), [
+		"CommitSourceTransferRequest#3@1",
+		"CommitSourceTransferRequest#5@2",
+	]);
+	assert.equal(harness.activeTransfers.get("1:export_3").status, "completed");
+	assert.equal(harness.activeTransfers.get("2:export_5").status, "completed");
+	assert.equal(parent.status, "completed");
+	clearTimers(harness);
+});
+
+test("when one side of a swap fails, both roll back and both sources stay", async () => {
+	const harness = makeHarness();
+	const response = await harness.groups.swap({ platforms: PAIR });
+	assert.equal(response.success, true, response.error);
+
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	harness.calls.sends.length = 0;
+	await harness.orch.handleTransferValidation(vote("2:export_5", false));
+	await flush();
+
+	const sends = sent(harness.calls);
+	assert.ok(!sends.some(name => name.startsWith("CommitSourceTransferRequest")), "no source was committed");
+	assert.ok(sends.includes("UnlockSourcePlatformRequest#3@1"));
+	assert.ok(sends.includes("UnlockSourcePlatformRequest#5@2"));
+	assert.ok(sends.includes("DestinationHoldRequest:discard@2"), "the held copy of the validated side is discarded");
+	const parent = harness.activeTransfers.get(response.groupId);
+	assert.equal(parent.status, "failed");
+	assert.match(parent.error, /^No platform moved/);
+	clearTimers(harness);
+});
+
+function assertBothReverted(harness, groupId) {
+	const sends = sent(harness.calls);
+	for (const expected of ["DestinationHoldRequest:discard@2", "DestinationHoldRequest:discard@1", "UnlockSourcePlatformRequest#3@1", "UnlockSourcePlatformRequest#5@2"]) {
+		assert.ok(sends.includes(expected), `${expected} was sent`);
+	}
+	assert.equal(harness.activeTransfers.get("1:export_3").status, "failed");
+	assert.equal(harness.activeTransfers.get("2:export_5").status, "failed");
+	const parent = harness.activeTransfers.get(groupId);
+	assert.equal(parent.status, "failed");
+	assert.match(parent.error, /^No platform moved/);
+}
+
+test("a swap vote without a destination hold is a failure: the swap aborts and both sides are reverted", async () => {
+	const harness = makeHarness();
+	const response = await harness.groups.swap({ platforms: PAIR });
+	await harness.orch.handleTransferValidation(vote("2:export_5", true));
+	harness.calls.sends.length = 0;
+
+	await harness.orch.handleTransferValidation(vote("1:export_3", true, false));
+	await flush();
+
+	assert.ok(!sent(harness.calls).some(name => name.startsWith("CommitSourceTransferRequest")), "no source was committed");
+	assertBothReverted(harness, response.groupId);
+	assert.match(harness.activeTransfers.get("1:export_3").error, /validated without holding its destination/);
+	clearTimers(harness);
+});
+
+test("a swap commits no source until both sources confirm they are still locked for it", async () => {
+	const harness = makeHarness({ replies: {
+		GetSourceTransferLockStateRequest: (msg, instanceId) => (instanceId === 2
+			? { state: "unknown/offline", transferId: msg.transferId, error: "instance 2 stopped" }
+			: { state: "pre_commit", transferId: msg.transferId, error: null }),
+	} });
+	const response = await harness.groups.swap({ platforms: PAIR });
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	harness.calls.sends.length = 0;
+
+	await harness.orch.handleTransferValidation(vote("2:export_5", true));
+	await flush();
+
+	assert.ok(!sent(harness.calls).some(name => name.startsWith("CommitSourceTransferRequest")), "no source was committed");
+	assertBothReverted(harness, response.groupId);
+	assert.match(harness.activeTransfers.get("2:export_5").error, /source\(s\) not ready to commit: ship-5 \(unknown\/offline: instance 2 stopped\)/);
+	clearTimers(harness);
+});
+
+test("when the first source refuses to commit, the second is never committed", async () => {
+	const harness = makeHarness({ replies: {
+		CommitSourceTransferRequest: () => ({ success: false, error: "lock not owned" }),
+	} });
+	const response = await harness.groups.swap({ platforms: PAIR });
+	await harness.orch.handleTransferValidation(vote("2:export_5", true));
+	harness.calls.sends.length = 0;
+
+	await harness.orch.handleTransferValidation(vote("1:export_3", true));
+	await flush();
+
+	const sends = sent(harness.calls);
+	assert.deepEqual(sends.filter(name => name.startsWith("CommitSourceTransferRequest")), ["CommitSourceTransferRequest#3@1"]);
+	assert.ok(sends.includes("DestinationHoldRequest:discard@1"), "the other side's held copy is discarded");
+	assert.ok(sends.includes("UnlockSourcePlatformRequest#5@2"), "the other side's source is unlocked");
+	const parent = harness.activeTransfers.get(response.groupId);
+	assert.equal(parent.status, "failed");
+	assert.match(parent.error, /^No platform moved/);
+	clearTimers(harness);
+});
+
+test("a swap needs two platforms on two instances and starts both sides together even past the cluster-wide limit", async () => {
+	const harness = makeHarness();
+	assert.match((await harness.groups.swap({ platforms: [PAIR[0]] })).error, /exactly two platforms/);
+	assert.match((await harness.groups.swap({ platforms: [PAIR[0], { sourceInstanceId: 1, sourcePlatformIndex: 4 }] })).error,
+		/Both platforms are on instance 1/);
+	assert.equal(harness.activeTransfers.size, 0);
+
+	const limited = makeHarness({ config: { "surface_export.max_concurrent_transfers": 1 } });
+	const response = await limited.groups.swap({ platforms: PAIR });
+	assert.equal(response.success, true, response.error);
+	assert.equal(response.transferIds.length, 2, "an idle cluster lets the swap take both slots at once");
+	clearTimers(limited);
+
+	const request = messages.StartPlatformSwapRequest.fromJSON({ platforms: PAIR });
+	assert.deepEqual(request.toJSON(), { platforms: PAIR, forceName: "player" });
+});
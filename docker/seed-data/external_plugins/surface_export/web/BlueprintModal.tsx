@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from "react";
+import { Alert, Button, Input, Modal, Space, Spin, Typography, message as antMessage } from "antd";
+import { CopyOutlined } from "@ant-design/icons";
+
+import { getErrorMessage, getProp } from "./utils";
+import type { BlueprintReport } from "../shared/dto";
+import type { JsonObject, StoredExportSummary, SurfaceExportPlugin } from "./view-models";
+
+const { Text } = Typography;
+
+export default function BlueprintModal({ entry, onClose, plugin }: {
+	entry: StoredExportSummary | null;
+	onClose: () => void;
+	plugin: SurfaceExportPlugin;
+}) {
+	const [blueprint, setBlueprint] = useState<string | null>(null);
+	const [report, setReport] = useState<BlueprintReport | null>(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState<string | null>(null);
+
+	useEffect(() => {
+		setBlueprint(null);
+		setReport(null);
+		setError(null);
+		if (!entry) {
+			return;
+		}
+		let cancelled = false;
+		setLoading(true);
+		plugin.exportBlueprint(entry.exportId)
+			.then((response: JsonObject) => {
+				if (!getProp(response, "success", false)) {
+					throw new Error(String(getProp(response, "error", "Blueprint conversion failed")));
+				}
+				if (!cancelled) {
+					setBlueprint(getProp<string | null>(response, "blueprint", null));
+					setReport(getProp<BlueprintReport | null>(response, "report", null));
+				}
+			})
+			.catch((err: unknown) => {
+				if (!cancelled) {
+					setError(getErrorMessage(err, "Failed to build blueprint"));
+				}
+			})
+			.finally(() => {
+				if (!cancelled) {
+					setLoading(false);
+				}
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [entry, plugin]);
+
+	async function copy() {
+		if (!blueprint) {
+			return;
+		}
+		try {
+			await navigator.clipboard.writeText(blueprint);
+			antMessage.success("Blueprint string copied");
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Could not copy to the clipboard; select the text instead"));
+		}
+	}
+
+	return (
+		<Modal
+			open={entry !== null}
+			title={entry ? `Blueprint of ${entry.platformName}` : "Blueprint"}
+			onCancel={onClose}
+			footer={blueprint ? <Button icon={<CopyOutlined />} type="primary" onClick={copy}>Copy</Button> : null}
+			width={720}
+		>
+			{error ? <Alert type="error" showIcon message={error} /> : null}
+			{loading ? <Spin /> : null}
+			{blueprint && report ? (
+				<Space direction="vertical" style={{ width: "100%" }} size="middle">
+					<Text type="secondary">
+						{`${report.entities.toLocaleString()} entities, ${report.tiles.toLocaleString()} tiles, ${report.wires.toLocaleString()} wires`}
+					</Text>
+					<Input.TextArea value={blueprint} readOnly autoSize={{ minRows: 4, maxRows: 10 }} onFocus={event => event.target.select()} />
+					{report.unsupported.length ? (
+						<Alert
+							type="warning"
+							showIcon
+							message="Not included in the blueprint"
+							description={(
+								<ul style={{ margin: 0, paddingLeft: 18 }}>
+									{report.unsupported.map(line => <li key={line}>{line}</li>)}
+								</ul>
+							)}
+						/>
+					) : null}
+				</Space>
+			) : null}
+		</Modal>
+	);
+}
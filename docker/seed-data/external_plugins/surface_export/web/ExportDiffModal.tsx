@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from "react";
+import { Alert, Empty, Modal, Spin, Table, Tabs, Tag, Typography } from "antd";
+import type { ColumnsType } from "antd/es/table";
+
+import { getErrorMessage, getProp } from "./utils";
+import type { CountDelta, DiffEntity, DiffPosition, EntityMove, EntitySettingChange, ExportDiff } from "../shared/dto";
+import type { JsonObject, StoredExportSummary, SurfaceExportPlugin } from "./view-models";
+
+const { Text } = Typography;
+
+function formatPosition(position: DiffPosition) {
+	return `(${position.x}, ${position.y})`;
+}
+
+function formatValue(value: unknown) {
+	return value === null ? <Text type="secondary">none</Text> : <Text code>{JSON.stringify(value)}</Text>;
+}
+
+const entityColumns: ColumnsType<DiffEntity> = [
+	{ title: "Entity", dataIndex: "name", key: "name" },
+	{ title: "Type", dataIndex: "type", key: "type" },
+	{ title: "Position", key: "position", render: (_: unknown, entity: DiffEntity) => formatPosition(entity.position) },
+];
+
+const moveColumns: ColumnsType<EntityMove> = [
+	{ title: "Entity", dataIndex: "name", key: "name" },
+	{ title: "From", key: "from", render: (_: unknown, entity: EntityMove) => formatPosition(entity.from) },
+	{ title: "To", key: "to", render: (_: unknown, entity: EntityMove) => formatPosition(entity.position) },
+];
+
+const settingColumns: ColumnsType<EntitySettingChange> = [
+	{ title: "Entity", dataIndex: "name", key: "name" },
+	{ title: "Position", key: "position", render: (_: unknown, change: EntitySettingChange) => formatPosition(change.position) },
+	{ title: "Setting", dataIndex: "kind", key: "kind", render: (kind: string) => <Tag>{kind}</Tag> },
+	{ title: "Before", dataIndex: "before", key: "before", render: formatValue },
+	{ title: "After", dataIndex: "after", key: "after", render: formatValue },
+];
+
+const countColumns: ColumnsType<CountDelta> = [
+	{ title: "Name", dataIndex: "name", key: "name" },
+	{ title: "Before", dataIndex: "before", key: "before", render: (value: number) => Number(value.toFixed(3)).toLocaleString() },
+	{ title: "After", dataIndex: "after", key: "after", render: (value: number) => Number(value.toFixed(3)).toLocaleString() },
+	{
+		title: "Change",
+		dataIndex: "delta",
+		key: "delta",
+		render: (delta: number) => (
+			<Text type={delta > 0 ? "success" : "danger"}>{`${delta > 0 ? "+" : ""}${Number(delta.toFixed(3)).toLocaleString()}`}</Text>
+		),
+	},
+];
+
+function DiffTable<T extends object>({ columns, rows, rowKey }: {
+	columns: ColumnsType<T>;
+	rows: T[];
+	rowKey: (row: T, index?: number) => string;
+}) {
+	if (!rows.length) {
+		return <Empty description="No differences" />;
+	}
+	return <Table size="small" columns={columns} dataSource={rows} rowKey={rowKey} pagination={{ pageSize: 20 }} />;
+}
+
+const entityKey = (entity: DiffEntity, index?: number) => `${entity.name}@${entity.position.x},${entity.position.y}#${index ?? 0}`;
+
+export default function ExportDiffModal({ entries, onClose, plugin }: {
+	entries: [StoredExportSummary, StoredExportSummary] | null;
+	onClose: () => void;
+	plugin: SurfaceExportPlugin;
+}) {
+	const [diff, setDiff] = useState<ExportDiff | null>(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState<string | null>(null);
+
+	useEffect(() => {
+		setDiff(null);
+		setError(null);
+		if (!entries) {
+			return;
+		}
+		let cancelled = false;
+		setLoading(true);
+		plugin.diffExports(entries[0].exportId, entries[1].exportId)
+			.then((response: JsonObject) => {
+				if (!getProp(response, "success", false)) {
+					throw new Error(String(getProp(response, "error", "Diff failed")));
+				}
+				if (!cancelled) {
+					setDiff(getProp<ExportDiff | null>(response, "diff", null));
+				}
+			})
+			.catch((err: unknown) => {
+				if (!cancelled) {
+					setError(getErrorMessage(err, "Failed to compare exports"));
+				}
+			})
+			.finally(() => {
+				if (!cancelled) {
+					setLoading(false);
+				}
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [entries, plugin]);
+
+	const title = entries
+		? `Compare ${entries[0].platformName} (${new Date(entries[0].timestamp).toLocaleString()}) → ${entries[1].platformName} (${new Date(entries[1].timestamp).toLocaleString()})`
+		: "Compare exports";
+
+	return (
+		<Modal open={entries !== null} title={title} onCancel={onClose} footer={null} width={960}>
+			{error ? <Alert type="error" showIcon message={error} /> : null}
+			{loading ? <Spin /> : null}
+			{diff ? (
+				<>
+					<Text type="secondary">{`${diff.unchangedEntities.toLocaleString()} entities unchanged`}</Text>
+					<Tabs
+						items={[
+							{
+								key: "added",
+								label: `Added (${diff.entitiesAdded.length})`,
+								children: <DiffTable columns={entityColumns} rows={diff.entitiesAdded} rowKey={entityKey} />,
+							},
+							{
+								key: "removed",
+								label: `Removed (${diff.entitiesRemoved.length})`,
+								children: <DiffTable columns={entityColumns} rows={diff.entitiesRemoved} rowKey={entityKey} />,
+							},
+							{
+								key: "moved",
+								label: `Moved (${diff.entitiesMoved.length})`,
+								children: <DiffTable columns={moveColumns} rows={diff.entitiesMoved} rowKey={entityKey} />,
+							},
+							{
+								key: "settings",
+								label: `Settings (${diff.settingsChanged.length})`,
+								children: (
+									<DiffTable
+										columns={settingColumns}
+										rows={diff.settingsChanged}
+										rowKey={(change, index) => `${entityKey(change, index)}:${change.kind}`}
+									/>
+								),
+							},
+							{
+								key: "items",
+								label: `Items (${diff.itemDeltas.length})`,
+								children: <DiffTable columns={countColumns} rows={diff.itemDeltas} rowKey={delta => delta.name} />,
+							},
+							{
+								key: "fluids",
+								label: `Fluids (${diff.fluidDeltas.length})`,
+								children: <DiffTable columns={countColumns} rows={diff.fluidDeltas} rowKey={delta => delta.name} />,
+							},
+						]}
+					/>
+				</>
+			) : null}
+		</Modal>
+	);
+}
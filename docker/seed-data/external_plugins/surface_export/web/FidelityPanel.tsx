@@ -0,0 +1,97 @@
+import React from "react";
+import { Alert, Empty, Space, Table, Tag, Typography } from "antd";
+import type { ColumnsType } from "antd/es/table";
+
+import type { DiffEntity, EntitySettingChange, FidelityReport } from "../shared/dto";
+import type { LogEvent } from "./view-models";
+
+const { Text } = Typography;
+
+export function latestFidelityReport(events: LogEvent[]): FidelityReport | null {
+	for (let index = events.length - 1; index >= 0; index--) {
+		const event = events[index];
+		if (event.eventType === "fidelity_checked" && event.fidelity && typeof event.fidelity === "object") {
+			return event.fidelity as FidelityReport;
+		}
+	}
+	return null;
+}
+
+function formatPosition(entity: DiffEntity) {
+	return `(${entity.position.x}, ${entity.position.y})`;
+}
+
+function formatValue(value: unknown) {
+	return value === null ? <Text type="secondary">none</Text> : <Text code>{JSON.stringify(value)}</Text>;
+}
+
+const entityColumns: ColumnsType<DiffEntity & { side: string }> = [
+	{
+		title: "Mismatch",
+		dataIndex: "side",
+		key: "side",
+		render: (side: string) => <Tag color={side === "missing" ? "red" : "orange"}>{side}</Tag>,
+	},
+	{ title: "Entity", dataIndex: "name", key: "name" },
+	{ title: "Type", dataIndex: "type", key: "type" },
+	{ title: "Position", key: "position", render: (_: unknown, entity: DiffEntity) => formatPosition(entity) },
+];
+
+const settingColumns: ColumnsType<EntitySettingChange> = [
+	{ title: "Entity", dataIndex: "name", key: "name" },
+	{ title: "Position", key: "position", render: (_: unknown, change: EntitySettingChange) => formatPosition(change) },
+	{ title: "Setting", dataIndex: "kind", key: "kind", render: (kind: string) => <Tag>{kind}</Tag> },
+	{ title: "Source", dataIndex: "before", key: "before", render: formatValue },
+	{ title: "Destination", dataIndex: "after", key: "after", render: formatValue },
+];
+
+export default function FidelityPanel({ report }: { report: FidelityReport | null }) {
+	if (!report) {
+		return <Empty description="No fidelity check recorded (enable surface_export.fidelity_check)" />;
+	}
+	if (report.status === "skipped") {
+		return <Alert type="warning" showIcon message="Fidelity check skipped" description={report.reason || "No reason given"} />;
+	}
+	if (report.status === "match") {
+		return (
+			<Alert
+				type="success"
+				showIcon
+				message="Destination matches the source"
+				description={`All ${report.sourceEntities.toLocaleString()} entities were found with the same recipes, rotation, filters, control behaviour and circuit wires.`}
+			/>
+		);
+	}
+	const entityRows = [
+		...report.missing.map(entity => ({ ...entity, side: "missing" })),
+		...report.unexpected.map(entity => ({ ...entity, side: "unexpected" })),
+	];
+	return (
+		<Space direction="vertical" style={{ width: "100%" }} size="middle">
+			<Alert
+				type="warning"
+				showIcon
+				message={`${report.mismatchCount.toLocaleString()} mismatch(es) between the source payload and the destination`}
+				description={report.truncated ? "Only the first entries of each list were kept in the log." : undefined}
+			/>
+			{entityRows.length ? (
+				<Table
+					size="small"
+					pagination={{ pageSize: 20 }}
+					columns={entityColumns}
+					dataSource={entityRows}
+					rowKey={entity => `${entity.side}:${entity.name}@${entity.position.x},${entity.position.y}`}
+				/>
+			) : null}
+			{report.settingsChanged.length ? (
+				<Table
+					size="small"
+					pagination={{ pageSize: 20 }}
+					columns={settingColumns}
+					dataSource={report.settingsChanged}
+					rowKey={change => `${change.name}@${change.position.x},${change.position.y}:${change.kind}`}
+				/>
+			) : null}
+		</Space>
+	);
+}
@@ -4,6 +4,7 @@ import {
 	Button,
 	Input,
 	Modal,
+	Segmented,
 	Select,
 	Space,
 	Upload,
@@ -11,10 +12,24 @@ import {
 } from "antd";
 import type { UploadChangeParam, UploadFile } from "antd/es/upload/interface";
 import { UploadOutlined } from "@ant-design/icons";
+import { useAccount } from "@clusterio/web_ui";
 
 import { usePlanetOptions } from "./icons";
 import { parseJsonFile, getErrorMessage, getProp } from "./utils";
 import type { JsonObject, SurfaceExportPlugin, SurfaceExportState } from "./view-models";
+import type { PreflightIssue, PreflightReport } from "../shared/dto";
+import { PERMISSIONS } from "../messages";
+
+type SchemaError = { path: string; message: string };
+type ImportSource = "json" | "blueprint";
+
+function issueList(issues: PreflightIssue[]) {
+	return (
+		<ul style={{ margin: 0, paddingLeft: 18 }}>
+			{issues.map(issue => <li key={`${issue.kind}:${issue.name}`}>{issue.message}</li>)}
+		</ul>
+	);
+}
 
 type ImportModalProps = {
 	open: boolean;
@@ -24,6 +39,12 @@ type ImportModalProps = {
 };
 
 export default function ImportModal({ open, onClose, plugin, state }: ImportModalProps) {
+	const account = useAccount();
+	const canImportBlueprints = account.hasPermission(PERMISSIONS.IMPORT_BLUEPRINTS) === true;
+	const [source, setSource] = useState<ImportSource>("json");
+	const [blueprint, setBlueprint] = useState("");
+	const [preflight, setPreflight] = useState<PreflightReport | null>(null);
+	const [checking, setChecking] = useState(false);
 	const [fileList, setFileList] = useState<UploadFile[]>([]);
 	const [payload, setPayload] = useState<JsonObject | null>(null);
 	const [parseError, setParseError] = useState<string | null>(null);
@@ -31,7 +52,9 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 	const [platformName, setPlatformName] = useState("");
 	const [targetInstanceId, setTargetInstanceId] = useState<number | null>(null);
 	const [targetPlanet, setTargetPlanet] = useState<string | null>(null);
+	const [signaturePolicy, setSignaturePolicy] = useState<string | null>(null);
 	const [importing, setImporting] = useState(false);
+	const [schemaErrors, setSchemaErrors] = useState<SchemaError[]>([]);
 
 	const instanceOptions = useMemo(() => {
 		const tree = state.tree;
@@ -54,6 +77,9 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 
 
 	function resetState() {
+		setSource("json");
+		setBlueprint("");
+		setPreflight(null);
 		setFileList([]);
 		setPayload(null);
 		setParseError(null);
@@ -61,6 +87,8 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 		setPlatformName("");
 		setTargetInstanceId(null);
 		setTargetPlanet(null);
+		setSignaturePolicy(null);
+		setSchemaErrors([]);
 	}
 
 	function handleClose() {
@@ -73,6 +101,7 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 		setFileList(latest);
 		setPayload(null);
 		setParseError(null);
+		setSchemaErrors([]);
 		if (!latest.length) return;
 
 		const file = latest[0]?.originFileObj;
@@ -95,9 +124,65 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 		}
 	}
 
+	function blueprintRequest(dryRun: boolean): JsonObject {
+		return {
+			targetInstanceId,
+			blueprint: blueprint.trim(),
+			forceName: forceName || "player",
+			platformName: platformName.trim() || null,
+			targetPlanet,
+			dryRun,
+		};
+	}
+
+	async function handleCheckBlueprint() {
+		if (targetInstanceId === null || !blueprint.trim()) return;
+		setChecking(true);
+		setPreflight(null);
+		try {
+			const response = await plugin.importBlueprint(blueprintRequest(true)) as JsonObject;
+			const report = getProp<PreflightReport | null>(response, "preflight", null);
+			setPreflight(report);
+			if (!report && !getProp(response, "success", false)) {
+				throw new Error(String(getProp(response, "error", "Blueprint check failed")));
+			}
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to check blueprint"), 10);
+		} finally {
+			setChecking(false);
+		}
+	}
+
+	async function handleImportBlueprint() {
+		if (targetInstanceId === null || !blueprint.trim()) return;
+		setImporting(true);
+		try {
+			const response = await plugin.importBlueprint(blueprintRequest(false)) as JsonObject;
+			setPreflight(getProp<PreflightReport | null>(response, "preflight", null));
+			if (!getProp(response, "success", false)) {
+				throw new Error(String(getProp(response, "error", "Import failed")));
+			}
+			const selectedInstance = instanceOptions.find(o => o.value === targetInstanceId);
+			antMessage.success(
+				`Import started on ${selectedInstance?.label || "instance"}: ${getProp(response, "platformName", "Unknown")}`,
+				8,
+			);
+			handleClose();
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to import blueprint"), 10);
+		} finally {
+			setImporting(false);
+		}
+	}
+
 	async function handleSubmit() {
+		if (source === "blueprint") {
+			await handleImportBlueprint();
+			return;
+		}
 		if (targetInstanceId === null || !payload) return;
 		setImporting(true);
+		setSchemaErrors([]);
 		try {
 			const request: JsonObject = {
 				targetInstanceId,
@@ -108,8 +193,13 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 			if (targetPlanet) {
 				request.targetPlanet = targetPlanet;
 			}
+			if (signaturePolicy) {
+				request.signaturePolicy = signaturePolicy;
+			}
 			const response = await plugin.importUploadedExport(request) as JsonObject;
 			if (!getProp(response, "success", false)) {
+				const reported = getProp<unknown>(response, "schemaErrors", []);
+				setSchemaErrors(Array.isArray(reported) ? reported as SchemaError[] : []);
 				throw new Error(String(getProp(response, "error", "Import failed")));
 			}
 			const selectedInstance = instanceOptions.find(o => o.value === targetInstanceId);
@@ -128,14 +218,64 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 	return (
 		<Modal
 			open={open}
-			title="Import JSON"
+			title="Import platform"
 			onCancel={handleClose}
 			onOk={handleSubmit}
 			okText="Import"
-			okButtonProps={{ loading: importing, disabled: !payload || targetInstanceId === null }}
+			okButtonProps={{
+				loading: importing,
+				disabled: targetInstanceId === null || (source === "json"
+					? !payload
+					: !blueprint.trim() || Boolean(preflight?.blockers.length)),
+			}}
 		>
 			<Space direction="vertical" size="middle" style={{ width: "100%" }}>
-				<Upload
+				<Segmented
+					block
+					options={[
+						{ label: "JSON export", value: "json" },
+						{ label: "Blueprint string", value: "blueprint", disabled: !canImportBlueprints },
+					]}
+					value={source}
+					onChange={value => setSource(value as ImportSource)}
+				/>
+
+				{source === "blueprint" ? (
+					<>
+						<Input.TextArea
+							value={blueprint}
+							onChange={event => {
+								setBlueprint(event.target.value);
+								setPreflight(null);
+							}}
+							placeholder="Paste a blueprint string (0eNq...)"
+							autoSize={{ minRows: 3, maxRows: 8 }}
+						/>
+						<Button
+							onClick={handleCheckBlueprint}
+							loading={checking}
+							disabled={targetInstanceId === null || !blueprint.trim()}
+						>
+							Check against the target instance
+						</Button>
+						{preflight && preflight.blockers.length ? (
+							<Alert
+								type="error"
+								showIcon
+								message={`The target instance cannot build this blueprint (${preflight.blockers.length} blocker(s))`}
+								description={issueList(preflight.blockers)}
+							/>
+						) : null}
+						{preflight && preflight.warnings.length ? (
+							<Alert type="warning" showIcon message="Preflight warnings" description={issueList(preflight.warnings)} />
+						) : null}
+						{preflight && !preflight.blockers.length && !preflight.warnings.length ? (
+							<Alert type="success" showIcon message={`The blueprint can be built as "${preflight.platformName}"`} />
+						) : null}
+					</>
+				) : null}
+
+				{source === "json" ? <Upload
 					accept=".json,application/json"
 					beforeUpload={() => false}
 					fileList={fileList}
@@ -143,10 +283,10 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 					onChange={handleFileChange}
 				>
 					<Button icon={<UploadOutlined />}>Choose JSON export file</Button>
-				</Upload>
+				</Upload> : null}
 
-				{parseError ? <Alert type="error" showIcon message={parseError} /> : null}
-				{payload ? (
+				{source === "json" && parseError ? <Alert type="error" showIcon message={parseError} /> : null}
+				{source === "json" && payload ? (
 					<Alert
 						type="success"
 						showIcon
@@ -154,12 +294,37 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 						description={`Platform: ${payload.platform_name || "(not specified in file)"}`}
 					/>
 				) : null}
+				{schemaErrors.length ? (
+					<Alert
+						type="error"
+						showIcon
+						message="The file does not match the export payload schema"
+						description={(
+							<ul style={{ margin: 0, paddingLeft: 20 }}>
+								{schemaErrors.map(error => (
+									<li key={`${error.path} ${error.message}`}><code>{error.path}</code> {error.message}</li>
+								))}
+							</ul>
+						)}
+					/>
+				) : null}
+				{source === "json" && payload && typeof payload._signature !== "string" ? (
+					<Alert
+						type="warning"
+						showIcon
+						message="This file is not signed by the controller"
+						description="Unless the upload signature policy allows it, only files downloaded from this cluster and left unedited can be imported."
+					/>
+				) : null}
 
 				<Select
 					placeholder="Select target instance"
 					options={instanceOptions}
 					value={targetInstanceId}
-					onChange={value => setTargetInstanceId(value)}
+					onChange={value => {
+						setTargetInstanceId(value);
+						setPreflight(null);
+					}}
 					style={{ width: "100%" }}
 				/>
 
@@ -167,7 +332,10 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 					placeholder="Select destination planet (optional)"
 					options={planetOptions}
 					value={targetPlanet}
-					onChange={value => setTargetPlanet(value)}
+					onChange={value => {
+						setTargetPlanet(value);
+						setPreflight(null);
+					}}
 					allowClear
 					style={{ width: "100%" }}
 				/>
@@ -181,8 +349,21 @@ export default function ImportModal({ open, onClose, plugin, state }: ImportModa
 				<Input
 					value={platformName}
 					onChange={event => setPlatformName(event.target.value)}
-					placeholder="Optional platform name override"
+					placeholder={source === "blueprint" ? "Platform name (default: the blueprint label)" : "Optional platform name override"}
 				/>
+
+				{source === "json" ? <Select
+					placeholder="Signature check: controller default"
+					options={[
+						{ label: "Refuse unsigned or edited files", value: "refuse" },
+						{ label: "Warn only (admins)", value: "warn" },
+						{ label: "Allow everything (admins)", value: "allow" },
+					]}
+					value={signaturePolicy}
+					onChange={value => setSignaturePolicy(value)}
+					allowClear
+					style={{ width: "100%" }}
+				/> : null}
 			</Space>
 		</Modal>
 	);
@@ -0,0 +1,382 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+	Alert,
+	Button,
+	Card,
+	Input,
+	Modal,
+	Popconfirm,
+	Segmented,
+	Select,
+	Space,
+	Switch,
+	Table,
+	Tag,
+	Tooltip,
+	Typography,
+	message as antMessage,
+} from "antd";
+import type { ColumnsType } from "antd/es/table";
+import { DeleteOutlined, PlusOutlined, ReloadOutlined } from "@ant-design/icons";
+
+import { usePlanetOptions } from "./icons";
+import { getErrorMessage, getProp } from "./utils";
+import type { JsonObject, SurfaceExportPlugin, SurfaceExportState, TransferSchedule } from "./view-models";
+import type { TransferScheduleRule } from "../shared/dto";
+
+const { Text } = Typography;
+
+function ruleLabel(rule: TransferScheduleRule) {
+	return rule.kind === "once" ? `Once at ${new Date(rule.at).toLocaleString()}` : <Text code>{rule.cron}</Text>;
+}
+
+function CreateScheduleModal({ open, onClose, onCreated, plugin, state }: {
+	open: boolean;
+	onClose: () => void;
+	onCreated: (schedule: TransferSchedule | null) => void;
+	plugin: SurfaceExportPlugin;
+	state: SurfaceExportState;
+}) {
+	const planetOptions = usePlanetOptions();
+	const [sourceInstanceId, setSourceInstanceId] = useState<number | null>(null);
+	const [sourcePlatformIndex, setSourcePlatformIndex] = useState<number | null>(null);
+	const [targetInstanceId, setTargetInstanceId] = useState<number | null>(null);
+	const [targetPlanet, setTargetPlanet] = useState<string | null>(null);
+	const [kind, setKind] = useState<TransferScheduleRule["kind"]>("once");
+	const [at, setAt] = useState("");
+	const [cron, setCron] = useState("");
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		if (open) {
+			setSourceInstanceId(null);
+			setSourcePlatformIndex(null);
+			setTargetInstanceId(null);
+			setTargetPlanet(null);
+			setKind("once");
+			setAt("");
+			setCron("");
+		}
+	}, [open]);
+
+	const instances = useMemo(() => {
+		const tree = state.tree;
+		if (!tree) {
+			return [];
+		}
+		return [
+			...(tree.hosts || []).flatMap(host => host.instances || []),
+			...(tree.unassignedInstances || []),
+		];
+	}, [state.tree]);
+
+	const instanceOptions = useMemo(() => instances
+		.map(inst => ({
+			value: inst.instanceId,
+			label: inst.gamePort ? `${inst.instanceName} :${inst.gamePort}` : inst.instanceName,
+		}))
+		.sort((a, b) => a.label.localeCompare(b.label)), [instances]);
+
+	const platformOptions = useMemo(() => (instances.find(inst => inst.instanceId === sourceInstanceId)?.platforms || [])
+		.filter(platform => platform.hasSpaceHub)
+		.map(platform => ({ value: platform.platformIndex, label: `${platform.platformName} #${platform.platformIndex}` })),
+	[instances, sourceInstanceId]);
+
+	const rule: TransferScheduleRule | null = kind === "once"
+		? (at && !Number.isNaN(new Date(at).getTime()) ? { kind: "once", at: new Date(at).getTime() } : null)
+		: (cron.trim() ? { kind: "cron", cron: cron.trim() } : null);
+	const ready = sourceInstanceId !== null && sourcePlatformIndex !== null && targetInstanceId !== null && rule !== null;
+
+	async function handleCreate() {
+		if (!ready) {
+			return;
+		}
+		setSaving(true);
+		try {
+			const response = await plugin.createTransferSchedule({
+				sourceInstanceId,
+				sourcePlatformIndex,
+				targetInstanceId,
+				targetPlanet,
+				rule,
+			});
+			if (!getProp(response, "success", false)) {
+				throw new Error(String(getProp(response, "error", "Schedule failed")));
+			}
+			antMessage.success(String(getProp(response, "message", "Schedule created")));
+			onCreated(getProp<TransferSchedule | null>(response, "schedule", null));
+			onClose();
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to create schedule"), 8);
+		} finally {
+			setSaving(false);
+		}
+	}
+
+	return (
+		<Modal
+			open={open}
+			title="Schedule a transfer"
+			onCancel={onClose}
+			onOk={handleCreate}
+			okText="Schedule"
+			okButtonProps={{ loading: saving, disabled: !ready }}
+		>
+			<Space direction="vertical" size="middle" style={{ width: "100%" }}>
+				<Select
+					placeholder="Source instance"
+					options={instanceOptions}
+					value={sourceInstanceId}
+					onChange={value => {
+						setSourceInstanceId(value);
+						setSourcePlatformIndex(null);
+					}}
+					style={{ width: "100%" }}
+				/>
+				<Select
+					placeholder="Platform"
+					options={platformOptions}
+					value={sourcePlatformIndex}
+					onChange={value => setSourcePlatformIndex(value)}
+					disabled={sourceInstanceId === null}
+					style={{ width: "100%" }}
+				/>
+				<Select
+					placeholder="Target instance"
+					options={instanceOptions.filter(option => option.value !== sourceInstanceId)}
+					value={targetInstanceId}
+					onChange={value => setTargetInstanceId(value)}
+					style={{ width: "100%" }}
+				/>
+				<Select
+					placeholder="Select destination location (optional)"
+					options={planetOptions}
+					value={targetPlanet}
+					onChange={value => setTargetPlanet(value ?? null)}
+					allowClear
+					style={{ width: "100%" }}
+				/>
+				<Segmented
+					block
+					options={[
+						{ label: "Once", value: "once" },
+						{ label: "Recurring (cron)", value: "cron" },
+					]}
+					value={kind}
+					onChange={value => setKind(value as TransferScheduleRule["kind"])}
+				/>
+				{kind === "once" ? (
+					<Input type="datetime-local" value={at} onChange={event => setAt(event.target.value)} />
+				) : (
+					<Input
+						placeholder="minute hour day-of-month month day-of-week, e.g. 0 2 * * 1-5"
+						value={cron}
+						onChange={event => setCron(event.target.value)}
+					/>
+				)}
+				<Alert
+					type="info"
+					showIcon
+					message={kind === "cron" ? "Cron times are in the controller's local time" : "The time is in this browser's time zone"}
+					description="Runs wait in the transfer queue for a free slot. A run that finds an offline source or a renamed or missing platform is skipped and recorded; a one-shot schedule retries an offline source or a failed start every minute for up to an hour."
+				/>
+			</Space>
+		</Modal>
+	);
+}
+
+export default function SchedulesTab({ plugin, state }: { plugin: SurfaceExportPlugin; state: SurfaceExportState }) {
+	const [schedules, setSchedules] = useState<TransferSchedule[]>([]);
+	const [loading, setLoading] = useState(false);
+	const [loadError, setLoadError] = useState<string | null>(null);
+	const [busyScheduleId, setBusyScheduleId] = useState<string | null>(null);
+	const [creating, setCreating] = useState(false);
+
+	const refresh = useCallback(async () => {
+		setLoading(true);
+		try {
+			setSchedules(await plugin.listTransferSchedules());
+			setLoadError(null);
+		} catch (err: unknown) {
+			console.error("Failed to load transfer schedules", err);
+			setLoadError(getErrorMessage(err, "Failed to load transfer schedules"));
+		} finally {
+			setLoading(false);
+		}
+	}, [plugin]);
+
+	useEffect(() => {
+		refresh();
+	}, [refresh]);
+
+	function instanceName(instanceId: number) {
+		const tree = state.tree;
+		const instance = tree
+			? [...(tree.hosts || []).flatMap(host => host.instances || []), ...(tree.unassignedInstances || [])]
+				.find(inst => inst.instanceId === instanceId)
+			: undefined;
+		return instance?.instanceName ?? `instance ${instanceId}`;
+	}
+
+	async function toggleEnabled(schedule: TransferSchedule, enabled: boolean) {
+		setBusyScheduleId(schedule.scheduleId);
+		try {
+			const response = await plugin.updateTransferSchedule({ scheduleId: schedule.scheduleId, enabled }) as JsonObject;
+			if (!getProp(response, "success", false)) {
+				throw new Error(String(getProp(response, "error", "Update failed")));
+			}
+			const updated = getProp<TransferSchedule | null>(response, "schedule", null);
+			if (updated) {
+				setSchedules(current => current.map(entry => (entry.scheduleId === updated.scheduleId ? updated : entry)));
+			}
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to update schedule"), 8);
+		} finally {
+			setBusyScheduleId(null);
+		}
+	}
+
+	async function remove(schedule: TransferSchedule) {
+		setBusyScheduleId(schedule.scheduleId);
+		try {
+			const response = await plugin.deleteTransferSchedule(schedule.scheduleId);
+			if (!getProp(response, "success", false)) {
+				throw new Error(String(getProp(response, "error", "Delete failed")));
+			}
+			setSchedules(current => current.filter(entry => entry.scheduleId !== schedule.scheduleId));
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to delete schedule"), 8);
+		} finally {
+			setBusyScheduleId(null);
+		}
+	}
+
+	const columns: ColumnsType<TransferSchedule> = [
+		{
+			title: "Enabled",
+			dataIndex: "enabled",
+			key: "enabled",
+			width: 80,
+			render: (enabled: boolean, schedule: TransferSchedule) => (
+				<Switch
+					size="small"
+					checked={enabled}
+					loading={busyScheduleId === schedule.scheduleId}
+					onChange={checked => toggleEnabled(schedule, checked)}
+				/>
+			),
+		},
+		{
+			title: "Platform",
+			dataIndex: "platformName",
+			key: "platformName",
+			render: (platformName: string, schedule: TransferSchedule) => (
+				<Space direction="vertical" size={0}>
+					<Text>{platformName}</Text>
+					<Text type="secondary" style={{ fontSize: 11 }}>{schedule.scheduleId}</Text>
+				</Space>
+			),
+		},
+		{
+			title: "Route",
+			key: "route",
+			render: (_: unknown, schedule: TransferSchedule) => (
+				<Text>
+					{instanceName(schedule.sourceInstanceId)} → {instanceName(schedule.targetInstanceId)}
+					{schedule.targetPlanet ? ` @ ${schedule.targetPlanet}` : ""}
+				</Text>
+			),
+		},
+		{
+			title: "Rule",
+			dataIndex: "rule",
+			key: "rule",
+			render: (rule: TransferScheduleRule) => ruleLabel(rule),
+		},
+		{
+			title: "Next run",
+			dataIndex: "nextRunAt",
+			key: "nextRunAt",
+			render: (nextRunAt: number | null) => (nextRunAt === null
+				? <Text type="secondary">-</Text>
+				: new Date(nextRunAt).toLocaleString()),
+		},
+		{
+			title: "Last run",
+			dataIndex: "runs",
+			key: "runs",
+			render: (runs: TransferSchedule["runs"]) => {
+				const last = runs[runs.length - 1];
+				if (!last) {
+					return <Text type="secondary">-</Text>;
+				}
+				return (
+					<Space size="small">
+						<Text>{new Date(last.at).toLocaleString()}</Text>
+						{last.error ? (
+							<Tooltip title={last.error}><Tag color="warning">Skipped</Tag></Tooltip>
+						) : (
+							<Tooltip title={last.transferId}><Tag color="processing">Started</Tag></Tooltip>
+						)}
+					</Space>
+				);
+			},
+		},
+		{
+			title: "Created",
+			dataIndex: "createdAt",
+			key: "createdAt",
+			render: (createdAt: number, schedule: TransferSchedule) => (
+				<Tooltip title={`by ${schedule.createdBy}`}>{new Date(createdAt).toLocaleString()}</Tooltip>
+			),
+		},
+		{
+			title: "Actions",
+			key: "actions",
+			render: (_: unknown, schedule: TransferSchedule) => (
+				<Popconfirm
+					title="Delete this schedule?"
+					description="Transfers it already started are not affected."
+					onConfirm={() => remove(schedule)}
+				>
+					<Button size="small" danger icon={<DeleteOutlined />} loading={busyScheduleId === schedule.scheduleId}>Delete</Button>
+				</Popconfirm>
+			),
+		},
+	];
+
+	return (
+		<div className="surface-export-log-body">
+			<Card
+				title="Scheduled Transfers"
+				extra={(
+					<Space size="small">
+						<Button icon={<PlusOutlined />} size="small" type="primary" onClick={() => setCreating(true)}>New schedule</Button>
+						<Button icon={<ReloadOutlined />} size="small" loading={loading} onClick={() => refresh()}>Refresh</Button>
+					</Space>
+				)}
+			>
+				{loadError ? <Alert type="error" showIcon message={loadError} style={{ marginBottom: 12 }} /> : null}
+				<Table
+					size="small"
+					columns={columns}
+					dataSource={schedules}
+					rowKey={schedule => schedule.scheduleId}
+					loading={loading}
+					pagination={{ pageSize: 20 }}
+				/>
+			</Card>
+			<CreateScheduleModal
+				open={creating}
+				onClose={() => setCreating(false)}
+				onCreated={schedule => {
+					if (schedule) {
+						setSchedules(current => [...current, schedule]);
+					}
+				}}
+				plugin={plugin}
+				state={state}
+			/>
+		</div>
+	);
+}
@@ -0,0 +1,309 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+	Alert,
+	Button,
+	Card,
+	Input,
+	Modal,
+	Select,
+	Space,
+	Switch,
+	Table,
+	Tag,
+	Tooltip,
+	Typography,
+	message as antMessage,
+} from "antd";
+import type { ColumnsType } from "antd/es/table";
+import { BuildOutlined, DiffOutlined, DownloadOutlined, EditOutlined, PushpinFilled, ReloadOutlined } from "@ant-design/icons";
+
+import BlueprintModal from "./BlueprintModal";
+import ExportDiffModal from "./ExportDiffModal";
+
+import { downloadJsonFile, formatBytes, getErrorMessage, getProp, sanitizeTimestamp } from "./utils";
+import type { JsonObject, StoredExportSummary, SurfaceExportPlugin } from "./view-models";
+
+const { Text } = Typography;
+
+function EditExportModal({ entry, onClose, onSave }: {
+	entry: StoredExportSummary | null;
+	onClose: () => void;
+	onSave: (labels: string[], note: string) => Promise<void>;
+}) {
+	const [labels, setLabels] = useState<string[]>([]);
+	const [note, setNote] = useState("");
+	const [saving, setSaving] = useState(false);
+
+	useEffect(() => {
+		setLabels(entry?.labels || []);
+		setNote(entry?.note || "");
+	}, [entry]);
+
+	async function handleSave() {
+		setSaving(true);
+		try {
+			await onSave(labels, note);
+			onClose();
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to update export"), 8);
+		} finally {
+			setSaving(false);
+		}
+	}
+
+	return (
+		<Modal
+			open={entry !== null}
+			title={entry ? `Edit ${entry.platformName}` : "Edit export"}
+			onCancel={onClose}
+			onOk={handleSave}
+			okText="Save"
+			okButtonProps={{ loading: saving }}
+		>
+			<Space direction="vertical" size="middle" style={{ width: "100%" }}>
+				<Select
+					mode="tags"
+					placeholder="Labels (type and press enter)"
+					value={labels}
+					onChange={value => setLabels(value)}
+					tokenSeparators={[","]}
+					open={false}
+					style={{ width: "100%" }}
+				/>
+				<Input.TextArea
+					value={note}
+					onChange={event => setNote(event.target.value)}
+					placeholder="Note"
+					autoSize={{ minRows: 3, maxRows: 8 }}
+				/>
+			</Space>
+		</Modal>
+	);
+}
+
+export default function StoredExportsTab({ plugin }: { plugin: SurfaceExportPlugin }) {
+	const [entries, setEntries] = useState<StoredExportSummary[]>([]);
+	const [loading, setLoading] = useState(false);
+	const [loadError, setLoadError] = useState<string | null>(null);
+	const [editing, setEditing] = useState<StoredExportSummary | null>(null);
+	const [busyExportId, setBusyExportId] = useState<string | null>(null);
+	const [selectedIds, setSelectedIds] = useState<string[]>([]);
+	const [comparing, setComparing] = useState<[StoredExportSummary, StoredExportSummary] | null>(null);
+	const [blueprintEntry, setBlueprintEntry] = useState<StoredExportSummary | null>(null);
+
+	const refresh = useCallback(async () => {
+		setLoading(true);
+		try {
+			const list = await plugin.listExports();
+			setEntries([...list].sort((a, b) => b.timestamp - a.timestamp));
+			setLoadError(null);
+		} catch (err: unknown) {
+			console.error("Failed to load stored exports", err);
+			setLoadError(getErrorMessage(err, "Failed to load stored exports"));
+		} finally {
+			setLoading(false);
+		}
+	}, [plugin]);
+
+	useEffect(() => {
+		refresh();
+	}, [refresh]);
+
+	async function update(exportId: string, changes: { pinned?: boolean; labels?: string[]; note?: string }) {
+		const response = await plugin.updateStoredExport({ exportId, ...changes }) as JsonObject;
+		if (!getProp(response, "success", false)) {
+			throw new Error(String(getProp(response, "error", "Update failed")));
+		}
+		const updated = getProp<StoredExportSummary | null>(response, "export", null);
+		if (updated) {
+			setEntries(current => current.map(entry => (entry.exportId === updated.exportId ? updated : entry)));
+		}
+	}
+
+	async function togglePinned(entry: StoredExportSummary, pinned: boolean) {
+		setBusyExportId(entry.exportId);
+		try {
+			await update(entry.exportId, { pinned });
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to update export"), 8);
+		} finally {
+			setBusyExportId(null);
+		}
+	}
+
+	async function download(entry: StoredExportSummary) {
+		setBusyExportId(entry.exportId);
+		try {
+			const response = await plugin.getStoredExport(entry.exportId);
+			if (!getProp(response, "success", false)) {
+				throw new Error(String(getProp(response, "error", "Download failed")));
+			}
+			const safeName = entry.platformName.replace(/[^\w-]+/g, "_") || "platform";
+			downloadJsonFile(getProp(response, "exportData", {}) as JsonObject, `${safeName}_${sanitizeTimestamp(entry.timestamp)}.json`);
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to download export"));
+		} finally {
+			setBusyExportId(null);
+		}
+	}
+
+	function compareSelected() {
+		const selected = entries
+			.filter(entry => selectedIds.includes(entry.exportId))
+			.sort((a, b) => a.timestamp - b.timestamp);
+		if (selected.length === 2) {
+			setComparing([selected[0], selected[1]]);
+		}
+	}
+
+	const columns: ColumnsType<StoredExportSummary> = [
+		{
+			title: "Pinned",
+			dataIndex: "pinned",
+			key: "pinned",
+			width: 80,
+			render: (pinned: boolean, entry: StoredExportSummary) => (
+				<Tooltip title={pinned ? "Never evicted by the storage cap" : "Evicted oldest-first once the storage cap is reached"}>
+					<Switch
+						size="small"
+						checked={pinned}
+						loading={busyExportId === entry.exportId}
+						checkedChildren={<PushpinFilled />}
+						onChange={checked => togglePinned(entry, checked)}
+					/>
+				</Tooltip>
+			),
+		},
+		{
+			title: "Platform",
+			dataIndex: "platformName",
+			key: "platformName",
+			render: (platformName: string, entry: StoredExportSummary) => (
+				<Space direction="vertical" size={0}>
+					<Space size="small">
+						<Text>{platformName}</Text>
+						{entry.integrityError ? (
+							<Tooltip title={`Not served for download or transfer: ${entry.integrityError}`}>
+								<Tag color="error">Corrupted</Tag>
+							</Tooltip>
+						) : null}
+					</Space>
+					<Tooltip title={entry.digest || "No digest recorded"}>
+						<Text type="secondary" style={{ fontSize: 11 }}>{entry.exportId}</Text>
+					</Tooltip>
+				</Space>
+			),
+		},
+		{
+			title: "Labels",
+			dataIndex: "labels",
+			key: "labels",
+			render: (labels: string[]) => (labels.length
+				? <Space size={[0, 4]} wrap>{labels.map(label => <Tag key={label}>{label}</Tag>)}</Space>
+				: <Text type="secondary">-</Text>),
+		},
+		{
+			title: "Note",
+			dataIndex: "note",
+			key: "note",
+			ellipsis: true,
+			render: (note: string | null) => (note
+				? <Tooltip title={<span style={{ whiteSpace: "pre-wrap" }}>{note}</span>}><Text>{note}</Text></Tooltip>
+				: <Text type="secondary">-</Text>),
+		},
+		{
+			title: "Mods",
+			dataIndex: "modSet",
+			key: "modSet",
+			render: (modSet: StoredExportSummary["modSet"]) => {
+				if (!modSet) {
+					return <Tooltip title="Exported before mods were recorded"><Text type="secondary">-</Text></Tooltip>;
+				}
+				const mods = Object.entries(modSet.mods);
+				return (
+					<Tooltip title={<span style={{ whiteSpace: "pre-wrap" }}>{mods.map(([name, version]) => `${name} ${version}`).join("\n")}</span>}>
+						<Space direction="vertical" size={0}>
+							<Text>Factorio {modSet.factorioVersion || "?"}</Text>
+							<Text type="secondary" style={{ fontSize: 11 }}>
+								{mods.length} mods, surface_export {modSet.moduleVersion || "?"}
+							</Text>
+						</Space>
+					</Tooltip>
+				);
+			},
+		},
+		{
+			title: "Stored",
+			dataIndex: "timestamp",
+			key: "timestamp",
+			render: (timestamp: number) => new Date(timestamp).toLocaleString(),
+		},
+		{
+			title: "Size",
+			dataIndex: "size",
+			key: "size",
+			render: (size: number) => formatBytes(size),
+		},
+		{
+			title: "Actions",
+			key: "actions",
+			render: (_: unknown, entry: StoredExportSummary) => (
+				<Space size="small">
+					<Button size="small" icon={<EditOutlined />} onClick={() => setEditing(entry)}>Edit</Button>
+					<Button
+						size="small"
+						icon={<DownloadOutlined />}
+						loading={busyExportId === entry.exportId}
+						onClick={() => download(entry)}
+					>
+						Download
+					</Button>
+					<Button size="small" icon={<BuildOutlined />} onClick={() => setBlueprintEntry(entry)}>Blueprint</Button>
+				</Space>
+			),
+		},
+	];
+
+	return (
+		<div className="surface-export-log-body">
+			<Card
+				title="Stored Exports"
+				extra={(
+					<Space size="small">
+						<Tooltip title="Select two exports to compare; the older one is the baseline">
+							<Button icon={<DiffOutlined />} size="small" disabled={selectedIds.length !== 2} onClick={compareSelected}>
+								Compare
+							</Button>
+						</Tooltip>
+						<Button icon={<ReloadOutlined />} size="small" loading={loading} onClick={() => refresh()}>Refresh</Button>
+					</Space>
+				)}
+			>
+				{loadError ? <Alert type="error" showIcon message={loadError} style={{ marginBottom: 12 }} /> : null}
+				<Table
+					size="small"
+					columns={columns}
+					dataSource={entries}
+					rowKey={entry => entry.exportId}
+					rowSelection={{
+						selectedRowKeys: selectedIds,
+						onChange: keys => setSelectedIds(keys.map(String).slice(-2)),
+					}}
+					loading={loading}
+					pagination={{ pageSize: 20 }}
+				/>
+			</Card>
+			<ExportDiffModal entries={comparing} onClose={() => setComparing(null)} plugin={plugin} />
+			<BlueprintModal entry={blueprintEntry} onClose={() => setBlueprintEntry(null)} plugin={plugin} />
+			<EditExportModal
+				entry={editing}
+				onClose={() => setEditing(null)}
+				onSave={async (labels, note) => {
+					if (editing) {
+						await update(editing.exportId, { labels, note });
+					}
+				}}
+			/>
+		</div>
+	);
+}
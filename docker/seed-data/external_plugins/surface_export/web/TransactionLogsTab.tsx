@@ -16,10 +16,15 @@ import {
 } from "antd";
 import { describeAttribution, TIMELINE_PALETTE, tickHatch } from "../shared/transfer-timeline";
 import { formatMs } from "../shared/utils";
+import FidelityPanel, { latestFidelityReport } from "./FidelityPanel";
 import type { ColumnsType } from "antd/es/table";
-import { InfoCircleOutlined, DownloadOutlined } from "@ant-design/icons";
+import { InfoCircleOutlined, DownloadOutlined, RollbackOutlined, StopOutlined } from "@ant-design/icons";
 import {
 	statusColor,
+	transferStatusLabel,
+	isCancellable,
+	isReversible,
+	nestGroupSummaries,
 	formatNumeric,
 	formatSigned,
 	formatCompactEnergy,
@@ -115,6 +120,8 @@ function PhaseTimeline({ rows, totalMs, attribution }: {
 export default function TransactionLogsTab({ plugin, state }: { plugin: SurfaceExportPlugin; state: SurfaceExportState }) {
 	const [selectedTransferId, setSelectedTransferId] = useState<string | null>(null);
 	const [downloadingTransferId, setDownloadingTransferId] = useState<string | null>(null);
+	const [cancellingTransferId, setCancellingTransferId] = useState<string | null>(null);
+	const [reversingTransferId, setReversingTransferId] = useState<string | null>(null);
 	const selectedDetails = selectedTransferId ? state.logDetails[selectedTransferId] : null;
 	type DetailedSummary = ReturnType<typeof buildDetailedLogSummary>;
 	const detailedSummary = useMemo<DetailedSummary | null>(
@@ -122,13 +129,15 @@ export default function TransactionLogsTab({ plugin, state }: { plugin: SurfaceE
 		[selectedDetails, selectedTransferId],
 	);
 
+	const groupedSummaries = useMemo(() => nestGroupSummaries(state.transferSummaries), [state.transferSummaries]);
+
 	const columns: ColumnsType<TransferSummary> = [
 		{
 			title: "Type",
 			dataIndex: "operationType",
 			key: "operationType",
 			render: (operationType: string) => (
-				<Tag color={operationType === "transfer" ? "blue" : "default"}>
+				<Tag color={operationType === "transfer" ? "blue" : operationType === "copy" ? "cyan" : operationType === "group" ? "purple" : operationType === "swap" ? "magenta" : "default"}>
 					{operationType || "transfer"}
 				</Tag>
 			),
@@ -142,7 +151,11 @@ export default function TransactionLogsTab({ plugin, state }: { plugin: SurfaceE
 			title: "Status",
 			dataIndex: "status",
 			key: "status",
-			render: (status: string) => <Tag color={statusColor(status)}>{status}</Tag>,
+			render: (status: string, row: TransferSummary) => (
+				<Tag color={statusColor(status)}>
+					{transferStatusLabel(status, row)}
+				</Tag>
+			),
 		},
 		{
 			title: "Timestamp",
@@ -160,44 +173,95 @@ export default function TransactionLogsTab({ plugin, state }: { plugin: SurfaceE
 			title: "Actions",
 			key: "actions",
 			render: (_: unknown, row: TransferSummary) => (
-				<Button
-					icon={<DownloadOutlined />}
-					size="small"
-					disabled={!row.downloadable || !row.exportId}
-					loading={downloadingTransferId === row.transferId}
-					onClick={async event => {
-						event.stopPropagation();
-						if (!row.downloadable || !row.exportId) {
-							return;
-						}
-						setDownloadingTransferId(row.transferId);
-						try {
-						const response = await plugin.getStoredExport(row.exportId) as JsonObject;
-						if (!getProp(response, "success", false)) {
-							throw new Error(String(getProp(response, "error", "Download failed")));
-						}
-						const exportData = getProp(response, "exportData", {});
-						const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: "application/json" });
-						const url = URL.createObjectURL(blob);
-						const link = document.createElement("a");
-						link.href = url;
-						const platformName = String(getProp(response, "platformName", "") || row.platformName || "platform");
-						const safeName = platformName.replace(/[^\w-]+/g, "_");
-						const timestamp = new Date(Number(getProp(response, "timestamp", Date.now()))).toISOString().replace(/[:.]/g, "-");
-							link.download = `${safeName}_${timestamp}.json`;
-							document.body.appendChild(link);
-							link.click();
-							document.body.removeChild(link);
-							URL.revokeObjectURL(url);
-						} catch (err: unknown) {
-							antMessage.error(getErrorMessage(err, "Failed to download export"));
-						} finally {
-							setDownloadingTransferId(null);
-						}
-					}}
-				>
-					Download
-				</Button>
+				<Space size="small">
+					<Button
+						icon={<DownloadOutlined />}
+						size="small"
+						disabled={!row.downloadable || !row.exportId}
+						loading={downloadingTransferId === row.transferId}
+						onClick={async event => {
+							event.stopPropagation();
+							if (!row.downloadable || !row.exportId) {
+								return;
+							}
+							setDownloadingTransferId(row.transferId);
+							try {
+							const response = await plugin.getStoredExport(row.exportId) as JsonObject;
+							if (!getProp(response, "success", false)) {
+								throw new Error(String(getProp(response, "error", "Download failed")));
+							}
+							const exportData = getProp(response, "exportData", {});
+							const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: "application/json" });
+							const url = URL.createObjectURL(blob);
+							const link = document.createElement("a");
+							link.href = url;
+							const platformName = String(getProp(response, "platformName", "") || row.platformName || "platform");
+							const safeName = platformName.replace(/[^\w-]+/g, "_");
+							const timestamp = new Date(Number(getProp(response, "timestamp", Date.now()))).toISOString().replace(/[:.]/g, "-");
+								link.download = `${safeName}_${timestamp}.json`;
+								document.body.appendChild(link);
+								link.click();
+								document.body.removeChild(link);
+								URL.revokeObjectURL(url);
+							} catch (err: unknown) {
+								antMessage.error(getErrorMessage(err, "Failed to download export"));
+							} finally {
+								setDownloadingTransferId(null);
+							}
+						}}
+					>
+						Download
+					</Button>
+					{isCancellable(row) ? (
+						<Button
+							icon={<StopOutlined />}
+							size="small"
+							danger
+							loading={cancellingTransferId === row.transferId}
+							onClick={async event => {
+								event.stopPropagation();
+								setCancellingTransferId(row.transferId);
+								try {
+									const response = await plugin.cancelTransfer(row.transferId);
+									if (!getProp(response, "success", false)) {
+										throw new Error(String(getProp(response, "error", "Cancel failed")));
+									}
+									antMessage.info(String(getProp(response, "message", "Transfer cancelled")), 5);
+								} catch (err: unknown) {
+									antMessage.error(getErrorMessage(err, "Failed to cancel transfer"), 10);
+								} finally {
+									setCancellingTransferId(null);
+								}
+							}}
+						>
+							Cancel
+						</Button>
+					) : null}
+					{isReversible(row) ? (
+						<Button
+							icon={<RollbackOutlined />}
+							size="small"
+							loading={reversingTransferId === row.transferId}
+							onClick={async event => {
+								event.stopPropagation();
+								setReversingTransferId(row.transferId);
+								try {
+									const response = await plugin.reverseTransfer(row.transferId);
+									if (!getProp(response, "success", false)) {
+										throw new Error(String(getProp(response, "error", "Reverse failed")));
+									}
+									antMessage.success(String(getProp(response, "message", "Reverse transfer started")), 5);
+								} catch (err: unknown) {
+									antMessage.error(getErrorMessage(err, "Failed to reverse transfer"), 10);
+								} finally {
+									setReversingTransferId(null);
+								}
+							}}
+						>
+							Reverse
+						</Button>
+					) : null}
+				</Space>
 			),
 		},
 	];
@@ -361,6 +425,11 @@ export default function TransactionLogsTab({ plugin, state }: { plugin: SurfaceE
 	}, [validation]);
 
 
+	const fidelityReport = useMemo(
+		() => latestFidelityReport(selectedDetails?.events || []),
+		[selectedDetails],
+	);
+
 	const entityRows = useMemo(
 		() => Object.entries((validation ? getProp(validation, "entityTypeBreakdown", {}) : {}) as Record<string, number>)
 			.map(([type, count]) => ({
@@ -525,12 +594,15 @@ export default function TransactionLogsTab({ plugin, state }: { plugin: SurfaceE
 				<Table
 					size="small"
 					columns={columns}
-					dataSource={state.transferSummaries}
+					dataSource={groupedSummaries}
 					rowKey={row => row.transferId}
 					pagination={{ pageSize: 10 }}
 					rowClassName={row => row.transferId === selectedTransferId ? "surface-export-log-row-selected" : "surface-export-log-row"}
 					onRow={row => ({
 						onClick: async () => {
+							if (row.registrySource === "queue") {
+								return;
+							}
 							setSelectedTransferId(row.transferId);
 							try {
 								await plugin.loadTransactionLog(row.transferId);
@@ -717,6 +789,11 @@ export default function TransactionLogsTab({ plugin, state }: { plugin: SurfaceE
 										<Empty description="No validation data available yet" />
 									),
 								},
+								{
+									key: "fidelity",
+									label: fidelityReport?.status === "mismatch" ? `Fidelity (${fidelityReport.mismatchCount})` : "Fidelity",
+									children: <FidelityPanel report={fidelityReport} />,
+								},
 							]}
 						/>
 					</Card>
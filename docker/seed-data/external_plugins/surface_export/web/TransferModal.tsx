@@ -1,10 +1,27 @@
 import React, { useEffect, useMemo, useState } from "react";
-import { Alert, Modal, Select, Space, message as antMessage } from "antd";
+import { Alert, Checkbox, Modal, Segmented, Select, Space, Spin, message as antMessage } from "antd";
 
 import { usePlanetOptions } from "./icons";
 import { getErrorMessage, getProp } from "./utils";
 import type { PlatformActionSource } from "./platform-actions";
 import type { JsonObject, SurfaceExportPlugin, SurfaceExportState } from "./view-models";
+import type { GroupTransferPolicy, PreflightIssue, PreflightReport } from "../shared/dto";
+
+type PreflightState = {
+	loading: boolean;
+	report: PreflightReport | null;
+	error: string | null;
+};
+
+const IDLE_PREFLIGHT: PreflightState = { loading: false, report: null, error: null };
+
+function issueList(issues: PreflightIssue[]) {
+	return (
+		<ul style={{ margin: 0, paddingLeft: 18 }}>
+			{issues.map(issue => <li key={`${issue.kind}:${issue.name}`}>{issue.message}</li>)}
+		</ul>
+	);
+}
 
 type TransferModalProps = {
 	source: PlatformActionSource | null;
@@ -17,14 +34,61 @@ type TransferModalProps = {
 export default function TransferModal({ source, presetTargetInstanceId = null, onClose, plugin, state }: TransferModalProps) {
 	const [targetInstanceId, setTargetInstanceId] = useState<number | null>(null);
 	const [targetPlanet, setTargetPlanet] = useState<string | null>(null);
+	const [adminPriority, setAdminPriority] = useState(false);
+	const [deferred, setDeferred] = useState(false);
+	const [copy, setCopy] = useState(false);
+	const [fleet, setFleet] = useState<number[]>([]);
+	const [groupPolicy, setGroupPolicy] = useState<GroupTransferPolicy>("all_or_nothing");
+	const [swapWith, setSwapWith] = useState<number | null>(null);
 	const [submitting, setSubmitting] = useState(false);
+	const [preflight, setPreflight] = useState<PreflightState>(IDLE_PREFLIGHT);
 	const planetOptions = usePlanetOptions();
 
 	useEffect(() => {
 		setTargetInstanceId(presetTargetInstanceId);
 		setTargetPlanet(null);
+		setAdminPriority(false);
+		setDeferred(false);
+		setCopy(false);
+		setFleet([]);
+		setGroupPolicy("all_or_nothing");
+		setSwapWith(null);
 	}, [source?.instanceId, source?.platformIndex, presetTargetInstanceId]);
 
+	useEffect(() => {
+		if (!source || targetInstanceId === null || deferred) {
+			setPreflight(IDLE_PREFLIGHT);
+			return undefined;
+		}
+		let stale = false;
+		setPreflight({ loading: true, report: null, error: null });
+		plugin.preflightTransfer({
+			sourceInstanceId: source.instanceId,
+			sourcePlatformIndex: source.platformIndex,
+			targetInstanceId: Number(targetInstanceId),
+			forceName: source.forceName || "player",
+			targetPlanet,
+		}).then(response => {
+			if (stale) {
+				return;
+			}
+			if (!getProp(response, "success", false)) {
+				setPreflight({ loading: false, report: null, error: String(getProp(response, "error", "Preflight failed")) });
+				return;
+			}
+			setPreflight({ loading: false, report: getProp(response, "report", null) as PreflightReport | null, error: null });
+		}, (err: unknown) => {
+			if (!stale) {
+				setPreflight({ loading: false, report: null, error: getErrorMessage(err, "Preflight failed") });
+			}
+		});
+		return () => {
+			stale = true;
+		};
+	}, [plugin, source, targetInstanceId, targetPlanet, deferred]);
+
+	const blocked = Boolean(preflight.report?.blockers.length);
+
 	const instanceOptions = useMemo(() => {
 		const tree = state.tree;
 		if (!tree || !source) {
@@ -43,10 +107,96 @@ export default function TransferModal({ source, presetTargetInstanceId = null, o
 			.sort((a, b) => a.label.localeCompare(b.label));
 	}, [state.tree, source]);
 
+	const fleetOptions = useMemo(() => {
+		const tree = state.tree;
+		if (!tree || !source) {
+			return [];
+		}
+		const instance = [
+			...(tree.hosts || []).flatMap(host => host.instances || []),
+			...(tree.unassignedInstances || []),
+		].find(inst => inst.instanceId === source.instanceId);
+		return (instance?.platforms || [])
+			.filter(platform => platform.platformIndex !== source.platformIndex && platform.hasSpaceHub)
+			.map(platform => ({ value: platform.platformIndex, label: `${platform.platformName} #${platform.platformIndex}` }));
+	}, [state.tree, source]);
+
+	const swapOptions = useMemo(() => {
+		const tree = state.tree;
+		if (!tree || targetInstanceId === null) {
+			return [];
+		}
+		const instance = [
+			...(tree.hosts || []).flatMap(host => host.instances || []),
+			...(tree.unassignedInstances || []),
+		].find(inst => inst.instanceId === targetInstanceId);
+		return (instance?.platforms || [])
+			.filter(platform => platform.hasSpaceHub)
+			.map(platform => ({ value: platform.platformIndex, label: `${platform.platformName} #${platform.platformIndex}` }));
+	}, [state.tree, targetInstanceId]);
+
+	async function handleSwapSubmit() {
+		if (!source || targetInstanceId === null || swapWith === null) {
+			return;
+		}
+		setSubmitting(true);
+		try {
+			const response = await plugin.startPlatformSwap({
+				platforms: [
+					{ sourceInstanceId: source.instanceId, sourcePlatformIndex: source.platformIndex },
+					{ sourceInstanceId: Number(targetInstanceId), sourcePlatformIndex: swapWith },
+				],
+				forceName: source.forceName || "player",
+			}) as JsonObject;
+			if (!getProp(response, "success", false)) {
+				throw new Error(String(getProp(response, "error", "Swap start failed")));
+			}
+			antMessage.success(String(getProp(response, "message", "Swap started")), 5);
+			onClose();
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to start swap"), 10);
+		} finally {
+			setSubmitting(false);
+		}
+	}
+
+	async function handleGroupSubmit() {
+		if (!source || targetInstanceId === null) {
+			return;
+		}
+		setSubmitting(true);
+		try {
+			const response = await plugin.startGroupTransfer({
+				platforms: [source.platformIndex, ...fleet].map(platformIndex => ({ sourceInstanceId: source.instanceId, sourcePlatformIndex: platformIndex })),
+				targetInstanceId: Number(targetInstanceId),
+				forceName: source.forceName || "player",
+				targetPlanet,
+				policy: groupPolicy,
+			}) as JsonObject;
+			if (!getProp(response, "success", false)) {
+				throw new Error(String(getProp(response, "error", "Group transfer start failed")));
+			}
+			antMessage.success(String(getProp(response, "message", "Group transfer started")), 5);
+			onClose();
+		} catch (err: unknown) {
+			antMessage.error(getErrorMessage(err, "Failed to start group transfer"), 10);
+		} finally {
+			setSubmitting(false);
+		}
+	}
+
 	async function handleSubmit() {
 		if (!source || targetInstanceId === null) {
 			return;
 		}
+		if (swapWith !== null) {
+			await handleSwapSubmit();
+			return;
+		}
+		if (fleet.length) {
+			await handleGroupSubmit();
+			return;
+		}
 		setSubmitting(true);
 		try {
 			const response = await plugin.startTransfer({
@@ -55,11 +205,21 @@ export default function TransferModal({ source, presetTargetInstanceId = null, o
 				targetInstanceId: Number(targetInstanceId),
 				forceName: source.forceName || "player",
 				targetPlanet,
+				priority: adminPriority ? "admin" : "player",
+				deferred,
+				copy,
 			}) as JsonObject;
 			if (!getProp(response, "success", false)) {
 				throw new Error(String(getProp(response, "error", "Transfer start failed")));
 			}
-			antMessage.success(`Transfer started: ${getProp(response, "transferId", "")}`, 5);
+			if (getProp(response, "deferred", false)) {
+				const expiresAt = getProp(response, "expiresAt", null);
+				antMessage.info(`Transfer posted: lands when the destination is running${expiresAt ? ` (expires ${new Date(Number(expiresAt)).toLocaleString()})` : ""}`, 5);
+			} else if (getProp(response, "queued", false)) {
+				antMessage.info(`Transfer queued at position ${getProp(response, "queuePosition", "?")}`, 5);
+			} else {
+				antMessage.success(`${copy ? "Copy" : "Transfer"} started: ${getProp(response, "transferId", "")}`, 5);
+			}
 			onClose();
 		} catch (err: unknown) {
 			antMessage.error(getErrorMessage(err, "Failed to start transfer"), 10);
@@ -74,8 +234,8 @@ export default function TransferModal({ source, presetTargetInstanceId = null, o
 			title={source ? `Transfer ${source.platformName}` : "Transfer"}
 			onCancel={onClose}
 			onOk={handleSubmit}
-			okText="Start Transfer"
-			okButtonProps={{ loading: submitting, disabled: targetInstanceId === null }}
+			okText={swapWith !== null ? "Start Swap" : fleet.length ? `Transfer ${fleet.length + 1} platforms` : copy ? "Start Copy" : "Start Transfer"}
+			okButtonProps={{ loading: submitting, disabled: targetInstanceId === null || blocked }}
 		>
 			<Space direction="vertical" size="middle" style={{ width: "100%" }}>
 				{source ? (
@@ -91,7 +251,10 @@ export default function TransferModal({ source, presetTargetInstanceId = null, o
 					placeholder="Select target instance"
 					options={instanceOptions}
 					value={targetInstanceId}
-					onChange={value => setTargetInstanceId(value)}
+					onChange={value => {
+						setTargetInstanceId(value);
+						setSwapWith(null);
+					}}
 					style={{ width: "100%" }}
 				/>
 
@@ -100,9 +263,98 @@ export default function TransferModal({ source, presetTargetInstanceId = null, o
 					options={planetOptions}
 					value={targetPlanet}
 					onChange={value => setTargetPlanet(value ?? null)}
+					disabled={swapWith !== null}
 					allowClear
 					style={{ width: "100%" }}
 				/>
+
+				{swapOptions.length && !fleet.length ? (
+					<Select
+						placeholder="Swap with a platform on the target instance (optional)"
+						options={swapOptions}
+						value={swapWith}
+						onChange={value => {
+							setSwapWith(value ?? null);
+							setTargetPlanet(null);
+							setAdminPriority(false);
+							setDeferred(false);
+							setCopy(false);
+						}}
+						allowClear
+						style={{ width: "100%" }}
+					/>
+				) : null}
+
+				{fleetOptions.length && swapWith === null ? (
+					<Select
+						mode="multiple"
+						placeholder="Also move other platforms from this instance (group transfer)"
+						options={fleetOptions}
+						value={fleet}
+						onChange={value => {
+							setFleet(value);
+							setAdminPriority(false);
+							setDeferred(false);
+							setCopy(false);
+						}}
+						allowClear
+						style={{ width: "100%" }}
+					/>
+				) : null}
+
+				{swapWith !== null ? (
+					<Alert
+						type="info"
+						showIcon
+						message="The two platforms are exchanged as one operation"
+						description="Neither source is deleted until both destinations validated; if either side fails, both roll back."
+					/>
+				) : fleet.length ? (
+					<Segmented
+						block
+						options={[
+							{ label: "All or nothing", value: "all_or_nothing" },
+							{ label: "Best effort", value: "best_effort" },
+						]}
+						value={groupPolicy}
+						onChange={value => setGroupPolicy(value as GroupTransferPolicy)}
+					/>
+				) : (
+					<>
+						<Checkbox checked={adminPriority} onChange={event => setAdminPriority(event.target.checked)}>
+							Admin priority (starts ahead of queued player transfers)
+						</Checkbox>
+
+						<Checkbox checked={deferred} disabled={copy} onChange={event => setDeferred(event.target.checked)}>
+							Mail drop (hold the platform on the controller until the destination is running)
+						</Checkbox>
+
+						<Checkbox checked={copy} disabled={deferred} onChange={event => setCopy(event.target.checked)}>
+							Copy (keep the source platform; needs the copy permission)
+						</Checkbox>
+					</>
+				)}
+
+				{preflight.loading ? (
+					<Space size="small"><Spin size="small" />Checking the destination can build this platform...</Space>
+				) : null}
+				{preflight.error ? (
+					<Alert type="warning" showIcon message="Preflight could not run" description={preflight.error} />
+				) : null}
+				{preflight.report && blocked ? (
+					<Alert
+						type="error"
+						showIcon
+						message={`The destination cannot build this platform (${preflight.report.blockers.length} blocker(s))`}
+						description={issueList(preflight.report.blockers)}
+					/>
+				) : null}
+				{preflight.report && preflight.report.warnings.length ? (
+					<Alert type="warning" showIcon message="Preflight warnings" description={issueList(preflight.report.warnings)} />
+				) : null}
+				{preflight.report && !blocked && !preflight.report.warnings.length ? (
+					<Alert type="success" showIcon message="Preflight passed: the destination has every prototype this platform uses" />
+				) : null}
 			</Space>
 		</Modal>
 	);
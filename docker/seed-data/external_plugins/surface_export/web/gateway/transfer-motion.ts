@@ -64,7 +64,7 @@ export type ShipTransfer = TransferSummary & { sourceInstanceId: number; targetI
 
 export function shipsInFlight(summaries: readonly TransferSummary[] | null | undefined, nowMs: number): ShipTransfer[] {
 	return (summaries || []).filter((summary): summary is ShipTransfer => {
-		if (summary.operationType !== "transfer") {
+		if (summary.operationType !== "transfer" && summary.operationType !== "copy") {
 			return false;
 		}
 		if (!Number.isFinite(summary.sourceInstanceId) || !Number.isFinite(summary.targetInstanceId)) {
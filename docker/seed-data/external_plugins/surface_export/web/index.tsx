@@ -9,25 +9,42 @@ import {
 } from "@clusterio/web_ui";
 import * as messageDefs from "../messages";
 import TransactionLogsTab from "./TransactionLogsTab";
+import StoredExportsTab from "./StoredExportsTab";
+import SchedulesTab from "./SchedulesTab";
 import GatewayCanvas from "./gateway/GatewayCanvas";
 import ImportModal from "./ImportModal";
-import type { JsonObject, LogEvent, SurfaceExportPlugin, SurfaceExportState } from "./view-models";
+import type { JsonObject, LogEvent, StoredExportSummary, SurfaceExportPlugin, SurfaceExportState, TransferSchedule } from "./view-models";
 
 import { summaryFromTransferInfo, mergeTransferSummary, getErrorMessage, getProp } from "./utils";
 import { decideSnapshot, entriesChangedSince, freshRevisionWatermarks, isFreshRevision } from "../shared/revision-gate";
 import { nextLiveStatus, resubscribeDelayMs, shouldRetryResubscribe } from "../shared/live-status";
 import type { ConnectionEvent, LiveStatus, SyncOutcome } from "../shared/live-status";
+import type { GroupTransferPolicy, TransferPriority, TransferScheduleRule, UploadSignaturePolicy } from "../shared/dto";
 import "./style.css";
 
 const {
 	PERMISSIONS,
 	GetPlatformTreeRequest,
 	GetStoredExportRequest,
+	DiffExportsRequest,
+	ExportBlueprintRequest,
+	ListExportsRequest,
+	UpdateStoredExportRequest,
 	ImportUploadedExportRequest,
+	ImportBlueprintRequest,
 	ExportPlatformForDownloadRequest,
 	ListTransactionLogsRequest,
 	GetTransactionLogRequest,
 	StartPlatformTransferRequest,
+	PreflightTransferRequest,
+	StartGroupTransferRequest,
+	StartPlatformSwapRequest,
+	CancelTransferRequest,
+	ReverseTransferRequest,
+	ListTransferSchedulesRequest,
+	CreateTransferScheduleRequest,
+	UpdateTransferScheduleRequest,
+	DeleteTransferScheduleRequest,
 	GetGatewaysRequest,
 	SetGatewayLinkRequest,
 	SetSurfaceExportSubscriptionRequest,
@@ -88,7 +105,7 @@ function SurfaceExportPage() {
 	const [importModalOpen, setImportModalOpen] = useState(false);
 	const [activeTab, setActiveTab] = useState<string>(() => {
 		const t = new URLSearchParams(window.location.search).get("tab");
-		return t && ["logs", "gateways"].includes(t) ? t : "gateways";
+		return t && ["logs", "exports", "schedules", "gateways"].includes(t) ? t : "gateways";
 	});
 	function handleTabChange(key: string) {
 		setActiveTab(key);
@@ -104,6 +121,16 @@ function SurfaceExportPage() {
 			children: <TransactionLogsTab plugin={plugin} state={state} />,
 		});
 	}
+	tabItems.push({
+		key: "exports",
+		label: "Stored Exports",
+		children: <StoredExportsTab plugin={plugin} />,
+	});
+	tabItems.push({
+		key: "schedules",
+		label: "Schedules",
+		children: <SchedulesTab plugin={plugin} state={state} />,
+	});
 	tabItems.push({
 		key: "gateways",
 		label: "Gateways",
@@ -359,18 +386,75 @@ export class WebPlugin extends BaseWebPlugin {
 	async getStoredExport(exportId: string) {
 		return this.link.send(new GetStoredExportRequest({ exportId }));
 	}
+	async diffExports(beforeExportId: string, afterExportId: string) {
+		return this.link.send(new DiffExportsRequest({ beforeExportId, afterExportId }));
+	}
+	async exportBlueprint(exportId: string) {
+		return this.link.send(new ExportBlueprintRequest({ exportId }));
+	}
+	async listExports() {
+		const entries = await this.link.send(new ListExportsRequest());
+		return Array.isArray(entries) ? entries as StoredExportSummary[] : [];
+	}
+
+	async updateStoredExport(payload: { exportId: string; pinned?: boolean; labels?: string[]; note?: string }) {
+		return this.link.send(new UpdateStoredExportRequest(payload));
+	}
+
 	async exportPlatformForDownload(payload: { sourceInstanceId: number; sourcePlatformIndex: number; forceName?: string }) {
 		return this.link.send(new ExportPlatformForDownloadRequest(payload));
 	}
 
-	async importUploadedExport(payload: { targetInstanceId: number; exportData: Record<string, unknown>; forceName?: string; platformName?: string | null; targetPlanet?: string | null }) {
+	async importUploadedExport(payload: { targetInstanceId: number; exportData: Record<string, unknown>; forceName?: string; platformName?: string | null; targetPlanet?: string | null; signaturePolicy?: UploadSignaturePolicy | null }) {
 		return this.link.send(new ImportUploadedExportRequest(payload));
 	}
 
-	async startTransfer(payload: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null }) {
+	async importBlueprint(payload: { targetInstanceId: number; blueprint: string; forceName?: string; platformName?: string | null; targetPlanet?: string | null; dryRun?: boolean }) {
+		return this.link.send(new ImportBlueprintRequest(payload));
+	}
+
+	async startTransfer(payload: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; priority?: TransferPriority; deferred?: boolean }) {
 		return this.link.send(new StartPlatformTransferRequest(payload));
 	}
 
+	async preflightTransfer(payload: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null }) {
+		return this.link.send(new PreflightTransferRequest(payload));
+	}
+
+	async startGroupTransfer(payload: { platforms: Array<{ sourceInstanceId: number; sourcePlatformIndex: number }>; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; policy?: GroupTransferPolicy }) {
+		return this.link.send(new StartGroupTransferRequest(payload));
+	}
+
+	async startPlatformSwap(payload: { platforms: Array<{ sourceInstanceId: number; sourcePlatformIndex: number }>; forceName?: string }) {
+		return this.link.send(new StartPlatformSwapRequest(payload));
+	}
+
+	async cancelTransfer(transferId: string) {
+		return this.link.send(new CancelTransferRequest({ transferId }));
+	}
+
+	async reverseTransfer(transferId: string) {
+		return this.link.send(new ReverseTransferRequest({ transferId }));
+	}
+
+	async listTransferSchedules() {
+		const response = await this.link.send(new ListTransferSchedulesRequest()) as JsonObject;
+		const schedules = getProp<unknown>(response, "schedules", []);
+		return Array.isArray(schedules) ? schedules as TransferSchedule[] : [];
+	}
+
+	async createTransferSchedule(payload: { sourceInstanceId: number; sourcePlatformIndex: number; targetInstanceId: number; forceName?: string; targetPlanet?: string | null; rule: TransferScheduleRule }) {
+		return this.link.send(new CreateTransferScheduleRequest(payload));
+	}
+
+	async updateTransferSchedule(payload: { scheduleId: string; enabled?: boolean; rule?: TransferScheduleRule; targetInstanceId?: number; targetPlanet?: string | null }) {
+		return this.link.send(new UpdateTransferScheduleRequest(payload));
+	}
+
+	async deleteTransferSchedule(scheduleId: string) {
+		return this.link.send(new DeleteTransferScheduleRequest({ scheduleId }));
+	}
+
 	async getGateways() {
 		return this.link.send(new GetGatewaysRequest({}));
 	}
@@ -37,8 +37,14 @@ export function statusColor(status: string) {
 	case "in_progress":
 		return "processing";
 	case "awaiting_validation":
+	case "awaiting_group":
 	case "awaiting_completion":
+	case "committing":
 		return "gold";
+	case "queued":
+		return "purple";
+	case "deferred":
+		return "cyan";
 	case "completed":
 		return "success";
 	case "failed":
@@ -50,6 +56,48 @@ export function statusColor(status: string) {
 	}
 }
 
+const CANCELLABLE_STATUSES = new Set(["queued", "transporting", "awaiting_validation", "awaiting_group", "deferred"]);
+
+export function isCancellable(row: TransferSummary) {
+	if (row.operationType === "group" || row.operationType === "swap") {
+		return row.status === "in_progress";
+	}
+	return row.operationType !== "export" && row.operationType !== "import" && CANCELLABLE_STATUSES.has(String(row.status));
+}
+
+export function isReversible(row: TransferSummary) {
+	return row.operationType === "transfer" && row.status === "completed"
+		&& typeof row.destinationSurfaceIndex === "number" && !row.reversedBy;
+}
+
+export function transferStatusLabel(status: string, row: TransferSummary) {
+	if (row.cancelledAt) {
+		return `${status} · cancelled`;
+	}
+	if (row.queuePosition) {
+		return `${status} #${row.queuePosition}${row.priority === "admin" ? " (admin)" : ""}`;
+	}
+	if (row.deliveryLeg === "return") {
+		return `${status} · ${status === "completed" ? "returned" : "returning"} to sender`;
+	}
+	if (status === "deferred" && row.deliveryExpiresAt) {
+		return `${status} · expires ${new Date(row.deliveryExpiresAt).toLocaleString()}`;
+	}
+	if (row.reversedBy) {
+		return `${status} · reversed`;
+	}
+	if (row.reverseOf) {
+		return `${status} · reversal`;
+	}
+	if (row.scheduleId) {
+		return `${status} · scheduled`;
+	}
+	if (row.groupPolicy && row.operationType === "group") {
+		return `${status} · ${row.groupPolicy === "best_effort" ? "best effort" : "all or nothing"}`;
+	}
+	return status;
+}
+
 export function summaryFromTransferInfo(transferInfo: JsonObject | null, lastEventAt: number | null = null): TransferSummary | null {
 	if (!transferInfo) {
 		return null;
@@ -72,18 +120,48 @@ export function summaryFromTransferInfo(transferInfo: JsonObject | null, lastEve
 		failedAt: getNumber(transferInfo, "failedAt", null),
 		error: getString(transferInfo, "error", null),
 		lastEventAt,
+		...(getString(transferInfo, "groupId", null) ? { groupId: getString(transferInfo, "groupId", null) } : {}),
+		...(Array.isArray(transferInfo.groupChildren) ? {
+			groupPolicy: getString(transferInfo, "groupPolicy", "all_or_nothing") as TransferSummary["groupPolicy"],
+			groupChildren: transferInfo.groupChildren.map(String),
+		} : {}),
+		...(typeof transferInfo.destinationSurfaceIndex === "number" ? {
+			destinationPlatformIndex: getNumber(transferInfo, "destinationPlatformIndex", null),
+			destinationSurfaceIndex: transferInfo.destinationSurfaceIndex,
+		} : {}),
+		...(getString(transferInfo, "reverseOf", null) ? { reverseOf: getString(transferInfo, "reverseOf", null) } : {}),
+		...(getString(transferInfo, "reversedBy", null) ? { reversedBy: getString(transferInfo, "reversedBy", null) } : {}),
+		...(getString(transferInfo, "scheduleId", null) ? { scheduleId: getString(transferInfo, "scheduleId", null) } : {}),
 	};
 }
 
 export function mergeTransferSummary(existing: TransferSummary[], incoming: TransferSummary | null) {
 	const byId = new Map((existing || []).map(summary => [summary.transferId, summary]));
-	if (incoming && incoming.transferId) {
+	if (incoming && incoming.transferId && incoming.status === "dispatched") {
+		byId.delete(incoming.transferId);
+	} else if (incoming && incoming.transferId) {
 		byId.set(incoming.transferId, { ...byId.get(incoming.transferId), ...incoming });
 	}
 
 	return Array.from(byId.values()).sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
 }
 
+export function nestGroupSummaries(summaries: TransferSummary[]): TransferSummary[] {
+	const parents = new Map(summaries
+		.filter(summary => summary.operationType === "group" || summary.operationType === "swap")
+		.map(summary => [summary.transferId, { ...summary, children: [] as TransferSummary[] }]));
+	const rows: TransferSummary[] = [];
+	for (const summary of summaries) {
+		const parent = summary.groupId ? parents.get(summary.groupId) : undefined;
+		if (parent) {
+			parent.children.push(summary);
+		} else {
+			rows.push(parents.get(summary.transferId) ?? summary);
+		}
+	}
+	return rows.map(row => (row.children && !row.children.length ? { ...row, children: undefined } : row));
+}
+
 export function formatDuration(durationMs: number | null) {
 	if (typeof durationMs !== "number" || Number.isNaN(durationMs)) {
 		return "-";
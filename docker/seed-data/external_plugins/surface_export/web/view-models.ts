@@ -2,7 +2,9 @@ import type {
 	JsonObject,
 	HostNodeModel,
 	InstanceNodeModel,
+	StoredExportSummaryModel,
 	TransferSummaryModel,
+	TransferScheduleModel,
 } from "../shared/dto";
 
 export type { JsonObject, HostNodeModel, InstanceNodeModel };
@@ -37,8 +39,13 @@ export type PlatformTreeState = {
 
 export type TransferSummary = Partial<TransferSummaryModel> & {
 	transferId: string;
+	children?: TransferSummary[];
 };
 
+export type StoredExportSummary = StoredExportSummaryModel;
+
+export type TransferSchedule = TransferScheduleModel;
+
 export type LogDetail = {
 	transferInfo?: JsonObject | null;
 	summary?: JsonObject | null;
@@ -67,9 +74,23 @@ export type SurfaceExportPlugin = {
 	onUpdate(callback: () => void): void;
 	offUpdate(callback: () => void): void;
 	getStoredExport(exportId: string): Promise<JsonObject>;
+	diffExports(beforeExportId: string, afterExportId: string): Promise<JsonObject>;
+	exportBlueprint(exportId: string): Promise<JsonObject>;
+	listExports(): Promise<StoredExportSummary[]>;
+	updateStoredExport(payload: { exportId: string; pinned?: boolean; labels?: string[]; note?: string }): Promise<JsonObject>;
 	exportPlatformForDownload(payload: JsonObject): Promise<JsonObject>;
 	importUploadedExport(payload: JsonObject): Promise<JsonObject>;
+	importBlueprint(payload: JsonObject): Promise<JsonObject>;
 	startTransfer(payload: JsonObject): Promise<JsonObject>;
+	preflightTransfer(payload: JsonObject): Promise<JsonObject>;
+	startGroupTransfer(payload: JsonObject): Promise<JsonObject>;
+	startPlatformSwap(payload: JsonObject): Promise<JsonObject>;
+	cancelTransfer(transferId: string): Promise<JsonObject>;
+	reverseTransfer(transferId: string): Promise<JsonObject>;
+	listTransferSchedules(): Promise<TransferSchedule[]>;
+	createTransferSchedule(payload: JsonObject): Promise<JsonObject>;
+	updateTransferSchedule(payload: JsonObject): Promise<JsonObject>;
+	deleteTransferSchedule(scheduleId: string): Promise<JsonObject>;
 	loadTransactionLog(transferId: string): Promise<void>;
 	getGateways(): Promise<JsonObject>;
 	setGatewayLink(payload: JsonObject): Promise<JsonObject>;